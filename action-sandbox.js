@@ -0,0 +1,692 @@
+/*
+ * Sandbox for custom particle action code.
+ * Action code is parsed, and only a small subset of JavaScript is accepted:
+ * local variables, arithmetic, if/else, bounded for loops, the documented
+ * helpers from elements.js, gameImagedata32, the built-in element constants
+ * and a few read-only globals like width. Everything else is rejected with
+ * the line and column of the offending code. Accepted code is instrumented
+ * so that loops can't run away and array indices are always numbers.
+ */
+
+// Helpers action code may call (see elements.js and util.js)
+const ACTION_CODE_FUNCTIONS = new Set([
+  'below', 'belowAdjacent', 'above', 'aboveAdjacent', 'adjacent', 'bordering',
+  'borderingAdjacent', 'surroundedBy', 'surroundedByAdjacent',
+  'surroundedByCount', 'surroundedByAdjacentCount', 'doGravity', 'doRise',
+  'doDensitySink', 'doDensityLiquid', 'doDensitySinkAny', 'doDensityLiquidAny',
+  'doDensityGas', 'doGrow', 'doTransform', 'doProducer',
+  'uniformBelowAdjacent', 'gasPermeable', 'random', 'randomFloat'
+]);
+
+// Globals action code may read, but not assign
+const ACTION_CODE_VALUES = new Set([
+  'width', 'height', 'MAX_X_IDX', 'MAX_Y_IDX', 'MAX_IDX',
+  'gameImagedata32', 'undefined', 'NaN', 'Infinity'
+]);
+
+// Members of Math action code may use (Math is seededMath at runtime)
+const ACTION_CODE_MATH_MEMBERS = new Set([
+  'random', 'floor', 'ceil', 'round', 'trunc', 'abs', 'sign', 'min', 'max',
+  'sqrt', 'pow', 'exp', 'log', 'sin', 'cos', 'tan', 'atan2', 'hypot', 'PI'
+]);
+
+// The parameters of an action function (see createActionFunction())
+const ACTION_CODE_PARAMETERS = ['x', 'y', 'i'];
+
+// Loop iterations allowed in a single call of an action
+const ACTION_CODE_MAX_ITERATIONS = 1000;
+
+// Constructs we recognize, only to reject them with a helpful message
+const ACTION_CODE_FORBIDDEN_KEYWORDS = {
+  function: 'functions can\'t be declared in particle code',
+  while: 'while loops are not allowed; use a for loop',
+  do: 'do...while loops are not allowed; use a for loop',
+  switch: 'switch is not allowed; use if/else',
+  try: 'try/catch is not allowed',
+  catch: 'try/catch is not allowed',
+  finally: 'try/catch is not allowed',
+  throw: 'throw is not allowed',
+  with: 'with is not allowed',
+  class: 'classes are not allowed',
+  new: 'new is not allowed',
+  this: 'this is not allowed',
+  super: 'super is not allowed',
+  delete: 'delete is not allowed',
+  void: 'void is not allowed',
+  typeof: 'typeof is not allowed',
+  instanceof: 'instanceof is not allowed',
+  in: 'in is not allowed',
+  yield: 'yield is not allowed',
+  async: 'async code is not allowed',
+  await: 'async code is not allowed',
+  import: 'import is not allowed',
+  export: 'export is not allowed',
+  debugger: 'debugger is not allowed'
+};
+
+const ACTION_CODE_PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '=>', '==', '!=',
+  '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=',
+  '%=', '&=', '|=', '^=', '<<', '>>', '**', '{', '}', '(', ')', '[', ']',
+  ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^', '!', '~', '?',
+  ':', '=', '.'
+];
+
+const ACTION_CODE_NAME_PATTERN = /[A-Za-z_$][\w$]*/y;
+const ACTION_CODE_NUMBER_PATTERN =
+  /(?:0[xX][\da-fA-F]+|0[bB][01]+|0[oO][0-7]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+
+const ACTION_CODE_ASSIGNMENT_OPERATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^='
+]);
+
+// Binary operators, by precedence
+const ACTION_CODE_BINARY_PRECEDENCE = {
+  '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7,
+  '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9,
+  '*': 10, '/': 10, '%': 10,
+  '**': 11
+};
+
+/**
+ * Error in action code, with the position of the offending code
+ */
+class ActionCodeError extends Error {
+  /**
+   * @param {string} reason - What is wrong
+   * @param {number} line - Line of the offending code, from 1
+   * @param {number} column - Column of the offending code, from 1
+   */
+  constructor(reason, line, column) {
+    super(`Line ${line}, column ${column}: ${reason}`);
+    this.name = 'ActionCodeError';
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Split action code into tokens
+ * @param {string} code - The action code
+ * @returns {Array} - Tokens, ending with an 'eof' token
+ * @throws {ActionCodeError} - On characters that can't start a token
+ */
+function tokenizeActionCode(code) {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+  let newlineBefore = false;
+
+  function fail(reason) {
+    throw new ActionCodeError(reason, line, pos - lineStart + 1);
+  }
+
+  function matchAt(pattern) {
+    pattern.lastIndex = pos;
+    return pattern.test(code);
+  }
+
+  while (pos < code.length) {
+    const c = code[pos];
+
+    if (c === '\n') {
+      pos++;
+      line++;
+      lineStart = pos;
+      newlineBefore = true;
+      continue;
+    }
+    if (/\s/.test(c)) {
+      pos++;
+      continue;
+    }
+
+    // Comments
+    if (code.startsWith('//', pos)) {
+      while (pos < code.length && code[pos] !== '\n') pos++;
+      continue;
+    }
+    if (code.startsWith('/*', pos)) {
+      const end = code.indexOf('*/', pos + 2);
+      if (end === -1) fail('unterminated comment');
+      for (; pos < end + 2; pos++) {
+        if (code[pos] === '\n') {
+          line++;
+          lineStart = pos + 1;
+          newlineBefore = true;
+        }
+      }
+      continue;
+    }
+
+    const start = pos;
+    const column = pos - lineStart + 1;
+    let type;
+
+    if (matchAt(ACTION_CODE_NAME_PATTERN)) {
+      type = 'name';
+      pos = ACTION_CODE_NAME_PATTERN.lastIndex;
+    } else if (matchAt(ACTION_CODE_NUMBER_PATTERN)) {
+      type = 'number';
+      pos = ACTION_CODE_NUMBER_PATTERN.lastIndex;
+    } else if (c === '\'' || c === '"') {
+      type = 'string';
+      pos++;
+      while (pos < code.length && code[pos] !== c && code[pos] !== '\n') {
+        pos += code[pos] === '\\' ? 2 : 1;
+      }
+      if (code[pos] !== c) fail('unterminated string');
+      pos++;
+    } else if (c === '`') {
+      fail('template literals are not allowed');
+    } else {
+      const punctuator = ACTION_CODE_PUNCTUATORS.find(p => code.startsWith(p, pos));
+      if (!punctuator) fail(`unexpected character ${JSON.stringify(c)}`);
+      type = 'punct';
+      pos += punctuator.length;
+    }
+
+    tokens.push({
+      type: type,
+      value: code.slice(start, pos),
+      start: start,
+      end: pos,
+      line: line,
+      column: column,
+      newlineBefore: newlineBefore
+    });
+    newlineBefore = false;
+  }
+
+  tokens.push({
+    type: 'eof',
+    value: '',
+    start: code.length,
+    end: code.length,
+    line: line,
+    column: code.length - lineStart + 1,
+    newlineBefore: true
+  });
+  return tokens;
+}
+
+/**
+ * Whether name is a built-in element constant, like SAND
+ * @param {string} name - An identifier
+ * @returns {boolean} - True if it names a built-in element
+ */
+function isActionCodeElement(name) {
+  const elem = lookupElementId(name);
+  return elem !== -1 && elem < NUM_ELEMENTS;
+}
+
+/**
+ * Check action code against the sandbox rules
+ * @param {string} code - The action code (a function body)
+ * @param {Object} [options] - Options
+ * @param {Array} [options.names] - Extra identifiers the code may read, such
+ *   as the particle's own name before preprocessActionCode() replaces it
+ * @returns {Array} - Edits that instrument the code, for sandboxActionCode()
+ * @throws {ActionCodeError} - If the code breaks a rule
+ */
+function validateActionCode(code, options = {}) {
+  const tokens = tokenizeActionCode(code);
+  const extraNames = new Set(options.names || []);
+  const edits = [];
+  const scopes = [new Set(ACTION_CODE_PARAMETERS)];
+  let index = 0;
+  let loopDepth = 0;
+
+  function peek(offset = 0) {
+    return tokens[Math.min(index + offset, tokens.length - 1)];
+  }
+
+  function next() {
+    const token = tokens[index];
+    if (index < tokens.length - 1) index++;
+    return token;
+  }
+
+  function fail(reason, token = peek()) {
+    throw new ActionCodeError(reason, token.line, token.column);
+  }
+
+  function is(value, token = peek()) {
+    return token.type === 'punct' ? token.value === value : token.type === 'name' && token.value === value;
+  }
+
+  function expect(value) {
+    if (!is(value)) fail(`expected ${value} but found ${describe(peek())}`);
+    return next();
+  }
+
+  function describe(token) {
+    return token.type === 'eof' ? 'the end of the code' : token.value;
+  }
+
+  function consumeSemicolon() {
+    if (is(';')) {
+      next();
+    } else if (!is('}') && peek().type !== 'eof' && !peek().newlineBefore) {
+      fail(`expected ; but found ${describe(peek())}`);
+    }
+  }
+
+  function checkForbidden(token) {
+    if (token.type === 'name' && token.value in ACTION_CODE_FORBIDDEN_KEYWORDS) {
+      fail(ACTION_CODE_FORBIDDEN_KEYWORDS[token.value], token);
+    }
+  }
+
+  function isLocal(name) {
+    return scopes.some(scope => scope.has(name));
+  }
+
+  function declare(token) {
+    const name = token.value;
+    if (token.type !== 'name') fail(`expected a variable name but found ${describe(token)}`, token);
+    checkForbidden(token);
+    if (ACTION_CODE_PARAMETERS.includes(name) || ACTION_CODE_FUNCTIONS.has(name) ||
+        ACTION_CODE_VALUES.has(name) || name === 'Math' || isActionCodeElement(name) ||
+        extraNames.has(name)) {
+      fail(`${name} can't be redeclared`, token);
+    }
+    if (name.startsWith('__')) fail(`names starting with __ are reserved`, token);
+    scopes[scopes.length - 1].add(name);
+  }
+
+  function withScope(parse) {
+    scopes.push(new Set());
+    try {
+      return parse();
+    } finally {
+      scopes.pop();
+    }
+  }
+
+  // Statements
+
+  function parseStatement() {
+    const token = peek();
+    checkForbidden(token);
+
+    if (is('{')) {
+      next();
+      withScope(() => {
+        while (!is('}')) {
+          if (peek().type === 'eof') fail('expected } but found the end of the code');
+          parseStatement();
+        }
+      });
+      next();
+      return;
+    }
+    if (is(';')) {
+      next();
+      return;
+    }
+    if (is('let') || is('const') || is('var')) {
+      parseDeclarations();
+      consumeSemicolon();
+      return;
+    }
+    if (is('if')) {
+      next();
+      expect('(');
+      parseExpression();
+      expect(')');
+      parseStatement();
+      if (is('else')) {
+        next();
+        parseStatement();
+      }
+      return;
+    }
+    if (is('for')) {
+      parseFor();
+      return;
+    }
+    if (is('return')) {
+      next();
+      if (!is(';') && !is('}') && peek().type !== 'eof' && !peek().newlineBefore) {
+        parseExpression();
+      }
+      consumeSemicolon();
+      return;
+    }
+    if (is('break') || is('continue')) {
+      next();
+      if (loopDepth === 0) fail(`${token.value} is only allowed inside a loop`, token);
+      if (peek().type === 'name' && !peek().newlineBefore) fail('labels are not allowed');
+      consumeSemicolon();
+      return;
+    }
+    if (token.type === 'name' && is(':', peek(1))) {
+      fail('labels are not allowed', token);
+    }
+
+    parseExpression();
+    consumeSemicolon();
+  }
+
+  function parseDeclarations() {
+    const kind = next().value;
+    do {
+      const nameToken = next();
+      declare(nameToken);
+      if (is('=')) {
+        next();
+        parseAssignment();
+      } else if (kind === 'const') {
+        fail(`${nameToken.value} must be given a value`);
+      }
+      if (!is(',')) break;
+      next();
+    } while (true);
+  }
+
+  // Loops are bounded at runtime: each iteration counts against
+  // ACTION_CODE_MAX_ITERATIONS for the current call of the action
+  function parseFor() {
+    next();
+    expect('(');
+
+    withScope(() => {
+      if (is('let') || is('const') || is('var')) {
+        if (is('of', peek(2))) {
+          next();
+          declare(next());
+          next();
+          parseIterable();
+          expect(')');
+          parseLoopBody();
+          return;
+        }
+        parseDeclarations();
+      } else if (!is(';')) {
+        parseExpression();
+      }
+
+      if (is('in')) fail('for...in loops are not allowed; use for...of over an array');
+      if (is('of')) fail('declare the loop variable of a for...of loop with let or const');
+
+      expect(';');
+      if (!is(';')) parseExpression();
+      expect(';');
+      if (!is(')')) parseExpression();
+      expect(')');
+      parseLoopBody();
+    });
+  }
+
+  function parseIterable() {
+    const token = peek();
+    if (is('[')) {
+      parseAssignment();
+      return;
+    }
+    if (token.type === 'name' && (isLocal(token.value) || token.value === 'gameImagedata32')) {
+      next();
+      return;
+    }
+    fail('for...of loops may only go over an array literal or a variable', token);
+  }
+
+  function parseLoopBody() {
+    const start = peek().start;
+    loopDepth++;
+    parseStatement();
+    loopDepth--;
+    const end = tokens[index - 1].end;
+
+    edits.push({
+      pos: start,
+      text: `{ if (++__loopIterations > ${ACTION_CODE_MAX_ITERATIONS}) ` +
+        'throw new Error(\'too many loop iterations\'); ',
+      loop: true
+    });
+    edits.push({ pos: end, text: ' }' });
+  }
+
+  // Expressions. Each returns a description of what it parsed, so that
+  // assignments and calls can check their targets.
+
+  function parseExpression() {
+    let node = parseAssignment();
+    while (is(',')) {
+      next();
+      node = parseAssignment();
+    }
+    return node;
+  }
+
+  function parseAssignment() {
+    const token = peek();
+    if (is('=>', peek(1)) || (is('(') && arrowFollows())) {
+      fail('arrow functions are not allowed', token);
+    }
+
+    const node = parseConditional();
+    if (peek().type === 'punct' && ACTION_CODE_ASSIGNMENT_OPERATORS.has(peek().value)) {
+      checkAssignable(node, token);
+      next();
+      parseAssignment();
+      return { kind: 'value' };
+    }
+    return node;
+  }
+
+  // Whether the parenthesis at the current token opens an arrow function
+  function arrowFollows() {
+    let depth = 0;
+    for (let k = index; k < tokens.length; k++) {
+      const token = tokens[k];
+      if (token.type !== 'punct') continue;
+      if (token.value === '(') depth++;
+      if (token.value === ')' && --depth === 0) return is('=>', tokens[k + 1]);
+    }
+    return false;
+  }
+
+  function checkAssignable(node, token) {
+    if (node.kind === 'identifier' && isLocal(node.name)) return;
+    if (node.kind === 'index') return;
+    if (node.kind === 'identifier') fail(`${node.name} can't be assigned`, token);
+    fail('only variables and array elements can be assigned', token);
+  }
+
+  function parseConditional() {
+    const node = parseBinary(1);
+    if (!is('?')) return node;
+    next();
+    parseAssignment();
+    expect(':');
+    parseAssignment();
+    return { kind: 'value' };
+  }
+
+  function parseBinary(minPrecedence) {
+    let node = parseUnary();
+    while (true) {
+      const token = peek();
+      checkForbidden(token);
+      if (is('??')) fail('?? is not allowed');
+      const precedence = token.type === 'punct' ? ACTION_CODE_BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) return node;
+      next();
+      // ** is right associative
+      parseBinary(token.value === '**' ? precedence : precedence + 1);
+      node = { kind: 'value' };
+    }
+  }
+
+  function parseUnary() {
+    const token = peek();
+    checkForbidden(token);
+    if (is('!') || is('-') || is('+') || is('~')) {
+      next();
+      parseUnary();
+      return { kind: 'value' };
+    }
+    if (is('++') || is('--')) {
+      next();
+      checkAssignable(parseUnary(), token);
+      return { kind: 'value' };
+    }
+
+    const node = parsePostfix();
+    if ((is('++') || is('--')) && !peek().newlineBefore) {
+      checkAssignable(node, peek());
+      next();
+      return { kind: 'value' };
+    }
+    return node;
+  }
+
+  function parsePostfix() {
+    const start = peek();
+    let node = parsePrimary();
+
+    while (true) {
+      const token = peek();
+      if (is('?.')) fail('?. is not allowed');
+
+      if (is('.')) {
+        next();
+        const member = next();
+        if (member.type !== 'name') fail(`expected a name after . but found ${describe(member)}`, member);
+        if (node.kind === 'math') {
+          if (!ACTION_CODE_MATH_MEMBERS.has(member.value)) fail(`Math.${member.value} is not allowed`, member);
+          node = { kind: 'mathMember', name: member.value };
+        } else if (member.value === 'length' && node.kind === 'identifier' && node.array) {
+          node = { kind: 'value' };
+        } else {
+          fail(`.${member.value} is not allowed; only .length of an array variable and Math functions may be used`, member);
+        }
+        continue;
+      }
+
+      if (is('[')) {
+        if (node.kind !== 'identifier' || !node.array) {
+          fail('only arrays held in variables, and gameImagedata32, may be indexed', token);
+        }
+        next();
+        const indexStart = peek().start;
+        parseExpression();
+        const indexEnd = tokens[index - 1].end;
+        expect(']');
+
+        // Indices are always integers, so that no property but an
+        // element can be reached through an index
+        edits.push({ pos: indexStart, text: '(' });
+        edits.push({ pos: indexEnd, text: ') | 0' });
+        node = { kind: 'index' };
+        continue;
+      }
+
+      if (is('(')) {
+        if (node.kind !== 'function' && node.kind !== 'mathMember') {
+          fail('only the particle helpers and Math functions may be called', start);
+        }
+        next();
+        if (!is(')')) {
+          do {
+            if (is('...')) fail('... is not allowed');
+            parseAssignment();
+            if (!is(',')) break;
+            next();
+          } while (!is(')'));
+        }
+        expect(')');
+        node = { kind: 'value' };
+        continue;
+      }
+
+      if (node.kind === 'function') fail(`${node.name} must be called`, start);
+      if (node.kind === 'math' || (node.kind === 'mathMember' && node.name !== 'PI')) {
+        fail('Math functions must be called', start);
+      }
+      return node;
+    }
+  }
+
+  function parsePrimary() {
+    const token = next();
+    checkForbidden(token);
+
+    if (token.type === 'number') return { kind: 'value' };
+    if (token.type === 'string') fail('strings are not allowed in particle code', token);
+
+    if (token.type === 'punct') {
+      if (token.value === '(') {
+        const node = parseExpression();
+        expect(')');
+        return node.kind === 'identifier' || node.kind === 'index' ? node : { kind: 'value' };
+      }
+      if (token.value === '[') {
+        while (!is(']')) {
+          if (is(',')) {
+            next();
+            continue;
+          }
+          if (is('...')) fail('... is not allowed');
+          parseAssignment();
+          if (!is(']')) expect(',');
+        }
+        next();
+        return { kind: 'value' };
+      }
+      if (token.value === '{') fail('objects are not allowed; use an array', token);
+      fail(`unexpected ${describe(token)}`, token);
+    }
+
+    if (token.type === 'eof') fail('unexpected end of the code', token);
+
+    const name = token.value;
+    if (name === 'true' || name === 'false' || name === 'null') return { kind: 'value' };
+    if (isLocal(name)) return { kind: 'identifier', name: name, array: true };
+    if (name === 'gameImagedata32') return { kind: 'identifier', name: name, array: true };
+    if (name === 'Math') return { kind: 'math' };
+    if (ACTION_CODE_FUNCTIONS.has(name)) return { kind: 'function', name: name };
+    if (ACTION_CODE_VALUES.has(name) || isActionCodeElement(name) || extraNames.has(name)) {
+      return { kind: 'identifier', name: name, array: false };
+    }
+    if (name === 'let' || name === 'const' || name === 'var' || name === 'if' ||
+        name === 'else' || name === 'for' || name === 'return') {
+      fail(`unexpected ${name}`, token);
+    }
+    fail(`${name} is not defined for particle code`, token);
+  }
+
+  while (peek().type !== 'eof') parseStatement();
+  return edits;
+}
+
+/**
+ * Check action code against the sandbox rules, and instrument it
+ * @param {string} code - The action code (a function body)
+ * @param {Object} [options] - Options, as for validateActionCode()
+ * @returns {string} - The instrumented action code
+ * @throws {ActionCodeError} - If the code breaks a rule
+ */
+function sandboxActionCode(code, options) {
+  const edits = validateActionCode(code, options);
+  if (edits.length === 0) return code;
+
+  // Apply from the end, so that earlier positions stay valid
+  edits.sort((a, b) => b.pos - a.pos);
+  let instrumented = code;
+  for (const edit of edits) {
+    instrumented = instrumented.slice(0, edit.pos) + edit.text + instrumented.slice(edit.pos);
+  }
+
+  if (edits.some(edit => edit.loop)) {
+    instrumented = 'let __loopIterations = 0; ' + instrumented;
+  }
+  return instrumented;
+}
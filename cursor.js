@@ -32,12 +32,30 @@ var OVERWRITE_ENABLED;
  * in order to perform anti-aliasing.
  */
 const userstrokeCanvas = document.createElement("canvas");
-userstrokeCanvas.width = width;
-userstrokeCanvas.height = height;
 const userstrokeCtx = userstrokeCanvas.getContext("2d", { alpha: false });
 
 const CURSORS = [];
 
+function docOffsetLeft(elem) {
+  var offsetLeft = 0;
+  do {
+    if (!isNaN(elem.offsetLeft)) {
+      offsetLeft += elem.offsetLeft;
+    }
+  } while ((elem = elem.offsetParent));
+  return offsetLeft;
+}
+
+function docOffsetTop(elem) {
+  var offsetTop = 0;
+  do {
+    if (!isNaN(elem.offsetTop)) {
+      offsetTop += elem.offsetTop;
+    }
+  } while ((elem = elem.offsetParent));
+  return offsetTop;
+}
+
 /* Generic cursor */
 class Cursor {
   constructor(canvas) {
@@ -202,20 +220,14 @@ class Cursor {
       if (this.prevX === this.x && this.prevY === this.y) return;
     }
 
-    const color = SELECTED_ELEM;
-    const overwrite = OVERWRITE_ENABLED || color === BACKGROUND;
-    const r = color & 0xff;
-    const g = (color & 0xff00) >>> 8;
-    const b = (color & 0xff0000) >>> 16;
+    const elem = SELECTED_ELEM;
+    const overwrite = OVERWRITE_ENABLED || elem === BACKGROUND;
     /*
-     * As an optimization, we skip over 0xff000000 below.
-     * If this is our color (ie. eraser), we need to slightly
-     * modify it.
+     * The stroke canvas only tells us which pixels the stroke covers; we
+     * write the selected element id into those pixels ourselves. So draw
+     * in any color that isn't the black we skip over below.
      */
-    const colorString =
-      color !== 0xff000000
-        ? "rgba(" + r + "," + g + "," + b + ", 1)"
-        : "rgba(1, 0, 0, 1)";
+    const colorString = "rgba(255, 255, 255, 1)";
 
     /* (x1, y1) is the leftmost coordinate */
     const x1 = Math.min(this.prevX, this.x);
@@ -276,7 +288,10 @@ class Cursor {
     );
     const strokeImageData32 = new Uint32Array(strokeImageData.data.buffer);
 
-    /* Transfer line from offscreen canvas to main canvas */
+    /*
+     * Collect the pixels covered by the stroke. They are painted by the
+     * simulation, which may be running on another thread.
+     */
     var x, y;
     const xStart = Math.max(0, -1 * x_translate);
     const yStart = Math.max(0, -1 * y_translate);
@@ -286,6 +301,10 @@ class Cursor {
       console.log("Bug in userstroke drawing");
       return;
     }
+    const strokeIndices = new Int32Array(
+      (xTerminate - xStart) * (yTerminate - yStart)
+    );
+    var numStrokeIndices = 0;
     for (y = yStart; y !== yTerminate; y++) {
       const y_absolute = y + y_translate;
       const offset_absolute = y_absolute * width;
@@ -294,18 +313,26 @@ class Cursor {
         const x_absolute = x + x_translate;
 
         /*
-         * Note that not all pixels will be equal to 'color'; browser will
+         * Note that not all pixels will be equal to 'colorString'; browser will
          * anti-alias the line, which will result in some grayscale colors as
          * well. So, it is sufficient (and necessary) to consider a pixel colored
          * as long as it is not black.
          */
         if (strokeImageData32[x + offset_relative] !== 0xff000000) {
-          const absIdx = x_absolute + offset_absolute;
-          if (overwrite || gameImagedata32[absIdx] === BACKGROUND)
-            gameImagedata32[absIdx] = color;
+          strokeIndices[numStrokeIndices] = x_absolute + offset_absolute;
+          numStrokeIndices++;
         }
       }
     }
+
+    if (numStrokeIndices === 0) return;
+
+    simulation.send({
+      type: "stroke",
+      indices: strokeIndices.slice(0, numStrokeIndices),
+      elem: elem,
+      overwrite: overwrite
+    });
   }
 }
 
@@ -608,6 +635,9 @@ class TouchCursor extends Cursor {
 }
 
 function initCursors() {
+  userstrokeCanvas.width = width;
+  userstrokeCanvas.height = height;
+
   PENSIZE = PEN_SIZES[DEFAULT_PEN_IDX];
   SELECTED_ELEM = WALL;
   OVERWRITE_ENABLED = true;
@@ -1,30 +1,31 @@
 /*
  * Implementation of custom particles created via LLM.
  * This file handles the registration and implementation of
- * custom particles generated via the OpenAI API.
+ * custom particles generated via an LLM (see openai.js).
  */
 
-// Map to store custom element colors by name
-const customElementColors = {};
+// Map to store custom element ids by name
+const customElementIds = {};
 
-// Map to store custom element action functions
+// Map to store custom element action functions by element id
 const customElementActions = {};
 
-// Next available element index
-let nextCustomElementIdx = 64; // Start at a safe distance from built-in elements
+// Map of the reasons custom elements were quarantined, by element id, as
+// reported by the simulation (see createSafeParticleAction)
+const quarantinedParticles = {};
 
 /**
  * Preprocess action code to fix common issues with LLM-generated code
  * @param {string} code - The raw action code
  * @param {string} particleName - The name of the particle
- * @param {number} elementColor - The color value of the element
+ * @param {number} elementId - The element id of the particle
  * @returns {string} - Fixed action code
  */
-function preprocessActionCode(code, particleName, elementColor) {
+function preprocessActionCode(code, particleName, elementId) {
   // If code is too simple, enhance it based on the particle name
   if (code.trim().length < 50 || code.trim() === "doGravity(x, y, i, true, 0.9);") {
     console.log(`Action code for ${particleName} is too simple, enhancing based on name`);
-    const enhancedCode = enhanceCodeBasedOnName(code, particleName, elementColor);
+    const enhancedCode = enhanceCodeBasedOnName(code, particleName, elementId);
     if (enhancedCode !== code) {
       console.log(`Enhanced code for ${particleName}`);
       code = enhancedCode;
@@ -36,6 +37,12 @@ function preprocessActionCode(code, particleName, elementColor) {
   
   // First, preserve structure by replacing with a special token
   code = code.replace(particleNameRegExp, 'THIS_ELEMENT_COLOR');
+
+  // Other custom elements aren't constants in the game; refer to them by id
+  Object.keys(customElementIds).forEach(name => {
+    if (name === particleName) return;
+    code = code.replace(new RegExp('\\b' + name + '\\b', 'g'), customElementIds[name].toString());
+  });
   
   // Enable explosion behaviors - this is critical for items like TNT
   // Allow access to neighboring elements for creating explosion effects
@@ -53,7 +60,7 @@ function preprocessActionCode(code, particleName, elementColor) {
     
     // If it's trying to set another pixel to THIS_ELEMENT_COLOR, use the actual element color
     if (elementName === 'THIS_ELEMENT_COLOR') {
-      return match.replace('THIS_ELEMENT_COLOR', elementColor.toString());
+      return match.replace('THIS_ELEMENT_COLOR', elementId.toString());
     }
     
     // For other element types, check if they're valid existing elements
@@ -66,7 +73,7 @@ function preprocessActionCode(code, particleName, elementColor) {
   });
   
   // Now replace THIS_ELEMENT_COLOR with the actual element color
-  code = code.replace(/THIS_ELEMENT_COLOR/g, elementColor.toString());
+  code = code.replace(/THIS_ELEMENT_COLOR/g, elementId.toString());
   
   // Special case for TNT and explosives - allow them to interact with fire
   if (particleName.toUpperCase().includes('TNT') || 
@@ -100,10 +107,10 @@ function preprocessActionCode(code, particleName, elementColor) {
  * Enhance simple action code based on the particle name
  * @param {string} code - Original code
  * @param {string} particleName - Particle name
- * @param {number} elementColor - Element color
+ * @param {number} elementId - Element id
  * @returns {string} - Enhanced code
  */
-function enhanceCodeBasedOnName(code, particleName, elementColor) {
+function enhanceCodeBasedOnName(code, particleName, elementId) {
   const name = particleName.toUpperCase();
   
   // Hair-like materials
@@ -124,10 +131,10 @@ function enhanceCodeBasedOnName(code, particleName, elementColor) {
           // Strands can drift slightly to sides
           if (random() < 0.5 && gameImagedata32[i+1] === BACKGROUND) {
             gameImagedata32[i] = BACKGROUND;
-            gameImagedata32[i+1] = ${elementColor};
+            gameImagedata32[i+1] = ${elementId};
           } else if (gameImagedata32[i-1] === BACKGROUND) {
             gameImagedata32[i] = BACKGROUND;
-            gameImagedata32[i-1] = ${elementColor};
+            gameImagedata32[i-1] = ${elementId};
           }
         } else {
           // Falls but can catch on things
@@ -180,18 +187,43 @@ function enhanceCodeBasedOnName(code, particleName, elementColor) {
 }
 
 /**
- * Check if an element name is a known built-in element
+ * Check if an element name is a known element, built-in or custom
  * @param {string} elementName - The name of an element
- * @returns {boolean} - True if it's a known element
+ * @returns {boolean} - True if it's in the element registry
  */
 function isKnownElement(elementName) {
-  const knownElements = [
-    'BACKGROUND', 'WALL', 'SAND', 'WATER', 'PLANT', 'FIRE', 'SALT', 'OIL', 
-    'SPOUT', 'WELL', 'TORCH', 'GUNPOWDER', 'WAX', 'ICE', 'LAVA', 'CRYO',
-    'NITRO', 'STEAM', 'C4', 'FUSE', 'SALT_WATER', 'FALLING_WAX'
-  ];
-  
-  return knownElements.includes(elementName);
+  return lookupElementId(elementName) !== -1;
+}
+
+/**
+ * List every element in the element registry, built-in and custom. The
+ * prompts describe these (see generateParticlePrompt()), so that the LLM
+ * is offered exactly the elements that isKnownElement() accepts.
+ * @returns {Array} - The elements in id order, like { name, color,
+ *   description, custom }, where color is [r, g, b]
+ */
+function listKnownElements() {
+  const elements = [];
+  elementProperties.forEach((properties, elementId) => {
+    elements.push({
+      name: properties.name,
+      color: getColorComponents(elementId),
+      description: properties.description,
+      custom: elementId >= NUM_ELEMENTS
+    });
+  });
+  return elements;
+}
+
+/**
+ * The registry description of a custom particle: the first sentence of its
+ * behavior
+ * @param {Object} particleData - The particle data
+ * @returns {string} - The description, or '' if it has no behavior
+ */
+function customElementDescription(particleData) {
+  if (typeof particleData.behavior !== 'string') return '';
+  return particleData.behavior.trim().split(/\.(\s|$)/)[0];
 }
 
 /**
@@ -199,76 +231,57 @@ function isKnownElement(elementName) {
  * @param {Object} particleData - The particle data from the LLM
  */
 function registerCustomParticle(particleData) {
+  if (isParticleDefinition(particleData)) {
+    return registerParticleDefinition(particleData);
+  }
+
   try {
     const particleName = particleData.name;
     const [r, g, b] = particleData.color;
     
+    // Check the code before defining anything, so that rejected code leaves
+    // nothing behind. The error points at the offending code.
+    checkCustomParticle(particleData);
+    const actionCode = extractActionCodeBody(particleData.action_code);
+    
     // Check if particle already exists and handle it gracefully
-    if (customElementColors[particleName]) {
+    if (customElementIds[particleName]) {
       console.log(`Particle ${particleName} already exists, updating it`);
-      // If we're updating, we need to use the existing color value
-      const elementColor = customElementColors[particleName];
+      // If we're updating, we need to use the existing element id
+      const elementId = customElementIds[particleName];
+      // The color may have changed; defineSimulationElement() passes it on
+      elementColors[elementId] = __elementColor(r, g, b);
+      registerCustomElementProperties(elementId, particleData);
       
       // Update just the action function
       try {
-        // Process action code to extract just the function body if it's a complete function declaration
-        let actionCode = particleData.action_code.trim();
-        
-        // If the code starts with "function" keyword, extract just the function body
-        if (actionCode.startsWith('function')) {
-          // Find the opening brace of the function body
-          const openBraceIndex = actionCode.indexOf('{');
-          if (openBraceIndex !== -1) {
-            // Make sure we find the matching closing brace (considering nested braces)
-            let braceCount = 1;
-            let closeBraceIndex = -1;
-            
-            for (let i = openBraceIndex + 1; i < actionCode.length; i++) {
-              if (actionCode[i] === '{') braceCount++;
-              if (actionCode[i] === '}') braceCount--;
-              
-              if (braceCount === 0) {
-                closeBraceIndex = i;
-                break;
-              }
-            }
-            
-            if (closeBraceIndex !== -1) {
-              // Extract just the function body without the outer braces
-              actionCode = actionCode.substring(openBraceIndex + 1, closeBraceIndex).trim();
-            }
-          }
-        }
-        
-        // Remove any potential harmful code patterns
-        actionCode = sanitizeActionCode(actionCode);
-        
-        // Fix common issues with LLM-generated code
-        actionCode = preprocessActionCode(actionCode, particleName, elementColor);
+        // Fix common issues with LLM-generated code, then sandbox it
+        const sandboxedCode = sandboxActionCode(
+          preprocessActionCode(actionCode, particleName, elementId)
+        );
         
         // Create a wrapper that adds timeouts and performance monitoring
+        // Errors are left to createSafeParticleAction, which counts them
         const safeActionCode = `
-          try {
-            // Default to simple behavior as fallback
-            if (Math.random() < 0.1) {
-              doGravity(x, y, i, true, 0.9);
-              return;
-            }
-            
-            // Custom particle code below
-            ${actionCode}
-          } catch (error) {
-            console.error("Error in particle action:", error);
-            // Default fallback behavior
-            doGravity(x, y, i, true, 1.0);
+          // Default to simple behavior as fallback
+          if (Math.random() < 0.1) {
+            doGravity(x, y, i, true, 0.9);
+            return;
           }
+          
+          // Custom particle code below
+          ${sandboxedCode}
         `;
         
         // Create a function from the safe action code
-        const actionFunction = new Function('x', 'y', 'i', safeActionCode);
+        const actionFunction = createActionFunction(safeActionCode);
         
         // Register the action function
-        customElementActions[elementColor] = createSafeParticleAction(actionFunction, particleName);
+        customElementActions[elementId] = createSafeParticleAction(actionFunction, particleName, elementId);
+        elementActions[elementId] = customElementActions[elementId];
+        // It may have been an idle particle definition before
+        IDLE_ELEMENTS[elementId] = 0;
+        defineSimulationElement(elementId, particleName, safeActionCode);
         
         console.log(`Successfully updated ${particleName} particle`);
       } catch (error) {
@@ -277,91 +290,51 @@ function registerCustomParticle(particleData) {
       }
       
       updateCustomParticlesList();
-      return elementColor;
+      return elementId;
     }
     
     // For new particles
-    // Generate a color for the element
-    const elementColor = __inGameColor(r, g, b);
+    // Define a new element with the particle's color
+    const elementId = __defineElement(r, g, b);
     
-    // Store the color for the element
-    customElementColors[particleName] = elementColor;
+    // Store the id for the element
+    customElementIds[particleName] = elementId;
     
-    // Register the element in the menu names
-    menuNames[elementColor] = particleName;
+    // Register the element's properties (and menu name) in the registry
+    registerCustomElementProperties(elementId, particleData);
     
     // Register the element action
     try {
-      // Process action code to extract just the function body if it's a complete function declaration
-      let actionCode = particleData.action_code.trim();
-      
-      // If the code starts with "function" keyword, extract just the function body
-      if (actionCode.startsWith('function')) {
-        // Find the opening brace of the function body
-        const openBraceIndex = actionCode.indexOf('{');
-        if (openBraceIndex !== -1) {
-          // Make sure we find the matching closing brace (considering nested braces)
-          let braceCount = 1;
-          let closeBraceIndex = -1;
-          
-          for (let i = openBraceIndex + 1; i < actionCode.length; i++) {
-            if (actionCode[i] === '{') braceCount++;
-            if (actionCode[i] === '}') braceCount--;
-            
-            if (braceCount === 0) {
-              closeBraceIndex = i;
-              break;
-            }
-          }
-          
-          if (closeBraceIndex !== -1) {
-            // Extract just the function body without the outer braces
-            actionCode = actionCode.substring(openBraceIndex + 1, closeBraceIndex).trim();
-          }
-        }
-      }
-      
-      // Remove any potential harmful code patterns
-      actionCode = sanitizeActionCode(actionCode);
-      
-      // Fix common issues with LLM-generated code
-      actionCode = preprocessActionCode(actionCode, particleName, elementColor);
+      // Fix common issues with LLM-generated code, then sandbox it
+      const sandboxedCode = sandboxActionCode(
+        preprocessActionCode(actionCode, particleName, elementId)
+      );
       
       // Create a safe wrapper for the action code
+      // Errors are left to createSafeParticleAction, which counts them
       const safeActionCode = `
-        try {
-          // Default to simple behavior as fallback with small probability
-          if (Math.random() < 0.1) {
-            doGravity(x, y, i, true, 0.9);
-            return;
-          }
-          
-          // Custom particle code below
-          ${actionCode}
-        } catch (error) {
-          console.error("Error in particle action:", error);
-          // Default fallback behavior
-          doGravity(x, y, i, true, 1.0);
+        // Default to simple behavior as fallback with small probability
+        if (Math.random() < 0.1) {
+          doGravity(x, y, i, true, 0.9);
+          return;
         }
+        
+        // Custom particle code below
+        ${sandboxedCode}
       `;
       
       // Create a function from the safe action code
-      const actionFunction = new Function('x', 'y', 'i', safeActionCode);
+      const actionFunction = createActionFunction(safeActionCode);
       
       // Create a safe version of the action function
-      const safeFunction = createSafeParticleAction(actionFunction, particleName);
+      const safeFunction = createSafeParticleAction(actionFunction, particleName, elementId);
       
       // Register the action function
-      customElementActions[elementColor] = safeFunction;
+      customElementActions[elementId] = safeFunction;
       
-      // Add the element to the elements array
-      elements.push(elementColor);
-      
-      // Add the action to the elementActions array
-      elementActions.push(safeFunction);
-      
-      // Increment the custom element index
-      nextCustomElementIdx++;
+      // The element id indexes straight into the elementActions array
+      elementActions[elementId] = safeFunction;
+      defineSimulationElement(elementId, particleName, safeActionCode);
       
       console.log(`Successfully registered ${particleName} particle`);
     } catch (error) {
@@ -370,12 +343,12 @@ function registerCustomParticle(particleData) {
     }
     
     // Don't add to the main menu, only to the custom particles list
-    // addCustomElementToMenu(particleName, elementColor);
+    // addCustomElementToMenu(particleName, elementId);
     
     // Update the custom particles list
     updateCustomParticlesList();
     
-    return elementColor;
+    return elementId;
   } catch (error) {
     console.error('Failed to register custom particle:', error);
     throw error;
@@ -383,84 +356,417 @@ function registerCustomParticle(particleData) {
 }
 
 /**
- * Sanitize action code to remove potentially harmful patterns
+ * Check particle data the way registerCustomParticle() does, without
+ * registering anything
+ * @param {Object} particleData - The particle data
+ * @throws {Error} - If the particle would be rejected
+ */
+function checkCustomParticle(particleData) {
+  if (!particleData || typeof particleData !== 'object' || Array.isArray(particleData)) {
+    throw new Error('Particle must be a JSON object');
+  }
+  if (isParticleDefinition(particleData)) {
+    checkParticleDefinitionElements(validateParticleDefinition(particleData));
+    return;
+  }
+
+  const name = particleData.name;
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Particle must have a name');
+  }
+  const color = particleData.color;
+  if (!Array.isArray(color) || color.length !== 3 ||
+      !color.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+    throw new Error(`${name} color must be [r, g, b], each an integer from 0 to 255`);
+  }
+  if (typeof particleData.action_code !== 'string') {
+    throw new Error(`${name} has neither a movement nor action_code`);
+  }
+  // It may refer to itself and to the other custom elements by name (see
+  // preprocessActionCode())
+  validateActionCode(extractActionCodeBody(particleData.action_code), {
+    names: [name].concat(Object.keys(customElementIds))
+  });
+}
+
+/**
+ * Register a custom particle from a particle definition (see
+ * particle-definitions.js), compiling it into its action
+ * @param {Object} definition - The particle definition
+ * @returns {number} - The element id of the particle
+ */
+function registerParticleDefinition(definition) {
+  try {
+    const def = validateParticleDefinition(definition);
+    const [r, g, b] = def.color;
+
+    // Fail before defining the element, rather than leave it without an action
+    checkParticleDefinitionElements(def);
+
+    // Reuse the element id if we're updating an existing particle
+    let elementId = customElementIds[def.name];
+    if (elementId) {
+      console.log(`Particle ${def.name} already exists, updating it`);
+      // The color may have changed; defineSimulationElement() passes it on
+      elementColors[elementId] = __elementColor(r, g, b);
+    } else {
+      elementId = __defineElement(r, g, b);
+      customElementIds[def.name] = elementId;
+    }
+
+    const properties = particleDefinitionProperties(def);
+    properties.description = customElementDescription(definition);
+    try {
+      registerElementProperties(elementId, properties);
+    } catch (error) {
+      // The engine throws plain strings
+      throw new Error(`Invalid properties for ${def.name}: ${error}`);
+    }
+
+    const action = compileParticleDefinition(def, elementId);
+    const idle = isIdleParticleDefinition(def, elementId);
+    customElementActions[elementId] = action;
+    elementActions[elementId] = action;
+    IDLE_ELEMENTS[elementId] = idle ? 1 : 0;
+    defineSimulationElement(elementId, def.name, null, def, idle);
+
+    console.log(`Successfully registered ${def.name} particle from its definition`);
+    updateCustomParticlesList();
+    return elementId;
+  } catch (error) {
+    console.error('Failed to register custom particle:', error);
+    throw error;
+  }
+}
+
+// Names for the STATE_* constants, as generated particles declare them
+const CUSTOM_ELEMENT_STATES = {
+  solid: STATE_SOLID,
+  powder: STATE_POWDER,
+  liquid: STATE_LIQUID,
+  gas: STATE_GAS
+};
+
+// Registry properties a generated particle may declare as is
+const CUSTOM_ELEMENT_PROPERTY_KEYS = [
+  'density', 'flammability', 'gasPermeable', 'lavaImmune',
+  'paintableByParticles', 'menuAltColor', 'colorVariance'
+];
+
+/**
+ * Register a custom particle in the element registry, so that built-in
+ * elements know how to interact with it (see elementProperties in
+ * elements.js). Anything the particle doesn't declare takes the registry
+ * defaults.
+ * @param {number} elementId - The element id
+ * @param {Object} particleData - The particle data from the LLM
+ */
+function registerCustomElementProperties(elementId, particleData) {
+  const props = {
+    name: particleData.name,
+    description: customElementDescription(particleData)
+  };
+
+  if (typeof particleData.state === 'string') {
+    const state = CUSTOM_ELEMENT_STATES[particleData.state.toLowerCase()];
+    if (state === undefined) {
+      throw new Error(`Invalid state for ${particleData.name}: ${particleData.state}`);
+    }
+    props.state = state;
+  }
+
+  for (const key of CUSTOM_ELEMENT_PROPERTY_KEYS) {
+    if (key in particleData) props[key] = particleData[key];
+  }
+
+  try {
+    registerElementProperties(elementId, props);
+  } catch (error) {
+    // The engine throws plain strings
+    throw new Error(`Invalid properties for ${particleData.name}: ${error}`);
+  }
+}
+
+/**
+ * Extract the body of action code, in case it is a complete function
+ * declaration rather than just the body
  * @param {string} code - The raw action code
- * @returns {string} - Sanitized action code
+ * @returns {string} - The function body
  */
-function sanitizeActionCode(code) {
-  // Remove any attempts to define new functions
-  code = code.replace(/function\s+\w+\s*\(/g, '');
-  
-  // Remove any attempts to create loops
-  code = code.replace(/while\s*\(/g, 'if(');
-  code = code.replace(/for\s*\(/g, 'if(');
-  
-  // Remove any attempts to use eval or Function constructor
-  code = code.replace(/eval\s*\(/g, 'console.log(');
-  code = code.replace(/new\s+Function/g, 'console.log');
+function extractActionCodeBody(code) {
+  let actionCode = code.trim();
   
-  // Remove any attempts to use setTimeout or setInterval
-  code = code.replace(/setTimeout/g, 'console.log');
-  code = code.replace(/setInterval/g, 'console.log');
-  
-  // Remove any attempts to access global objects
-  code = code.replace(/window\./g, 'void_');
-  code = code.replace(/document\./g, 'void_');
-  code = code.replace(/globalThis\./g, 'void_');
+  // If the code starts with "function" keyword, extract just the function body
+  if (actionCode.startsWith('function')) {
+    // Find the opening brace of the function body
+    const openBraceIndex = actionCode.indexOf('{');
+    if (openBraceIndex !== -1) {
+      // Make sure we find the matching closing brace (considering nested braces)
+      let braceCount = 1;
+      let closeBraceIndex = -1;
+      
+      for (let i = openBraceIndex + 1; i < actionCode.length; i++) {
+        if (actionCode[i] === '{') braceCount++;
+        if (actionCode[i] === '}') braceCount--;
+        
+        if (braceCount === 0) {
+          closeBraceIndex = i;
+          break;
+        }
+      }
+      
+      if (closeBraceIndex !== -1) {
+        // Extract just the function body without the outer braces
+        actionCode = actionCode.substring(openBraceIndex + 1, closeBraceIndex).trim();
+      }
+    }
+  }
   
-  return code;
+  return actionCode;
+}
+
+// Custom particle actions are budgeted per element, per frame: once an
+// element's particles have taken particleBudgetMs in a frame, the rest of
+// them sit that frame out. An element that keeps running over its budget,
+// or keeps throwing, is quarantined: frozen to a fallback behavior until
+// it is re-enabled (see releaseParticleQuarantine).
+const DEFAULT_PARTICLE_BUDGET_MS = 4;
+const MIN_PARTICLE_BUDGET_MS = 0.5;
+const MAX_PARTICLE_BUDGET_MS = 100;
+
+// Consecutive frames over budget before an element is quarantined
+const PARTICLE_QUARANTINE_FRAMES = 30;
+
+// Errors within PARTICLE_ERROR_WINDOW_FRAMES before an element is quarantined
+const PARTICLE_QUARANTINE_ERRORS = 20;
+const PARTICLE_ERROR_WINDOW_FRAMES = 60;
+
+// Distinct errors reported per element, for the UI to repair its code with
+// (see particle-repair.js)
+const PARTICLE_ERROR_REPORTS = 5;
+
+let particleBudgetMs = DEFAULT_PARTICLE_BUDGET_MS;
+
+// Map of budget state by element id, for elements with action code
+const particleBudgets = {};
+
+/**
+ * Set the time each custom element's actions may take per frame
+ * @param {number} ms - The budget in milliseconds, clamped to
+ *   MIN_PARTICLE_BUDGET_MS..MAX_PARTICLE_BUDGET_MS
+ */
+function setParticleBudget(ms) {
+  if (typeof ms !== 'number' || isNaN(ms)) {
+    throw new Error('Particle budget must be a number of milliseconds');
+  }
+  particleBudgetMs = Math.min(Math.max(ms, MIN_PARTICLE_BUDGET_MS), MAX_PARTICLE_BUDGET_MS);
+}
+
+/**
+ * Lift the quarantine on a custom element, giving it a clean slate
+ * @param {number} elementId - The element id
+ */
+function releaseParticleQuarantine(elementId) {
+  const budget = particleBudgets[elementId];
+  if (!budget) return;
+
+  Object.assign(budget, createParticleBudget());
+}
+
+/**
+ * Create the budget state of an element
+ * @returns {Object} - Fresh budget state
+ */
+function createParticleBudget() {
+  return {
+    frame: -1,
+    spent: 0,
+    throttled: false,
+    overBudgetFrames: 0,
+    lastOverBudgetFrame: -1,
+    errors: 0,
+    errorWindowStart: -1,
+    reportedErrors: [],
+    quarantined: false
+  };
+}
+
+/**
+ * Quarantine an element, and let the UI know
+ * @param {Object} budget - The element's budget state
+ * @param {string} particleName - The name of the particle
+ * @param {number|undefined} elementId - The element id, if known
+ * @param {string} reason - Why, for the user
+ */
+function quarantineParticle(budget, particleName, elementId, reason) {
+  budget.quarantined = true;
+  console.warn(`Quarantined ${particleName} particle: ${reason}`);
+
+  if (elementId !== undefined) {
+    reportSimulationEvent({ type: 'quarantine', id: elementId, name: particleName, reason: reason });
+  }
+}
+
+/**
+ * Report an error thrown by an element's action, unless it was reported
+ * already or the element has reported PARTICLE_ERROR_REPORTS errors
+ * @param {Object} budget - The element's budget state
+ * @param {string} particleName - The name of the particle
+ * @param {number|undefined} elementId - The element id, if known
+ * @param {*} error - What the action threw
+ */
+function reportParticleError(budget, particleName, elementId, error) {
+  if (elementId === undefined || budget.reportedErrors.length >= PARTICLE_ERROR_REPORTS) return;
+
+  const message = error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+  if (budget.reportedErrors.includes(message)) return;
+
+  budget.reportedErrors.push(message);
+  reportSimulationEvent({ type: 'runtimeError', id: elementId, name: particleName, message: message });
 }
 
 /**
- * Create a safe wrapper for a particle action function
+ * Create the fallback behavior of a particle, used when its action throws
+ * or it is quarantined
+ * @param {string} particleName - The name of the particle
+ * @returns {Function} - Fallback action function
+ */
+function createFallbackAction(particleName) {
+  const name = particleName.toUpperCase();
+
+  if (name.includes('TNT') || name.includes('BOMB') || name.includes('EXPLO')) {
+    // For explosives, just go off
+    return function(x, y, i) {
+      setGridElement(i, FIRE);
+    };
+  }
+  if (name.includes('WATER') || name.includes('LIQUID')) {
+    // For liquids, just flow like water
+    return function(x, y, i) {
+      doDensityLiquid(x, y, i, SAND, 0.9, 0.6);
+    };
+  }
+  if (name.includes('GAS') || name.includes('SMOKE')) {
+    // For gases, rise
+    return function(x, y, i) {
+      doRise(x, y, i, 0.9, 0.6);
+    };
+  }
+  // Default fallback - simple gravity-based movement
+  return function(x, y, i) {
+    doGravity(x, y, i, true, 0.8);
+  };
+}
+
+/**
+ * Create a safe wrapper for a particle action function, which falls back
+ * on errors and keeps the element within its budget (see particleBudgetMs)
  * @param {Function} actionFn - The particle action function
  * @param {string} particleName - The name of the particle
+ * @param {number} [elementId] - The element id, to budget it under
  * @returns {Function} - Safe wrapped action function
  */
-function createSafeParticleAction(actionFn, particleName) {
+function createSafeParticleAction(actionFn, particleName, elementId) {
+  const budget = createParticleBudget();
+  if (elementId !== undefined) particleBudgets[elementId] = budget;
+  const fallback = createFallbackAction(particleName);
+
   return function(x, y, i) {
+    if (budget.quarantined) {
+      fallback(x, y, i);
+      return;
+    }
+
+    if (budget.frame !== frameCount) {
+      budget.frame = frameCount;
+      budget.spent = 0;
+      budget.throttled = false;
+    }
+    if (budget.throttled) return;
+
     const start = performance.now();
     
     try {
-      // Execute the action function - we wrap it in a try/catch and with performance monitoring
-      actionFn(x, y, i);
-      
-      // Check execution time
-      const duration = performance.now() - start;
-      if (duration > 5) {
-        console.warn(`${particleName} particle action took ${duration.toFixed(2)}ms at (${x}, ${y})`);
-      }
+      actionFn(x, y, i, gameGrid, seededMath);
     } catch (error) {
-      console.error(`Error in ${particleName} particle:`, error);
-      
-      // Fallback behavior based on the particle name
-      if (particleName.toUpperCase().includes('TNT') || 
-          particleName.toUpperCase().includes('BOMB') || 
-          particleName.toUpperCase().includes('EXPLO')) {
-        // For explosives, try to create an explosion if there was an error
-        gameImagedata32[i] = FIRE;
-      } else if (particleName.toUpperCase().includes('WATER') || 
-                particleName.toUpperCase().includes('LIQUID')) {
-        // For liquids, just flow like water
-        doDensityLiquid(x, y, i, SAND, 0.9, 0.6);
-      } else if (particleName.toUpperCase().includes('GAS') || 
-                particleName.toUpperCase().includes('SMOKE')) {
-        // For gases, rise
-        doRise(x, y, i, 0.9, 0.6);
-      } else {
-        // Default fallback - simple gravity-based movement
-        doGravity(x, y, i, true, 0.8);
+      if (frameCount - budget.errorWindowStart >= PARTICLE_ERROR_WINDOW_FRAMES) {
+        budget.errorWindowStart = frameCount;
+        budget.errors = 0;
+      }
+      // Only log the first error of a burst, rather than one per pixel
+      if (budget.errors++ === 0) {
+        console.error(`Error in ${particleName} particle:`, error);
       }
+      reportParticleError(budget, particleName, elementId, error);
+      if (budget.errors >= PARTICLE_QUARANTINE_ERRORS) {
+        quarantineParticle(budget, particleName, elementId,
+          `threw ${budget.errors} errors within ${PARTICLE_ERROR_WINDOW_FRAMES} frames (${error instanceof Error ? error.message : error})`);
+      }
+
+      fallback(x, y, i);
+    }
+
+    budget.spent += performance.now() - start;
+    if (budget.spent <= particleBudgetMs) return;
+
+    // Over budget: skip the rest of this element for the frame
+    budget.throttled = true;
+    budget.overBudgetFrames =
+      budget.lastOverBudgetFrame === frameCount - 1 ? budget.overBudgetFrames + 1 : 1;
+    budget.lastOverBudgetFrame = frameCount;
+
+    if (budget.overBudgetFrames >= PARTICLE_QUARANTINE_FRAMES && !budget.quarantined) {
+      quarantineParticle(budget, particleName, elementId,
+        `ran over its ${particleBudgetMs}ms budget for ${budget.overBudgetFrames} frames in a row`);
     }
   };
 }
 
+/**
+ * Tell the simulation about a custom element, which may be running in a
+ * worker that can't see our elementActions
+ * @param {number} elementId - The element id
+ * @param {string} particleName - The name of the particle
+ * @param {string|null} code - The action code, as passed to
+ *   createActionFunction, or null if the element has a definition
+ * @param {Object} [definition] - The particle definition, if any
+ * @param {boolean} [idle] - Whether the element is idle (see IDLE_ELEMENTS)
+ */
+function defineSimulationElement(elementId, particleName, code, definition, idle) {
+  // A redefined element starts with a clean slate
+  delete quarantinedParticles[elementId];
+  if (!simulation) return;
+
+  simulation.send({
+    type: 'defineElement',
+    id: elementId,
+    color: elementColors[elementId],
+    name: particleName,
+    code: code,
+    definition: definition || null,
+    idle: !!idle,
+    properties: elementProperties[elementId]
+  });
+}
+
+/**
+ * Re-enable a quarantined custom element
+ * @param {number} elementId - The element id
+ */
+function releaseCustomParticle(elementId) {
+  delete quarantinedParticles[elementId];
+  if (simulation) {
+    simulation.send({ type: 'releaseElement', id: elementId });
+  }
+  updateCustomParticlesList();
+}
+
 /**
  * Add a custom element to the menu
  * @param {string} elementName - The name of the element
- * @param {number} elementColor - The color value of the element
+ * @param {number} elementId - The element id
  */
-function addCustomElementToMenu(elementName, elementColor) {
+function addCustomElementToMenu(elementName, elementId) {
   // Get the element table
   const elementTable = document.getElementById('elementTable');
   if (!elementTable) {
@@ -484,10 +790,10 @@ function addCustomElementToMenu(elementName, elementColor) {
   elemButton.type = 'button';
   elemButton.className = 'elementMenuButton';
   elemButton.value = elementName;
-  elemButton.id = elementColor;
+  elemButton.id = elementId;
   
   // Set the button color
-  const [r, g, b] = getColorComponents(elementColor);
+  const [r, g, b] = getColorComponents(elementId);
   elemButton.style.color = `rgb(${r}, ${g}, ${b})`;
   
   // Add click event handler
@@ -504,11 +810,12 @@ function addCustomElementToMenu(elementName, elementColor) {
 }
 
 /**
- * Get the RGB components of an element color
- * @param {number} elementColor - The color value of the element
+ * Get the RGB components of an element's color
+ * @param {number} elementId - The element id
  * @returns {Array} - Array of [r, g, b] values
  */
-function getColorComponents(elementColor) {
+function getColorComponents(elementId) {
+  const elementColor = elementColors[elementId];
   const r = elementColor & 0xff;
   const g = (elementColor & 0xff00) >>> 8;
   const b = (elementColor & 0xff0000) >>> 16;
@@ -516,12 +823,12 @@ function getColorComponents(elementColor) {
 }
 
 /**
- * Get an element color from its name
+ * Get an element id from its name
  * @param {string} name - The name of the element
- * @returns {number|null} - The color value of the element, or null if not found
+ * @returns {number|null} - The element id, or null if not found
  */
-function getElementColorFromName(name) {
-  return customElementColors[name] || null;
+function getElementIdFromName(name) {
+  return customElementIds[name] || null;
 }
 
 /**
@@ -532,29 +839,40 @@ function initCustomParticles() {
   console.log('Custom particles system initialized');
 }
 
+// Stands in for Math inside action code, so that generated code calling
+// Math.random() still draws from the world's seeded generator.
+const seededMath = Object.freeze(Object.create(Math, {
+  random: { value: randomFloat }
+}));
+
 /**
- * Evaluate a custom particle action code in a safe context
+ * Evaluate a custom particle action code in a safe context.
+ * Action code addresses the element grid as gameImagedata32, the name it
+ * had when element ids were packed into the canvas colors; it is passed in
+ * as a parameter so existing and generated code keeps working. Math is
+ * shadowed by seededMath.
  * @param {string} code - The JavaScript code to evaluate
  * @returns {Function} - The action function
  */
 function createActionFunction(code) {
   // Create a function with the code
-  return new Function('x', 'y', 'i', code);
+  return new Function('x', 'y', 'i', 'gameImagedata32', 'Math', code);
 }
 
 /**
  * Debug helper to log information about custom particles
  */
 function debugCustomParticles() {
-  console.log('Custom Elements:', customElementColors);
+  console.log('Custom Elements:', customElementIds);
   console.log('Custom Element Actions:', customElementActions);
   
   // Log details of each custom particle
-  Object.keys(customElementColors).forEach(name => {
-    const color = customElementColors[name];
+  Object.keys(customElementIds).forEach(name => {
+    const elementId = customElementIds[name];
     console.log(`Particle: ${name}`);
-    console.log(`  Color: ${color}`);
-    console.log(`  Has action: ${!!customElementActions[color]}`);
+    console.log(`  Id: ${elementId}`);
+    console.log(`  Color: ${elementColors[elementId]}`);
+    console.log(`  Has action: ${!!customElementActions[elementId]}`);
   });
 }
 
@@ -19,115 +19,136 @@
 
 /*
  * ADDING NEW ELEMENTS:
- * 1. Define the element color using the __inGameColor() method.
- * 2. Add an entry for the element into the elements and elementActions
- *    arrays. The order of these arrays must match the order that elements
- *    are declared, so that we can index properly.
- * 3. If the element should be gas permeable (allow gas to pass through it),
- *    add it to the GAS_PERMEABLE dictionary in the initElements() function.
+ * 1. Define the element using the __defineElement() method, which assigns
+ *    the next element id and records the element's color in the palette.
+ * 2. Add an entry for the element into the elementActions array. The order
+ *    of this array must match the order that elements are declared, so that
+ *    we can index properly.
+ * 3. Describe the element in the registry, with registerElementProperties()
+ *    in the initElements() function. Its state and density decide what it
+ *    sinks through and what sinks through it, in the generic helpers (eg.
+ *    doDensitySinkAny()). Flammability, gas permeability, lava immunity and
+ *    whether particles may paint it are declared there as well.
  * 4. Implement your element action function. This is a function that takes
  *    in the x, y, and i position of your element, and then responds
  *    based on your desired interaction properties.
+ * 5. If your element only ever acts in response to a change around it (ie.
+ *    it does nothing at random when its neighborhood is settled), add it to
+ *    IDLE_ELEMENTS in the initElements() function, so that settled regions
+ *    of it can be put to sleep.
+ * 6. If your element should melt, boil, burn or freeze at some temperature,
+ *    or heat or cool its surroundings, give it an entry in HEAT_PROPERTIES
+ *    in the initHeat() function of heat.js.
+ * 7. If your element moves by swapping places with other elements without
+ *    using the helper functions below (doGravity() etc.), call moveHeat()
+ *    for each swap, so that temperature moves along with it.
  *
  * NOTE: Try to optimize for speed and reduce required calculation. For example,
  * limit an action to occur with probability p by using 'if (random() < p)'.
  */
 
 /*
- * The canvas imagedata.data array is a byte array, where each pixel
- * has 4 entries: r, g, b, alpha. For speed, we treat this as a Uint32Array,
- * where each index represents these four combined values. Due to the endianness
- * of javascript, the byte order for our 32 bit integers is: alpha, b, g, r.
+ * Every pixel of the game is stored as an element id in gameGrid, a Uint16Array.
+ * The id directly indexes the elementActions array, so dispatching an element
+ * action is a single array lookup. A dictionary keyed by color would be far too
+ * slow, by several orders of magnitude (given that we need to do a lookup for
+ * every pixel on the canvas, ~60-100 times per second). Similarly, implementing
+ * the elements as classes and calling their class "action" methods would be too
+ * slow, and lead to poor FPS.
  *
- * We need a *fast* way to map a given 32 bit color to an index in our elementActions
- * array. To do this, we reserve the lowest 2 bits from each of the r, g, and b fields.
- * We then combine these 6 bits together, and treat this value as the index.
- * The human eye won't be able to notice that we've hijacked these lower-ordered 2 bit
- * regions of the r, g, and b channels. Thus, given values of r, g, and b, the index for
- * the color is naturally:
- * (r & 0x3) + (r & 0x300) >>> 6 + (r & 0x30000) >>> 12;
+ * The color of each element lives in the elementColors palette, indexed by the
+ * same id. The canvas imagedata is only produced from gameGrid when drawing, by
+ * looking up each pixel in the palette. The palette entries are 32 bit values
+ * laid out the way the canvas imagedata expects them; due to the endianness of
+ * javascript, the byte order for our 32 bit integers is: alpha, b, g, r.
  *
- * This gives us the flexibility of using actual color data, while still allowing us to
- * *quickly* map colors to indices. A dictionary would be far too slow, by several orders
- * of magnitude (given that we need to do a lookup for every pixel on the canvas, ~60-100
- * times per second). Similarly, implementing the elements as classes and calling their
- * class "action" methods would be too slow, and lead to poor FPS.
- *
- * Originally, I toyed with using the alpha channel to represent the index, and simply
- * having the canvas ignore alpha. But it turns out that different browers handle "ignoring
- * alpha" differently, and this approach wasn't supported on every browser.
+ * Originally, the element index was packed into the lowest 2 bits of each of the
+ * r, g, and b channels, which limited us to 64 elements. Keeping identity out of
+ * the color lets built-in and custom elements pick any color (even the same one)
+ * without aliasing each other.
  */
-var __next_elem_idx = 0;
-function __inGameColor(r, g, b) {
+const MAX_NUM_ELEMENTS = 1 << 16; /* ids must fit in the Uint16Array grid */
+const elementColors = new Uint32Array(MAX_NUM_ELEMENTS);
+
+/* Packs a color into a palette entry (see above) */
+function __elementColor(r, g, b) {
   const alpha = 0xff000000;
-  r = r & 0xfc;
-  g = g & 0xfc;
-  b = b & 0xfc;
+  r = r & 0xff;
+  g = g & 0xff;
+  b = b & 0xff;
 
-  const r_idx = __next_elem_idx & 0b11;
-  const g_idx = (__next_elem_idx & 0b1100) >>> 2;
-  const b_idx = (__next_elem_idx & 0b110000) >>> 4;
+  return alpha + (b << 16) + (g << 8) + r;
+}
 
-  r += r_idx;
-  g += g_idx;
-  b += b_idx;
+var __next_elem_idx = 0;
+function __defineElement(r, g, b) {
+  if (__next_elem_idx === MAX_NUM_ELEMENTS)
+    throw "too many elements (element ids are 16 bits)";
 
+  const id = __next_elem_idx;
+  elementColors[id] = __elementColor(r, g, b);
   __next_elem_idx++;
 
-  return alpha + (b << 16) + (g << 8) + r;
+  return id;
 }
 
-/* Order here MUST match order in elements and elementActions arrays */
-const BACKGROUND = __inGameColor(0, 0, 0);
-const WALL = __inGameColor(127, 127, 127);
-const SAND = __inGameColor(223, 193, 99);
-const WATER = __inGameColor(0, 10, 255);
-const PLANT = __inGameColor(0, 220, 0);
-const FIRE = __inGameColor(255, 0, 10);
-const SALT = __inGameColor(253, 253, 253);
-const SALT_WATER = __inGameColor(127, 175, 255);
-const OIL = __inGameColor(150, 60, 0);
-const SPOUT = __inGameColor(117, 189, 252);
-const WELL = __inGameColor(131, 11, 28);
-const TORCH = __inGameColor(200, 5, 0);
-const GUNPOWDER = __inGameColor(170, 170, 140);
-const WAX = __inGameColor(239, 225, 211);
-const FALLING_WAX = __inGameColor(240, 225, 211);
-const NITRO = __inGameColor(0, 150, 26);
-const NAPALM = __inGameColor(220, 128, 70);
-const C4 = __inGameColor(240, 230, 150);
-const CONCRETE = __inGameColor(180, 180, 180);
-const FUSE = __inGameColor(219, 175, 199);
-const ICE = __inGameColor(161, 232, 255);
-const CHILLED_ICE = __inGameColor(20, 153, 220);
-const LAVA = __inGameColor(245, 110, 40);
-const ROCK = __inGameColor(68, 40, 8);
-const STEAM = __inGameColor(195, 214, 235);
-const CRYO = __inGameColor(0, 213, 255);
-const MYSTERY = __inGameColor(162, 232, 196);
-const METHANE = __inGameColor(140, 140, 140);
-const SOIL = __inGameColor(120, 75, 33);
-const WET_SOIL = __inGameColor(70, 35, 10);
-const BRANCH = __inGameColor(166, 128, 100);
-const LEAF = __inGameColor(82, 107, 45);
-const POLLEN = __inGameColor(230, 235, 110);
-const CHARGED_NITRO = __inGameColor(245, 98, 78);
-
 /*
- * It would be nice to combine the elements and elementActions
- * into a single 2d array, but to optimize for speed we need
- * to use a Uint32Array for the elements. It would also be nice
- * to abstract this out a bit and make each element its own
- * subclass. But again, this would be far too slow (class
- * property/function lookup time would be a severe bottleneck).
+ * Installs an element at an id that was already assigned elsewhere. This is
+ * how custom elements defined on the UI thread reach the simulation worker,
+ * which must agree with the UI on every id. See registerElementProperties()
+ * for properties.
  */
-const elements = [
-  BACKGROUND, WALL, SAND, WATER, PLANT, FIRE, SALT, SALT_WATER, OIL,
-  SPOUT, WELL, TORCH, GUNPOWDER, WAX, FALLING_WAX, NITRO, NAPALM, C4,
-  CONCRETE, FUSE, ICE, CHILLED_ICE, LAVA, ROCK, STEAM, CRYO,
-  MYSTERY, METHANE, SOIL, WET_SOIL, BRANCH, LEAF, POLLEN, CHARGED_NITRO
-];
+function defineCustomElement(id, color, action, properties) {
+  if (id < 0 || id >= MAX_NUM_ELEMENTS)
+    throw "too many elements (element ids are 16 bits)";
+
+  elementColors[id] = color;
+  elementActions[id] = action;
+  registerElementProperties(id, properties);
+  if (id >= __next_elem_idx) __next_elem_idx = id + 1;
+}
+
+/* Order here MUST match order in the elementActions array */
+const BACKGROUND = __defineElement(0, 0, 0);
+const WALL = __defineElement(127, 127, 127);
+const SAND = __defineElement(223, 193, 99);
+const WATER = __defineElement(0, 10, 255);
+const PLANT = __defineElement(0, 220, 0);
+const FIRE = __defineElement(255, 0, 10);
+const SALT = __defineElement(253, 253, 253);
+const SALT_WATER = __defineElement(127, 175, 255);
+const OIL = __defineElement(150, 60, 0);
+const SPOUT = __defineElement(117, 189, 252);
+const WELL = __defineElement(131, 11, 28);
+const TORCH = __defineElement(200, 5, 0);
+const GUNPOWDER = __defineElement(170, 170, 140);
+const WAX = __defineElement(239, 225, 211);
+const FALLING_WAX = __defineElement(240, 225, 211);
+const NITRO = __defineElement(0, 150, 26);
+const NAPALM = __defineElement(220, 128, 70);
+const C4 = __defineElement(240, 230, 150);
+const CONCRETE = __defineElement(180, 180, 180);
+const FUSE = __defineElement(219, 175, 199);
+const ICE = __defineElement(161, 232, 255);
+const CHILLED_ICE = __defineElement(20, 153, 220);
+const LAVA = __defineElement(245, 110, 40);
+const ROCK = __defineElement(68, 40, 8);
+const STEAM = __defineElement(195, 214, 235);
+const CRYO = __defineElement(0, 213, 255);
+const MYSTERY = __defineElement(162, 232, 196);
+const METHANE = __defineElement(140, 140, 140);
+const SOIL = __defineElement(120, 75, 33);
+const WET_SOIL = __defineElement(70, 35, 10);
+const BRANCH = __defineElement(166, 128, 100);
+const LEAF = __defineElement(82, 107, 45);
+const POLLEN = __defineElement(230, 235, 110);
+const CHARGED_NITRO = __defineElement(245, 98, 78);
 
+/*
+ * It would be nice to abstract this out a bit and make each element its own
+ * subclass. But this would be far too slow (class property/function lookup
+ * time would be a severe bottleneck).
+ */
 const elementActions = [
   BACKGROUND_ACTION, WALL_ACTION, SAND_ACTION, WATER_ACTION, PLANT_ACTION,
   FIRE_ACTION, SALT_ACTION, SALT_WATER_ACTION, OIL_ACTION, SPOUT_ACTION,
@@ -138,26 +159,175 @@ const elementActions = [
   BRANCH_ACTION, LEAF_ACTION, POLLEN_ACTION, CHARGED_NITRO_ACTION
 ];
 
-const GAS_PERMEABLE = {};
+/* ============================ Element registry =========================== */
 
-const NUM_ELEMENTS = elements.length;
+/* How an element moves, as far as other elements are concerned */
+const STATE_SOLID = 0; /* never displaced by other elements */
+const STATE_POWDER = 1;
+const STATE_LIQUID = 2;
+const STATE_GAS = 3;
 
-function initElements() {
-  if (NUM_ELEMENTS > 64)
-    throw "too many elements (we only use 6 bits for element index)";
+/*
+ * Declared properties of every element, indexed by id. The generic helpers
+ * consult these rather than naming specific elements, so that an element
+ * (built-in or custom) interacts with any other just by declaring them.
+ *
+ *   name                  canonical name, as used in code (eg. "SALT_WATER")
+ *   description           what the element is and does, in a few words, for
+ *                         the LLM prompts that describe the elements.
+ *                         Optional.
+ *   menuName              name shown in menus. Defaults to name.
+ *   menuAltColor          CSS color for menu text, for elements whose own
+ *                         color has poor contrast against the menu. Optional.
+ *   state                 one of the STATE_* constants
+ *   density               relative to WATER. Elements sink through lighter
+ *                         liquids; see doDensitySinkAny().
+ *   sinkChances           chance (0-100) per frame that the element sinks
+ *                         through a lighter liquid, by the liquid's id, in
+ *                         place of the chance its action gives; 0 never
+ *                         sinks through that liquid. Optional.
+ *   flammability          chance (0-100) per frame that bordering FIRE
+ *                         spreads to the element
+ *   gasPermeable          gases may pass through the element
+ *   lavaImmune            LAVA doesn't burn the element
+ *   paintableByParticles  particles may paint the element onto the grid
+ *   colorVariance         how far (0-64) each pixel's shade may stray from
+ *                         the element's color when drawn
+ */
+const elementProperties = [];
+
+/* Element ids by their registered name */
+const elementIdsByName = Object.create(null);
+
+const DEFAULT_ELEMENT_PROPERTIES = Object.freeze({
+  description: "",
+  state: STATE_SOLID,
+  density: 1,
+  flammability: 0,
+  gasPermeable: false,
+  lavaImmune: false,
+  paintableByParticles: false,
+  colorVariance: 0,
+  sinkChances: null
+});
+
+/* Compiled from elementProperties, for the hot paths */
+const ELEMENT_STATE = new Uint8Array(MAX_NUM_ELEMENTS);
+const ELEMENT_DENSITY = new Float32Array(MAX_NUM_ELEMENTS);
+const ELEMENT_FLAMMABILITY = new Uint8Array(MAX_NUM_ELEMENTS);
+const ELEMENT_GAS_PERMEABLE = new Uint8Array(MAX_NUM_ELEMENTS);
+const ELEMENT_LAVA_IMMUNE = new Uint8Array(MAX_NUM_ELEMENTS);
+const ELEMENT_PAINTABLE = new Uint8Array(MAX_NUM_ELEMENTS);
+const ELEMENT_COLOR_VARIANCE = new Uint8Array(MAX_NUM_ELEMENTS);
+const ELEMENT_SINK_CHANCES = new Array(MAX_NUM_ELEMENTS).fill(null);
 
+/*
+ * Declares the properties of elem. Anything not given takes its value from
+ * DEFAULT_ELEMENT_PROPERTIES, except name, which is required. Registering an
+ * element again replaces all of its properties.
+ */
+function registerElementProperties(elem, props) {
+  if (!props || typeof props.name !== "string" || props.name === "")
+    throw "element " + elem + " needs a name";
+
+  const state = "state" in props ? props.state : DEFAULT_ELEMENT_PROPERTIES.state;
+  if (state !== STATE_SOLID && state !== STATE_POWDER &&
+      state !== STATE_LIQUID && state !== STATE_GAS)
+    throw "invalid state for " + props.name + ": " + state;
+
+  const density = "density" in props ? props.density : DEFAULT_ELEMENT_PROPERTIES.density;
+  if (typeof density !== "number" || !(density >= 0))
+    throw "invalid density for " + props.name + ": " + density;
+
+  const flammability =
+    "flammability" in props ? props.flammability : DEFAULT_ELEMENT_PROPERTIES.flammability;
+  if (!(flammability >= 0 && flammability <= 100))
+    throw "invalid flammability for " + props.name + ": " + flammability;
+
+  const description =
+    "description" in props ? props.description : DEFAULT_ELEMENT_PROPERTIES.description;
+  if (typeof description !== "string")
+    throw "invalid description for " + props.name + ": " + description;
+
+  const colorVariance =
+    "colorVariance" in props ? props.colorVariance : DEFAULT_ELEMENT_PROPERTIES.colorVariance;
+  if (!(colorVariance >= 0 && colorVariance <= 64))
+    throw "invalid colorVariance for " + props.name + ": " + colorVariance;
+
+  const sinkChances =
+    "sinkChances" in props ? props.sinkChances : DEFAULT_ELEMENT_PROPERTIES.sinkChances;
+  if (sinkChances !== null) {
+    if (typeof sinkChances !== "object")
+      throw "invalid sinkChances for " + props.name + ": " + sinkChances;
+    for (const liquid in sinkChances) {
+      if (!(sinkChances[liquid] >= 0 && sinkChances[liquid] <= 100))
+        throw "invalid sinkChances for " + props.name + ": " + sinkChances[liquid];
+    }
+  }
+
+  function flag(key) {
+    return key in props ? !!props[key] : DEFAULT_ELEMENT_PROPERTIES[key];
+  }
+
+  const entry = Object.freeze({
+    name: props.name,
+    description: description,
+    menuName: props.menuName || props.name,
+    menuAltColor: props.menuAltColor || null,
+    state: state,
+    density: density,
+    flammability: flammability,
+    gasPermeable: flag("gasPermeable"),
+    lavaImmune: flag("lavaImmune"),
+    paintableByParticles: flag("paintableByParticles"),
+    colorVariance: colorVariance,
+    sinkChances: sinkChances && Object.freeze(Object.assign({}, sinkChances))
+  });
+
+  const previous = elementProperties[elem];
+  if (previous && elementIdsByName[previous.name] === elem)
+    delete elementIdsByName[previous.name];
+  elementIdsByName[entry.name] = elem;
+  elementProperties[elem] = entry;
+
+  ELEMENT_STATE[elem] = entry.state;
+  ELEMENT_DENSITY[elem] = entry.density;
+  ELEMENT_FLAMMABILITY[elem] = Math.round(entry.flammability);
+  ELEMENT_GAS_PERMEABLE[elem] = entry.gasPermeable ? 1 : 0;
+  ELEMENT_LAVA_IMMUNE[elem] = entry.lavaImmune ? 1 : 0;
+  ELEMENT_PAINTABLE[elem] = entry.paintableByParticles ? 1 : 0;
+  ELEMENT_COLOR_VARIANCE[elem] = Math.round(entry.colorVariance);
+  ELEMENT_SINK_CHANCES[elem] = entry.sinkChances;
+}
+
+/* The id of the element registered as name, or -1 if there is none */
+function lookupElementId(name) {
+  const elem = elementIdsByName[name];
+  return elem === undefined ? -1 : elem;
+}
+
+/*
+ * Indexed by element id; nonzero if the element is idle when its
+ * neighborhood is settled. Elements default to restless, which keeps
+ * their chunk awake (see updateChunks()).
+ */
+const IDLE_ELEMENTS = new Uint8Array(MAX_NUM_ELEMENTS);
+
+/* Number of built-in elements; custom elements are defined after these */
+const NUM_ELEMENTS = __next_elem_idx;
+
+function initElements() {
   if (NUM_ELEMENTS !== elementActions.length) throw "need 1 action per element";
 
   const colors = {};
 
-  for (var i = 0; i < elements.length; i++) {
-    const color = elements[i];
-    const color_idx =
-      ((color & 0x30000) >>> 12) + ((color & 0x300) >>> 6) + (color & 0x3);
-
-    if (color_idx !== i)
-      throw "elements array order does not match element indices";
+  for (var i = 0; i < NUM_ELEMENTS; i++) {
+    const color = elementColors[i];
 
+    /*
+     * Colors no longer identify elements, but elements with the same color
+     * would be indistinguishable on screen.
+     */
     if (color in colors) throw "duplicate color";
 
     if (color >>> 24 !== 0xff) {
@@ -169,27 +339,275 @@ function initElements() {
   }
 
   /*
-   * Add any gas-permeable elements here (ie. to allow steam etc. to pass
-   * through).
+   * Densities are relative to WATER. Powders don't sink through one another
+   * unless their action says so; the generic helpers only let elements sink
+   * through lighter liquids. sinkChances keep the chances the actions had
+   * before the registry, for liquids they sank through more slowly or not
+   * at all.
+   */
+  registerElementProperties(BACKGROUND, {
+    name: "BACKGROUND",
+    description: "empty space",
+    menuName: "ERASER",
+    menuAltColor: "rgb(200, 100, 200)",
+    state: STATE_GAS,
+    density: 0,
+    lavaImmune: true
+  });
+  registerElementProperties(WALL, {
+    name: "WALL",
+    description: "solid, immovable barrier",
+    menuAltColor: "rgb(160, 160, 160)",
+    lavaImmune: true,
+    paintableByParticles: true
+  });
+  registerElementProperties(SAND, {
+    name: "SAND",
+    description: "powder that piles up",
+    state: STATE_POWDER,
+    density: 1.6,
+    gasPermeable: true,
+    sinkChances: { [OIL]: 0, [NAPALM]: 0 }
+  });
+  registerElementProperties(WATER, {
+    name: "WATER",
+    description: "liquid that spreads out, puts out FIRE and boils into STEAM",
+    menuAltColor: "rgb(0, 130, 255)",
+    state: STATE_LIQUID,
+    density: 1,
+    gasPermeable: true,
+    lavaImmune: true,
+    sinkChances: { [NAPALM]: 0 }
+  });
+  registerElementProperties(PLANT, {
+    name: "PLANT",
+    description: "grows into WATER; burns, and dies from SALT",
+    flammability: 20,
+    paintableByParticles: true
+  });
+  registerElementProperties(FIRE, {
+    name: "FIRE",
+    description: "burns flammable elements and spreads, then dies out",
+    state: STATE_GAS,
+    density: 0.1,
+    lavaImmune: true,
+    paintableByParticles: true
+  });
+  registerElementProperties(SALT, {
+    name: "SALT",
+    description: "powder that dissolves in WATER into SALT_WATER and melts ICE",
+    state: STATE_POWDER,
+    density: 2.1,
+    gasPermeable: true,
+    sinkChances: { [WATER]: 0, [OIL]: 0, [NAPALM]: 0 }
+  });
+  registerElementProperties(SALT_WATER, {
+    name: "SALT_WATER",
+    description: "liquid, heavier than WATER",
+    state: STATE_LIQUID,
+    density: 1.1,
+    gasPermeable: true,
+    lavaImmune: true,
+    sinkChances: { [OIL]: 0, [NAPALM]: 0 }
+  });
+  registerElementProperties(OIL, {
+    name: "OIL",
+    description: "flammable liquid that floats on WATER",
+    state: STATE_LIQUID,
+    density: 0.9,
+    gasPermeable: true
+  });
+  registerElementProperties(SPOUT, {
+    name: "SPOUT",
+    description: "fixed source of WATER",
+    paintableByParticles: true
+  });
+  registerElementProperties(WELL, {
+    name: "WELL",
+    description: "fixed source of OIL",
+    menuAltColor: "rgb(158, 13, 33)",
+    paintableByParticles: true
+  });
+  registerElementProperties(TORCH, {
+    name: "TORCH",
+    description: "fixed source of FIRE"
+  });
+  registerElementProperties(GUNPOWDER, {
+    name: "GUNPOWDER",
+    description: "powder that explodes in FIRE",
+    state: STATE_POWDER,
+    density: 1.7,
+    gasPermeable: true
+  });
+  registerElementProperties(WAX, {
+    name: "WAX",
+    description: "solid that melts into FALLING_WAX when heated",
+    paintableByParticles: true
+  });
+  registerElementProperties(FALLING_WAX, {
+    name: "FALLING_WAX",
+    description: "melted WAX; falls, and hardens back into WAX as it cools",
+    state: STATE_POWDER,
+    density: 0.9,
+    gasPermeable: true
+  });
+  registerElementProperties(NITRO, {
+    name: "NITRO",
+    description: "powder that explodes violently in FIRE",
+    state: STATE_POWDER,
+    density: 1.6,
+    gasPermeable: true,
+    sinkChances: { [NAPALM]: 0 }
+  });
+  registerElementProperties(NAPALM, {
+    name: "NAPALM",
+    description: "liquid that bursts into long-burning flames in FIRE",
+    state: STATE_LIQUID,
+    density: 0.8,
+    gasPermeable: true
+  });
+  registerElementProperties(C4, {
+    name: "C4",
+    description: "solid explosive, detonated by FIRE",
+    menuName: "C-4"
+  });
+  registerElementProperties(CONCRETE, {
+    name: "CONCRETE",
+    description: "powder that sinks, then hardens into WALL",
+    menuName: "NEURONS",
+    state: STATE_POWDER,
+    density: 2.4,
+    gasPermeable: true,
+    sinkChances: { [OIL]: 0, [NAPALM]: 0 }
+  });
+  registerElementProperties(FUSE, {
+    name: "FUSE",
+    description: "solid that burns slowly along its length",
+    flammability: 80
+  });
+  registerElementProperties(ICE, {
+    name: "ICE",
+    description: "solid that melts into WATER when heated or touching SALT",
+    paintableByParticles: true
+  });
+  registerElementProperties(CHILLED_ICE, {
+    name: "CHILLED_ICE",
+    description: "very cold ICE that freezes WATER around it"
+  });
+  registerElementProperties(LAVA, {
+    name: "LAVA",
+    description: "hot liquid that burns and melts what it touches, and hardens into ROCK when cooled",
+    state: STATE_LIQUID,
+    density: 2.6,
+    lavaImmune: true,
+    paintableByParticles: true
+  });
+  registerElementProperties(ROCK, {
+    name: "ROCK",
+    description: "heavy powder; melts into LAVA, and makes METHANE under OIL",
+    state: STATE_POWDER,
+    density: 2.7,
+    gasPermeable: true,
+    lavaImmune: true,
+    paintableByParticles: true,
+    sinkChances: { [NAPALM]: 0, [LAVA]: 20 }
+  });
+  registerElementProperties(STEAM, {
+    name: "STEAM",
+    description: "gas that rises and condenses back into WATER",
+    state: STATE_GAS,
+    density: 0.5,
+    lavaImmune: true
+  });
+  registerElementProperties(CRYO, {
+    name: "CRYO",
+    description: "powder that freezes the surfaces around it",
+    state: STATE_POWDER,
+    density: 1.2,
+    gasPermeable: true
+  });
+  registerElementProperties(MYSTERY, {
+    name: "MYSTERY",
+    description: "powder that does strange things when it touches SAND, SALT or FIRE",
+    menuName: "???",
+    state: STATE_POWDER,
+    density: 1.5,
+    gasPermeable: true
+  });
+  registerElementProperties(METHANE, {
+    name: "METHANE",
+    description: "gas that rises and explodes in FIRE",
+    state: STATE_GAS,
+    density: 0.4
+  });
+  registerElementProperties(SOIL, {
+    name: "SOIL",
+    description: "powder that soaks up WATER into WET_SOIL",
+    menuAltColor: "rgb(171, 110, 53)",
+    state: STATE_POWDER,
+    density: 1.3,
+    gasPermeable: true,
+    sinkChances: { [OIL]: 0, [NAPALM]: 0 }
+  });
+  registerElementProperties(WET_SOIL, {
+    name: "WET_SOIL",
+    description: "soaked SOIL that dries out, and sometimes grows a tree",
+    state: STATE_POWDER,
+    density: 1.5,
+    gasPermeable: true,
+    sinkChances: { [OIL]: 0, [NAPALM]: 0 }
+  });
+  registerElementProperties(BRANCH, {
+    name: "BRANCH",
+    description: "wood of a tree; burns slowly",
+    flammability: 3,
+    paintableByParticles: true
+  });
+  registerElementProperties(LEAF, {
+    name: "LEAF",
+    description: "leaves of a tree that shed POLLEN, and die from SALT",
+    flammability: 5,
+    paintableByParticles: true
+  });
+  registerElementProperties(POLLEN, {
+    name: "POLLEN",
+    description: "light powder shed by LEAF",
+    state: STATE_POWDER,
+    density: 0.5,
+    gasPermeable: true
+  });
+  registerElementProperties(CHARGED_NITRO, {
+    name: "CHARGED_NITRO",
+    description: "NITRO charged by SOIL; explodes even more violently in FIRE",
+    state: STATE_POWDER,
+    density: 2,
+    gasPermeable: true
+  });
+
+  for (i = 0; i < NUM_ELEMENTS; i++) {
+    if (!elementProperties[i]) throw "element " + i + " is not in the registry";
+  }
+
+  /*
+   * Anything that can spontaneously change (eg. PLANT growth, LEAF pollen,
+   * CONCRETE hardening, ROCK producing METHANE) must NOT be added here.
+   * Reactions with FIRE are fine, as FIRE is restless and keeps the chunks
+   * around it awake.
    */
-  GAS_PERMEABLE[SAND] = null;
-  GAS_PERMEABLE[WATER] = null;
-  GAS_PERMEABLE[SALT] = null;
-  GAS_PERMEABLE[SALT_WATER] = null;
-  GAS_PERMEABLE[OIL] = null;
-  GAS_PERMEABLE[GUNPOWDER] = null;
-  GAS_PERMEABLE[FALLING_WAX] = null;
-  GAS_PERMEABLE[NITRO] = null;
-  GAS_PERMEABLE[NAPALM] = null;
-  GAS_PERMEABLE[CONCRETE] = null;
-  GAS_PERMEABLE[ROCK] = null;
-  GAS_PERMEABLE[CRYO] = null;
-  GAS_PERMEABLE[MYSTERY] = null;
-  GAS_PERMEABLE[SOIL] = null;
-  GAS_PERMEABLE[WET_SOIL] = null;
-  GAS_PERMEABLE[POLLEN] = null;
-  GAS_PERMEABLE[CHARGED_NITRO] = null;
-  Object.freeze(GAS_PERMEABLE);
+  IDLE_ELEMENTS[BACKGROUND] = 1;
+  IDLE_ELEMENTS[WALL] = 1;
+  IDLE_ELEMENTS[SAND] = 1;
+  IDLE_ELEMENTS[WATER] = 1;
+  IDLE_ELEMENTS[SALT] = 1;
+  IDLE_ELEMENTS[SALT_WATER] = 1;
+  IDLE_ELEMENTS[OIL] = 1;
+  IDLE_ELEMENTS[GUNPOWDER] = 1;
+  IDLE_ELEMENTS[WAX] = 1;
+  IDLE_ELEMENTS[NITRO] = 1;
+  IDLE_ELEMENTS[NAPALM] = 1;
+  IDLE_ELEMENTS[C4] = 1;
+  IDLE_ELEMENTS[FUSE] = 1;
+  IDLE_ELEMENTS[BRANCH] = 1;
 }
 
 /* ======================= Element action handlers ======================= */
@@ -203,8 +621,7 @@ function BACKGROUND_ACTION(x, y, i) {
 function SAND_ACTION(x, y, i) {
   /* Optimize for common case; can't sink through sand */
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== SAND) {
-    if (doDensitySink(x, y, i, WATER, true, 25)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, true, 25)) return;
+    if (doDensitySinkAny(x, y, i, true, 25)) return;
   }
 
   if (doGravity(x, y, i, true, 95)) return;
@@ -212,7 +629,7 @@ function SAND_ACTION(x, y, i) {
 
 function WATER_ACTION(x, y, i) {
   if (doGravity(x, y, i, true, 95)) return;
-  if (doDensityLiquid(x, y, i, OIL, 25, 50)) return;
+  if (doDensityLiquidAny(x, y, i, 25, 50)) return;
 }
 
 function PLANT_ACTION(x, y, i) {
@@ -221,55 +638,41 @@ function PLANT_ACTION(x, y, i) {
   if (random() < 5) {
     const saltLoc = bordering(x, y, i, SALT);
     if (saltLoc !== -1) {
-      gameImagedata32[i] = BACKGROUND;
+      setGridElement(i, BACKGROUND);
       return;
     }
   }
 }
 
 function FIRE_ACTION(x, y, i) {
-  /* water */
-  if (random() < 80) {
+  /*
+   * water puts us out. Not right away, so that we have a chance to heat it
+   * (and boil it into STEAM; see heat.js).
+   */
+  if (random() < 10) {
     var waterLoc = bordering(x, y, i, WATER);
     if (waterLoc === -1) waterLoc = bordering(x, y, i, SALT_WATER);
     if (waterLoc !== -1) {
-      gameImagedata32[waterLoc] = STEAM;
-      gameImagedata32[i] = BACKGROUND;
-      return;
-    }
-  }
-
-  /* plant */
-  if (random() < 20) {
-    const plantLoc = borderingAdjacent(x, y, i, PLANT);
-    if (plantLoc !== -1) {
-      gameImagedata32[plantLoc] = FIRE;
+      setGridElement(i, BACKGROUND);
       return;
     }
   }
 
-  /* wax */
-  if (random() < 1) {
-    const waxLoc = bordering(x, y, i, WAX);
-    if (waxLoc !== -1) {
-      const waxXY = fastItoXYBordering(x, y, i, waxLoc);
-      gameImagedata32[waxLoc] = FIRE;
-      const fallLoc = below(
-        Math.max(y, waxXY[1]),
-        Math.max(i, waxLoc),
-        BACKGROUND
-      );
-      if (fallLoc !== -1) gameImagedata32[fallLoc] = FALLING_WAX;
-      return;
-    }
-  }
-
-  /* fuse */
-  if (random() < 80) {
-    const fuseLoc = borderingAdjacent(x, y, i, FUSE);
-    if (fuseLoc !== -1) {
-      gameImagedata32[fuseLoc] = FIRE;
-      return;
+  /* spread to flammable elements, including the corners */
+  const xStart = Math.max(x - 1, 0);
+  const yStart = Math.max(y - 1, 0);
+  const xEnd = Math.min(x + 2, MAX_X_IDX + 1);
+  const yEnd = Math.min(y + 2, MAX_Y_IDX + 1);
+  var xIter, yIter;
+  for (yIter = yStart; yIter !== yEnd; yIter++) {
+    const idxBase = yIter * width;
+    for (xIter = xStart; xIter !== xEnd; xIter++) {
+      const idx = idxBase + xIter;
+      const flammability = ELEMENT_FLAMMABILITY[gameGrid[idx]];
+      if (flammability !== 0 && random() < flammability) {
+        setGridElement(idx, FIRE);
+        return;
+      }
     }
   }
 
@@ -277,27 +680,17 @@ function FIRE_ACTION(x, y, i) {
   if (random() < 40) {
     var flameOut = true;
 
-    const xStart = Math.max(x - 1, 0);
-    const yStart = Math.max(y - 1, 0);
-    const xEnd = Math.min(x + 2, MAX_X_IDX + 1);
-    const yEnd = Math.min(y + 2, MAX_Y_IDX + 1);
-    var xIter, yIter;
     for (yIter = yStart; yIter !== yEnd; yIter++) {
       const idxBase = yIter * width;
       for (xIter = xStart; xIter !== xEnd; xIter++) {
         if (yIter === y && xIter === x) continue;
 
         const idx = idxBase + xIter;
-        const borderingElem = gameImagedata32[idx];
+        const borderingElem = gameGrid[idx];
 
         if (borderingElem === FIRE) continue;
 
-        if (
-          borderingElem === PLANT ||
-          borderingElem === FUSE ||
-          borderingElem === BRANCH ||
-          borderingElem === LEAF
-        ) {
+        if (ELEMENT_FLAMMABILITY[borderingElem] !== 0) {
           flameOut = false;
           break;
         }
@@ -311,12 +704,18 @@ function FIRE_ACTION(x, y, i) {
       if (!flameOut) break;
     }
 
-    /* check for wax separately, since fire doesn't burn wax at corners */
-    if (flameOut && bordering(x, y, i, WAX) !== -1)
+    /*
+     * keep burning over wax (and the molten wax it drips), so that it has a
+     * chance to melt and ignite. Corners are too far to heat it.
+     */
+    if (
+      flameOut &&
+      (bordering(x, y, i, WAX) !== -1 || bordering(x, y, i, FALLING_WAX) !== -1)
+    )
       flameOut = false;
 
     if (flameOut) {
-      gameImagedata32[i] = BACKGROUND;
+      setGridElement(i, BACKGROUND);
       return;
     }
   }
@@ -325,7 +724,7 @@ function FIRE_ACTION(x, y, i) {
   if (random() < 50) {
     const riseLoc = above(y, i, BACKGROUND);
     if (riseLoc !== -1) {
-      gameImagedata32[riseLoc] = FIRE;
+      setGridElement(riseLoc, FIRE);
       return;
     }
   }
@@ -334,12 +733,12 @@ function FIRE_ACTION(x, y, i) {
 function SALT_ACTION(x, y, i) {
   if (doGravity(x, y, i, true, 95)) return;
   if (doTransform(x, y, i, WATER, SALT_WATER, 25, 50)) return;
-  if (doDensitySink(x, y, i, SALT_WATER, true, 25)) return;
+  if (doDensitySinkAny(x, y, i, true, 25)) return;
 }
 
 function SALT_WATER_ACTION(x, y, i) {
   if (doGravity(x, y, i, true, 95)) return;
-  if (doDensityLiquid(x, y, i, WATER, 50, 50)) return;
+  if (doDensityLiquidAny(x, y, i, 50, 50)) return;
 }
 
 function OIL_ACTION(x, y, i) {
@@ -391,9 +790,9 @@ function GUNPOWDER_ACTION(x, y, i) {
 
 function WAX_ACTION(x, y, i) {}
 
+/* Hardens back into WAX once it cools; see heat.js */
 function FALLING_WAX_ACTION(x, y, i) {
   if (doGravity(x, y, i, false, 100)) return;
-  gameImagedata32[i] = WAX;
 }
 
 function NITRO_ACTION(x, y, i) {
@@ -408,15 +807,13 @@ function NITRO_ACTION(x, y, i) {
       __doBorderBurn(x, y, i);
       return;
     } else if (random() < 20) {
-      gameImagedata32[i] = FIRE;
+      setGridElement(i, FIRE);
       return;
     }
   }
 
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== NITRO) {
-    if (doDensitySink(x, y, i, OIL, true, 25)) return;
-    if (doDensitySink(x, y, i, WATER, true, 25)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, true, 25)) return;
+    if (doDensitySinkAny(x, y, i, true, 25)) return;
     if (doDensitySink(x, y, i, POLLEN, true, 25)) return;
   }
 }
@@ -424,7 +821,7 @@ function NITRO_ACTION(x, y, i) {
 function NAPALM_ACTION(x, y, i) {
   if (random() < 25 && bordering(x, y, i, FIRE) !== -1) {
     if (!particles.addActiveParticle(NAPALM_PARTICLE, x, y, i)) {
-      gameImagedata32[i] = FIRE;
+      setGridElement(i, FIRE);
     }
     return;
   }
@@ -435,7 +832,7 @@ function NAPALM_ACTION(x, y, i) {
 function C4_ACTION(x, y, i) {
   if (random() < 60 && bordering(x, y, i, FIRE) !== -1) {
     if (!particles.addActiveParticle(C4_PARTICLE, x, y, i)) {
-      gameImagedata32[i] = FIRE;
+      setGridElement(i, FIRE);
     }
     return;
   }
@@ -443,8 +840,7 @@ function C4_ACTION(x, y, i) {
 
 function CONCRETE_ACTION(x, y, i) {
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== CONCRETE) {
-    if (doDensitySink(x, y, i, WATER, true, 35)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, true, 35)) return;
+    if (doDensitySinkAny(x, y, i, true, 35)) return;
   }
 
   /*
@@ -455,20 +851,23 @@ function CONCRETE_ACTION(x, y, i) {
   if (random() < 10 && random() < 10) {
     const wallLoc = borderingAdjacent(x, y, i, WALL);
     if (wallLoc !== -1) {
-      gameImagedata32[i] = WALL;
+      setGridElement(i, WALL);
       return;
     }
   }
 
   if (doGravity(x, y, i, true, 95)) return;
 
-  if (random() < 10 && random() < 10 && random() < 5) gameImagedata32[i] = WALL;
+  if (random() < 10 && random() < 10 && random() < 5) setGridElement(i, WALL);
 }
 
 function FUSE_ACTION(x, y, i) {}
 
 function ICE_ACTION(x, y, i) {
   /*
+   * Melting from heat (eg. from WATER, STEAM, FIRE or LAVA) is handled in
+   * heat.js.
+   *
    * NOTE: we use surroundedBy instead of surroundedByAdjacent, because all
    * of the below checks are bordering(), not borderingAdjacent().
    */
@@ -476,47 +875,13 @@ function ICE_ACTION(x, y, i) {
     return;
   }
 
-  /* Slow melt from WATER */
-  if (random() < 1) {
-    if (bordering(x, y, i, WATER) !== -1) {
-      gameImagedata32[i] = WATER;
-      return;
-    }
-  }
-
-  /* Really fast melt from STEAM */
-  if (random() < 70) {
-    const steamLoc = bordering(x, y, i, STEAM);
-    if (steamLoc !== -1) {
-      gameImagedata32[i] = WATER;
-      if (random() < 50) gameImagedata32[steamLoc] = WATER;
-      return;
-    }
-  }
-
   /* Fast melt from SALT and SALT_WATER */
   if (random() < 10) {
     var saltLoc = bordering(x, y, i, SALT);
     if (saltLoc === -1) saltLoc = bordering(x, y, i, SALT_WATER);
 
     if (saltLoc !== -1) {
-      gameImagedata32[i] = WATER;
-      return;
-    }
-  }
-
-  /* Fast melt from FIRE */
-  if (random() < 50) {
-    if (bordering(x, y, i, FIRE) !== -1) {
-      gameImagedata32[i] = WATER;
-      return;
-    }
-  }
-
-  /* Fast melt from LAVA */
-  if (random() < 50) {
-    if (bordering(x, y, i, LAVA) !== -1) {
-      gameImagedata32[i] = WATER;
+      setGridElement(i, WATER);
       return;
     }
   }
@@ -525,7 +890,7 @@ function ICE_ACTION(x, y, i) {
 function CHILLED_ICE_ACTION(x, y, i) {
   /* thaw to regular ice */
   if (random() < 6) {
-    gameImagedata32[i] = ICE;
+    setGridElement(i, ICE);
     return;
   }
 
@@ -540,34 +905,17 @@ function CHILLED_ICE_ACTION(x, y, i) {
     bordering(x, y, i, FIRE) !== -1 ||
     bordering(x, y, i, STEAM) !== -1
   ) {
-    gameImagedata32[i] = ICE;
+    setGridElement(i, ICE);
     return;
   }
 
   doGrow(x, y, i, WATER, 50);
 }
 
-/*
- * Faster than using a dictionary.
- * This assumption may change as this list gets longer.
- */
-const __lava_immune = [
-  LAVA,
-  BACKGROUND,
-  FIRE,
-  WALL,
-  ROCK,
-  WATER,
-  SALT_WATER,
-  STEAM
-];
-Object.freeze(__lava_immune);
-const __num_lava_immune = __lava_immune.length;
-
 function LAVA_ACTION(x, y, i) {
   if (random() < 1 && random() < 50) {
     const wallLoc = borderingAdjacent(x, y, i, WALL);
-    if (wallLoc !== -1) gameImagedata32[wallLoc] = LAVA;
+    if (wallLoc !== -1) setGridElement(wallLoc, LAVA);
   }
 
   const up = y !== 0 ? i - width : -1;
@@ -576,23 +924,23 @@ function LAVA_ACTION(x, y, i) {
   const right = x !== MAX_X_IDX ? i + 1 : -1;
 
   var skipDirectAdjacent = true;
-  if (up !== -1 && gameImagedata32[up] !== LAVA) skipDirectAdjacent = false;
+  if (up !== -1 && gameGrid[up] !== LAVA) skipDirectAdjacent = false;
   else if (
     left !== -1 &&
-    gameImagedata32[left] !== LAVA &&
-    gameImagedata32[left] !== BACKGROUND
+    gameGrid[left] !== LAVA &&
+    gameGrid[left] !== BACKGROUND
   )
     skipDirectAdjacent = false;
   else if (
     right !== -1 &&
-    gameImagedata32[right] !== LAVA &&
-    gameImagedata32[right] !== BACKGROUND
+    gameGrid[right] !== LAVA &&
+    gameGrid[right] !== BACKGROUND
   )
     skipDirectAdjacent = false;
   else if (
     down !== -1 &&
-    gameImagedata32[down] !== LAVA &&
-    gameImagedata32[down] !== BACKGROUND
+    gameGrid[down] !== LAVA &&
+    gameGrid[down] !== BACKGROUND
   )
     skipDirectAdjacent = false;
 
@@ -603,13 +951,7 @@ function LAVA_ACTION(x, y, i) {
    * DO NOT ADD ANYTHING IN HERE THAT CHECKS CORNER PIXELS.
    */
   if (!skipDirectAdjacent) {
-    var waterLoc = bordering(x, y, i, WATER);
-    if (waterLoc === -1) waterLoc = bordering(x, y, i, SALT_WATER);
-    if (waterLoc !== -1) {
-      gameImagedata32[waterLoc] = STEAM;
-      gameImagedata32[i] = ROCK;
-      return;
-    }
+    /* Water cools us into ROCK, and boils into STEAM; see heat.js */
 
     if (random() < 4) {
       const numLavaParticles = particles.particleCounts[LAVA_PARTICLE];
@@ -617,7 +959,7 @@ function LAVA_ACTION(x, y, i) {
       if (random() < spawnChance) {
         if (bordering(x, y, i, OIL) !== -1) {
           particles.addActiveParticle(LAVA_PARTICLE, x, y, i);
-          gameImagedata32[i] = BACKGROUND;
+          setGridElement(i, BACKGROUND);
           return;
         }
       }
@@ -626,37 +968,29 @@ function LAVA_ACTION(x, y, i) {
     if (random() < 25) {
       const burnLocs = [up, down, left, right];
       const numBurnLocs = burnLocs.length;
-      var j, k;
 
-      for (j = 0; j !== numBurnLocs; j++) {
+      for (var j = 0; j !== numBurnLocs; j++) {
         const burnLoc = burnLocs[j];
 
         if (burnLoc === -1) continue;
 
-        const elem = gameImagedata32[burnLoc];
-        var burn = true;
-        for (k = 0; k !== __num_lava_immune; k++) {
-          if (elem === __lava_immune[k]) {
-            burn = false;
-            break;
-          }
-        }
-        if (burn) gameImagedata32[burnLoc] = FIRE;
+        if (ELEMENT_LAVA_IMMUNE[gameGrid[burnLoc]] === 0)
+          setGridElement(burnLoc, FIRE);
       }
     }
 
     if (random() < 6 && up !== -1) {
-      if (gameImagedata32[up] === BACKGROUND) gameImagedata32[up] = FIRE;
+      if (gameGrid[up] === BACKGROUND) setGridElement(up, FIRE);
     }
 
     if (down !== -1) {
-      const belowElem = gameImagedata32[down];
+      const belowElem = gameGrid[down];
       if (belowElem === FIRE) {
-        gameImagedata32[down] = BACKGROUND;
+        setGridElement(down, BACKGROUND);
       } else if (belowElem === STEAM && random() < 95) {
         /* Allow steam to pass through */
-        gameImagedata32[down] = LAVA;
-        gameImagedata32[i] = STEAM;
+        setGridElement(down, LAVA);
+        setGridElement(i, STEAM);
         return;
       }
     }
@@ -667,11 +1001,11 @@ function LAVA_ACTION(x, y, i) {
      */
     if (random() < 15) {
       if (left !== -1) {
-        if (gameImagedata32[left] === FIRE) gameImagedata32[left] = BACKGROUND;
+        if (gameGrid[left] === FIRE) setGridElement(left, BACKGROUND);
       }
       if (right !== -1) {
-        if (gameImagedata32[right] === FIRE)
-          gameImagedata32[right] = BACKGROUND;
+        if (gameGrid[right] === FIRE)
+          setGridElement(right, BACKGROUND);
       }
     }
   }
@@ -681,10 +1015,7 @@ function LAVA_ACTION(x, y, i) {
 
 function ROCK_ACTION(x, y, i) {
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== ROCK) {
-    if (doDensitySink(x, y, i, WATER, false, 95)) return;
-    if (doDensitySink(x, y, i, OIL, false, 95)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, false, 95)) return;
-    if (doDensitySink(x, y, i, LAVA, false, 20)) return;
+    if (doDensitySinkAny(x, y, i, false, 95)) return;
   }
 
   if (doGravity(x, y, i, false, 99)) return;
@@ -693,8 +1024,8 @@ function ROCK_ACTION(x, y, i) {
   if (random() < 1 && random() < 20 && above(y, i, OIL) !== -1) {
     const aboveOil = above(y, i, OIL);
     if (aboveOil !== -1) {
-      if (random() < 50) gameImagedata32[aboveOil] = METHANE;
-      else gameImagedata32[i] = METHANE;
+      if (random() < 50) setGridElement(aboveOil, METHANE);
+      else setGridElement(i, METHANE);
       return;
     }
   }
@@ -707,7 +1038,7 @@ function STEAM_ACTION(x, y, i) {
   /* condense due to water */
   if (random() < 5) {
     if (bordering(x, y, i, WATER) !== -1) {
-      gameImagedata32[i] = WATER;
+      setGridElement(i, WATER);
       return;
     }
   }
@@ -715,8 +1046,8 @@ function STEAM_ACTION(x, y, i) {
   /* condense/disappear due to air cooling */
   if (random() < 5 && random() < 40) {
     if (below(y, i, BACKGROUND) !== -1 && above(y, i, BACKGROUND) === -1) {
-      if (random() < 30) gameImagedata32[i] = WATER;
-      else gameImagedata32[i] = BACKGROUND;
+      if (random() < 30) setGridElement(i, WATER);
+      else setGridElement(i, BACKGROUND);
       return;
     }
   }
@@ -724,7 +1055,7 @@ function STEAM_ACTION(x, y, i) {
   /* condense due to spout */
   if (random() < 5) {
     if (bordering(x, y, i, SPOUT) !== -1) {
-      gameImagedata32[i] = WATER;
+      setGridElement(i, WATER);
       return;
     }
   }
@@ -732,7 +1063,7 @@ function STEAM_ACTION(x, y, i) {
   /* steam may be trapped; disappear slowly */
   if (random() < 1 && random() < 5) {
     if (below(y, i, STEAM) === -1) {
-      gameImagedata32[i] = BACKGROUND;
+      setGridElement(i, BACKGROUND);
       return;
     }
   }
@@ -751,12 +1082,12 @@ function CRYO_ACTION(x, y, i) {
       if (yIter === y && xIter === x) continue;
 
       const idx = idxBase + xIter;
-      const borderingElem = gameImagedata32[idx];
+      const borderingElem = gameGrid[idx];
 
       if (borderingElem === CRYO) continue;
 
       if (borderingElem === CHILLED_ICE && random() < 1 && random() < 5) {
-        gameImagedata32[i] = CHILLED_ICE;
+        setGridElement(i, CHILLED_ICE);
         return;
       }
 
@@ -769,19 +1100,19 @@ function CRYO_ACTION(x, y, i) {
         borderingElem === PLANT ||
         borderingElem === C4
       ) {
-        gameImagedata32[i] = CHILLED_ICE;
+        setGridElement(i, CHILLED_ICE);
         return;
       }
 
       if (borderingElem === WATER || borderingElem === ICE) {
-        gameImagedata32[idx] = CHILLED_ICE;
-        gameImagedata32[i] = CHILLED_ICE;
+        setGridElement(idx, CHILLED_ICE);
+        setGridElement(i, CHILLED_ICE);
         return;
       }
 
       if (borderingElem === LAVA) {
-        gameImagedata32[i] = BACKGROUND;
-        gameImagedata32[idx] = ROCK;
+        setGridElement(i, BACKGROUND);
+        setGridElement(idx, ROCK);
         return;
       }
     }
@@ -792,7 +1123,7 @@ function CRYO_ACTION(x, y, i) {
   /* Freeze even if there are no nearby freezable surfaces */
   if (random() < 1 && random() < 50) {
     if (bordering(x, y, i, BACKGROUND) === -1 && !surroundedBy(x, y, i, CRYO)) {
-      gameImagedata32[i] = CHILLED_ICE;
+      setGridElement(i, CHILLED_ICE);
       return;
     }
   }
@@ -803,7 +1134,7 @@ function MYSTERY_ACTION(x, y, i) {
     particles.particleActive(MAGIC1_PARTICLE) ||
     particles.particleActive(MAGIC2_PARTICLE)
   ) {
-    gameImagedata32[i] = BACKGROUND;
+    setGridElement(i, BACKGROUND);
     return;
   }
 
@@ -814,45 +1145,46 @@ function MYSTERY_ACTION(x, y, i) {
 
   if (borderingAdjacent(x, y, i, SAND) !== -1) {
     particles.addActiveParticle(MAGIC1_PARTICLE, x, y, i);
-    gameImagedata32[i] = BACKGROUND;
+    setGridElement(i, BACKGROUND);
     return;
   }
 
   if (borderingAdjacent(x, y, i, SALT) !== -1) {
     particles.addActiveParticle(MAGIC2_PARTICLE, x, y, i);
-    gameImagedata32[i] = BACKGROUND;
+    setGridElement(i, BACKGROUND);
     return;
   }
 
   /* Random scramble the canvas when in contact with FIRE */
   if (bordering(x, y, i, FIRE) !== -1) {
     for (var idx = MAX_IDX; idx !== 0; idx--) {
-      const currElem = gameImagedata32[idx];
+      const currElem = gameGrid[idx];
       if (currElem === WALL) {
         continue;
       } else if (currElem === FIRE) {
-        gameImagedata32[idx] = BACKGROUND;
+        setGridElement(idx, BACKGROUND);
         continue;
       } else if (currElem === MYSTERY) {
-        gameImagedata32[idx] = BACKGROUND;
+        setGridElement(idx, BACKGROUND);
         continue;
       }
 
-      const swapIdx = Math.floor(Math.random() * idx);
-      const swapElem = gameImagedata32[swapIdx];
+      const swapIdx = Math.floor(randomFloat() * idx);
+      const swapElem = gameGrid[swapIdx];
 
       if (swapElem === WALL || swapElem === FIRE || swapElem === MYSTERY)
         continue;
 
-      gameImagedata32[idx] = swapElem;
-      gameImagedata32[swapIdx] = currElem;
+      setGridElement(idx, swapElem);
+      setGridElement(swapIdx, currElem);
+      moveHeat(idx, swapIdx);
     }
   }
 
   /* Set off a NUKE_PARTICLE when in contact with POLLEN */
   if (bordering(x, y, i, POLLEN) !== -1) {
     particles.addActiveParticle(NUKE_PARTICLE, x, y, i);
-    gameImagedata32[i] = BACKGROUND;
+    setGridElement(i, BACKGROUND);
     return;
   }
 }
@@ -860,7 +1192,7 @@ function MYSTERY_ACTION(x, y, i) {
 function METHANE_ACTION(x, y, i) {
   if (random() < 25 && bordering(x, y, i, FIRE) !== -1) {
     if (!particles.addActiveParticle(METHANE_PARTICLE, x, y, i)) {
-      gameImagedata32[i] = FIRE;
+      setGridElement(i, FIRE);
     }
     return;
   }
@@ -876,8 +1208,7 @@ function SOIL_ACTION(x, y, i) {
 
   /* Optimize for common case; can't sink through SOIL */
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== SOIL) {
-    if (doDensitySink(x, y, i, WATER, true, 50)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, true, 50)) return;
+    if (doDensitySinkAny(x, y, i, true, 50)) return;
     if (doDensitySink(x, y, i, POLLEN, true, 50)) return;
   }
 
@@ -886,8 +1217,8 @@ function SOIL_ACTION(x, y, i) {
   if (random() < 15) {
     const waterLoc = aboveAdjacent(x, y, i, WATER);
     if (waterLoc !== -1) {
-      gameImagedata32[waterLoc] = BACKGROUND;
-      gameImagedata32[i] = WET_SOIL;
+      setGridElement(waterLoc, BACKGROUND);
+      setGridElement(i, WET_SOIL);
       return;
     }
   }
@@ -897,17 +1228,16 @@ function WET_SOIL_ACTION(x, y, i) {
   if (random() < 15) {
     const waterLoc = aboveAdjacent(x, y, i, WATER);
     if (waterLoc !== -1) {
-      gameImagedata32[waterLoc] = BACKGROUND;
+      setGridElement(waterLoc, BACKGROUND);
     }
   }
 
   if (doGravity(x, y, i, false, 99)) return;
-  if (doDensitySink(x, y, i, WATER, true, 50)) return;
-  if (doDensitySink(x, y, i, SALT_WATER, true, 50)) return;
+  if (doDensitySinkAny(x, y, i, true, 50)) return;
 
   if (random() < 5) {
     if (random() < 97) {
-      if (borderingAdjacent(x, y, i, WATER) === -1) gameImagedata32[i] = SOIL;
+      if (borderingAdjacent(x, y, i, WATER) === -1) setGridElement(i, SOIL);
       return;
     }
 
@@ -920,31 +1250,20 @@ function WET_SOIL_ACTION(x, y, i) {
         belowAdjacent(x, y, i, WALL) !== -1)
     ) {
       if (particles.addActiveParticle(TREE_PARTICLE, x, y, i)) {
-        gameImagedata32[i] = SOIL;
+        setGridElement(i, SOIL);
       }
     }
   }
 }
 
-function BRANCH_ACTION(x, y, i) {
-  if (random() < 3) {
-    if (borderingAdjacent(x, y, i, FIRE) !== -1) {
-      gameImagedata32[i] = FIRE;
-    }
-  }
-}
+/* Burns by its flammability; see FIRE_ACTION */
+function BRANCH_ACTION(x, y, i) {}
 
 function LEAF_ACTION(x, y, i) {
-  if (random() < 5) {
-    if (borderingAdjacent(x, y, i, FIRE) !== -1) {
-      gameImagedata32[i] = FIRE;
-    }
-  }
-
   if (random() < 20) {
     const saltLoc = borderingAdjacent(x, y, i, SALT);
     if (saltLoc !== -1) {
-      gameImagedata32[i] = BACKGROUND;
+      setGridElement(i, BACKGROUND);
       return;
     }
   }
@@ -968,7 +1287,7 @@ function CHARGED_NITRO_ACTION(x, y, i) {
 
   if (borderingAdjacent(x, y, i, FIRE) !== -1) {
     particles.addActiveParticle(CHARGED_NITRO_PARTICLE, x, y, i);
-    gameImagedata32[i] = FIRE;
+    setGridElement(i, FIRE);
     return;
   }
 }
@@ -990,7 +1309,7 @@ function below(y, i, type) {
   if (y === MAX_Y_IDX) return -1;
 
   const belowSpot = i + width;
-  if (gameImagedata32[belowSpot] === type) return belowSpot;
+  if (gameGrid[belowSpot] === type) return belowSpot;
   return -1;
 }
 
@@ -1000,15 +1319,15 @@ function belowAdjacent(x, y, i, type) {
 
   const belowSpot = i + width;
 
-  if (gameImagedata32[belowSpot] === type) return belowSpot;
+  if (gameGrid[belowSpot] === type) return belowSpot;
 
   const belowLeftSpot = belowSpot - 1;
   const belowLeftMatch =
-    x !== 0 && gameImagedata32[belowLeftSpot] === type ? belowLeftSpot : -1;
+    x !== 0 && gameGrid[belowLeftSpot] === type ? belowLeftSpot : -1;
 
   const belowRightSpot = belowSpot + 1;
   const belowRightMatch =
-    x !== MAX_X_IDX && gameImagedata32[belowRightSpot] === type
+    x !== MAX_X_IDX && gameGrid[belowRightSpot] === type
       ? belowRightSpot
       : -1;
 
@@ -1020,7 +1339,7 @@ function above(y, i, type) {
   if (y === 0) return -1;
 
   const aboveSpot = i - width;
-  if (gameImagedata32[aboveSpot] === type) return aboveSpot;
+  if (gameGrid[aboveSpot] === type) return aboveSpot;
   return -1;
 }
 
@@ -1029,15 +1348,15 @@ function aboveAdjacent(x, y, i, type) {
   if (y === 0) return -1;
 
   const aboveSpot = i - width;
-  if (gameImagedata32[aboveSpot] === type) return aboveSpot;
+  if (gameGrid[aboveSpot] === type) return aboveSpot;
 
   const aboveLeftSpot = aboveSpot - 1;
   const aboveLeftMatch =
-    x !== 0 && gameImagedata32[aboveLeftSpot] === type ? aboveLeftSpot : -1;
+    x !== 0 && gameGrid[aboveLeftSpot] === type ? aboveLeftSpot : -1;
 
   const aboveRightSpot = aboveSpot + 1;
   const aboveRightMatch =
-    x !== MAX_X_IDX && gameImagedata32[aboveRightSpot] === type
+    x !== MAX_X_IDX && gameGrid[aboveRightSpot] === type
       ? aboveRightSpot
       : -1;
 
@@ -1050,9 +1369,9 @@ function adjacent(x, i, type) {
   const rightSpot = i + 1;
 
   const leftMatch =
-    x !== 0 && gameImagedata32[leftSpot] === type ? leftSpot : -1;
+    x !== 0 && gameGrid[leftSpot] === type ? leftSpot : -1;
   const rightMatch =
-    x !== MAX_X_IDX && gameImagedata32[rightSpot] === type ? rightSpot : -1;
+    x !== MAX_X_IDX && gameGrid[rightSpot] === type ? rightSpot : -1;
 
   return __pickRandValid(leftMatch, rightMatch);
 }
@@ -1097,10 +1416,10 @@ function borderingAdjacent(x, y, i, type) {
 
 /* Checks up, down, left, and right. Does not check corners. */
 function surroundedBy(x, y, i, type) {
-  if (y !== MAX_Y_IDX && gameImagedata32[i + width] !== type) return false;
-  if (y !== 0 && gameImagedata32[i - width] !== type) return false;
-  if (x !== 0 && gameImagedata32[i - 1] !== type) return false;
-  if (x !== MAX_X_IDX && gameImagedata32[i + 1] !== type) return false;
+  if (y !== MAX_Y_IDX && gameGrid[i + width] !== type) return false;
+  if (y !== 0 && gameGrid[i - width] !== type) return false;
+  if (x !== 0 && gameGrid[i - 1] !== type) return false;
+  if (x !== MAX_X_IDX && gameGrid[i + 1] !== type) return false;
 
   return true;
 }
@@ -1110,21 +1429,21 @@ function surroundedByAdjacent(x, y, i, type) {
   const atBottom = y === MAX_Y_IDX;
   const atTop = y === 0;
 
-  if (!atBottom && gameImagedata32[i + width] !== type) return false;
-  if (!atTop && gameImagedata32[i - width] !== type) return false;
+  if (!atBottom && gameGrid[i + width] !== type) return false;
+  if (!atTop && gameGrid[i - width] !== type) return false;
 
   if (x !== 0) {
     const idx = i - 1;
-    if (gameImagedata32[idx] !== type) return false;
-    if (!atTop && gameImagedata32[idx - width] !== type) return false;
-    if (!atBottom && gameImagedata32[idx + width] !== type) return false;
+    if (gameGrid[idx] !== type) return false;
+    if (!atTop && gameGrid[idx - width] !== type) return false;
+    if (!atBottom && gameGrid[idx + width] !== type) return false;
   }
 
   if (x !== MAX_X_IDX) {
     const idx = i + 1;
-    if (gameImagedata32[idx] !== type) return false;
-    if (!atTop && gameImagedata32[idx - width] !== type) return false;
-    if (!atBottom && gameImagedata32[idx + width] !== type) return false;
+    if (gameGrid[idx] !== type) return false;
+    if (!atTop && gameGrid[idx - width] !== type) return false;
+    if (!atBottom && gameGrid[idx + width] !== type) return false;
   }
 
   return true;
@@ -1134,10 +1453,10 @@ function surroundedByAdjacent(x, y, i, type) {
 function surroundedByCount(x, y, i, type) {
   var count = 0;
 
-  if (y !== MAX_Y_IDX && gameImagedata32[i + width] === type) count++;
-  if (y !== 0 && gameImagedata32[i - width] === type) count++;
-  if (x !== 0 && gameImagedata32[i - 1] === type) count++;
-  if (x !== MAX_X_IDX && gameImagedata32[i + 1] === type) count++;
+  if (y !== MAX_Y_IDX && gameGrid[i + width] === type) count++;
+  if (y !== 0 && gameGrid[i - width] === type) count++;
+  if (x !== 0 && gameGrid[i - 1] === type) count++;
+  if (x !== MAX_X_IDX && gameGrid[i + 1] === type) count++;
 
   return count;
 }
@@ -1151,21 +1470,21 @@ function surroundedByAdjacentCount(x, y, i, type) {
   const atTop = y === 0;
   var count = 0;
 
-  if (!atBottom && gameImagedata32[i + width] === type) count++;
-  if (!atTop && gameImagedata32[i - width] === type) count++;
+  if (!atBottom && gameGrid[i + width] === type) count++;
+  if (!atTop && gameGrid[i - width] === type) count++;
 
   if (x !== 0) {
     const idx = i - 1;
-    if (gameImagedata32[idx] === type) count++;
-    if (!atTop && gameImagedata32[idx - width] === type) count++;
-    if (!atBottom && gameImagedata32[idx + width] === type) count++;
+    if (gameGrid[idx] === type) count++;
+    if (!atTop && gameGrid[idx - width] === type) count++;
+    if (!atBottom && gameGrid[idx + width] === type) count++;
   }
 
   if (x !== MAX_X_IDX) {
     const idx = i + 1;
-    if (gameImagedata32[idx] === type) count++;
-    if (!atTop && gameImagedata32[idx - width] === type) count++;
-    if (!atBottom && gameImagedata32[idx + width] === type) count++;
+    if (gameGrid[idx] === type) count++;
+    if (!atTop && gameGrid[idx - width] === type) count++;
+    if (!atBottom && gameGrid[idx + width] === type) count++;
   }
 
   return count;
@@ -1175,7 +1494,7 @@ function doGravity(x, y, i, fallAdjacent, chance) {
   if (random() >= chance) return false;
 
   if (y === MAX_Y_IDX) {
-    gameImagedata32[i] = BACKGROUND;
+    setGridElement(i, BACKGROUND);
     return true;
   }
 
@@ -1187,8 +1506,9 @@ function doGravity(x, y, i, fallAdjacent, chance) {
   if (newI === -1 && fallAdjacent) newI = adjacent(x, i, BACKGROUND);
 
   if (newI !== -1) {
-    gameImagedata32[newI] = gameImagedata32[i];
-    gameImagedata32[i] = BACKGROUND;
+    setGridElement(newI, gameGrid[i]);
+    setGridElement(i, BACKGROUND);
+    moveHeat(i, newI);
     return true;
   }
 
@@ -1206,7 +1526,7 @@ function doRise(x, y, i, riseChance, adjacentChance) {
   var newI = -1;
   if (random() < riseChance) {
     if (y === 0) {
-      gameImagedata32[i] = BACKGROUND;
+      setGridElement(i, BACKGROUND);
       return true;
     } else {
       newI = aboveAdjacent(x, y, i, BACKGROUND);
@@ -1217,8 +1537,9 @@ function doRise(x, y, i, riseChance, adjacentChance) {
     newI = adjacent(x, i, BACKGROUND);
 
   if (newI !== -1) {
-    gameImagedata32[newI] = gameImagedata32[i];
-    gameImagedata32[i] = BACKGROUND;
+    setGridElement(newI, gameGrid[i]);
+    setGridElement(i, BACKGROUND);
+    moveHeat(i, newI);
     return true;
   }
 
@@ -1237,8 +1558,9 @@ function doDensitySink(x, y, i, heavierThan, sinkAdjacent, chance) {
 
   if (newI === -1) return false;
 
-  gameImagedata32[newI] = gameImagedata32[i];
-  gameImagedata32[i] = heavierThan;
+  setGridElement(newI, gameGrid[i]);
+  setGridElement(i, heavierThan);
+  moveHeat(i, newI);
   return true;
 }
 
@@ -1253,8 +1575,116 @@ function doDensityLiquid(x, y, i, heavierThan, sinkChance, equalizeChance) {
 
   if (newI === -1) return false;
 
-  gameImagedata32[newI] = gameImagedata32[i];
-  gameImagedata32[i] = heavierThan;
+  setGridElement(newI, gameGrid[i]);
+  setGridElement(i, heavierThan);
+  moveHeat(i, newI);
+  return true;
+}
+
+/*
+ * The chance that sinker sinks through elem, given the chance its action
+ * gives: 0 unless elem is a lighter liquid, and otherwise the chance
+ * declared in sinker's sinkChances, if any
+ */
+function __sinkChance(sinker, elem, chance) {
+  if (ELEMENT_STATE[elem] !== STATE_LIQUID) return 0;
+  if (!(ELEMENT_DENSITY[elem] < ELEMENT_DENSITY[sinker])) return 0;
+
+  const declared = ELEMENT_SINK_CHANCES[sinker];
+  if (declared !== null && elem in declared) return declared[elem];
+  return chance;
+}
+
+/*
+ * Like doDensitySink(), but sinks the current element through any liquid
+ * lighter than it (as declared in the element registry), with the chance
+ * declared for that liquid if there is one (see sinkChances).
+ */
+function doDensitySinkAny(x, y, i, sinkAdjacent, chance) {
+  const sinker = gameGrid[i];
+  const roll = random();
+  /* Without declared chances, every liquid is sunk through at chance */
+  if (roll >= chance && ELEMENT_SINK_CHANCES[sinker] === null) return false;
+
+  if (y === MAX_Y_IDX) return false;
+
+  const belowSpot = i + width;
+  var newI = -1;
+  if (roll < __sinkChance(sinker, gameGrid[belowSpot], chance)) {
+    newI = belowSpot;
+  } else if (sinkAdjacent) {
+    const belowLeftSpot = belowSpot - 1;
+    const belowLeftMatch =
+      x !== 0 && roll < __sinkChance(sinker, gameGrid[belowLeftSpot], chance)
+        ? belowLeftSpot
+        : -1;
+    const belowRightSpot = belowSpot + 1;
+    const belowRightMatch =
+      x !== MAX_X_IDX && roll < __sinkChance(sinker, gameGrid[belowRightSpot], chance)
+        ? belowRightSpot
+        : -1;
+    newI = __pickRandValid(belowLeftMatch, belowRightMatch);
+  }
+
+  if (newI === -1) return false;
+
+  const lighter = gameGrid[newI];
+  setGridElement(newI, gameGrid[i]);
+  setGridElement(i, lighter);
+  moveHeat(i, newI);
+  return true;
+}
+
+/*
+ * Like doDensityLiquid(), but sinks the current liquid through any liquid
+ * lighter than it (as declared in the element registry). A chance declared
+ * for that liquid (see sinkChances) takes the place of both sinkChance and
+ * equalizeChance.
+ */
+function doDensityLiquidAny(x, y, i, sinkChance, equalizeChance) {
+  const liquid = gameGrid[i];
+  const declared = ELEMENT_SINK_CHANCES[liquid] !== null;
+  var newI = -1;
+
+  const sinkRoll = random();
+  if (y !== MAX_Y_IDX && (declared || sinkRoll < sinkChance)) {
+    const belowSpot = i + width;
+    if (sinkRoll < __sinkChance(liquid, gameGrid[belowSpot], sinkChance)) {
+      newI = belowSpot;
+    } else {
+      const belowLeftMatch =
+        x !== 0 && sinkRoll < __sinkChance(liquid, gameGrid[belowSpot - 1], sinkChance)
+          ? belowSpot - 1
+          : -1;
+      const belowRightMatch =
+        x !== MAX_X_IDX && sinkRoll < __sinkChance(liquid, gameGrid[belowSpot + 1], sinkChance)
+          ? belowSpot + 1
+          : -1;
+      newI = __pickRandValid(belowLeftMatch, belowRightMatch);
+    }
+  }
+
+  if (newI === -1) {
+    const equalizeRoll = random();
+    if (declared || equalizeRoll < equalizeChance) {
+      const leftMatch =
+        x !== 0 && equalizeRoll < __sinkChance(liquid, gameGrid[i - 1], equalizeChance)
+          ? i - 1
+          : -1;
+      const rightMatch =
+        x !== MAX_X_IDX && equalizeRoll < __sinkChance(liquid, gameGrid[i + 1], equalizeChance)
+          ? i + 1
+          : -1;
+      newI = __pickRandValid(leftMatch, rightMatch);
+    }
+  }
+
+  if (newI === -1) return false;
+
+  const lighter = gameGrid[newI];
+  setGridElement(newI, gameGrid[i]);
+  setGridElement(i, lighter);
+  moveHeat(i, newI);
   return true;
 }
 
@@ -1264,17 +1694,17 @@ function doGrow(x, y, i, intoColor, chance) {
   const growLoc = borderingAdjacent(x, y, i, intoColor);
   if (growLoc === -1) return false;
 
-  gameImagedata32[growLoc] = gameImagedata32[i];
+  setGridElement(growLoc, gameGrid[i]);
   return true;
 }
 
 function __doBorderBurn(x, y, i) {
-  if (y !== 0) gameImagedata32[i - width] = FIRE;
-  if (y !== MAX_Y_IDX) gameImagedata32[i + width] = FIRE;
-  if (x !== 0) gameImagedata32[i - 1] = FIRE;
-  if (x !== MAX_X_IDX) gameImagedata32[i + 1] = FIRE;
+  if (y !== 0) setGridElement(i - width, FIRE);
+  if (y !== MAX_Y_IDX) setGridElement(i + width, FIRE);
+  if (x !== 0) setGridElement(i - 1, FIRE);
+  if (x !== MAX_X_IDX) setGridElement(i + 1, FIRE);
 
-  gameImagedata32[i] = FIRE;
+  setGridElement(i, FIRE);
 }
 
 function __doGunpowderExplosion(x, y, i) {
@@ -1283,22 +1713,22 @@ function __doGunpowderExplosion(x, y, i) {
   const isNotLeftmost = x !== 0;
   const isNotRightmost = x !== MAX_X_IDX;
 
-  gameImagedata32[i] = replace;
+  setGridElement(i, replace);
   if (y !== 0) {
     const up = i - width;
-    gameImagedata32[up] = replace;
-    if (isNotLeftmost) gameImagedata32[up - 1] = replace;
-    if (isNotRightmost) gameImagedata32[up + 1] = replace;
+    setGridElement(up, replace);
+    if (isNotLeftmost) setGridElement(up - 1, replace);
+    if (isNotRightmost) setGridElement(up + 1, replace);
   }
 
-  if (isNotLeftmost) gameImagedata32[i - 1] = replace;
-  if (isNotRightmost) gameImagedata32[i + 1] = replace;
+  if (isNotLeftmost) setGridElement(i - 1, replace);
+  if (isNotRightmost) setGridElement(i + 1, replace);
 
   if (y !== MAX_Y_IDX) {
     const down = i + width;
-    gameImagedata32[down] = replace;
-    if (isNotLeftmost) gameImagedata32[down - 1] = replace;
-    if (isNotRightmost) gameImagedata32[down + 1] = replace;
+    setGridElement(down, replace);
+    if (isNotLeftmost) setGridElement(down - 1, replace);
+    if (isNotRightmost) setGridElement(down + 1, replace);
   }
 
   if (!burn) return;
@@ -1308,23 +1738,23 @@ function __doGunpowderExplosion(x, y, i) {
 
   if (y - 2 >= 0) {
     const twoUp = i - 2 * width;
-    if (gameImagedata32[twoUp] !== GUNPOWDER || random() < 50)
-      gameImagedata32[twoUp] = FIRE;
+    if (gameGrid[twoUp] !== GUNPOWDER || random() < 50)
+      setGridElement(twoUp, FIRE);
   }
   if (y + 2 >= 0) {
     const twoDown = i + 2 * width;
-    if (gameImagedata32[twoDown] !== GUNPOWDER || random() < 50)
-      gameImagedata32[twoDown] = FIRE;
+    if (gameGrid[twoDown] !== GUNPOWDER || random() < 50)
+      setGridElement(twoDown, FIRE);
   }
   if (x - 2 >= 0) {
     const twoLeft = i - 2;
-    if (gameImagedata32[twoLeft] !== GUNPOWDER || random() < 50)
-      gameImagedata32[twoLeft] = FIRE;
+    if (gameGrid[twoLeft] !== GUNPOWDER || random() < 50)
+      setGridElement(twoLeft, FIRE);
   }
   if (x + 2 >= 0) {
     const twoRight = i + 2;
-    if (gameImagedata32[twoRight] !== GUNPOWDER || random() < 50)
-      gameImagedata32[twoRight] = FIRE;
+    if (gameGrid[twoRight] !== GUNPOWDER || random() < 50)
+      setGridElement(twoRight, FIRE);
   }
 }
 
@@ -1343,8 +1773,8 @@ function doTransform(
   const transformLoc = bordering(x, y, i, transformBy);
   if (transformLoc === -1) return false;
 
-  gameImagedata32[i] = transformInto;
-  if (rand < consumeChance) gameImagedata32[transformLoc] = transformInto;
+  setGridElement(i, transformInto);
+  if (rand < consumeChance) setGridElement(transformLoc, transformInto);
   return true;
 }
 
@@ -1356,20 +1786,20 @@ function doProducer(x, y, i, produce, overwriteAdjacent, chance) {
   const left = i - 1;
   const right = i + 1;
 
-  if (y !== 0 && (overwriteAdjacent || gameImagedata32[up] === BACKGROUND))
-    gameImagedata32[up] = produce;
+  if (y !== 0 && (overwriteAdjacent || gameGrid[up] === BACKGROUND))
+    setGridElement(up, produce);
   if (
     y !== MAX_Y_IDX &&
-    (overwriteAdjacent || gameImagedata32[down] === BACKGROUND)
+    (overwriteAdjacent || gameGrid[down] === BACKGROUND)
   )
-    gameImagedata32[down] = produce;
-  if (x !== 0 && (overwriteAdjacent || gameImagedata32[left] === BACKGROUND))
-    gameImagedata32[left] = produce;
+    setGridElement(down, produce);
+  if (x !== 0 && (overwriteAdjacent || gameGrid[left] === BACKGROUND))
+    setGridElement(left, produce);
   if (
     x !== MAX_X_IDX &&
-    (overwriteAdjacent || gameImagedata32[right] === BACKGROUND)
+    (overwriteAdjacent || gameGrid[right] === BACKGROUND)
   )
-    gameImagedata32[right] = produce;
+    setGridElement(right, produce);
 }
 
 /*
@@ -1380,20 +1810,18 @@ function uniformBelowAdjacent(x, y, i) {
   if (y === MAX_Y_IDX) return -1;
 
   const belowIdx = i + width;
-  const belowElem = gameImagedata32[belowIdx];
+  const belowElem = gameGrid[belowIdx];
 
-  if (x !== 0 && gameImagedata32[belowIdx - 1] !== belowElem) return -1;
+  if (x !== 0 && gameGrid[belowIdx - 1] !== belowElem) return -1;
 
-  if (x !== MAX_X_IDX && gameImagedata32[belowIdx + 1] !== belowElem) return -1;
+  if (x !== MAX_X_IDX && gameGrid[belowIdx + 1] !== belowElem) return -1;
 
   return belowElem;
 }
 
 function gasPermeable(elem) {
-  /* optimize for common case */
-  if (elem === BACKGROUND || elem === STEAM || elem === METHANE) return false;
-
-  return elem in GAS_PERMEABLE;
+  /* elem may be -1, for off the canvas */
+  return ELEMENT_GAS_PERMEABLE[elem] === 1;
 }
 
 /* allow elements to fall through/displace gas elements */
@@ -1402,19 +1830,19 @@ function doDensityGas(x, y, i, chance) {
 
   if (y === 0) return false;
 
-  const gasElem = gameImagedata32[i];
+  const gasElem = gameGrid[i];
 
   var swapSpot = -1;
   const aboveSpot = i - width;
   const aboveLeft = aboveSpot - 1;
   const aboveRight = aboveSpot + 1;
-  const aboveElem = gameImagedata32[aboveSpot];
+  const aboveElem = gameGrid[aboveSpot];
   if (gasPermeable(aboveElem)) swapSpot = aboveSpot;
   else {
     const aboveLeft = aboveSpot - 1;
     const aboveRight = aboveSpot + 1;
-    const aboveLeftElem = x !== 0 ? gameImagedata32[aboveLeft] : -1;
-    const aboveRightElem = x !== MAX_X_IDX ? gameImagedata32[aboveRight] : -1;
+    const aboveLeftElem = x !== 0 ? gameGrid[aboveLeft] : -1;
+    const aboveRightElem = x !== MAX_X_IDX ? gameGrid[aboveRight] : -1;
     var swapAboveLeft = -1;
     var swapAboveRight = -1;
 
@@ -1440,19 +1868,20 @@ function doDensityGas(x, y, i, chance) {
    * like a gas.
    */
   if (swapSpot === -1 && x !== 0 && x !== MAX_X_IDX && y !== MAX_Y_IDX) {
-    const leftElem = gameImagedata32[i - 1];
-    if (gasPermeable(leftElem) && gameImagedata32[i - 1 + width] !== gasElem) {
+    const leftElem = gameGrid[i - 1];
+    if (gasPermeable(leftElem) && gameGrid[i - 1 + width] !== gasElem) {
       swapSpot = i - 1;
     } else {
-      const rightElem = gameImagedata32[i + 1];
-      if (gasPermeable(rightElem) && gameImagedata32[i + 1 + width] !== gasElem)
+      const rightElem = gameGrid[i + 1];
+      if (gasPermeable(rightElem) && gameGrid[i + 1 + width] !== gasElem)
         swapSpot = i + 1;
     }
   }
 
   if (swapSpot === -1) return false;
 
-  gameImagedata32[i] = gameImagedata32[swapSpot];
-  gameImagedata32[swapSpot] = gasElem;
+  setGridElement(i, gameGrid[swapSpot]);
+  setGridElement(swapSpot, gasElem);
+  moveHeat(i, swapSpot);
   return true;
 }
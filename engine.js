@@ -0,0 +1,504 @@
+/*
+ * The simulation engine. Everything needed to step a world forward lives
+ * here and in util.js, particles.js, elements.js, heat.js and spigots.js,
+ * none of which touch the DOM. This lets the simulation run outside of the
+ * browser (see headless.js).
+ *
+ * Copyright (C) 2020, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* ================================ Globals ================================ */
+
+/*
+ * The element and particle code is written against these globals, rather
+ * than passing a world into every (very hot) element action. They are bound
+ * to the fields of the active world by useWorld().
+ */
+var width = 0;
+var height = 0;
+var MAX_X_IDX = -1;
+var MAX_Y_IDX = -1;
+var MAX_IDX = -1;
+var gameGrid = null;
+var gameTemperature = null;
+var heatElems = null;
+var particleLayer = null;
+var particles = null;
+var chunkCols = 0;
+var chunkRows = 0;
+var activeChunks = null;
+var pixelChunks = null;
+var dirtyChunks = null;
+
+var activeWorld = null;
+
+/*
+ * The number of frames updated so far, across all worlds. Used to tell
+ * frames apart, for example when budgeting custom element actions.
+ */
+var frameCount = 0;
+
+var __engine_initialized = false;
+
+/*
+ * The grid is divided into CHUNK_SIZE x CHUNK_SIZE chunks. A chunk that has
+ * not changed for CHUNK_SLEEP_FRAMES frames, holds only IDLE_ELEMENTS, and
+ * has no element touching one it has a reaction rule with (see
+ * reactions.js), goes to sleep. We only simulate awake chunks, and their
+ * neighbors (so that a sleeping chunk notices activity right next to it).
+ *
+ * Writes into the grid go through setGridElement(), which marks the chunk
+ * written to as changed, so that anything writing into a sleeping chunk
+ * wakes it. Restless elements, and elements touching a reaction partner,
+ * mark their chunk as they are simulated. Custom action code writes the
+ * grid directly, but it only runs for restless elements, whose chunk (and
+ * so its neighbors) never sleeps.
+ */
+const CHUNK_SIZE_SHIFT = 4;
+const CHUNK_SIZE = 1 << CHUNK_SIZE_SHIFT;
+const CHUNK_SLEEP_FRAMES = 30;
+
+/* ========================================================================= */
+
+/*
+ * All of the state for a single simulation. There may be any number of
+ * worlds, but only the active one (see useWorld()) is updated.
+ *
+ * Two worlds with the same seed and contents evolve identically. If no
+ * seed is given, a fresh one is picked.
+ *
+ * The grid and temperatures may optionally be placed in existing buffers
+ * (for example, SharedArrayBuffers, so they can be shared with a worker);
+ * see createSharedBuffers().
+ */
+class World {
+  constructor(width, height, seed, sharedBuffers) {
+    if (!(width > 0 && height > 0)) throw "Invalid world dimensions";
+
+    if (seed === undefined) seed = newRandomSeed();
+    const parsedSeed = parseSeed(seed);
+    if (parsedSeed === null) throw "Invalid seed: " + seed;
+
+    this.width = width;
+    this.height = height;
+
+    /* The element id of every pixel. This is the actual game state. */
+    this.grid = sharedBuffers
+      ? new Uint16Array(sharedBuffers.grid, 0, width * height)
+      : new Uint16Array(width * height);
+
+    /* The temperature of every pixel, and whose it is; see heat.js */
+    this.temperature = sharedBuffers
+      ? new Float32Array(sharedBuffers.temperature, 0, width * height)
+      : new Float32Array(width * height);
+    this.temperature.fill(AMBIENT_TEMPERATURE);
+    this.heatElems = new Uint16Array(width * height);
+
+    /* What particles have drawn this frame; see updateParticles() */
+    this.particleLayer = new Uint16Array(width * height);
+
+    /* See CHUNK_SIZE. All chunks start out awake. */
+    this.chunkCols = Math.ceil(width / CHUNK_SIZE);
+    this.chunkRows = Math.ceil(height / CHUNK_SIZE);
+    this.chunkTimers = new Uint8Array(this.chunkCols * this.chunkRows);
+    this.chunkTimers.fill(CHUNK_SLEEP_FRAMES);
+    /* nonzero for each chunk simulated this frame */
+    this.activeChunks = new Uint8Array(this.chunkCols * this.chunkRows);
+    /* nonzero for each chunk changed since the previous frame */
+    this.dirtyChunks = new Uint8Array(this.chunkCols * this.chunkRows);
+    /* the chunk of every pixel, so writes needn't divide to find it */
+    this.pixelChunks = new Uint32Array(width * height);
+    for (var y = 0; y !== height; y++) {
+      const chunkRowOffset = (y >> CHUNK_SIZE_SHIFT) * this.chunkCols;
+      for (var x = 0; x !== width; x++)
+        this.pixelChunks[y * width + x] = chunkRowOffset + (x >> CHUNK_SIZE_SHIFT);
+    }
+
+    this.particles = new ParticleList(MAX_NUM_PARTICLES);
+
+    /* Lazily allocated by saveGameCanvas() */
+    this.savedGrid = null;
+    this.savedRngState = 0;
+    this.savedNextRand = 0;
+
+    this.seed = parsedSeed;
+    this.randInts = __newRandInts(parsedSeed);
+    this.nextRand = 0;
+    this.rngState = parsedSeed | 0;
+  }
+}
+
+/* Makes world the target of all subsequent engine calls */
+function useWorld(world) {
+  if (activeWorld === world) return;
+
+  /* Preserve the random state of the outgoing world */
+  if (activeWorld) {
+    activeWorld.nextRand = __next_rand;
+    activeWorld.rngState = __rng_state;
+  }
+
+  activeWorld = world;
+
+  width = world.width;
+  height = world.height;
+  MAX_X_IDX = width - 1;
+  MAX_Y_IDX = height - 1;
+  MAX_IDX = width * height - 1;
+  gameGrid = world.grid;
+  gameTemperature = world.temperature;
+  heatElems = world.heatElems;
+  particleLayer = world.particleLayer;
+  particles = world.particles;
+  chunkCols = world.chunkCols;
+  chunkRows = world.chunkRows;
+  activeChunks = world.activeChunks;
+  pixelChunks = world.pixelChunks;
+  dirtyChunks = world.dirtyChunks;
+
+  __rand_ints = world.randInts;
+  __next_rand = world.nextRand;
+  __rng_state = world.rngState;
+}
+
+/*
+ * Restarts the random sequence of the active world from the given seed.
+ * Doesn't touch the grid.
+ */
+function setWorldSeed(seed) {
+  const parsed = parseSeed(seed);
+  if (parsed === null) throw "Invalid seed: " + seed;
+
+  activeWorld.seed = parsed;
+  activeWorld.randInts = __newRandInts(parsed);
+  __rand_ints = activeWorld.randInts;
+  __next_rand = 0;
+  __rng_state = parsed | 0;
+}
+
+function getWorldSeed() {
+  return activeWorld.seed;
+}
+
+/* Only needs to be called once, no matter how many worlds we create */
+function initEngine() {
+  if (__engine_initialized) return;
+
+  initElements();
+  initHeat();
+  initParticles();
+  initSpigots();
+
+  __engine_initialized = true;
+}
+
+/*
+ * Writes elem into the grid at i. Everything that modifies the grid should
+ * go through here, so that the chunk written to wakes up (see CHUNK_SIZE).
+ */
+function setGridElement(i, elem) {
+  if (gameGrid[i] === elem) return;
+  gameGrid[i] = elem;
+  dirtyChunks[pixelChunks[i]] = 1;
+}
+
+/*
+ * Wakes every chunk of the active world. Needed when elements change in a
+ * way that the grid doesn't show, such as a custom element being redefined
+ * as restless.
+ */
+function wakeAllChunks() {
+  dirtyChunks.fill(1);
+}
+
+/*
+ * Decides which chunks to simulate this frame. A chunk is kept awake if it
+ * changed since we last checked, holds a restless element, or has an
+ * element touching a reaction partner.
+ */
+function updateChunks() {
+  const chunkTimers = activeWorld.chunkTimers;
+  const numChunks = chunkRows * chunkCols;
+
+  var cx, cy, x, y;
+  for (var chunk = 0; chunk !== numChunks; chunk++) {
+    if (dirtyChunks[chunk] !== 0) chunkTimers[chunk] = CHUNK_SLEEP_FRAMES;
+    else if (chunkTimers[chunk] !== 0) chunkTimers[chunk]--;
+  }
+  dirtyChunks.fill(0);
+
+  /* simulate every awake chunk, and its neighbors */
+  activeChunks.fill(0);
+  for (cy = 0; cy !== chunkRows; cy++) {
+    for (cx = 0; cx !== chunkCols; cx++) {
+      if (chunkTimers[cy * chunkCols + cx] === 0) continue;
+
+      const cyStart = Math.max(cy - 1, 0);
+      const cyEnd = Math.min(cy + 1, chunkRows - 1);
+      const cxStart = Math.max(cx - 1, 0);
+      const cxEnd = Math.min(cx + 1, chunkCols - 1);
+      for (y = cyStart; y <= cyEnd; y++) {
+        for (x = cxStart; x <= cxEnd; x++) {
+          activeChunks[y * chunkCols + x] = 1;
+        }
+      }
+    }
+  }
+}
+
+/* Advances the active world by a single frame */
+function updateGame() {
+  frameCount++;
+  updateSpigots();
+  updateParticles();
+  updateChunks();
+
+  var x, y;
+  var i = MAX_IDX;
+  /*
+   * Since i starts at MAX_IDX, we need to guarantee that we will start
+   * our traversal by going to the left.
+   */
+  const direction = MAX_Y_IDX & 1;
+
+  /*
+   * Iterate the canvas from the bottom to top, zigzagging
+   * the rows left and right.
+   * To optimize for speed, we duplicate the code for the
+   * left->right and right->left cases, as this is our hottest
+   * inner path. This sacrifices readability, and violates DRY,
+   * but is necessary for game performance.
+   */
+  for (y = MAX_Y_IDX; y !== -1; y--) {
+    const Y = y;
+    const chunkRowOffset = (Y >> CHUNK_SIZE_SHIFT) * chunkCols;
+    if ((Y & 1) === direction) {
+      for (x = MAX_X_IDX; x !== -1; x--) {
+        const elem = gameGrid[i];
+        if (elem === BACKGROUND) {
+          i--;
+          continue; /* optimize to skip background */
+        }
+        if (activeChunks[chunkRowOffset + (x >> CHUNK_SIZE_SHIFT)] === 0) {
+          i--;
+          continue; /* asleep */
+        }
+        /* restless elements keep their chunk awake */
+        if (IDLE_ELEMENTS[elem] === 0)
+          dirtyChunks[chunkRowOffset + (x >> CHUNK_SIZE_SHIFT)] = 1;
+
+        /* reaction rules come first, and a reaction ends the turn */
+        if (REACTIVE_ELEMENTS[elem] !== 0 && doElementReactions(x, Y, i)) {
+          i--;
+          continue;
+        }
+
+        // Built-in and custom elements share the same id space, so a single
+        // array lookup dispatches either. Custom particle actions are already
+        // wrapped in a safety function.
+        try {
+          elementActions[elem](x, Y, i);
+        } catch (error) {
+          console.error(`Error with element at (${x}, ${Y}):`, error);
+          // Don't modify the element in case of error
+        }
+
+        i--;
+      }
+      i++;
+    } else {
+      for (x = 0; x !== width; x++) {
+        const elem = gameGrid[i];
+        if (elem === BACKGROUND) {
+          i++;
+          continue;
+        }
+        if (activeChunks[chunkRowOffset + (x >> CHUNK_SIZE_SHIFT)] === 0) {
+          i++;
+          continue;
+        }
+        if (IDLE_ELEMENTS[elem] === 0)
+          dirtyChunks[chunkRowOffset + (x >> CHUNK_SIZE_SHIFT)] = 1;
+
+        /* reaction rules come first, and a reaction ends the turn */
+        if (REACTIVE_ELEMENTS[elem] !== 0 && doElementReactions(x, Y, i)) {
+          i++;
+          continue;
+        }
+
+        // Built-in and custom elements share the same id space, so a single
+        // array lookup dispatches either. Custom particle actions are already
+        // wrapped in a safety function.
+        try {
+          elementActions[elem](x, Y, i);
+        } catch (error) {
+          console.error(`Error with element at (${x}, ${Y}):`, error);
+          // Don't modify the element in case of error
+        }
+
+        i++;
+      }
+      i--;
+    }
+    i -= width;
+  }
+
+  updateHeat();
+}
+
+function setGameCanvas(elem) {
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++) {
+    gameGrid[i] = elem;
+  }
+  wakeAllChunks();
+}
+
+function clearGameCanvas() {
+  particles.inactivateAll();
+  setGameCanvas(BACKGROUND);
+}
+
+/*
+ * Saves the current canvas state, along with our position in the random
+ * sequence. Note that we don't also save particle state, or temperatures
+ * (elements that differ on load start at their natural temperature).
+ */
+function saveGameCanvas() {
+  if (!activeWorld.savedGrid)
+    activeWorld.savedGrid = new Uint16Array(gameGrid.length);
+
+  /*
+   * Copy it manually, rather than use a slice, so that the saved grid
+   * keeps a constant pointer.
+   */
+  const savedGrid = activeWorld.savedGrid;
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++)
+    savedGrid[i] = gameGrid[i];
+
+  activeWorld.savedRngState = __rng_state;
+  activeWorld.savedNextRand = __next_rand;
+}
+
+function loadGameCanvas() {
+  const savedGrid = activeWorld.savedGrid;
+  if (!savedGrid)
+    return;
+
+  particles.inactivateAll();
+
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++)
+    gameGrid[i] = savedGrid[i];
+  wakeAllChunks();
+
+  __rng_state = activeWorld.savedRngState;
+  __next_rand = activeWorld.savedNextRand;
+}
+
+/* ============================== Save files ============================== */
+
+/*
+ * The version of the engine's behavior, recorded in files that depend on it
+ * (see particle-packs.js). Bump it when elements change in ways that would
+ * change how existing custom particles behave.
+ */
+const ENGINE_VERSION = 1;
+
+const SAVE_FILE_VERSION = 1;
+
+/*
+ * Serializes the active world into a plain object, suitable for JSON. The
+ * seed and our position in the random sequence are included, so that
+ * loading the save replays the world exactly (absent user input). As with
+ * saveGameCanvas(), particle state is not saved. Nor are temperatures;
+ * every element starts at its natural temperature after loading.
+ *
+ * The grid is run-length encoded as a flat list of [elem, count] pairs.
+ */
+function serializeWorld() {
+  const runs = [];
+  var runElem = gameGrid[0];
+  var runLength = 0;
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++) {
+    const elem = gameGrid[i];
+    if (elem === runElem) {
+      runLength++;
+      continue;
+    }
+    runs.push(runElem, runLength);
+    runElem = elem;
+    runLength = 1;
+  }
+  runs.push(runElem, runLength);
+
+  return {
+    version: SAVE_FILE_VERSION,
+    width: width,
+    height: height,
+    seed: activeWorld.seed,
+    rngState: __rng_state,
+    nextRand: __next_rand,
+    grid: runs
+  };
+}
+
+/* Loads a save produced by serializeWorld() into the active world */
+function deserializeWorld(save) {
+  if (!save || typeof save !== "object") throw "Save file is not an object";
+  if (save.version !== SAVE_FILE_VERSION)
+    throw "Unsupported save file version: " + save.version;
+  if (save.width !== width || save.height !== height)
+    throw (
+      "Save file is " + save.width + "x" + save.height +
+      ", but the world is " + width + "x" + height
+    );
+  if (parseSeed(save.seed) === null) throw "Invalid seed: " + save.seed;
+
+  /* Validate fully before we modify anything */
+  const runs = save.grid;
+  if (!Array.isArray(runs) || runs.length % 2 !== 0)
+    throw "Save file grid is malformed";
+  var total = 0;
+  var r;
+  for (r = 0; r < runs.length; r += 2) {
+    const elem = runs[r];
+    const count = runs[r + 1];
+    if (!Number.isInteger(elem) || !elementActions[elem])
+      throw "Save file contains an unknown element: " + elem;
+    if (!Number.isInteger(count) || count < 1)
+      throw "Save file grid is malformed";
+    total += count;
+  }
+  if (total !== MAX_IDX + 1) throw "Save file grid is the wrong size";
+
+  particles.inactivateAll();
+
+  var i = 0;
+  for (r = 0; r < runs.length; r += 2) {
+    const elem = runs[r];
+    const runEnd = i + runs[r + 1];
+    for (; i !== runEnd; i++) gameGrid[i] = elem;
+  }
+  wakeAllChunks();
+  resetHeat();
+
+  setWorldSeed(save.seed);
+  __rng_state = save.rngState | 0;
+  __next_rand = Math.min(Math.max(save.nextRand | 0, 0), __num_rand_ints - 1);
+}
@@ -19,6 +19,24 @@
 
 /* ================================ Globals ================================ */
 
+/*
+ * The world shown on screen. Binds width, height, gameGrid, etc. If we can,
+ * its grid is shared with the simulation worker.
+ */
+const gameWorld = new World(
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  undefined,
+  createSharedBuffers(CANVAS_WIDTH, CANVAS_HEIGHT)
+);
+useWorld(gameWorld);
+
+/*
+ * Runs the simulation of gameWorld, possibly on another thread. All changes
+ * to the world must go through it. See simulation.js.
+ */
+var simulation = null;
+
 /* Scaling due to device pixel ratio */
 const onscreenPixelRatio = window.devicePixelRatio;
 const onscreenScaledWidth = onscreenPixelRatio * width;
@@ -43,14 +61,21 @@ const gameCtx = gameCanvas.getContext("2d", { alpha: false });
 const gameImagedata = gameCtx.createImageData(width, height);
 const gameImagedata32 = new Uint32Array(gameImagedata.data.buffer);
 
-/* Storage for game save state. */
-const saveGameImagedata32 = new Uint32Array(gameImagedata32.length);
-var gamestateSaved = false;
+/* Outline the chunks being simulated. Controlled via the menu. */
+var SHOW_CHUNKS = false;
+
+/* Draw temperatures instead of elements. Controlled via the menu. */
+var THERMAL_VIEW = false;
 
-/* Cached for performance */
-const MAX_X_IDX = width - 1;
-const MAX_Y_IDX = height - 1;
-const MAX_IDX = width * height - 1;
+/*
+ * Colors for the thermal view, from THERMAL_MIN_TEMPERATURE (deep blue)
+ * through ambient (dark gray) to THERMAL_MAX_TEMPERATURE (white hot).
+ * Background pixels are drawn black. See initThermalPalette().
+ */
+const THERMAL_MIN_TEMPERATURE = -200;
+const THERMAL_MAX_TEMPERATURE = 1300;
+const THERMAL_PALETTE_SIZE = 256;
+const thermalPalette = new Uint32Array(THERMAL_PALETTE_SIZE);
 
 /* Globals for tracking and maintaining FPS */
 var fpsSetting; /* controlled via menu */
@@ -71,18 +96,11 @@ function init() {
   setFPS(DEFAULT_FPS);
 
   initCursors();
-  initElements();
-  initParticles();
-  initSpigots();
+  initEngine();
+  initThermalPalette();
+  simulation = createSimulation(gameWorld);
   initMenu();
 
-  /* Initialize imagedata */
-  const len = gameImagedata32.length;
-  for (var i = 0; i < len; i++) {
-    gameImagedata32[i] = BACKGROUND;
-    saveGameImagedata32[i] = BACKGROUND;
-  }
-
   /* Nice crisp pixels, regardless of pixel ratio */
   onscreenCtx.mozImageSmoothingEnabled = false;
   onscreenCtx.imageSmoothingEnabled = false;
@@ -97,105 +115,126 @@ function setFPS(fps) {
   else drawFPSLabel(0);
 }
 
-function updateGame() {
-  updateSpigots();
-  updateParticles();
+/* Signal that the simulation has advanced some frames */
+function onFramesStepped(frames) {
+  for (var f = 0; f !== frames; f++) perfRecordFrame();
+  frameDebt -= frames;
+}
 
-  var x, y;
-  var i = MAX_IDX;
-  /*
-   * Since i starts at MAX_IDX, we need to guarantee that we will start
-   * our traversal by going to the left.
-   */
-  const direction = MAX_Y_IDX & 1;
+/* Advance the game by a single frame. Only for in-thread simulations. */
+function stepGame() {
+  simulation.step(1, onFramesStepped);
+}
 
-  /*
-   * Iterate the canvas from the bottom to top, zigzagging
-   * the rows left and right.
-   * To optimize for speed, we duplicate the code for the
-   * left->right and right->left cases, as this is our hottest
-   * inner path. This sacrifices readability, and violates DRY,
-   * but is necessary for game performance.
-   */
-  for (y = MAX_Y_IDX; y !== -1; y--) {
-    const Y = y;
-    if ((Y & 1) === direction) {
-      for (x = MAX_X_IDX; x !== -1; x--) {
-        const elem = gameImagedata32[i];
-        if (elem === BACKGROUND) {
-          i--;
-          continue; /* optimize to skip background */
-        }
-        
-        // Ultra safe custom element handling
-        if (customElementActions && customElementActions[elem]) {
-          try {
-            // Custom particle actions are already wrapped in a safety function
-            customElementActions[elem](x, Y, i);
-          } catch (error) {
-            console.error(`Error executing custom element action at (${x}, ${Y}):`, error);
-            // Fallback to sand-like behavior
-            doGravity(x, Y, i, true, 1.0);
-          }
-        } else {
-          // Standard element indexing and execution
-          try {
-            const elem_idx =
-              ((elem & 0x30000) >>> 12) + ((elem & 0x300) >>> 6) + (elem & 0x3);
-            // Use the standard element action
-            elementActions[elem_idx](x, Y, i);
-          } catch (error) {
-            console.error(`Error with standard element at (${x}, ${Y}):`, error);
-            // Don't modify the element in case of error
-          }
-        }
-        
-        i--;
-      }
-      i++;
+/*
+ * Elements with a colorVariance (see elementProperties) are drawn in a few
+ * shades of their color. Each pixel always picks the same shade, so still
+ * particles don't flicker. Shades are indexed by element id, and rebuilt
+ * whenever an element's color or variance changes.
+ */
+const NUM_ELEMENT_SHADES = 16;
+const elementShades = [];
+
+function getElementShades(elem) {
+  const color = elementColors[elem];
+  const variance = ELEMENT_COLOR_VARIANCE[elem];
+  var shades = elementShades[elem];
+  if (shades && shades.color === color && shades.variance === variance)
+    return shades.colors;
+
+  const r = color & 0xff;
+  const g = (color >>> 8) & 0xff;
+  const b = (color >>> 16) & 0xff;
+  const colors = new Uint32Array(NUM_ELEMENT_SHADES);
+  for (var s = 0; s !== NUM_ELEMENT_SHADES; s++) {
+    const offset = Math.round(
+      ((2 * s) / (NUM_ELEMENT_SHADES - 1) - 1) * variance
+    );
+    colors[s] =
+      (0xff000000 |
+        (Math.max(0, Math.min(255, b + offset)) << 16) |
+        (Math.max(0, Math.min(255, g + offset)) << 8) |
+        Math.max(0, Math.min(255, r + offset))) >>>
+      0;
+  }
+
+  elementShades[elem] = { color: color, variance: variance, colors: colors };
+  return colors;
+}
+
+/* Fill in the canvas imagedata from the element grid */
+function renderGameImagedata(grid) {
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++) {
+    const elem = grid[i];
+    if (ELEMENT_COLOR_VARIANCE[elem] === 0) {
+      gameImagedata32[i] = elementColors[elem];
     } else {
-      for (x = 0; x !== width; x++) {
-        const elem = gameImagedata32[i];
-        if (elem === BACKGROUND) {
-          i++;
-          continue;
-        }
-        
-        // Ultra safe custom element handling
-        if (customElementActions && customElementActions[elem]) {
-          try {
-            // Custom particle actions are already wrapped in a safety function
-            customElementActions[elem](x, Y, i);
-          } catch (error) {
-            console.error(`Error executing custom element action at (${x}, ${Y}):`, error);
-            // Fallback to sand-like behavior
-            doGravity(x, Y, i, true, 1.0);
-          }
-        } else {
-          // Standard element indexing and execution
-          try {
-            const elem_idx =
-              ((elem & 0x30000) >>> 12) + ((elem & 0x300) >>> 6) + (elem & 0x3);
-            // Use the standard element action
-            elementActions[elem_idx](x, Y, i);
-          } catch (error) {
-            console.error(`Error with standard element at (${x}, ${Y}):`, error);
-            // Don't modify the element in case of error
-          }
-        }
-        
-        i++;
-      }
-      i--;
+      /* a cheap hash of i picks the shade */
+      gameImagedata32[i] = getElementShades(elem)[
+        Math.imul(i, 0x9e3779b1) >>> 28
+      ];
     }
-    i -= width;
   }
+}
 
-  perfRecordFrame();
-  frameDebt--;
+function initThermalPalette() {
+  /* temperature, r, g, b */
+  const stops = [
+    [THERMAL_MIN_TEMPERATURE, 0, 0, 255],
+    [0, 80, 160, 255],
+    [AMBIENT_TEMPERATURE, 40, 40, 40],
+    [150, 160, 0, 40],
+    [500, 255, 60, 0],
+    [900, 255, 200, 0],
+    [THERMAL_MAX_TEMPERATURE, 255, 255, 255]
+  ];
+
+  var stop = 0;
+  for (var p = 0; p !== THERMAL_PALETTE_SIZE; p++) {
+    const temperature =
+      THERMAL_MIN_TEMPERATURE +
+      (p * (THERMAL_MAX_TEMPERATURE - THERMAL_MIN_TEMPERATURE)) /
+        (THERMAL_PALETTE_SIZE - 1);
+    while (stop < stops.length - 2 && temperature > stops[stop + 1][0]) stop++;
+
+    const lo = stops[stop];
+    const hi = stops[stop + 1];
+    const t = Math.min(Math.max((temperature - lo[0]) / (hi[0] - lo[0]), 0), 1);
+    const r = Math.round(lo[1] + (hi[1] - lo[1]) * t);
+    const g = Math.round(lo[2] + (hi[2] - lo[2]) * t);
+    const b = Math.round(lo[3] + (hi[3] - lo[3]) * t);
+    /* alpha, b, g, r; see elements.js */
+    thermalPalette[p] = ((0xff << 24) | (b << 16) | (g << 8) | r) >>> 0;
+  }
+}
+
+/* Fill in the canvas imagedata from the temperature of every pixel */
+function renderThermalImagedata(grid, temperature) {
+  const scale =
+    (THERMAL_PALETTE_SIZE - 1) /
+    (THERMAL_MAX_TEMPERATURE - THERMAL_MIN_TEMPERATURE);
+  const maxEntry = THERMAL_PALETTE_SIZE - 1;
+  const background = elementColors[BACKGROUND];
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++) {
+    if (grid[i] === BACKGROUND) {
+      gameImagedata32[i] = background;
+      continue;
+    }
+
+    var entry = Math.round((temperature[i] - THERMAL_MIN_TEMPERATURE) * scale);
+    if (entry < 0) entry = 0;
+    else if (entry > maxEntry) entry = maxEntry;
+    gameImagedata32[i] = thermalPalette[entry];
+  }
 }
 
 function draw() {
+  const grid = simulation.grid;
+  const temperature = THERMAL_VIEW ? simulation.temperature : null;
+  if (grid && temperature) renderThermalImagedata(grid, temperature);
+  else if (grid) renderGameImagedata(grid);
   gameCtx.putImageData(gameImagedata, 0, 0);
 
   /*
@@ -212,44 +251,78 @@ function draw() {
     onscreenScaledWidth,
     onscreenScaledHeight
   );
-}
 
-function setGameCanvas(elem) {
-  const iterEnd = MAX_IDX + 1;
-  for (var i = 0; i !== iterEnd; i++) {
-    gameImagedata32[i] = elem;
-  }
+  if (SHOW_CHUNKS) drawActiveChunks();
 }
 
-function clearGameCanvas() {
-  particles.inactivateAll();
-  setGameCanvas(BACKGROUND);
+/* Outlines each chunk that was simulated in the last step */
+function drawActiveChunks() {
+  const chunks = simulation.activeChunks;
+  if (!chunks) return;
+
+  const chunkSize = CHUNK_SIZE * onscreenPixelRatio;
+  onscreenCtx.beginPath();
+  onscreenCtx.lineWidth = onscreenPixelRatio;
+  onscreenCtx.strokeStyle = "rgba(255, 0, 255, 0.6)";
+  for (var cy = 0; cy !== chunkRows; cy++) {
+    for (var cx = 0; cx !== chunkCols; cx++) {
+      if (chunks[cy * chunkCols + cx] === 0) continue;
+
+      /* inset, so that neighboring outlines don't overlap */
+      onscreenCtx.rect(
+        cx * chunkSize + onscreenPixelRatio / 2,
+        cy * chunkSize + onscreenPixelRatio / 2,
+        chunkSize - onscreenPixelRatio,
+        chunkSize - onscreenPixelRatio
+      );
+    }
+  }
+  onscreenCtx.stroke();
 }
 
-/*
- * Saves the current canvas state. Note that we don't also save particle state.
- */
-function saveGameCanvas() {
-  /*
-   * Copy it manually, rather than use a slice, so that we can use a constant
-   * global pointer.
-   */
-  const iterEnd = MAX_IDX + 1;
-  for (var i = 0; i !== iterEnd; i++)
-    saveGameImagedata32[i] = gameImagedata32[i];
+/* Downloads the world as a save file */
+function exportSaveFile() {
+  simulation.request({ type: "exportSave" }, function(error, save) {
+    if (error) {
+      console.error("Failed to export save file:", error);
+      return;
+    }
 
-  gamestateSaved = true;
+    const blob = new Blob([JSON.stringify(save)], {
+      type: "application/json"
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "sand-" + save.seed + ".json";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  });
 }
 
-function loadGameCanvas() {
-  if (!gamestateSaved)
-    return;
-
-  particles.inactivateAll();
+function importSaveFile(file) {
+  const reader = new FileReader();
+  reader.onload = function() {
+    var save;
+    try {
+      save = JSON.parse(reader.result);
+    } catch (error) {
+      console.error("Failed to import save file:", error);
+      return;
+    }
 
-  const iterEnd = MAX_IDX + 1;
-  for (var i = 0; i !== iterEnd; i++)
-    gameImagedata32[i] = saveGameImagedata32[i];
+    simulation.request({ type: "importSave", save: save }, function(error) {
+      if (error) {
+        console.error("Failed to import save file:", error);
+        return;
+      }
+      drawSeedLabel();
+    });
+  };
+  reader.readAsText(file);
 }
 
 /* Signal that we've updated a game frame to our FPS counter */
@@ -305,15 +378,22 @@ function mainLoop(now) {
    */
   updateUserStroke();
 
-  if (frameDebt >= 1) {
+  if (frameDebt >= 1 && !simulation.inThread) {
+    /*
+     * The worker runs frames without blocking us, so there is no need to
+     * budget time for them. Just keep it busy.
+     */
+    if (!simulation.stepping)
+      simulation.step(Math.floor(frameDebt), onFramesStepped);
+  } else if (frameDebt >= 1) {
     if (frameDebt < 2) {
       /* shortcut for the common case of a single-frame update */
-      updateGame();
+      stepGame();
     } else {
       /* multi-frame update */
 
       /* first get approx time for a single update */
-      const updateTimeMs = executeAndTime(updateGame);
+      const updateTimeMs = executeAndTime(stepGame);
 
       /*
        * Approx time for doing stroke, draw, etc.
@@ -322,7 +402,7 @@ function mainLoop(now) {
       const loopMiscTimeMs = 3.5;
       var timeRemaining = deltaMs - loopMiscTimeMs - updateTimeMs;
       while (timeRemaining > updateTimeMs && frameDebt >= 1) {
-        updateGame();
+        stepGame();
         timeRemaining -= updateTimeMs;
       }
     }
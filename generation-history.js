@@ -0,0 +1,290 @@
+/*
+ * The history of LLM requests, and the response cache.
+ * Every request to generate, refine or repair a particle, or for a reaction
+ * rule or a scene, is recorded: the messages sent, the provider and model,
+ * the raw reply, the particle read from it if any, how long it took, the
+ * tokens used and any errors. Records are stored with the custom
+ * particles, up to MAX_GENERATION_HISTORY of them. The History panel lists
+ * them, and can register any past particle again without calling the API.
+ * When the cache is on, generating a name reuses the newest particle
+ * generated for it from the same version of the active prompt template
+ * (see prompt-templates.js).
+ */
+
+// Records kept; the oldest are dropped first
+const MAX_GENERATION_HISTORY = 200;
+
+// The records, oldest first: { id, kind, name, promptTemplate, provider,
+// model, requestedAt, messages, response, particle, latencyMs, usage,
+// error, errors }, where kind is one of GENERATION_KINDS, promptTemplate is
+// like 'default v1' for generated particles (see promptTemplateLabel()) and
+// null otherwise, and particle is null if the request failed or wasn't for
+// a particle
+const generationHistory = [];
+
+// The kinds of request recorded, as the panel describes them
+const GENERATION_KINDS = {
+  particle: 'Generated',
+  refine: 'Refined',
+  repair: 'Repaired the code of',
+  reaction: 'Reaction of',
+  scene: 'Scene:'
+};
+
+// Whether generateParticle() reuses cached particles; off by default
+let generationCacheEnabled = false;
+
+// UI elements
+let generationHistoryContainer = null;
+let generationCacheCheckbox = null;
+let generationHistoryList = null;
+let generationHistoryClearButton = null;
+let generationHistoryCloseButton = null;
+
+/**
+ * Record a generation request, and store it
+ * @param {Object} record - The record, without its id (see generationHistory)
+ */
+function recordGeneration(record) {
+  const last = generationHistory[generationHistory.length - 1];
+  // A copy, so that later changes to the particle don't rewrite its history
+  const entry = JSON.parse(JSON.stringify(Object.assign({ id: last ? last.id + 1 : 1 }, record)));
+  generationHistory.push(entry);
+
+  saveGenerationRecord(entry).catch(error => {
+    console.error(`Failed to store the generation of ${entry.name}:`, error);
+  });
+  const dropped = generationHistory.splice(0, Math.max(generationHistory.length - MAX_GENERATION_HISTORY, 0));
+  if (dropped.length !== 0) {
+    deleteGenerationRecords(dropped.map(old => old.id)).catch(error => {
+      console.error('Failed to remove old generation records:', error);
+    });
+  }
+
+  if (generationHistoryContainer && generationHistoryContainer.style.display !== 'none') {
+    renderGenerationHistory();
+  }
+}
+
+/**
+ * Make a request to the LLM, and record it whether it succeeds or not
+ * @param {Object} record - The record so far: { kind, name, messages }, and
+ *   the promptTemplate of a generated particle
+ * @param {Function} request - Makes the request, given the record, and
+ *   fills in its response and usage, and its particle if it has one
+ * @returns {Promise} - Resolves with what request resolves with
+ */
+async function recordGenerationRequest(record, request) {
+  const entry = Object.assign({
+    promptTemplate: null,
+    provider: config.provider,
+    model: llmModel(config),
+    requestedAt: new Date().toISOString(),
+    response: null,
+    particle: null,
+    latencyMs: 0,
+    usage: null,
+    error: null,
+    errors: []
+  }, record);
+  const startedAt = Date.now();
+
+  try {
+    return await request(entry);
+  } catch (error) {
+    entry.error = error.message;
+    entry.errors = error.errors || [];
+    // Requests made before the one that failed were still paid for
+    if (!entry.usage && error.usage) entry.usage = error.usage;
+    throw error;
+  } finally {
+    entry.latencyMs = Date.now() - startedAt;
+    recordGeneration(entry);
+  }
+}
+
+/**
+ * The newest particle generated for a name from a prompt template version,
+ * if the cache is on
+ * @param {string} name - The particle name
+ * @param {string} promptTemplate - The template version (see promptTemplateLabel())
+ * @returns {Object} - The record, or null
+ */
+function findCachedGeneration(name, promptTemplate) {
+  if (!generationCacheEnabled) return null;
+
+  for (let k = generationHistory.length - 1; k >= 0; k--) {
+    const record = generationHistory[k];
+    if (record.kind === 'particle' && record.name === name &&
+        record.promptTemplate === promptTemplate && record.particle) return record;
+  }
+  return null;
+}
+
+/**
+ * Put the stored records back in the history
+ * @returns {Promise} - Resolves once they are back, or failed to load
+ */
+async function restoreGenerationHistory() {
+  try {
+    const records = await loadGenerationHistory();
+    // Only particle generations were recorded before records had a kind
+    records.forEach(record => {
+      if (!record.kind) record.kind = 'particle';
+    });
+    generationHistory.push(...records);
+  } catch (error) {
+    console.error('Failed to load the generation history:', error);
+  }
+}
+
+/**
+ * Register the particle of a past generation again, without calling the API
+ * @param {number} id - The record id
+ */
+function reuseGeneration(id) {
+  const record = generationHistory.find(record => record.id === id);
+  if (!record || !record.particle) return;
+
+  const particleData = JSON.parse(JSON.stringify(record.particle));
+  try {
+    keepGeneratedParticle(particleData, record.response);
+    // A repair replies with code rather than the particle, so its
+    // conversation starts from the particle as it is
+    if (record.kind === 'repair') particleConversations[record.name] = [];
+    registerGeneratedParticle(particleData);
+  } catch (error) {
+    console.error(`Failed to register ${record.name} from the history:`, error);
+    updateLLMStatus(`Failed to register ${record.name}: ${error.message}`, 'error');
+    return;
+  }
+  updateLLMStatus(`Registered ${record.name} from the history`, 'success');
+}
+
+/**
+ * Forget every record
+ */
+function clearGenerationHistory() {
+  const ids = generationHistory.map(record => record.id);
+  generationHistory.length = 0;
+  deleteGenerationRecords(ids).catch(error => {
+    console.error('Failed to remove the generation history:', error);
+  });
+  renderGenerationHistory();
+}
+
+/**
+ * Build the history panel (initially hidden)
+ */
+function initGenerationHistoryView() {
+  generationHistoryContainer = document.createElement('div');
+  generationHistoryContainer.id = 'generationHistoryContainer';
+  generationHistoryContainer.className = 'llm-settings-container llm-history-container';
+  generationHistoryContainer.style.display = 'none';
+
+  const title = document.createElement('h3');
+  title.textContent = 'History';
+
+  const cacheLabel = document.createElement('label');
+  generationCacheCheckbox = document.createElement('input');
+  generationCacheCheckbox.type = 'checkbox';
+  cacheLabel.appendChild(generationCacheCheckbox);
+  cacheLabel.appendChild(document.createTextNode(' Reuse particles generated before from the same prompt, instead of calling the API'));
+
+  generationHistoryList = document.createElement('ol');
+  generationHistoryList.className = 'llm-history-list';
+
+  generationHistoryClearButton = document.createElement('button');
+  generationHistoryClearButton.className = 'llm-button';
+  generationHistoryClearButton.textContent = 'Clear history';
+
+  generationHistoryCloseButton = document.createElement('button');
+  generationHistoryCloseButton.className = 'llm-button';
+  generationHistoryCloseButton.textContent = 'Close';
+
+  generationHistoryContainer.appendChild(title);
+  generationHistoryContainer.appendChild(cacheLabel);
+  generationHistoryContainer.appendChild(generationHistoryList);
+  generationHistoryContainer.appendChild(generationHistoryClearButton);
+  generationHistoryContainer.appendChild(generationHistoryCloseButton);
+
+  document.body.appendChild(generationHistoryContainer);
+
+  // Check for a stored cache setting
+  generationCacheEnabled = localStorage.getItem('llm_cache_enabled') === 'true';
+  generationCacheCheckbox.checked = generationCacheEnabled;
+
+  generationCacheCheckbox.addEventListener('change', function() {
+    generationCacheEnabled = generationCacheCheckbox.checked;
+    localStorage.setItem('llm_cache_enabled', generationCacheEnabled);
+  });
+  generationHistoryClearButton.addEventListener('click', clearGenerationHistory);
+  generationHistoryCloseButton.addEventListener('click', function() {
+    generationHistoryContainer.style.display = 'none';
+  });
+}
+
+/**
+ * Show the history panel
+ */
+function showGenerationHistory() {
+  renderGenerationHistory();
+  generationHistoryContainer.style.display = 'block';
+}
+
+/**
+ * List the records, newest first. Each shows what was sent and received
+ * when opened.
+ */
+function renderGenerationHistory() {
+  generationHistoryList.innerHTML = '';
+  generationHistoryClearButton.disabled = generationHistory.length === 0;
+
+  if (generationHistory.length === 0) {
+    generationHistoryList.appendChild(document.createElement('li')).textContent =
+      'No requests yet. Every request to the LLM is recorded here.';
+    return;
+  }
+
+  generationHistory.slice().reverse().forEach(record => {
+    const item = generationHistoryList.appendChild(document.createElement('li'));
+    item.className = record.particle ? 'llm-history-item' : 'llm-history-item llm-history-failed';
+
+    const details = item.appendChild(document.createElement('details'));
+    let tokens = record.usage ? `${record.usage.inputTokens} in, ${record.usage.outputTokens} out` : 'tokens unknown';
+    const cost = record.usage ? llmUsageCost(record.model, record.usage) : null;
+    if (cost !== null) tokens += `, ${formatLLMCost(cost)}`;
+    details.appendChild(document.createElement('summary')).textContent =
+      `${new Date(record.requestedAt).toLocaleString()} ${GENERATION_KINDS[record.kind]} ${record.name} ` +
+      `(${record.provider}/${record.model}, ` + (record.promptTemplate ? `${record.promptTemplate}, ` : '') +
+      `${(record.latencyMs / 1000).toFixed(1)} s, ${tokens})` +
+      (record.error ? `: ${record.error}` : '');
+
+    if (record.errors.length !== 0) {
+      const errors = details.appendChild(document.createElement('ul'));
+      errors.className = 'llm-status-details';
+      record.errors.forEach(error => {
+        errors.appendChild(document.createElement('li')).textContent = error;
+      });
+    }
+    // The chat as sent, repairs included, then the last reply
+    record.messages.forEach(message => {
+      details.appendChild(document.createElement('h4')).textContent = message.role;
+      details.appendChild(document.createElement('pre')).textContent = message.content;
+    });
+    if (record.response !== null) {
+      details.appendChild(document.createElement('h4')).textContent = 'reply';
+      details.appendChild(document.createElement('pre')).textContent = record.response;
+    }
+
+    if (record.particle) {
+      const registerButton = item.appendChild(document.createElement('button'));
+      registerButton.className = 'llm-button llm-edit-button';
+      registerButton.textContent = 'Register';
+      registerButton.title = `Register this ${record.name} again, without calling the API`;
+      registerButton.addEventListener('click', function() {
+        reuseGeneration(record.id);
+      });
+    }
+  });
+}
@@ -0,0 +1,92 @@
+/*
+ * Runs the simulation engine under Node, without a browser or DOM.
+ *
+ *   const { createEngine } = require("./headless.js");
+ *   const engine = createEngine();
+ *   const world = new engine.World(200, 100);
+ *   engine.useWorld(world);
+ *   engine.setGridElement(50 * 200 + 100, engine.lookup("SAND"));
+ *   engine.updateGame();
+ *
+ * The engine scripts are written as browser globals, so we load them into
+ * a fresh vm context rather than require() them. Each call to
+ * createEngine() returns a fully independent engine.
+ *
+ * Copyright (C) 2020, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/* In load order. Must match the order in saved_resource.html. */
+const ENGINE_SCRIPTS = [
+  "util.js",
+  "particles.js",
+  "elements.js",
+  "reactions.js",
+  "heat.js",
+  "spigots.js",
+  "engine.js"
+];
+
+/*
+ * globals, if given, are added to the context (or replace ours), for
+ * scripts loaded later with loadScript() that need more of a browser than
+ * the engine does.
+ */
+function createEngine(globals) {
+  const context = vm.createContext(Object.assign({
+    console: console,
+    performance: { now: () => Number(process.hrtime.bigint()) / 1e6 }
+  }, globals));
+
+  /* Runs one of our scripts, by its name, in the context */
+  const loadScript = name => {
+    const filename = path.join(__dirname, name);
+    const source = fs.readFileSync(filename, "utf8");
+    vm.runInContext(source, context, { filename: filename });
+  };
+
+  for (var i = 0; i !== ENGINE_SCRIPTS.length; i++) loadScript(ENGINE_SCRIPTS[i]);
+
+  /* Top-level consts and classes aren't properties of the context */
+  const lookup = name => vm.runInContext(name, context);
+
+  lookup("initEngine")();
+
+  return {
+    World: lookup("World"),
+    useWorld: lookup("useWorld"),
+    updateGame: lookup("updateGame"),
+    setGameCanvas: lookup("setGameCanvas"),
+    clearGameCanvas: lookup("clearGameCanvas"),
+    saveGameCanvas: lookup("saveGameCanvas"),
+    loadGameCanvas: lookup("loadGameCanvas"),
+    setWorldSeed: lookup("setWorldSeed"),
+    serializeWorld: lookup("serializeWorld"),
+    deserializeWorld: lookup("deserializeWorld"),
+    setGridElement: lookup("setGridElement"),
+    wakeAllChunks: lookup("wakeAllChunks"),
+    elementColors: lookup("elementColors"),
+    lookup: lookup,
+    loadScript: loadScript
+  };
+}
+
+module.exports = { createEngine, ENGINE_SCRIPTS };
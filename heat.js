@@ -0,0 +1,338 @@
+/*
+ * Temperature, shared by all elements.
+ *
+ * Copyright (C) 2020, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Every pixel has a temperature, in gameTemperature. Heat flows between
+ * touching elements (but not through BACKGROUND; air is an insulator),
+ * and every element slowly drifts back to its natural temperature. When a
+ * pixel crosses one of its element's transition points, it turns into
+ * another element: eg. WATER boils into STEAM, ICE melts into WATER.
+ *
+ * Temperature belongs to the pixel, not to the element in it. The movement
+ * helpers in elements.js carry temperature along with the elements they
+ * move (see moveHeat()). Any other change of element (eg. a SPOUT
+ * producing WATER, or the user painting) is treated as a new element,
+ * which starts at its natural temperature. We detect those by keeping
+ * heatElems, the element that each temperature belongs to.
+ */
+
+const AMBIENT_TEMPERATURE = 20;
+
+/* Temperature changes smaller than this don't keep a chunk awake */
+const HEAT_SETTLED_DELTA = 0.1;
+
+/*
+ * Thermal properties of elements. Elements not listed here (including
+ * custom elements) get DEFAULT_HEAT_PROPERTIES.
+ *
+ *   temperature    natural temperature. New elements start at it.
+ *   recovery       fraction of the difference to the natural temperature
+ *                  recovered each frame. 1 makes the element a fixed heat
+ *                  (or cold) source.
+ *   capacity       heat needed to change temperature by 1 degree (>= 1).
+ *   conductivity   how readily heat passes to touching elements. Heat flows
+ *                  at the lower conductivity of the two (0 - 0.25).
+ *
+ * Transition points (all optional):
+ *
+ *   meltingPoint + meltsInto    at or above, becomes meltsInto
+ *   boilingPoint + boilsInto    at or above, becomes boilsInto
+ *   ignitionPoint               at or above, becomes FIRE
+ *   freezingPoint + freezesInto at or below, becomes freezesInto
+ *
+ * An element may have only one of melting, boiling or ignition point.
+ */
+const DEFAULT_HEAT_PROPERTIES = {
+  temperature: AMBIENT_TEMPERATURE,
+  recovery: 0.002,
+  capacity: 4,
+  conductivity: 0.02
+};
+
+const HEAT_PROPERTIES = {};
+
+/* Compiled from HEAT_PROPERTIES by initHeat(), indexed by element id */
+const HEAT_TEMPERATURE = new Float32Array(MAX_NUM_ELEMENTS);
+const HEAT_RECOVERY = new Float32Array(MAX_NUM_ELEMENTS);
+const HEAT_CAPACITY = new Float32Array(MAX_NUM_ELEMENTS);
+const HEAT_CONDUCTIVITY = new Float32Array(MAX_NUM_ELEMENTS);
+const HEAT_RISE_POINT = new Float32Array(MAX_NUM_ELEMENTS);
+const HEAT_RISE_INTO = new Uint16Array(MAX_NUM_ELEMENTS);
+const HEAT_FALL_POINT = new Float32Array(MAX_NUM_ELEMENTS);
+const HEAT_FALL_INTO = new Uint16Array(MAX_NUM_ELEMENTS);
+
+function initHeat() {
+  /* Walls stay out of it, so that they make good containers */
+  HEAT_PROPERTIES[WALL] = { conductivity: 0 };
+  HEAT_PROPERTIES[FIRE] = { temperature: 800, recovery: 1, conductivity: 0.2 };
+  HEAT_PROPERTIES[TORCH] = { temperature: 800, recovery: 1, conductivity: 0.2 };
+  HEAT_PROPERTIES[LAVA] = {
+    temperature: 1200,
+    recovery: 0.02,
+    capacity: 2,
+    conductivity: 0.25,
+    freezingPoint: 700,
+    freezesInto: ROCK
+  };
+  HEAT_PROPERTIES[ROCK] = {
+    capacity: 8,
+    conductivity: 0.05,
+    meltingPoint: 900,
+    meltsInto: LAVA
+  };
+  HEAT_PROPERTIES[WATER] = {
+    capacity: 8,
+    conductivity: 0.2,
+    boilingPoint: 100,
+    boilsInto: STEAM
+  };
+  HEAT_PROPERTIES[SALT_WATER] = {
+    capacity: 8,
+    conductivity: 0.2,
+    boilingPoint: 102,
+    boilsInto: STEAM
+  };
+  HEAT_PROPERTIES[STEAM] = {
+    temperature: 110,
+    capacity: 2,
+    conductivity: 0.05
+  };
+  HEAT_PROPERTIES[ICE] = {
+    temperature: -10,
+    capacity: 6,
+    conductivity: 0.05,
+    meltingPoint: 0,
+    meltsInto: WATER
+  };
+  HEAT_PROPERTIES[CHILLED_ICE] = {
+    temperature: -60,
+    capacity: 6,
+    conductivity: 0.05
+  };
+  HEAT_PROPERTIES[CRYO] = {
+    temperature: -150,
+    recovery: 0.05,
+    conductivity: 0.1
+  };
+  HEAT_PROPERTIES[WAX] = {
+    conductivity: 0.02,
+    meltingPoint: 60,
+    meltsInto: FALLING_WAX
+  };
+  /* Stays molten while hot; if it keeps heating, it burns */
+  HEAT_PROPERTIES[FALLING_WAX] = {
+    conductivity: 0.02,
+    ignitionPoint: 250,
+    freezingPoint: 59,
+    freezesInto: WAX
+  };
+  HEAT_PROPERTIES[PLANT] = { ignitionPoint: 300 };
+  HEAT_PROPERTIES[OIL] = { ignitionPoint: 250 };
+  HEAT_PROPERTIES[FUSE] = { ignitionPoint: 200 };
+  HEAT_PROPERTIES[BRANCH] = { ignitionPoint: 300 };
+  HEAT_PROPERTIES[LEAF] = { ignitionPoint: 280 };
+  HEAT_PROPERTIES[METHANE] = { capacity: 2, ignitionPoint: 300 };
+  Object.freeze(HEAT_PROPERTIES);
+
+  for (var elem = 0; elem !== MAX_NUM_ELEMENTS; elem++) {
+    __compileHeatProperties(elem, HEAT_PROPERTIES[elem] || {});
+  }
+}
+
+function __compileHeatProperties(elem, props) {
+  function prop(name) {
+    return name in props ? props[name] : DEFAULT_HEAT_PROPERTIES[name];
+  }
+
+  const capacity = prop("capacity");
+  const conductivity = prop("conductivity");
+  if (capacity < 1) throw "heat capacity must be at least 1";
+  if (conductivity < 0 || conductivity > 0.25)
+    throw "heat conductivity must be between 0 and 0.25";
+
+  HEAT_TEMPERATURE[elem] = prop("temperature");
+  HEAT_RECOVERY[elem] = prop("recovery");
+  HEAT_CAPACITY[elem] = capacity;
+  HEAT_CONDUCTIVITY[elem] = conductivity;
+
+  var numRisePoints = 0;
+  HEAT_RISE_POINT[elem] = Infinity;
+  if ("meltingPoint" in props) {
+    HEAT_RISE_POINT[elem] = props.meltingPoint;
+    HEAT_RISE_INTO[elem] = props.meltsInto;
+    numRisePoints++;
+  }
+  if ("boilingPoint" in props) {
+    HEAT_RISE_POINT[elem] = props.boilingPoint;
+    HEAT_RISE_INTO[elem] = props.boilsInto;
+    numRisePoints++;
+  }
+  if ("ignitionPoint" in props) {
+    HEAT_RISE_POINT[elem] = props.ignitionPoint;
+    HEAT_RISE_INTO[elem] = FIRE;
+    numRisePoints++;
+  }
+  if (numRisePoints > 1)
+    throw "element may only have one melting, boiling or ignition point";
+
+  HEAT_FALL_POINT[elem] = -Infinity;
+  if ("freezingPoint" in props) {
+    HEAT_FALL_POINT[elem] = props.freezingPoint;
+    HEAT_FALL_INTO[elem] = props.freezesInto;
+  }
+
+  if (HEAT_FALL_POINT[elem] >= HEAT_RISE_POINT[elem])
+    throw "freezing point must be below the melting/boiling/ignition point";
+}
+
+/* Puts every pixel of the active world at its natural temperature */
+function resetHeat() {
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++) {
+    const elem = gameGrid[i];
+    heatElems[i] = elem;
+    gameTemperature[i] = HEAT_TEMPERATURE[elem];
+  }
+}
+
+/*
+ * Called by the movement helpers when they swap the elements at i and j,
+ * so that temperature moves with the elements.
+ */
+function moveHeat(i, j) {
+  const temperature = gameTemperature[i];
+  gameTemperature[i] = gameTemperature[j];
+  gameTemperature[j] = temperature;
+
+  const heatElem = heatElems[i];
+  heatElems[i] = heatElems[j];
+  heatElems[j] = heatElem;
+}
+
+/*
+ * Conducts heat and applies transitions, within the chunks simulated this
+ * frame. Changes in temperature keep chunks awake.
+ */
+function updateHeat() {
+  const chunkTimers = activeWorld.chunkTimers;
+  var cx, cy, x, y, i;
+
+  /* Catch up with elements that were placed since the last frame */
+  for (cy = 0; cy !== chunkRows; cy++) {
+    const yStart = cy << CHUNK_SIZE_SHIFT;
+    const yEnd = Math.min(yStart + CHUNK_SIZE, height);
+    for (cx = 0; cx !== chunkCols; cx++) {
+      if (activeChunks[cy * chunkCols + cx] === 0) continue;
+
+      const xStart = cx << CHUNK_SIZE_SHIFT;
+      const xEnd = Math.min(xStart + CHUNK_SIZE, width);
+      for (y = yStart; y !== yEnd; y++) {
+        const rowEnd = y * width + xEnd;
+        for (i = y * width + xStart; i !== rowEnd; i++) {
+          const elem = gameGrid[i];
+          if (heatElems[i] !== elem) {
+            heatElems[i] = elem;
+            gameTemperature[i] = HEAT_TEMPERATURE[elem];
+          }
+        }
+      }
+    }
+  }
+
+  for (cy = 0; cy !== chunkRows; cy++) {
+    const yStart = cy << CHUNK_SIZE_SHIFT;
+    const yEnd = Math.min(yStart + CHUNK_SIZE, height);
+    for (cx = 0; cx !== chunkCols; cx++) {
+      const chunk = cy * chunkCols + cx;
+      if (activeChunks[chunk] === 0) continue;
+
+      const xStart = cx << CHUNK_SIZE_SHIFT;
+      const xEnd = Math.min(xStart + CHUNK_SIZE, width);
+
+      /* only exchange heat with pixels of simulated chunks */
+      const rightActive = cx + 1 !== chunkCols && activeChunks[chunk + 1] !== 0;
+      const belowActive =
+        cy + 1 !== chunkRows && activeChunks[chunk + chunkCols] !== 0;
+      const xLast = xEnd - 1;
+      const yLast = yEnd - 1;
+
+      var busy = false;
+      for (y = yStart; y !== yEnd; y++) {
+        const canConductDown = y !== yLast ? true : belowActive;
+        i = y * width + xStart;
+        for (x = xStart; x !== xEnd; x++, i++) {
+          const elem = gameGrid[i];
+          if (elem === BACKGROUND) continue;
+
+          const capacity = HEAT_CAPACITY[elem];
+          const conductivity = HEAT_CONDUCTIVITY[elem];
+          const before = gameTemperature[i];
+          var temperature = before;
+
+          /* recover towards our natural temperature */
+          temperature += (HEAT_TEMPERATURE[elem] - temperature) * HEAT_RECOVERY[elem];
+
+          /*
+           * Conduct with the pixels to our right and below. Together with
+           * the pixels to our left and above doing the same, this covers
+           * all four bordering pixels exactly once.
+           */
+          if (x !== xLast || rightActive) {
+            const right = i + 1;
+            const rightElem = gameGrid[right];
+            if (rightElem !== BACKGROUND && x !== MAX_X_IDX) {
+              const k = Math.min(conductivity, HEAT_CONDUCTIVITY[rightElem]);
+              const flow = k * (gameTemperature[right] - temperature);
+              temperature += flow / capacity;
+              gameTemperature[right] -= flow / HEAT_CAPACITY[rightElem];
+            }
+          }
+          if (canConductDown && y !== MAX_Y_IDX) {
+            const down = i + width;
+            const downElem = gameGrid[down];
+            if (downElem !== BACKGROUND) {
+              const k = Math.min(conductivity, HEAT_CONDUCTIVITY[downElem]);
+              const flow = k * (gameTemperature[down] - temperature);
+              temperature += flow / capacity;
+              gameTemperature[down] -= flow / HEAT_CAPACITY[downElem];
+            }
+          }
+
+          gameTemperature[i] = temperature;
+          const delta = temperature - before;
+          if (delta > HEAT_SETTLED_DELTA || delta < -HEAT_SETTLED_DELTA)
+            busy = true;
+
+          /* transitions keep the temperature of the pixel */
+          var into = -1;
+          if (temperature >= HEAT_RISE_POINT[elem]) into = HEAT_RISE_INTO[elem];
+          else if (temperature <= HEAT_FALL_POINT[elem])
+            into = HEAT_FALL_INTO[elem];
+          if (into !== -1) {
+            setGridElement(i, into);
+            heatElems[i] = into;
+            busy = true;
+          }
+        }
+      }
+
+      if (busy) chunkTimers[chunk] = CHUNK_SLEEP_FRAMES;
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/*
+ * A small JSON schema validator.
+ * It covers the parts of draft-07 that our schemas use (type, enum,
+ * required, properties, additionalProperties, items, minItems, maxItems,
+ * minimum, maximum and pattern), and reports every problem it finds rather
+ * than just the first, so that all of them can be shown or sent back to the
+ * LLM at once.
+ */
+
+/**
+ * The JSON type of a value, as named in schemas
+ * @param {*} value - A JSON value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string',
+ *   'boolean' or 'object'
+ */
+function jsonSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - The value
+ * @param {Object} schema - The schema
+ * @param {string} [path] - Where the value is, for error messages
+ * @returns {Array} - Problems, like 'reactions[0].chance must be at most 1';
+ *   empty if the value is valid
+ */
+function validateJSONSchema(value, schema, path = '') {
+  const errors = [];
+  const where = path || 'the reply';
+  const type = jsonSchemaType(value);
+
+  if (schema.type) {
+    const matches = schema.type === type || (schema.type === 'number' && type === 'integer');
+    if (!matches) {
+      errors.push(`${where} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (type === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${where} must match ${schema.pattern}`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${where} may have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, k) => {
+        errors.push(...validateJSONSchema(item, schema.items, `${path}[${k}]`));
+      });
+    }
+  }
+
+  if (type === 'object') {
+    const prefix = path ? `${path}.` : '';
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${prefix}${key} is required`);
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateJSONSchema(value[key], properties[key], prefix + key));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${prefix}${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJSONSchema(value[key], schema.additionalProperties, prefix + key));
+      }
+    });
+  }
+
+  return errors;
+}
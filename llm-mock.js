@@ -0,0 +1,214 @@
+/*
+ * Offline mock LLM provider.
+ * Serves canned particles keyed by the particle name, or fixture files, so
+ * that particle generation can be developed and tested without a server.
+ * The model picks a scenario, which can also simulate the ways a real
+ * provider fails: malformed JSON, missing fields, HTTP errors and slow
+ * responses. Malformed JSON and missing fields only spoil the first reply
+ * of a chat, so that asking for a repair fixes them. Asked to repair a
+ * particle's action code, it replies with a plain powder's, and asked how
+ * two elements react, the first turns the second into more of itself. Any
+ * scene it is asked for is the same volcano over a lake.
+ *
+ * With a base URL, the response for a particle NAME is read from the
+ * fixture file <base URL>/NAME.json, which holds the particle as the LLM
+ * would have returned it. Names without a fixture file fall back to the
+ * canned particles below, and then to a plain powder.
+ */
+
+// Scenarios, chosen with the model
+const MOCK_LLM_SCENARIOS = {
+  fixtures: 'Reply with the fixture for the particle',
+  'malformed-json': 'Reply with JSON that is missing a comma',
+  'missing-fields': 'Reply with a particle without a color or movement',
+  'http-error': 'Fail as if the server returned an error',
+  slow: 'Reply with the fixture, after MOCK_LLM_SLOW_MS'
+};
+
+const MOCK_LLM_SLOW_MS = 5000;
+
+// Canned particles by name
+const MOCK_LLM_FIXTURES = {
+  GOO: {
+    name: 'GOO',
+    color: [120, 230, 60],
+    colorVariance: 12,
+    movement: { model: 'liquid', chance: 0.3 },
+    density: 1.4,
+    reactions: [
+      { with: 'SAND', becomes: 'GOO', otherBecomes: 'GOO', chance: 0.02 }
+    ],
+    behavior: 'A thick, slow liquid that slowly absorbs sand',
+    interactions: { SAND: 'Turns sand into more goo' }
+  },
+  EMBER: {
+    name: 'EMBER',
+    color: [255, 170, 0],
+    colorVariance: 30,
+    movement: { model: 'gas', chance: 0.5 },
+    density: 0.2,
+    emitters: [{ emits: 'FIRE', chance: 0.005 }],
+    lifetime: { frames: 60, becomes: 'BACKGROUND' },
+    reactions: [
+      { with: 'PLANT', becomes: 'FIRE', otherBecomes: 'FIRE', chance: 0.5 }
+    ],
+    behavior: 'Glowing sparks that drift up, throw off the odd flame and burn out',
+    interactions: { PLANT: 'Sets plants on fire' }
+  },
+  TNT: {
+    name: 'TNT',
+    color: [200, 40, 60],
+    colorVariance: 8,
+    movement: { model: 'powder', chance: 0.9 },
+    density: 1.5,
+    flammability: 50,
+    reactions: [
+      { with: 'FIRE', becomes: 'FIRE', otherBecomes: 'FIRE', chance: 0.9 },
+      { with: 'LAVA', becomes: 'FIRE', chance: 0.9 }
+    ],
+    behavior: 'A heavy red powder that explodes into fire, setting off the TNT around it',
+    interactions: { FIRE: 'Explodes', LAVA: 'Explodes' }
+  }
+};
+
+// The scene it lays out, whatever was asked for
+const MOCK_LLM_SCENE = {
+  description: 'A volcano over a lake, with a forest on the left (mock scene)',
+  shapes: [
+    { element: 'WALL', shape: 'rect', x: 0, y: 95, width: 100, height: 5 },
+    { element: 'WATER', shape: 'rect', x: 0, y: 80, width: 100, height: 15 },
+    { element: 'SOIL', shape: 'rect', x: 0, y: 70, width: 35, height: 25 },
+    { element: 'PLANT', shape: 'rect', x: 5, y: 50, width: 25, height: 20, fill: 0.4 },
+    { element: 'ROCK', shape: 'triangle', x: 45, y: 35, width: 40, height: 60 },
+    { element: 'LAVA', shape: 'ellipse', x: 60, y: 30, width: 10, height: 10 }
+  ],
+  spigots: [
+    { element: 'WATER', size: 0 },
+    { element: 'SAND', size: 0 },
+    { element: 'LAVA', size: 1 },
+    { element: 'OIL', size: 0 }
+  ]
+};
+
+/**
+ * Get the particle to reply with
+ * @param {Object} settings - The LLM settings
+ * @param {string} name - The particle name
+ * @returns {Promise<Object>} - A copy of the particle
+ */
+async function loadMockLLMFixture(settings, name) {
+  if (settings.baseUrl) {
+    const response = await fetch(`${llmBaseUrl(settings)}/${encodeURIComponent(name)}.json`);
+    if (response.ok) return response.json();
+    if (response.status !== 404) {
+      throw new Error(`API Error: fixture ${name}.json: ${response.status} ${response.statusText}`);
+    }
+  }
+
+  if (MOCK_LLM_FIXTURES[name]) {
+    return JSON.parse(JSON.stringify(MOCK_LLM_FIXTURES[name]));
+  }
+
+  // A powder, with a color that depends on the name
+  let hash = 0;
+  for (let k = 0; k < name.length; k++) hash = Math.imul(hash, 31) + name.charCodeAt(k);
+  return {
+    name: name,
+    color: [hash & 0xff, (hash >>> 8) & 0xff, (hash >>> 16) & 0xff],
+    movement: { model: 'powder' },
+    behavior: `A mock ${name} powder`,
+    interactions: {}
+  };
+}
+
+/**
+ * Answer a chat like a provider would (see LLM_PROVIDERS)
+ * @param {Object} settings - The LLM settings; the model is the scenario
+ * @param {Array} messages - The chat
+ * @param {Object} [format] - The structured reply asked for, if any
+ * @param {AbortSignal} [signal] - Cancels the reply
+ * @returns {Promise<Object>} - { text, usage }
+ */
+async function mockLLMChat(settings, messages, format = null, signal = null) {
+  const scenario = llmModel(settings);
+  if (!MOCK_LLM_SCENARIOS[scenario]) {
+    throw new Error(`API Error: unknown mock scenario ${scenario}`);
+  }
+
+  const prompt = messages.map(message => message.content).join('\n');
+  // Prompt templates word the request however they like, so the names come
+  // with the format (see particleResponseFormat() and reactionResponseFormat())
+  const name = format && format.particleName ? format.particleName : 'MOCK';
+
+  if (scenario === 'slow') {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, MOCK_LLM_SLOW_MS);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new DOMException('The request was cancelled', 'AbortError'));
+        });
+      }
+    });
+  }
+  // Like fetch, which rejects once cancelled
+  if (signal && signal.aborted) {
+    throw new DOMException('The request was cancelled', 'AbortError');
+  }
+  if (scenario === 'http-error') {
+    throw new Error('API Error: 500 Internal Server Error (simulated by the mock provider)');
+  }
+
+  // Later messages ask for a repair
+  const firstReply = messages.length === 1;
+
+  let reply;
+  if (format && format.name === PARTICLE_REACTION_FORMAT.name) {
+    // The first element spreads into the second
+    const [a, b] = format.elementNames;
+    reply = {
+      becomes: a,
+      otherBecomes: a,
+      chance: 0.05,
+      description: `${a} slowly turns ${b} into more ${a} (mock reaction)`
+    };
+  } else if (format && format.name === SCENE_FORMAT.name) {
+    reply = JSON.parse(JSON.stringify(MOCK_LLM_SCENE));
+  } else if (format && format.name === PARTICLE_CODE_REPAIR_FORMAT.name) {
+    // Whatever was wrong with the code, a plain powder doesn't throw
+    reply = {
+      action_code: 'doGravity(x, y, i, true, 0.9);',
+      explanation: 'Replaced the failing code with a plain powder (mock repair)'
+    };
+  } else {
+    reply = await loadMockLLMFixture(settings, name);
+    if (scenario === 'missing-fields' && firstReply) {
+      delete reply.color;
+      delete reply.movement;
+    }
+  }
+
+  let text = JSON.stringify(reply, null, 2);
+  // Without a structured format, wrapped in a code block, as real models often do
+  if (!format) text = '```json\n' + text + '\n```';
+  if (scenario === 'malformed-json' && firstReply) {
+    text = text.replace(/",\n/, '"\n');
+  }
+
+  return {
+    text: text,
+    // Roughly four characters a token
+    usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) }
+  };
+}
+
+LLM_PROVIDERS.mock = {
+  label: 'Mock (offline)',
+  defaultBaseUrl: '',
+  baseUrlPlaceholder: 'Fixture directory (optional)',
+  defaultModel: 'fixtures',
+  models: Object.keys(MOCK_LLM_SCENARIOS),
+  needsApiKey: () => false,
+  chat: mockLLMChat,
+  listModels: async () => Object.keys(MOCK_LLM_SCENARIOS)
+};
@@ -0,0 +1,313 @@
+/*
+ * LLM providers.
+ * Each provider adapts one kind of API to a common interface: where to send
+ * a chat, with which headers, and how to map our messages to its request and
+ * its response back to text. Adapters ship for OpenAI-compatible chat
+ * completions (OpenAI itself, and local servers like llama.cpp, LM Studio
+ * or vLLM), Anthropic messages and Ollama.
+ */
+
+/**
+ * A provider is an object with:
+ *   label          name shown in the settings dialog
+ *   defaultBaseUrl base URL used when the settings don't give one
+ *   defaultModel   model used when the settings don't give one
+ *   models         models offered before the server has been asked
+ *   needsApiKey(settings)            whether a request needs an API key
+ *   chatPath                         path of the chat endpoint
+ *   headers(settings)                request headers
+ *   buildRequest(settings, messages, format)
+ *                                    request body, from messages like
+ *                                    [{ role: 'user', content: '...' }].
+ *                                    format, if not null, asks for a
+ *                                    structured reply (see
+ *                                    requestLLMChat())
+ *   parseResponse(data)              { text, usage } from the response
+ *                                    body; usage is { inputTokens,
+ *                                    outputTokens }, or null if unknown.
+ *                                    A structured reply is JSON text.
+ *   parseError(data)                 error message from an error body
+ *   modelsPath                       path listing the server's models
+ *   parseModels(data)                model names from that listing
+ *
+ * and optionally:
+ *   baseUrlPlaceholder               hint for the base URL, rather than
+ *                                    defaultBaseUrl
+ *
+ * A provider that doesn't talk HTTP (see llm-mock.js) may instead have:
+ *   chat(settings, messages, format, signal)
+ *                                    resolves like requestLLMChat()
+ *   listModels(settings)             resolves like listLLMModels()
+ */
+const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'o3-mini',
+    models: ['o3-mini', 'o1', 'gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini'],
+    // Local servers usually don't check keys
+    needsApiKey: settings => llmBaseUrl(settings) === LLM_PROVIDERS.openai.defaultBaseUrl,
+    chatPath: '/chat/completions',
+    headers(settings) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.apiKey) headers['Authorization'] = `Bearer ${settings.apiKey}`;
+      return headers;
+    },
+    buildRequest(settings, messages, format) {
+      const body = { model: llmModel(settings), messages: messages };
+      // Only reasoning models (o1, o3-mini, ...) take a reasoning effort
+      if (/^o\d/.test(body.model)) body.reasoning_effort = 'high';
+      if (format) {
+        // Not strict: strict schemas can't have optional fields
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: {
+            name: format.name,
+            description: format.description,
+            schema: llmSchema(format.schema),
+            strict: false
+          }
+        };
+      }
+      return body;
+    },
+    parseResponse(data) {
+      return {
+        text: data.choices[0].message.content,
+        usage: data.usage
+          ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens }
+          : null
+      };
+    },
+    parseError: data => data.error && data.error.message,
+    modelsPath: '/models',
+    parseModels: data => data.data.map(model => model.id)
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-sonnet-latest',
+    models: ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest', 'claude-3-opus-latest'],
+    needsApiKey: () => true,
+    chatPath: '/messages',
+    headers(settings) {
+      return {
+        'Content-Type': 'application/json',
+        'x-api-key': settings.apiKey,
+        'anthropic-version': '2023-06-01',
+        // We call the API straight from the page, with the user's own key
+        'anthropic-dangerous-direct-browser-access': 'true'
+      };
+    },
+    buildRequest(settings, messages, format) {
+      // System prompts are a separate field, rather than a message
+      const system = messages.filter(message => message.role === 'system');
+      const body = {
+        model: llmModel(settings),
+        max_tokens: 8192,
+        messages: messages.filter(message => message.role !== 'system')
+      };
+      if (system.length !== 0) body.system = system.map(message => message.content).join('\n\n');
+      if (format) {
+        // Structured replies come as the input of a tool we make it call
+        body.tools = [{
+          name: format.name,
+          description: format.description,
+          input_schema: llmSchema(format.schema)
+        }];
+        body.tool_choice = { type: 'tool', name: format.name };
+      }
+      return body;
+    },
+    parseResponse(data) {
+      const toolUse = data.content.find(block => block.type === 'tool_use');
+      return {
+        text: toolUse
+          ? JSON.stringify(toolUse.input)
+          : data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join(''),
+        usage: data.usage
+          ? { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens }
+          : null
+      };
+    },
+    parseError: data => data.error && data.error.message,
+    modelsPath: '/models',
+    parseModels: data => data.data.map(model => model.id)
+  },
+
+  ollama: {
+    label: 'Ollama',
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+    models: ['llama3.1', 'qwen2.5-coder', 'mistral'],
+    needsApiKey: () => false,
+    chatPath: '/api/chat',
+    headers: () => ({ 'Content-Type': 'application/json' }),
+    buildRequest(settings, messages, format) {
+      const body = { model: llmModel(settings), messages: messages, stream: false };
+      if (format) body.format = llmSchema(format.schema);
+      return body;
+    },
+    parseResponse(data) {
+      return {
+        text: data.message.content,
+        usage: data.prompt_eval_count !== undefined
+          ? { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count }
+          : null
+      };
+    },
+    parseError: data => data.error,
+    modelsPath: '/api/tags',
+    parseModels: data => data.models.map(model => model.name)
+  }
+};
+
+const DEFAULT_LLM_PROVIDER = 'openai';
+
+/**
+ * Get a provider by id
+ * @param {string} id - The provider id, a key of LLM_PROVIDERS
+ * @returns {Object} - The provider
+ * @throws {Error} - If there is no such provider
+ */
+function getLLMProvider(id) {
+  const provider = LLM_PROVIDERS[id];
+  if (!provider) throw new Error(`Unknown LLM provider: ${id}`);
+  return provider;
+}
+
+/**
+ * The base URL to use, without a trailing slash
+ * @param {Object} settings - The LLM settings
+ * @returns {string} - The base URL
+ */
+function llmBaseUrl(settings) {
+  const baseUrl = settings.baseUrl || getLLMProvider(settings.provider).defaultBaseUrl;
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * The model to use
+ * @param {Object} settings - The LLM settings
+ * @returns {string} - The model name
+ */
+function llmModel(settings) {
+  return settings.model || getLLMProvider(settings.provider).defaultModel;
+}
+
+/**
+ * A schema as providers take it, without the keywords that only describe
+ * the schema itself
+ * @param {Object} schema - A JSON schema
+ * @returns {Object} - A copy without $schema and title
+ */
+function llmSchema(schema) {
+  const copy = Object.assign({}, schema);
+  delete copy.$schema;
+  delete copy.title;
+  return copy;
+}
+
+/**
+ * Check LLM settings
+ * @param {Object} settings - { provider, baseUrl, apiKey, model }
+ * @returns {string|null} - What is wrong with them, or null if nothing
+ */
+function checkLLMSettings(settings) {
+  if (!LLM_PROVIDERS[settings.provider]) {
+    return `Unknown LLM provider: ${settings.provider}`;
+  }
+  const provider = getLLMProvider(settings.provider);
+  // Paths are allowed, for servers (or fixtures) behind the page's origin
+  if (settings.baseUrl && !/^(https?:\/\/|\.{0,2}\/)/.test(settings.baseUrl)) {
+    return 'The base URL must start with http://, https:// or /';
+  }
+  if (provider.needsApiKey(settings) && !settings.apiKey) {
+    return `Please enter an API key for ${provider.label}`;
+  }
+  return null;
+}
+
+/**
+ * Fetch JSON from a provider, turning error responses into Errors
+ * @param {Object} settings - The LLM settings
+ * @param {string} path - The path, under the base URL
+ * @param {Object} [body] - The body to POST, or none to GET
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Object>} - The response body
+ */
+async function fetchLLMProvider(settings, path, body, signal = null) {
+  const provider = getLLMProvider(settings.provider);
+  const response = await fetch(llmBaseUrl(settings) + path, {
+    method: body ? 'POST' : 'GET',
+    headers: provider.headers(settings),
+    body: body ? JSON.stringify(body) : undefined,
+    signal: signal || undefined
+  });
+
+  if (!response.ok) {
+    let message = null;
+    try {
+      message = provider.parseError(await response.json());
+    } catch (error) {
+      // Not JSON; fall back to the status
+    }
+    throw new Error(`API Error: ${message || `${response.status} ${response.statusText}`}`);
+  }
+  return response.json();
+}
+
+/**
+ * Send a chat to the configured provider
+ * @param {Object} settings - The LLM settings
+ * @param {Array} messages - The chat, like [{ role: 'user', content: '...' }]
+ * @param {Object} [format] - To ask for a structured reply: { name,
+ *   description, schema }, where schema is a JSON schema the reply should
+ *   match. Providers do their best, but the reply still needs validating.
+ *   A particle's format also has its particleName, and a reaction's the
+ *   elementNames of the pair, which aren't sent (see
+ *   particleResponseFormat() and reactionResponseFormat()).
+ * @param {AbortSignal} [signal] - Cancels the request, which then rejects
+ *   with an AbortError
+ * @returns {Promise<Object>} - { text, usage }, see LLM_PROVIDERS
+ * @throws {Error} - If today's spending cap can't cover the request (see
+ *   llm-usage.js)
+ */
+async function requestLLMChat(settings, messages, format = null, signal = null) {
+  const reserved = reserveLLMSpending(settings, messages);
+
+  const provider = getLLMProvider(settings.provider);
+  let reply;
+  try {
+    if (provider.chat) {
+      reply = await provider.chat(settings, messages, format, signal);
+    } else {
+      const data = await fetchLLMProvider(settings, provider.chatPath,
+        provider.buildRequest(settings, messages, format), signal);
+      reply = provider.parseResponse(data);
+    }
+  } finally {
+    releaseLLMSpending(reserved);
+  }
+
+  recordLLMUsage(settings, reply.usage);
+  return reply;
+}
+
+/**
+ * Ask the provider which models it has
+ * @param {Object} settings - The LLM settings
+ * @returns {Promise<Array>} - The model names, sorted unless the provider
+ *   lists them itself
+ */
+async function listLLMModels(settings) {
+  const provider = getLLMProvider(settings.provider);
+  if (provider.listModels) return provider.listModels(settings);
+
+  const data = await fetchLLMProvider(settings, provider.modelsPath);
+  return provider.parseModels(data).sort();
+}
@@ -1,7 +1,7 @@
 /*
  * UI elements for the LLM integration.
  * This file handles the UI elements for the LLM integration,
- * including the text input box and API key configuration.
+ * including the text input box and LLM provider configuration.
  */
 
 // UI elements
@@ -11,11 +11,33 @@ let llmSubmitButton = null;
 let llmStatusDisplay = null;
 let llmSettingsButton = null;
 let llmSettingsContainer = null;
+let llmProviderSelect = null;
+let llmBaseUrlInput = null;
 let llmApiKeyInput = null;
-let llmSaveApiKeyButton = null;
+let llmModelSelect = null;
+let llmRefreshModelsButton = null;
+let llmSaveSettingsButton = null;
 let llmCloseSettingsButton = null;
+let llmPromptTemplatesButton = null;
+let llmBudgetInput = null;
+let llmAutoRepairCheckbox = null;
+let llmPackControls = null;
+let llmExportPackButton = null;
+let llmImportPackButton = null;
+let llmImportPackInput = null;
+let llmPackCollision = null;
+let llmReactionsButton = null;
+
+// Settings of each LLM provider by id, so switching providers keeps them
+let llmProviderSettings = {};
+
+// Particles from an imported pack that are still to be imported, in order
+let pendingPackParticles = [];
+let packImportSummary = null;
 let llmCustomParticlesContainer = null;
 let llmTestButton = null;
+let llmSceneButton = null;
+let llmHistoryButton = null;
 
 // Initialize the LLM UI
 function initLLMUI() {
@@ -29,7 +51,7 @@ function initLLMUI() {
   llmInputBox.type = 'text';
   llmInputBox.id = 'llmInputBox';
   llmInputBox.className = 'llm-input';
-  llmInputBox.placeholder = 'Type a new particle name...';
+  llmInputBox.placeholder = 'Type particle names, separated by commas...';
   
   // Create submit button
   llmSubmitButton = document.createElement('button');
@@ -37,6 +59,20 @@ function initLLMUI() {
   llmSubmitButton.className = 'llm-button';
   llmSubmitButton.textContent = 'Generate Particle';
   
+  // Create scene button, which opens the scene panel (see scene-generator.js)
+  llmSceneButton = document.createElement('button');
+  llmSceneButton.id = 'llmSceneButton';
+  llmSceneButton.className = 'llm-button';
+  llmSceneButton.textContent = 'Scene';
+  llmSceneButton.title = 'Generate a whole scene from a description';
+  
+  // Create history button, which opens the history panel (see generation-history.js)
+  llmHistoryButton = document.createElement('button');
+  llmHistoryButton.id = 'llmHistoryButton';
+  llmHistoryButton.className = 'llm-button';
+  llmHistoryButton.textContent = 'History';
+  llmHistoryButton.title = 'Past LLM requests, and the response cache';
+  
   // Create settings button
   llmSettingsButton = document.createElement('button');
   llmSettingsButton.id = 'llmSettingsButton';
@@ -59,28 +95,89 @@ function initLLMUI() {
   // Add elements to container
   llmInputContainer.appendChild(llmInputBox);
   llmInputContainer.appendChild(llmSubmitButton);
+  llmInputContainer.appendChild(llmSceneButton);
+  llmInputContainer.appendChild(llmHistoryButton);
   llmInputContainer.appendChild(llmSettingsButton);
   llmInputContainer.appendChild(llmTestButton);
   llmInputContainer.appendChild(llmStatusDisplay);
   
+  // Tokens and money spent (see llm-usage.js)
+  llmInputContainer.appendChild(initLLMUsageView());
+  
+  // The generation queue, under the input (see particle-queue.js)
+  llmInputContainer.appendChild(initParticleQueueView());
+  
   // Create settings container (initially hidden)
   llmSettingsContainer = document.createElement('div');
   llmSettingsContainer.id = 'llmSettingsContainer';
   llmSettingsContainer.className = 'llm-settings-container';
   llmSettingsContainer.style.display = 'none';
   
+  // Create provider select
+  llmProviderSelect = document.createElement('select');
+  llmProviderSelect.id = 'llmProviderSelect';
+  llmProviderSelect.className = 'llm-input';
+  Object.keys(LLM_PROVIDERS).forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = LLM_PROVIDERS[id].label;
+    llmProviderSelect.appendChild(option);
+  });
+  
+  // Create base URL input
+  llmBaseUrlInput = document.createElement('input');
+  llmBaseUrlInput.type = 'text';
+  llmBaseUrlInput.id = 'llmBaseUrlInput';
+  llmBaseUrlInput.className = 'llm-input';
+  llmBaseUrlInput.title = 'Base URL of the API; leave empty for the default';
+  
   // Create API key input
   llmApiKeyInput = document.createElement('input');
   llmApiKeyInput.type = 'password';
   llmApiKeyInput.id = 'llmApiKeyInput';
   llmApiKeyInput.className = 'llm-input';
-  llmApiKeyInput.placeholder = 'Enter your OpenAI API key...';
-  
-  // Create save API key button
-  llmSaveApiKeyButton = document.createElement('button');
-  llmSaveApiKeyButton.id = 'llmSaveApiKeyButton';
-  llmSaveApiKeyButton.className = 'llm-button';
-  llmSaveApiKeyButton.textContent = 'Save API Key';
+  llmApiKeyInput.placeholder = 'Enter your API key...';
+  
+  // Create model select, and a button to ask the server for its models
+  llmModelSelect = document.createElement('select');
+  llmModelSelect.id = 'llmModelSelect';
+  llmModelSelect.className = 'llm-input';
+  
+  llmRefreshModelsButton = document.createElement('button');
+  llmRefreshModelsButton.id = 'llmRefreshModelsButton';
+  llmRefreshModelsButton.className = 'llm-button';
+  llmRefreshModelsButton.textContent = '↻';
+  llmRefreshModelsButton.title = 'Fetch the models the server has';
+  
+  // Create save settings button
+  llmSaveSettingsButton = document.createElement('button');
+  llmSaveSettingsButton.id = 'llmSaveSettingsButton';
+  llmSaveSettingsButton.className = 'llm-button';
+  llmSaveSettingsButton.textContent = 'Save';
+  
+  // Create particle budget input
+  llmBudgetInput = document.createElement('input');
+  llmBudgetInput.type = 'number';
+  llmBudgetInput.id = 'llmBudgetInput';
+  llmBudgetInput.className = 'llm-input';
+  llmBudgetInput.min = MIN_PARTICLE_BUDGET_MS;
+  llmBudgetInput.max = MAX_PARTICLE_BUDGET_MS;
+  llmBudgetInput.step = 0.5;
+  llmBudgetInput.value = DEFAULT_PARTICLE_BUDGET_MS;
+  llmBudgetInput.title = 'Time each custom particle may take per frame, in milliseconds';
+  
+  // Create automatic repair checkbox (see particle-repair.js)
+  llmAutoRepairCheckbox = document.createElement('input');
+  llmAutoRepairCheckbox.type = 'checkbox';
+  llmAutoRepairCheckbox.id = 'llmAutoRepairCheckbox';
+  llmAutoRepairCheckbox.checked = autoRepairParticles;
+  
+  // Create prompt templates button, which opens the templates panel (see prompt-templates.js)
+  llmPromptTemplatesButton = document.createElement('button');
+  llmPromptTemplatesButton.id = 'llmPromptTemplatesButton';
+  llmPromptTemplatesButton.className = 'llm-button';
+  llmPromptTemplatesButton.textContent = 'Prompt templates';
+  llmPromptTemplatesButton.title = 'Edit, pick and compare the prompts particles are generated with';
   
   // Create close settings button
   llmCloseSettingsButton = document.createElement('button');
@@ -89,9 +186,23 @@ function initLLMUI() {
   llmCloseSettingsButton.textContent = 'Close';
   
   // Add elements to settings container
-  llmSettingsContainer.appendChild(document.createElement('h3')).textContent = 'OpenAI API Settings';
+  llmSettingsContainer.appendChild(document.createElement('h3')).textContent = 'LLM Provider Settings';
+  llmSettingsContainer.appendChild(llmProviderSelect);
+  llmSettingsContainer.appendChild(llmBaseUrlInput);
   llmSettingsContainer.appendChild(llmApiKeyInput);
-  llmSettingsContainer.appendChild(llmSaveApiKeyButton);
+  const modelRow = llmSettingsContainer.appendChild(document.createElement('div'));
+  modelRow.className = 'llm-settings-row';
+  modelRow.appendChild(llmModelSelect);
+  modelRow.appendChild(llmRefreshModelsButton);
+  llmSettingsContainer.appendChild(llmSaveSettingsButton);
+  llmSettingsContainer.appendChild(document.createElement('h3')).textContent = 'Custom Particle Budget (ms per frame)';
+  llmSettingsContainer.appendChild(llmBudgetInput);
+  const autoRepairLabel = llmSettingsContainer.appendChild(document.createElement('label'));
+  autoRepairLabel.className = 'llm-settings-row';
+  autoRepairLabel.appendChild(llmAutoRepairCheckbox);
+  autoRepairLabel.appendChild(document.createTextNode('Ask the LLM to fix particles whose code throws'));
+  llmSettingsContainer.appendChild(initLLMSpendingSettings());
+  llmSettingsContainer.appendChild(llmPromptTemplatesButton);
   llmSettingsContainer.appendChild(llmCloseSettingsButton);
   
   // Create custom particles container
@@ -99,6 +210,40 @@ function initLLMUI() {
   llmCustomParticlesContainer.id = 'llmCustomParticlesContainer';
   llmCustomParticlesContainer.className = 'llm-custom-particles';
   
+  // Create particle pack controls, shown in the custom particles panel
+  llmPackControls = document.createElement('div');
+  llmPackControls.className = 'llm-pack-controls';
+  
+  llmExportPackButton = document.createElement('button');
+  llmExportPackButton.className = 'llm-button';
+  llmExportPackButton.textContent = 'Export pack';
+  
+  llmImportPackButton = document.createElement('button');
+  llmImportPackButton.className = 'llm-button';
+  llmImportPackButton.textContent = 'Import pack';
+  
+  llmImportPackInput = document.createElement('input');
+  llmImportPackInput.type = 'file';
+  llmImportPackInput.accept = 'application/json,.json';
+  llmImportPackInput.style.display = 'none';
+  
+  // Shows a name collision for the user to resolve (initially hidden)
+  llmPackCollision = document.createElement('div');
+  llmPackCollision.className = 'llm-pack-collision';
+  llmPackCollision.style.display = 'none';
+  
+  // Opens the reaction table (see reaction-table.js)
+  llmReactionsButton = document.createElement('button');
+  llmReactionsButton.className = 'llm-button';
+  llmReactionsButton.textContent = 'Reactions';
+  llmReactionsButton.title = 'Generate and edit what happens when two elements touch';
+  
+  llmPackControls.appendChild(llmExportPackButton);
+  llmPackControls.appendChild(llmImportPackButton);
+  llmPackControls.appendChild(llmImportPackInput);
+  llmPackControls.appendChild(llmReactionsButton);
+  llmPackControls.appendChild(llmPackCollision);
+  
   // Add settings container to body
   document.body.appendChild(llmSettingsContainer);
   
@@ -111,21 +256,57 @@ function initLLMUI() {
     console.error('Menu wrapper not found, cannot add LLM UI');
   }
   
+  // Create the particle editor (see particle-editor.js)
+  initParticleEditor();
+  
+  // Create the repair diff view (see particle-repair.js)
+  initParticleRepairView();
+  
+  // Create the reactions panel (see reaction-table.js)
+  initReactionTableView();
+  
+  // Create the scene panel (see scene-generator.js)
+  initSceneView();
+  
+  // Create the history panel (see generation-history.js)
+  initGenerationHistoryView();
+  
+  // Create the prompt templates panel (see prompt-templates.js)
+  initPromptTemplatesView();
+  
   // Setup event listeners
   setupLLMEventListeners();
+  
+  // List the particles restored from a previous session, if any
+  updateCustomParticlesList();
 }
 
 // Setup event listeners for LLM UI
 function setupLLMEventListeners() {
   llmSubmitButton.addEventListener('click', handleParticleSubmission);
   
+  llmSceneButton.addEventListener('click', showScenePanel);
+  
+  llmHistoryButton.addEventListener('click', showGenerationHistory);
+  
   llmInputBox.addEventListener('keydown', function(event) {
     if (event.key === 'Enter') {
       handleParticleSubmission();
     }
   });
   
+  // A pasted list, one name per line, goes in the one-line input as a
+  // comma separated list
+  llmInputBox.addEventListener('paste', function(event) {
+    const text = event.clipboardData.getData('text');
+    if (!/[\r\n]/.test(text)) return;
+    event.preventDefault();
+    const names = text.split(/[\r\n]+/).map(name => name.trim()).filter(name => name !== '');
+    llmInputBox.setRangeText(names.join(', '), llmInputBox.selectionStart, llmInputBox.selectionEnd, 'end');
+  });
+  
   llmSettingsButton.addEventListener('click', function() {
+    renderLLMPriceTable();
     llmSettingsContainer.style.display = 'block';
   });
   
@@ -133,11 +314,26 @@ function setupLLMEventListeners() {
     llmSettingsContainer.style.display = 'none';
   });
   
-  llmSaveApiKeyButton.addEventListener('click', function() {
-    const apiKey = llmApiKeyInput.value.trim();
-    if (initOpenAI(apiKey)) {
+  llmPromptTemplatesButton.addEventListener('click', function() {
+    llmSettingsContainer.style.display = 'none';
+    showPromptTemplates();
+  });
+  
+  llmProviderSelect.addEventListener('change', function() {
+    showLLMProviderSettings(llmProviderSelect.value);
+  });
+  
+  llmRefreshModelsButton.addEventListener('click', refreshLLMModels);
+  
+  llmSaveSettingsButton.addEventListener('click', function() {
+    const settings = readLLMSettingsForm();
+    if (configureLLM(settings)) {
       updateLLMStatus(getStatusMessage(), 'success');
-      localStorage.setItem('openai_api_key', apiKey);
+      llmProviderSettings[settings.provider] = settings;
+      localStorage.setItem('llm_settings', JSON.stringify({
+        provider: settings.provider,
+        providers: llmProviderSettings
+      }));
       llmSettingsContainer.style.display = 'none';
     } else {
       updateLLMStatus(getErrorMessage(), 'error');
@@ -158,60 +354,247 @@ function setupLLMEventListeners() {
     }
   });
 
-  // Check for stored API key
+  llmBudgetInput.addEventListener('change', function() {
+    const budget = parseFloat(llmBudgetInput.value);
+    if (isNaN(budget)) {
+      updateLLMStatus('Please enter a budget in milliseconds', 'error');
+      return;
+    }
+    applyParticleBudget(budget);
+    localStorage.setItem('particle_budget_ms', llmBudgetInput.value);
+  });
+
+  llmAutoRepairCheckbox.addEventListener('change', function() {
+    setAutoRepairParticles(llmAutoRepairCheckbox.checked);
+    localStorage.setItem('auto_repair_particles', llmAutoRepairCheckbox.checked);
+  });
+
+  llmExportPackButton.addEventListener('click', exportParticlePack);
+  
+  llmReactionsButton.addEventListener('click', showReactionTable);
+  
+  llmImportPackButton.addEventListener('click', function() {
+    llmImportPackInput.click();
+  });
+  
+  llmImportPackInput.addEventListener('change', function() {
+    const file = llmImportPackInput.files[0];
+    // Allow importing the same file again
+    llmImportPackInput.value = '';
+    if (file) importParticlePack(file);
+  });
+
+  // Hear about custom particles being quarantined, or throwing
+  if (simulation) {
+    simulation.onEvent = handleSimulationEvent;
+  }
+
+  // Check for a stored particle budget
+  const storedBudget = parseFloat(localStorage.getItem('particle_budget_ms'));
+  if (!isNaN(storedBudget)) {
+    applyParticleBudget(storedBudget);
+  }
+
+  // Automatic repairs are on unless turned off
+  if (localStorage.getItem('auto_repair_particles') === 'false') {
+    llmAutoRepairCheckbox.checked = false;
+    setAutoRepairParticles(false);
+  }
+
+  // Check for stored LLM settings
+  loadStoredLLMSettings();
+}
+
+// Load the stored LLM settings into the settings dialog, and configure the
+// provider with them
+function loadStoredLLMSettings() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem('llm_settings'));
+  } catch (error) {
+    console.error('Ignoring malformed LLM settings:', error);
+  }
+  
+  // Before providers, only an OpenAI API key was stored
   const storedApiKey = localStorage.getItem('openai_api_key');
-  if (storedApiKey) {
-    llmApiKeyInput.value = storedApiKey;
-    initOpenAI(storedApiKey);
+  if (!stored && storedApiKey) {
+    stored = {
+      provider: 'openai',
+      providers: { openai: { provider: 'openai', baseUrl: '', apiKey: storedApiKey, model: '' } }
+    };
+  }
+  
+  const provider = stored && LLM_PROVIDERS[stored.provider] ? stored.provider : DEFAULT_LLM_PROVIDER;
+  llmProviderSettings = (stored && stored.providers) || {};
+  llmProviderSelect.value = provider;
+  showLLMProviderSettings(provider);
+  
+  if (stored) {
+    configureLLM(readLLMSettingsForm());
+  }
+}
+
+// Fill the settings dialog with a provider's settings
+function showLLMProviderSettings(providerId) {
+  const provider = getLLMProvider(providerId);
+  const settings = llmProviderSettings[providerId] || {};
+  
+  llmBaseUrlInput.value = settings.baseUrl || '';
+  llmBaseUrlInput.placeholder = provider.baseUrlPlaceholder || provider.defaultBaseUrl;
+  llmApiKeyInput.value = settings.apiKey || '';
+  // Providers that never need a key don't ask for one
+  llmApiKeyInput.style.display =
+    provider.needsApiKey({ provider: providerId, baseUrl: '' }) ? '' : 'none';
+  showLLMModels(provider.models, settings.model || provider.defaultModel);
+}
+
+// Fill the model select, keeping the selected model even if it isn't listed
+function showLLMModels(models, selected) {
+  llmModelSelect.innerHTML = '';
+  const names = models.includes(selected) ? models : [selected].concat(models);
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    llmModelSelect.appendChild(option);
+  });
+  llmModelSelect.value = selected;
+}
+
+// Read the settings dialog
+function readLLMSettingsForm() {
+  return {
+    provider: llmProviderSelect.value,
+    baseUrl: llmBaseUrlInput.value.trim(),
+    apiKey: llmApiKeyInput.value.trim(),
+    model: llmModelSelect.value
+  };
+}
+
+// Ask the provider for its models, and offer them in the model select
+async function refreshLLMModels() {
+  const settings = readLLMSettingsForm();
+  llmRefreshModelsButton.disabled = true;
+  try {
+    const models = await listLLMModels(settings);
+    if (models.length === 0) {
+      updateLLMStatus('The server has no models', 'error');
+      return;
+    }
+    showLLMModels(models, models.includes(settings.model) ? settings.model : models[0]);
+    updateLLMStatus(`Found ${models.length} models`, 'success');
+  } catch (error) {
+    console.error('Failed to list models:', error);
+    updateLLMStatus(`Failed to list models: ${error.message}`, 'error');
+  } finally {
+    llmRefreshModelsButton.disabled = false;
+  }
+}
+
+// Send a custom particle budget to the simulation, and show it clamped
+function applyParticleBudget(budget) {
+  budget = Math.min(Math.max(budget, MIN_PARTICLE_BUDGET_MS), MAX_PARTICLE_BUDGET_MS);
+  llmBudgetInput.value = budget;
+  if (simulation) {
+    simulation.send({ type: 'setParticleBudget', ms: budget });
+  }
+}
+
+// Handle events reported by the simulation
+function handleSimulationEvent(event) {
+  if (event.type === 'runtimeError') {
+    handleParticleRuntimeError(event);
+    return;
   }
+  if (event.type !== 'quarantine') return;
+  
+  quarantinedParticles[event.id] = event.reason;
+  updateLLMStatus(`${event.name} was quarantined: ${event.reason}`, 'error');
+  updateCustomParticlesList();
 }
 
-// Handle particle submission
-async function handleParticleSubmission() {
-  const particleName = llmInputBox.value.trim().toUpperCase();
+// Handle particle submission: queue every name typed (see particle-queue.js)
+function handleParticleSubmission() {
+  const particleNames = parseParticleNames(llmInputBox.value);
   
-  if (!particleName) {
+  if (particleNames.length === 0) {
     updateLLMStatus('Please enter a particle name', 'error');
     return;
   }
   
   if (!config.initialized) {
-    updateLLMStatus('Please configure your OpenAI API key first', 'error');
+    updateLLMStatus('Please configure an LLM provider first', 'error');
+    renderLLMPriceTable();
     llmSettingsContainer.style.display = 'block';
     return;
   }
   
-  try {
-    updateLLMStatus(`Generating ${particleName} particle...`, 'loading');
-    llmSubmitButton.disabled = true;
-    
-    const particleData = await generateParticle(particleName);
-    
-    // Register the new element and UI
-    try {
-      registerCustomParticle(particleData);
-      
-      // Update UI
-      updateLLMStatus(`Successfully generated ${particleName}!`, 'success');
-      updateCustomParticlesList();
-      llmInputBox.value = '';
-    } catch (registerError) {
-      console.error('Failed to register particle:', registerError);
-      updateLLMStatus(`Error registering particle: ${registerError.message}`, 'error');
-    }
-  } catch (error) {
-    console.error('Particle generation error:', error);
-    updateLLMStatus(`Error: ${error.message}`, 'error');
-  } finally {
-    llmSubmitButton.disabled = false;
+  const queued = enqueueParticles(particleNames);
+  if (queued === 0) {
+    updateLLMStatus('Those particles are already being generated', 'info');
+    return;
+  }
+  updateLLMStatus(queued === 1 ? `Generating ${particleNames[0]} particle...` : `Queued ${queued} particles`, 'loading');
+  llmInputBox.value = '';
+}
+
+// Register a generated particle, keep it across reloads and list it. Throws
+// if the particle doesn't register.
+function registerGeneratedParticle(particleData) {
+  keepCustomParticle(particleData, { conversation: getParticleConversation(particleData.name) });
+}
+
+// Register a particle in place of any of its name, keep it across reloads
+// and list it. change is { previous, note, conversation }, all optional:
+// previous is the particle being replaced, and the replacement goes in its
+// edit history with the note; conversation is kept as the particle's.
+// Returns false, keeping nothing, if previous is no longer the particle of
+// its name. Throws if the particle doesn't register.
+function keepCustomParticle(particleData, change = {}) {
+  const particleName = particleData.name;
+  
+  // Don't overwrite an edit made while the LLM was working on previous
+  if (change.previous && getCustomParticle(particleName) !== change.previous) {
+    return false;
+  }
+  
+  registerCustomParticle(particleData);
+  customParticles[particleName] = particleData;
+  
+  // Keep it across reloads (see particle-store.js)
+  saveStoredParticle(particleData).catch(error => {
+    console.error(`Failed to store ${particleName} particle:`, error);
+  });
+  if (change.conversation) {
+    particleConversations[particleName] = change.conversation;
+    saveParticleConversation(particleName, change.conversation).catch(error => {
+      console.error(`Failed to store the conversation about ${particleName}:`, error);
+    });
+  }
+  if (change.previous) {
+    recordParticleEdit(particleName, change.previous, particleData, change.note);
   }
+  
+  updateCustomParticlesList();
+  return true;
 }
 
-// Update status display
-function updateLLMStatus(message, type = 'info') {
+// Update status display, with an optional list of details under the message
+function updateLLMStatus(message, type = 'info', details = []) {
   llmStatusDisplay.textContent = message;
   llmStatusDisplay.className = `llm-status ${type}`;
   
+  if (details && details.length !== 0) {
+    const list = document.createElement('ul');
+    list.className = 'llm-status-details';
+    details.forEach(detail => {
+      const item = document.createElement('li');
+      item.textContent = detail;
+      list.appendChild(item);
+    });
+    llmStatusDisplay.appendChild(list);
+  }
+  
   // Clear success/info messages after 5 seconds
   if (type === 'success' || type === 'info') {
     setTimeout(() => {
@@ -225,12 +608,22 @@ function updateLLMStatus(message, type = 'info') {
 
 // Update the list of custom particles
 function updateCustomParticlesList() {
+  // Particles may be registered before the UI is built
+  if (!llmCustomParticlesContainer) return;
+  
+  // Reactions may name particles that were just registered
+  sendReactionRules();
+  
   llmCustomParticlesContainer.innerHTML = '';
   
   const particles = getAllCustomParticles();
   const particleNames = Object.keys(particles);
   
+  llmExportPackButton.disabled = particleNames.length === 0;
+  
   if (particleNames.length === 0) {
+    // Still offer to import a pack
+    llmCustomParticlesContainer.appendChild(llmPackControls);
     return;
   }
   
@@ -253,11 +646,11 @@ function updateCustomParticlesList() {
     const textColor = ensureVisibleColor(r, g, b);
     particleButton.style.color = textColor;
     
-    // Use the element color for selection
-    const elementColor = customElementColors[name];
+    // Use the element id for selection
+    const elementId = customElementIds[name];
     
     // Set ID on the button to allow for proper selection/deselection
-    particleButton.id = elementColor.toString();
+    particleButton.id = elementId.toString();
     
     particleButton.addEventListener('click', function() {
       // Deselect the currently selected element
@@ -267,18 +660,214 @@ function updateCustomParticlesList() {
       
       // Handle selection in custom particles list
       particleButton.classList.add("selectedElementMenuButton");
-      SELECTED_ELEM = elementColor;
+      SELECTED_ELEM = elementId;
     });
     
     particlesList.appendChild(particleButton);
+    
+    const editButton = document.createElement('button');
+    editButton.className = 'llm-button llm-edit-button';
+    editButton.textContent = '✎';
+    editButton.title = `Edit ${name}`;
+    editButton.addEventListener('click', function() {
+      openParticleEditor(name);
+    });
+    particlesList.appendChild(editButton);
+    
+    // Refine it by asking for changes (see particle-refine.js)
+    particlesList.appendChild(createParticleRefineButton(name));
+    
+    // Offer to review the last automatic repair
+    if (getParticleRepair(name)) {
+      const repairButton = document.createElement('button');
+      repairButton.className = 'llm-button llm-edit-button';
+      repairButton.textContent = 'Δ';
+      repairButton.title = `Show what the automatic repair of ${name} changed`;
+      repairButton.addEventListener('click', function() {
+        showParticleRepair(name);
+      });
+      particlesList.appendChild(repairButton);
+    }
+    
+    // Flag quarantined particles, and offer to re-enable them
+    const quarantineReason = quarantinedParticles[elementId];
+    if (quarantineReason) {
+      particleButton.classList.add('llm-quarantined');
+      particleButton.title = `Quarantined: ${quarantineReason}`;
+      
+      const reenableButton = document.createElement('button');
+      reenableButton.className = 'llm-button llm-reenable-button';
+      reenableButton.textContent = 'Re-enable';
+      reenableButton.title = `Re-enable ${name}`;
+      reenableButton.addEventListener('click', function() {
+        releaseCustomParticle(elementId);
+        updateLLMStatus(`${name} re-enabled`, 'success');
+      });
+      particlesList.appendChild(reenableButton);
+    }
+    
+    // Its refine box, on a line of its own
+    particlesList.appendChild(getParticleRefineBox(name).row);
   });
   
   llmCustomParticlesContainer.appendChild(particlesList);
+  llmCustomParticlesContainer.appendChild(llmPackControls);
   
   // Add click handler to original menu buttons to ensure they work after custom particles are selected
   addOriginalMenuButtonHandlers();
 }
 
+// Download all custom particles as a pack (see particle-packs.js)
+function exportParticlePack() {
+  const particles = Object.values(getAllCustomParticles());
+  if (particles.length === 0) {
+    updateLLMStatus('No custom particles to export', 'error');
+    return;
+  }
+  
+  const pack = createParticlePack(particles);
+  const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `particles-${pack.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  
+  updateLLMStatus(`Exported ${particles.length} particles`, 'success');
+}
+
+// Import the particles in a pack file, asking about name collisions
+function importParticlePack(file) {
+  const reader = new FileReader();
+  reader.onload = function() {
+    let pack;
+    try {
+      pack = readParticlePack(JSON.parse(reader.result));
+    } catch (error) {
+      console.error('Failed to import particle pack:', error);
+      updateLLMStatus(`Failed to import pack: ${error.message}`, 'error');
+      return;
+    }
+    
+    pack.warnings.forEach(warning => console.warn(warning));
+    pendingPackParticles = pack.particles;
+    packImportSummary = { imported: 0, skipped: 0, failed: [], warnings: pack.warnings };
+    importPendingPackParticles();
+  };
+  reader.readAsText(file);
+}
+
+// Import pending pack particles in order, stopping at a name collision until
+// the user resolves it. Particles can refer to those before them in the pack.
+function importPendingPackParticles() {
+  while (pendingPackParticles.length !== 0) {
+    const particleData = pendingPackParticles[0];
+    const collision = particleNameCollision(particleData.name);
+    if (collision) {
+      showPackCollision(particleData.name, collision);
+      return;
+    }
+    importPackParticle(pendingPackParticles.shift());
+  }
+  
+  llmPackCollision.style.display = 'none';
+  finishPackImport();
+}
+
+// Register a particle from a pack, and keep it like a generated one
+function importPackParticle(particleData) {
+  try {
+    checkCustomParticle(particleData);
+    registerCustomParticle(particleData);
+  } catch (error) {
+    console.error(`Failed to import ${particleData.name} particle:`, error);
+    packImportSummary.failed.push(`${particleData.name} (${error.message})`);
+    return;
+  }
+  
+  customParticles[particleData.name] = particleData;
+  saveStoredParticle(particleData).catch(error => {
+    console.error(`Failed to store ${particleData.name} particle:`, error);
+  });
+  packImportSummary.imported++;
+}
+
+// Ask whether to rename or replace a particle whose name is taken
+function showPackCollision(name, collision) {
+  llmPackCollision.innerHTML = '';
+  llmPackCollision.style.display = 'block';
+  
+  const message = document.createElement('div');
+  message.textContent = collision === 'builtin'
+    ? `${name} is a built-in element. Import it as:`
+    : `${name} already exists. Replace it, or import it as:`;
+  
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'llm-input';
+  nameInput.value = freeParticleName(name);
+  
+  const renameButton = document.createElement('button');
+  renameButton.className = 'llm-button';
+  renameButton.textContent = 'Rename';
+  renameButton.addEventListener('click', function() {
+    const newName = nameInput.value.trim().toUpperCase();
+    if (!PARTICLE_NAME_PATTERN.test(newName)) {
+      updateLLMStatus('Names must be letters, digits and underscores', 'error');
+      return;
+    }
+    if (particleNameCollision(newName) || pendingPackParticles.some(p => p.name === newName)) {
+      updateLLMStatus(`${newName} is taken too`, 'error');
+      return;
+    }
+    pendingPackParticles = renamePackParticle(pendingPackParticles, name, newName);
+    importPendingPackParticles();
+  });
+  
+  const replaceButton = document.createElement('button');
+  replaceButton.className = 'llm-button';
+  replaceButton.textContent = 'Replace';
+  replaceButton.addEventListener('click', function() {
+    importPackParticle(pendingPackParticles.shift());
+    importPendingPackParticles();
+  });
+  
+  const skipButton = document.createElement('button');
+  skipButton.className = 'llm-button';
+  skipButton.textContent = 'Skip';
+  skipButton.addEventListener('click', function() {
+    pendingPackParticles.shift();
+    packImportSummary.skipped++;
+    importPendingPackParticles();
+  });
+  
+  llmPackCollision.appendChild(message);
+  llmPackCollision.appendChild(nameInput);
+  llmPackCollision.appendChild(renameButton);
+  // Built-in elements can't be replaced
+  if (collision !== 'builtin') llmPackCollision.appendChild(replaceButton);
+  llmPackCollision.appendChild(skipButton);
+}
+
+// Report how a pack import went
+function finishPackImport() {
+  const summary = packImportSummary;
+  packImportSummary = null;
+  
+  let message = `Imported ${summary.imported} particles`;
+  if (summary.skipped) message += `, skipped ${summary.skipped}`;
+  if (summary.failed.length) message += `; failed: ${summary.failed.join(', ')}`;
+  if (summary.warnings.length) message += `. ${summary.warnings.join('. ')}`;
+  
+  const type = summary.failed.length || summary.warnings.length ? 'error' : 'success';
+  updateLLMStatus(message, type);
+  updateCustomParticlesList();
+}
+
 // Function to ensure the color is visible against the dark background
 function ensureVisibleColor(r, g, b) {
   // Brighten colors that would be too dark to see
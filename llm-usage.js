@@ -0,0 +1,350 @@
+/*
+ * Token usage and spending.
+ * requestLLMChat() records the usage every provider reply reports, and the
+ * totals for the session and for the day are shown under the LLM input.
+ * Usage is priced per model (see DEFAULT_LLM_PRICES; prices can be changed
+ * in the LLM settings). Once the day's spending reaches the cap, requests
+ * are refused until the next day or until the cap is raised. While a
+ * request runs, its estimated cost counts against the cap too, so that
+ * requests running at once (from the particle queue, say) can't pass it
+ * together by more than their estimates were off.
+ */
+
+// US dollars per million tokens, by model: { input, output }. Models
+// without a price (local ones, for example) are counted as free, and shown
+// as unpriced.
+const DEFAULT_LLM_PRICES = {
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o1': { input: 15, output: 60 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'claude-3-opus-latest': { input: 15, output: 75 }
+};
+
+// The prices in use: the defaults, with the user's changes
+let llmPrices = Object.assign({}, DEFAULT_LLM_PRICES);
+
+// The most that may be spent in a day, in US dollars, or null for no cap
+let llmSpendingCap = null;
+
+// Tokens a reply is assumed to take, before it says how many it took
+const LLM_ESTIMATED_REPLY_TOKENS = 1000;
+
+// The estimated cost of the requests running now, in US dollars (see
+// reserveLLMSpending())
+let llmReservedCost = 0;
+
+// Totals for this session and for today: { requests, inputTokens,
+// outputTokens, unpricedTokens, cost }, where cost is in US dollars; today
+// also has its date (see llmUsageDate())
+let llmSessionUsage = emptyLLMUsage();
+let llmDailyUsage = Object.assign(emptyLLMUsage(), { date: llmUsageDate() });
+
+// UI elements
+let llmUsageDisplay = null;
+let llmSpendingCapInput = null;
+let llmPriceTableBody = null;
+
+/**
+ * Totals with nothing counted yet
+ * @returns {Object} - The totals (see llmSessionUsage)
+ */
+function emptyLLMUsage() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, unpricedTokens: 0, cost: 0 };
+}
+
+/**
+ * Today's date, local time, which daily totals are kept by
+ * @returns {string} - Like '2024-03-09'
+ */
+function llmUsageDate() {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+}
+
+/**
+ * Today's totals, starting them again if the day has changed
+ * @returns {Object} - The totals (see llmDailyUsage)
+ */
+function getLLMDailyUsage() {
+  const today = llmUsageDate();
+  if (llmDailyUsage.date !== today) {
+    llmDailyUsage = Object.assign(emptyLLMUsage(), { date: today });
+  }
+  return llmDailyUsage;
+}
+
+/**
+ * What a reply cost
+ * @param {string} model - The model that replied
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number} - The cost in US dollars, or null if the model has no price
+ */
+function llmUsageCost(model, usage) {
+  const price = llmPrices[model];
+  if (!price) return null;
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Count the usage of a reply in the session's and today's totals
+ * @param {Object} settings - The LLM settings the request was made with
+ * @param {Object} usage - { inputTokens, outputTokens }, or null if the
+ *   provider didn't say
+ */
+function recordLLMUsage(settings, usage) {
+  const cost = usage ? llmUsageCost(llmModel(settings), usage) : null;
+
+  [llmSessionUsage, getLLMDailyUsage()].forEach(totals => {
+    totals.requests++;
+    if (!usage) return;
+    totals.inputTokens += usage.inputTokens;
+    totals.outputTokens += usage.outputTokens;
+    if (cost === null) {
+      totals.unpricedTokens += usage.inputTokens + usage.outputTokens;
+    } else {
+      totals.cost += cost;
+    }
+  });
+
+  localStorage.setItem('llm_usage_today', JSON.stringify(llmDailyUsage));
+  renderLLMUsage();
+}
+
+/**
+ * Reserve the estimated cost of a request against today's cap, refusing
+ * the request if the cap can't cover it along with the requests running
+ * @param {Object} settings - The LLM settings the request is made with
+ * @param {Array} messages - The chat to send
+ * @returns {number} - The cost reserved, to give back with
+ *   releaseLLMSpending() once the request is done
+ * @throws {Error} - If the cap can't cover it
+ */
+function reserveLLMSpending(settings, messages) {
+  if (llmSpendingCap === null) return 0;
+
+  // Roughly four characters a token
+  const inputTokens = Math.ceil(messages.reduce((length, message) => length + message.content.length, 0) / 4);
+  const estimate = llmUsageCost(llmModel(settings), {
+    inputTokens: inputTokens,
+    outputTokens: LLM_ESTIMATED_REPLY_TOKENS
+  }) || 0;
+  const spent = getLLMDailyUsage().cost;
+  if (spent >= llmSpendingCap) {
+    throw new Error(`Today's LLM spending (${formatLLMCost(spent)}) has reached the cap of ` +
+      `${formatLLMCost(llmSpendingCap)}. Raise the cap in the LLM settings, or wait until tomorrow.`);
+  }
+  if (spent + llmReservedCost + estimate > llmSpendingCap) {
+    throw new Error(`Today's LLM spending (${formatLLMCost(spent)}, and about ` +
+      `${formatLLMCost(llmReservedCost + estimate)} for the requests running and this one) would pass ` +
+      `the cap of ${formatLLMCost(llmSpendingCap)}. Try again once the running requests are done, ` +
+      `or raise the cap in the LLM settings.`);
+  }
+
+  llmReservedCost += estimate;
+  return estimate;
+}
+
+/**
+ * Give back the cost reserved for a request that is done; what it
+ * actually cost is recorded with recordLLMUsage()
+ * @param {number} reserved - What reserveLLMSpending() returned for it
+ */
+function releaseLLMSpending(reserved) {
+  llmReservedCost = Math.max(llmReservedCost - reserved, 0);
+}
+
+/**
+ * Set the most that may be spent in a day
+ * @param {number} cap - In US dollars, or null for no cap
+ */
+function setLLMSpendingCap(cap) {
+  llmSpendingCap = cap === null ? null : Math.max(cap, 0);
+  renderLLMUsage();
+}
+
+/**
+ * Set the price of a model
+ * @param {string} model - The model
+ * @param {Object} price - { input, output } in US dollars per million
+ *   tokens, or null for no price
+ */
+function setLLMPrice(model, price) {
+  if (price) {
+    llmPrices[model] = { input: Math.max(price.input, 0), output: Math.max(price.output, 0) };
+  } else {
+    delete llmPrices[model];
+  }
+}
+
+/**
+ * Format an amount of money, with more digits for small amounts
+ * @param {number} cost - In US dollars
+ * @returns {string} - Like '$0.0123'
+ */
+function formatLLMCost(cost) {
+  return '$' + cost.toFixed(cost !== 0 && cost < 1 ? 4 : 2);
+}
+
+/**
+ * Describe totals in a few words
+ * @param {Object} totals - The totals (see llmSessionUsage)
+ * @returns {string} - Like '12,345 tokens, $0.0410'
+ */
+function describeLLMUsage(totals) {
+  const tokens = totals.inputTokens + totals.outputTokens;
+  return `${tokens.toLocaleString()} tokens, ${formatLLMCost(totals.cost)}` +
+    (totals.unpricedTokens !== 0 ? ` (${totals.unpricedTokens.toLocaleString()} unpriced)` : '');
+}
+
+/**
+ * Load the stored prices, cap and today's totals, and build the usage
+ * display, shown under the LLM input
+ * @returns {HTMLElement} - The display, for the caller to place
+ */
+function initLLMUsageView() {
+  llmUsageDisplay = document.createElement('div');
+  llmUsageDisplay.id = 'llmUsageDisplay';
+  llmUsageDisplay.className = 'llm-usage';
+
+  // Check for stored prices, cap and totals
+  try {
+    // Stored prices replace the defaults, so that removed prices stay removed
+    const storedPrices = JSON.parse(localStorage.getItem('llm_prices'));
+    if (storedPrices) {
+      llmPrices = {};
+      Object.keys(storedPrices).forEach(model => setLLMPrice(model, storedPrices[model]));
+    }
+  } catch (error) {
+    console.error('Failed to load the stored LLM prices:', error);
+  }
+  const storedCap = parseFloat(localStorage.getItem('llm_spending_cap'));
+  if (!isNaN(storedCap)) llmSpendingCap = storedCap;
+  try {
+    const storedUsage = JSON.parse(localStorage.getItem('llm_usage_today'));
+    if (storedUsage && storedUsage.date === llmUsageDate()) {
+      llmDailyUsage = Object.assign(emptyLLMUsage(), storedUsage);
+    }
+  } catch (error) {
+    console.error('Failed to load the stored LLM usage:', error);
+  }
+
+  renderLLMUsage();
+  return llmUsageDisplay;
+}
+
+/**
+ * Show the session's and today's totals, and how close today is to the cap
+ */
+function renderLLMUsage() {
+  // Usage may be recorded before the UI is built
+  if (!llmUsageDisplay) return;
+
+  const today = getLLMDailyUsage();
+  const capped = llmSpendingCap !== null && today.cost >= llmSpendingCap;
+  llmUsageDisplay.textContent = `Session: ${describeLLMUsage(llmSessionUsage)}. ` +
+    `Today: ${describeLLMUsage(today)}` +
+    (llmSpendingCap !== null ? ` of ${formatLLMCost(llmSpendingCap)} cap` : '') + '.';
+  llmUsageDisplay.className = capped ? 'llm-usage llm-usage-capped' : 'llm-usage';
+}
+
+/**
+ * Build the spending settings: the daily cap, and the price of each model
+ * @returns {HTMLElement} - The settings, for the caller to place
+ */
+function initLLMSpendingSettings() {
+  const section = document.createElement('div');
+  section.className = 'llm-spending-settings';
+
+  llmSpendingCapInput = document.createElement('input');
+  llmSpendingCapInput.type = 'number';
+  llmSpendingCapInput.id = 'llmSpendingCapInput';
+  llmSpendingCapInput.className = 'llm-input';
+  llmSpendingCapInput.min = '0';
+  llmSpendingCapInput.step = '0.01';
+  llmSpendingCapInput.placeholder = 'No cap';
+  llmSpendingCapInput.title = 'The most to spend on LLM requests in a day, in US dollars';
+  llmSpendingCapInput.value = llmSpendingCap === null ? '' : String(llmSpendingCap);
+
+  const table = document.createElement('table');
+  table.className = 'llm-price-table';
+  const header = table.appendChild(document.createElement('thead')).appendChild(document.createElement('tr'));
+  ['Model', 'Input $/M tokens', 'Output $/M tokens'].forEach(label => {
+    header.appendChild(document.createElement('th')).textContent = label;
+  });
+  llmPriceTableBody = table.appendChild(document.createElement('tbody'));
+
+  section.appendChild(document.createElement('h3')).textContent = 'Daily Spending Cap (US $)';
+  section.appendChild(llmSpendingCapInput);
+  section.appendChild(document.createElement('h3')).textContent = 'Model Prices';
+  section.appendChild(table);
+
+  llmSpendingCapInput.addEventListener('change', function() {
+    const value = llmSpendingCapInput.value.trim();
+    const cap = value === '' ? null : parseFloat(value);
+    if (cap !== null && isNaN(cap)) {
+      updateLLMStatus('Please enter a cap in US dollars, or leave it empty for none', 'error');
+      return;
+    }
+    setLLMSpendingCap(cap);
+    if (llmSpendingCap === null) {
+      localStorage.removeItem('llm_spending_cap');
+    } else {
+      localStorage.setItem('llm_spending_cap', llmSpendingCap);
+    }
+  });
+
+  return section;
+}
+
+/**
+ * Fill the price table: every priced model, and the model in use even if
+ * it has no price, so that it can be given one
+ */
+function renderLLMPriceTable() {
+  llmPriceTableBody.innerHTML = '';
+
+  const models = Object.keys(llmPrices);
+  const current = llmModel(config);
+  if (!models.includes(current)) models.unshift(current);
+
+  models.forEach(model => {
+    const row = llmPriceTableBody.appendChild(document.createElement('tr'));
+    row.appendChild(document.createElement('td')).textContent = model;
+
+    const inputs = ['input', 'output'].map(key => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'llm-input';
+      input.min = '0';
+      input.step = '0.01';
+      input.placeholder = 'Unpriced';
+      input.value = llmPrices[model] ? String(llmPrices[model][key]) : '';
+      row.appendChild(document.createElement('td')).appendChild(input);
+      return input;
+    });
+
+    // Both empty takes the price away
+    row.addEventListener('change', function() {
+      const [input, output] = inputs.map(field => field.value.trim());
+      if (input === '' && output === '') {
+        setLLMPrice(model, null);
+      } else {
+        const price = { input: parseFloat(input || '0'), output: parseFloat(output || '0') };
+        if (isNaN(price.input) || isNaN(price.output)) {
+          updateLLMStatus('Please enter prices in US dollars per million tokens', 'error');
+          return;
+        }
+        setLLMPrice(model, price);
+      }
+      localStorage.setItem('llm_prices', JSON.stringify(llmPrices));
+      renderLLMPriceTable();
+    });
+  });
+}
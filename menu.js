@@ -33,43 +33,11 @@ const elementMenuItems = [
   CONCRETE, METHANE, SOIL, BACKGROUND
 ];
 
-const menuNames = {};
-menuNames[WALL] = "WALL";
-menuNames[SAND] = "SAND";
-menuNames[WATER] = "WATER";
-menuNames[PLANT] = "PLANT";
-menuNames[FIRE] = "FIRE";
-menuNames[SALT] = "SALT";
-menuNames[OIL] = "OIL";
-menuNames[SPOUT] = "SPOUT";
-menuNames[WELL] = "WELL";
-menuNames[TORCH] = "TORCH";
-menuNames[GUNPOWDER] = "GUNPOWDER";
-menuNames[WAX] = "WAX";
-menuNames[NITRO] = "NITRO";
-menuNames[NAPALM] = "NAPALM";
-menuNames[C4] = "C-4";
-menuNames[CONCRETE] = "NEURONS";
-menuNames[BACKGROUND] = "ERASER";
-menuNames[FUSE] = "FUSE";
-menuNames[ICE] = "ICE";
-menuNames[LAVA] = "LAVA";
-menuNames[METHANE] = "METHANE";
-menuNames[CRYO] = "CRYO";
-menuNames[MYSTERY] = "???";
-menuNames[SOIL] = "SOIL";
-
 /*
- * Some element colors do not have very good contrast against
- * the menu background. For these elements, we use a replacement
- * color for the menu text.
+ * Menu names, and replacement colors for elements whose own color has poor
+ * contrast against the menu background, come from the element registry
+ * (see elementProperties in elements.js).
  */
-const menuAltColors = {};
-menuAltColors[WATER] = "rgb(0, 130, 255)";
-menuAltColors[WALL] = "rgb(160, 160, 160)";
-menuAltColors[BACKGROUND] = "rgb(200, 100, 200)";
-menuAltColors[WELL] = "rgb(158, 13, 33)";
-menuAltColors[SOIL] = "rgb(171, 110, 53)";
 
 function initMenu() {
   /* The wrapper div that holds the entire menu */
@@ -97,15 +65,16 @@ function initMenu() {
       elemButton.className = "elementMenuButton";
 
       const elemType = elementMenuItems[elemIdx];
-      if (!(elemType in menuNames))
-        throw "element is missing a canonical name: " + elemType;
-      elemButton.value = menuNames[elemType];
+      const elemProps = elementProperties[elemType];
+      if (!elemProps) throw "element is not in the registry: " + elemType;
+      elemButton.value = elemProps.menuName;
+
+      elemButton.id = elemType;
 
-      const elemColorRGBA = elemType;
-      elemButton.id = elemColorRGBA;
+      const elemColorRGBA = elementColors[elemType];
 
       var elemMenuColor;
-      if (elemType in menuAltColors) elemMenuColor = menuAltColors[elemType];
+      if (elemProps.menuAltColor) elemMenuColor = elemProps.menuAltColor;
       else
         elemMenuColor =
           "rgb(" +
@@ -167,7 +136,7 @@ function initMenu() {
       const type = SPIGOT_ELEMENT_OPTIONS[k];
       const option = document.createElement("option");
       option.value = type;
-      option.text = menuNames[type];
+      option.text = elementProperties[type].menuName;
       if (i === k) {
         option.selected = "selected";
         SPIGOT_ELEMENTS[i] = type;
@@ -186,30 +155,24 @@ function initMenu() {
       sizeSelector.add(option);
     }
   }
-  spigotTypes[0].addEventListener("change", function() {
-    SPIGOT_ELEMENTS[0] = parseInt(spigotTypes[0].value, 10);
-  });
-  spigotTypes[1].addEventListener("change", function() {
-    SPIGOT_ELEMENTS[1] = parseInt(spigotTypes[1].value, 10);
-  });
-  spigotTypes[2].addEventListener("change", function() {
-    SPIGOT_ELEMENTS[2] = parseInt(spigotTypes[2].value, 10);
-  });
-  spigotTypes[3].addEventListener("change", function() {
-    SPIGOT_ELEMENTS[3] = parseInt(spigotTypes[3].value, 10);
-  });
-  spigotSizes[0].addEventListener("change", function() {
-    SPIGOT_SIZES[0] = parseInt(spigotSizes[0].value, 10);
-  });
-  spigotSizes[1].addEventListener("change", function() {
-    SPIGOT_SIZES[1] = parseInt(spigotSizes[1].value, 10);
-  });
-  spigotSizes[2].addEventListener("change", function() {
-    SPIGOT_SIZES[2] = parseInt(spigotSizes[2].value, 10);
-  });
-  spigotSizes[3].addEventListener("change", function() {
-    SPIGOT_SIZES[3] = parseInt(spigotSizes[3].value, 10);
-  });
+  for (i = 0; i < spigotTypes.length; i++) {
+    const spigot = i;
+    const onSpigotChange = function() {
+      SPIGOT_ELEMENTS[spigot] = parseInt(spigotTypes[spigot].value, 10);
+      SPIGOT_SIZES[spigot] = parseInt(spigotSizes[spigot].value, 10);
+      simulation.send({
+        type: "setSpigot",
+        spigot: spigot,
+        elem: SPIGOT_ELEMENTS[spigot],
+        size: SPIGOT_SIZES[spigot]
+      });
+    };
+    spigotTypes[i].addEventListener("change", onSpigotChange);
+    spigotSizes[i].addEventListener("change", onSpigotChange);
+
+    /* the simulation may not share our defaults */
+    onSpigotChange();
+  }
 
   /* 'overwrite' checkbox */
   const overwriteCheckbox = document.getElementById("overwriteCheckbox");
@@ -218,6 +181,21 @@ function initMenu() {
     OVERWRITE_ENABLED = overwriteCheckbox.checked;
   });
 
+  /* 'chunks' checkbox, to show which chunks are awake */
+  const chunksCheckbox = document.getElementById("chunksCheckbox");
+  chunksCheckbox.checked = SHOW_CHUNKS;
+  chunksCheckbox.addEventListener("click", function() {
+    SHOW_CHUNKS = chunksCheckbox.checked;
+  });
+
+  /* 'thermal' checkbox, to draw temperatures instead of elements */
+  const thermalCheckbox = document.getElementById("thermalCheckbox");
+  thermalCheckbox.checked = THERMAL_VIEW;
+  thermalCheckbox.addEventListener("click", function() {
+    THERMAL_VIEW = thermalCheckbox.checked;
+    simulation.wantTemperature = THERMAL_VIEW;
+  });
+
   /* speed slider */
   const speedSlider = document.getElementById("speedSlider");
   speedSlider.min = 0;
@@ -232,17 +210,52 @@ function initMenu() {
 
   /* clear button */
   const clearButton = document.getElementById("clearButton");
-  clearButton.onclick = clearGameCanvas;
+  clearButton.onclick = function() {
+    simulation.send({ type: "clear" });
+  };
 
   /* save button */
   const saveButton = document.getElementById("saveButton");
-  saveButton.onclick = saveGameCanvas;
+  saveButton.onclick = function() {
+    simulation.send({ type: "save" });
+  };
 
   /* load button */
   const loadButton = document.getElementById("loadButton");
-  loadButton.onclick = loadGameCanvas;
+  loadButton.onclick = function() {
+    simulation.send({ type: "load" });
+  };
+
+  /* seed input. Setting the seed restarts the random sequence. */
+  const seedInput = document.getElementById("seedInput");
+  drawSeedLabel();
+  seedInput.addEventListener("change", function() {
+    if (parseSeed(seedInput.value) !== null)
+      simulation.send({ type: "setSeed", seed: seedInput.value });
+    drawSeedLabel();
+  });
+
+  /* export and import buttons, for save files */
+  const exportButton = document.getElementById("exportButton");
+  exportButton.onclick = exportSaveFile;
+
+  const importButton = document.getElementById("importButton");
+  const importFileInput = document.getElementById("importFileInput");
+  importButton.onclick = function() {
+    importFileInput.click();
+  };
+  importFileInput.addEventListener("change", function() {
+    const file = importFileInput.files[0];
+    /* allow importing the same file again */
+    importFileInput.value = "";
+    if (file) importSaveFile(file);
+  });
 }
 
 function drawFPSLabel(fps) {
   document.getElementById("fps-counter").innerText = "FPS: " + fps;
 }
+
+function drawSeedLabel() {
+  document.getElementById("seedInput").value = simulation.seed.toString(10);
+}
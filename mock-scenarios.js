@@ -0,0 +1,229 @@
+/*
+ * Runs particle generation against each scenario of the mock LLM provider
+ * (see llm-mock.js) under Node, and checks that failures are reported and
+ * recovered from the way the UI expects:
+ *
+ *   node mock-scenarios.js [--verbose]
+ *
+ * Each scenario goes through generateParticle(), as the particle queue
+ * calls it, and through handleParticleSubmission(), as the Generate button
+ * does. Exits nonzero if any check fails.
+ *
+ * Copyright (C) 2020, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+const { createEngine } = require("./headless.js");
+
+/* In load order. Must match the order in saved_resource.html. */
+const LLM_SCRIPTS = [
+  "simulation.js",
+  "llm-providers.js",
+  "llm-usage.js",
+  "particle-definitions.js",
+  "json-schema.js",
+  "openai.js",
+  "action-sandbox.js",
+  "custom-particles.js",
+  "llm-mock.js",
+  "particle-store.js",
+  "particle-packs.js",
+  "particle-editor.js",
+  "particle-repair.js",
+  "particle-refine.js",
+  "reaction-table.js",
+  "scene-generator.js",
+  "prompt-templates.js",
+  "generation-history.js",
+  "particle-queue.js",
+  "llm-ui.js"
+];
+
+const verbose = process.argv.includes("--verbose");
+
+/*
+ * An engine with the LLM scripts loaded on top, and just enough of a
+ * browser for them: no DOM (the UI is never built) and no IndexedDB
+ * (particle-store.js then keeps nothing, which is fine here).
+ */
+function createLLMEngine() {
+  const storage = new Map();
+  const quiet = () => {};
+  const engine = createEngine({
+    console: verbose ? console : { log: quiet, warn: quiet, error: quiet },
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    AbortController: AbortController,
+    DOMException: DOMException,
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    }
+  });
+  LLM_SCRIPTS.forEach(engine.loadScript);
+
+  engine.lookup("useWorld(new World(100, 100, 1))");
+  engine.lookup("simulation = new LocalSimulation(activeWorld)");
+  /* What handleParticleSubmission() and updateLLMStatus() touch */
+  engine.lookup("llmInputBox = { value: '' }");
+  engine.lookup("llmStatusDisplay = { textContent: '', className: '' }");
+  return engine;
+}
+
+const engine = createLLMEngine();
+const L = engine.lookup;
+
+function useScenario(scenario) {
+  assert.ok(L("configureLLM")({ provider: "mock", model: scenario }), scenario);
+}
+
+/* Resolves once the queue has nothing waiting or running */
+async function settleQueue() {
+  const queue = L("particleQueue");
+  while (queue.some(item => item.status === "queued" || item.status === "running"))
+    await new Promise(resolve => setTimeout(resolve, 10));
+}
+
+/* Generates a particle, with the statuses it reported along the way */
+async function generate(name, options) {
+  const statuses = [];
+  const particle = await L("generateParticle")(name, Object.assign({
+    onStatus: message => statuses.push(message)
+  }, options));
+  return { particle: particle, statuses: statuses };
+}
+
+/* Submits names as if typed in, and waits for the queue to finish them */
+async function submit(names) {
+  L("llmInputBox").value = names;
+  L("handleParticleSubmission")();
+  await settleQueue();
+  return L("particleQueue").filter(item => names.split(",").includes(item.name));
+}
+
+function isRepair(status) {
+  return /^Repairing /.test(status);
+}
+
+const SCENARIOS = {
+  async fixtures() {
+    const { particle, statuses } = await generate("GOO");
+    assert.strictEqual(particle.name, "GOO");
+    assert.ok(!statuses.some(isRepair), "a fixture needs no repair");
+
+    const [item] = await submit("EMBER");
+    assert.strictEqual(item.status, "done");
+    assert.ok(L("isKnownElement")("EMBER"));
+
+    /* The pair comes with the format, however the prompt words it */
+    const rule = await L("generateReaction")("EMBER", "SAND");
+    assert.strictEqual(rule.becomes, "EMBER");
+    assert.strictEqual(rule.otherBecomes, "EMBER");
+  },
+
+  async "malformed-json"() {
+    /* Only the first reply of a chat is broken, so one repair fixes it */
+    const { particle, statuses } = await generate("TNT");
+    assert.strictEqual(particle.name, "TNT");
+    assert.strictEqual(statuses.filter(isRepair).length, 1);
+
+    const [item] = await submit("SLIME");
+    assert.strictEqual(item.status, "done");
+    assert.ok(L("isKnownElement")("SLIME"));
+  },
+
+  async "missing-fields"() {
+    const { particle, statuses } = await generate("MUD");
+    assert.ok(Array.isArray(particle.color), "the repair restores the color");
+    assert.ok(particle.movement, "the repair restores the movement");
+    assert.strictEqual(statuses.filter(isRepair).length, 1);
+
+    const record = L("generationHistory").filter(entry => entry.name === "MUD").pop();
+    assert.strictEqual(record.error, null);
+    assert.ok(record.messages.length > 1, "the repair is part of the recorded chat");
+
+    const [item] = await submit("FOAM");
+    assert.strictEqual(item.status, "done");
+  },
+
+  async "http-error"() {
+    await assert.rejects(generate("ACID"), /500 Internal Server Error/);
+    assert.match(L("errorMessage"), /500/);
+    assert.ok(!L("isKnownElement")("ACID"));
+    const record = L("generationHistory").filter(entry => entry.name === "ACID").pop();
+    assert.match(record.error, /500/);
+
+    const [item] = await submit("ACID");
+    assert.strictEqual(item.status, "failed");
+    assert.match(item.message, /500/);
+
+    /* Once the provider is back, retrying the failed item succeeds */
+    useScenario("fixtures");
+    L("retryParticleQueueItem")(item.id);
+    await settleQueue();
+    assert.strictEqual(item.status, "done");
+    assert.ok(L("isKnownElement")("ACID"));
+  },
+
+  async slow() {
+    const controller = new AbortController();
+    const cancelled = generate("SMOKE_BOMB", { signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(cancelled, error => error.name === "AbortError");
+    assert.ok(!L("isKnownElement")("SMOKE_BOMB"));
+
+    /* A cancelled queue item can be retried */
+    L("llmInputBox").value = "GLUE";
+    L("handleParticleSubmission")();
+    const item = L("particleQueue").find(item => item.name === "GLUE");
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(item.status, "running");
+    L("cancelParticleQueueItem")(item.id);
+    await settleQueue();
+    assert.strictEqual(item.status, "cancelled");
+
+    useScenario("fixtures");
+    L("retryParticleQueueItem")(item.id);
+    await settleQueue();
+    assert.strictEqual(item.status, "done");
+
+    /* Left alone, a slow reply still arrives */
+    useScenario("slow");
+    const { particle } = await generate("WAX2");
+    assert.strictEqual(particle.name, "WAX2");
+  }
+};
+
+async function main() {
+  var failed = 0;
+  for (const scenario of Object.keys(SCENARIOS)) {
+    useScenario(scenario);
+    try {
+      await SCENARIOS[scenario]();
+      console.log("ok     " + scenario);
+    } catch (error) {
+      failed++;
+      console.log("FAILED " + scenario + ": " + (error.stack || error));
+    }
+  }
+  /* updateLLMStatus() leaves timers behind to clear its messages */
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main();
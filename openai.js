@@ -1,125 +1,116 @@
 /*
- * Integration with OpenAI for custom particle generation.
- * This file handles the communication with OpenAI's API and
- * the generation of new particles based on user input.
+ * Integration with LLMs for custom particle generation.
+ * This file handles building the prompt, talking to the configured
+ * provider (see llm-providers.js) and checking the particles it returns.
  */
 
-// Configuration for OpenAI API
+// Configuration for the LLM provider
 let config = {
-  apiKey: '', // User must provide their own API key
-  model: 'o3-mini', // Using o3-mini as specified
+  provider: DEFAULT_LLM_PROVIDER,
+  baseUrl: '', // Empty for the provider's default
+  apiKey: '', // User must provide their own API key, if the provider needs one
+  model: '', // Empty for the provider's default
   initialized: false
 };
 
 // Store generated particles
 const customParticles = {};
 
+// Conversations with the LLM about each particle, by name: turns like
+// { instruction, reply }, where the first turn is the generation, with a
+// null instruction (see refineParticle)
+const particleConversations = {};
+
+// Refinement turns kept per conversation, besides the generation; older
+// ones are dropped first
+const MAX_PARTICLE_CONVERSATION_TURNS = 10;
+
 // Error and status messages
 let statusMessage = '';
 let errorMessage = '';
 
 /**
- * Initialize the OpenAI integration
- * @param {string} apiKey - The OpenAI API key
- * @returns {boolean} - Whether initialization was successful
+ * Configure the LLM provider
+ * @param {Object} settings - { provider, baseUrl, apiKey, model }
+ * @returns {boolean} - Whether configuration was successful
  */
-function initOpenAI(apiKey) {
-  if (!apiKey || apiKey.trim() === '') {
-    errorMessage = 'Please enter a valid OpenAI API key';
+function configureLLM(settings) {
+  const problem = checkLLMSettings(settings);
+  if (problem) {
+    errorMessage = problem;
     return false;
   }
   
-  config.apiKey = apiKey;
-  config.initialized = true;
-  statusMessage = 'OpenAI integration initialized';
+  config = {
+    provider: settings.provider,
+    baseUrl: settings.baseUrl || '',
+    apiKey: settings.apiKey || '',
+    model: settings.model || '',
+    initialized: true
+  };
+  statusMessage = `${getLLMProvider(config.provider).label} integration initialized`;
   return true;
 }
 
+/**
+ * The color of a registered element, for a prompt
+ * @param {string} name - The element name
+ * @returns {string} - Its color, like '255, 0, 10'
+ */
+function elementColorFor(name) {
+  return getColorComponents(lookupElementId(name)).join(', ');
+}
+
+/**
+ * List the registered elements for a prompt, one per line with its color
+ * and description (see listKnownElements())
+ * @param {string} [particleName] - A particle to leave out, such as the one
+ *   being generated again
+ * @returns {string} - The list
+ */
+function describeKnownElements(particleName = null) {
+  return listKnownElements()
+    .filter(element => element.name !== particleName)
+    .map(element => "   - " + element.name + " (" + element.color.join(", ") + ")" +
+      (element.description ? " - " + element.description : "") +
+      (element.custom ? " (custom)" : "") + "\n")
+    .join("");
+}
+
+/**
+ * The values of the placeholders every part of a prompt template can use
+ * (see PROMPT_TEMPLATE_PLACEHOLDERS)
+ * @param {string} particleName - The name of the particle to create
+ * @returns {Object} - The values, by placeholder
+ */
+function promptTemplateValues(particleName) {
+  return {
+    name: particleName,
+    type: categorizeParticleType(particleName),
+    maxColorVariance: MAX_COLOR_VARIANCE,
+    maxReactions: MAX_PARTICLE_REACTIONS,
+    maxEmitters: MAX_PARTICLE_EMITTERS
+  };
+}
+
 /**
  * Generate a prompt for creating a new particle
  * @param {string} particleName - The name of the particle to create
- * @returns {string} - The prompt to send to OpenAI
+ * @param {Object} [template] - The prompt template (see prompt-templates.js),
+ *   the active one by default
+ * @returns {string} - The prompt to send to the LLM
  */
-function generateParticlePrompt(particleName) {
+function generateParticlePrompt(particleName, template = getActivePromptTemplate()) {
   // Determine if this is a specific type of particle that needs special handling
   const particleType = categorizeParticleType(particleName);
-  
-  // Use a regular string to build the prompt instead of template literals 
-  // to avoid issues with nested ${} expressions
-  return "Create a new particle named " + particleName + " for a falling sand game. This particle MUST be DISTINCTIVE, INTERACTIVE, and UNIQUE, capturing the essence of what \"" + particleName + "\" truly is. Be CREATIVE and THINK OUTSIDE THE BOX.\n" +
-  "\n" +
-  "CRITICAL INSTRUCTION: Your particle MUST NOT BEHAVE LIKE ANY EXISTING PARTICLE. Your particle MUST be visually and behaviorally DISTINCTIVE from standard elements like FIRE, WATER, SAND, etc. DO NOT just recreate an existing element with a new name.\n" +
-  "\n" +
-  "MOST IMPORTANT: The particle should LOOK, BEHAVE, and INTERACT in ways that are IMMEDIATELY recognizable as \"" + particleName + "\". DO NOT create a generic particle - it must have REALISTIC INTERACTIONS with other elements.\n" +
-  "\n" +
-  getSpecialInstructionsForType(particleName, particleType) + 
-  "\n" +
-  "The particle should have these distinctive properties defined:\n" +
-  "1. A VIVID and UNIQUE RGB color value that perfectly represents " + particleName + " and is NOTICEABLY DIFFERENT from built-in elements\n" +
-  "   • FIRE is [255, 0, 10] - DO NOT use similar red shades for non-fire particles\n" +
-  "   • WATER is [0, 10, 255] - DO NOT use similar blue shades for non-liquid particles\n" +
-  "   • PLANT is [0, 220, 0] - DO NOT use similar green shades for non-plant particles\n" +
-  "   • SAND is [223, 193, 99] - DO NOT use similar tan shades for non-granular particles\n" +
-  "   • Choose a color that makes visual sense for " + particleName + " specifically\n" +
-  "2. UNIQUE movement behavior that captures how " + particleName + " would actually move (not just basic falling)\n" +
-  "3. REALISTIC INTERACTIONS with existing particles - this is EXTREMELY IMPORTANT:\n" +
-  "   - SAND (223, 193, 99) - granular material that piles up\n" +
-  "   - WATER (0, 10, 255) - flowing liquid that spreads horizontally\n" +
-  "   - FIRE (255, 0, 10) - burns things and spreads\n" +
-  "   - PLANT (0, 220, 0) - grows upward and can be consumed\n" +
-  "   - OIL (150, 60, 0) - flammable liquid that floats on water\n" +
-  "   - WALL (127, 127, 127) - solid immovable barrier\n" +
-  "   - C4 (240, 230, 150) - explosive that can be detonated\n" +
-  "   - GUNPOWDER (170, 170, 140) - explosive powder that ignites with fire\n" +
-  "\n" +
-  "Format the response as a JSON object with the following structure:\n" +
-  "{\n" +
-  "  \"name\": \"" + particleName + "\",\n" +
-  "  \"color\": [r, g, b],\n" +
-  "  \"behavior\": \"Detailed description of physical behavior that is UNIQUE to " + particleName + "\",\n" +
-  "  \"interactions\": {\n" +
-  "    \"SAND\": \"How " + particleName + " interacts with sand\",\n" +
-  "    \"WATER\": \"How " + particleName + " interacts with water\",\n" +
-  "    \"FIRE\": \"How " + particleName + " interacts with fire\",\n" +
-  "    \"PLANT\": \"How " + particleName + " interacts with plant\",\n" +
-  "    \"OIL\": \"How " + particleName + " interacts with oil\"\n" +
-  "  },\n" +
-  "  \"action_code\": \"JavaScript code for the particle's behavior\"\n" +
-  "}\n" +
-  "\n" +
-  "For the action_code, you can use these helper functions to create REALISTIC and INTERACTIVE behaviors:\n" +
-  "- doGravity(x, y, i, allowDiagonal, chance) - Makes particles fall down\n" +
-  "- doDensityLiquid(x, y, i, ANOTHER_ELEMENT, sinkChance, equalizeChance) - Fluid dynamics\n" +
-  "- doRise(x, y, i, riseChance, adjacentChance) - Makes particles rise upward\n" +
-  "- random() - Returns a random number between 0 and 1\n" +
-  "- below(y, i, type) - Check if element below is of specific type\n" +
-  "- above(y, i, type) - Check if element above is of specific type\n" +
-  "- adjacent(x, i, type) - Check if adjacent element is of specific type\n" +
-  "- bordering(x, y, i, type) - Check if ANY surrounding element is of type\n" +
-  "- gameImagedata32[i] = BACKGROUND - Removes the particle (explosion/destruction)\n" +
-  "- gameImagedata32[i+1] or gameImagedata32[i-1] - Access neighboring pixels\n" +
-  "- gameImagedata32[i+width] - Access pixel below this one (for falling/effects)\n" +
-  "- gameImagedata32[i-width] - Access pixel above this one (for rising/effects)\n" +
-  "\n" +
-  "EXAMPLES of REALISTIC INTERACTIVE behaviors (be even more realistic than these):\n" +
-  "\n" +
-  getTNTExample(particleType) +
-  "\n" +
-  getRelevantExamples(particleType) +
-  "\n" +
-  getSpecificExampleFor(particleName) +
-  "\n" +
-  "IMPORTANT GUIDELINES:\n" +
-  "1. Make the behavior DISTINCTIVE - not just sand-like or water-like\n" +
-  "2. Make the color VIVID and REPRESENTATIVE of what " + particleName + " actually is\n" +
-  "3. CREATE REALISTIC INTERACTIONS with other elements\n" +
-  "4. Include ACTUAL CHEMICAL/PHYSICAL REACTIONS when appropriate\n" +
-  "5. Make explosive things ACTUALLY EXPLODE when near fire\n" +
-  "6. Make flammable things ACTUALLY BURN when near fire\n" +
-  "7. The code should be safe, not cause infinite loops, and be 5-15 lines long\n" +
-  "8. DO NOT COPY EXISTING PARTICLES - BE ORIGINAL AND TRULY REPRESENT " + particleName.toUpperCase() + "\n" +
-  "\n" +
-  "Your goal is to create a particle that is INSTANTLY RECOGNIZABLE as \"" + particleName + "\" from its appearance and behavior, with REALISTIC PHYSICS and INTERACTIONS.";
+
+  return fillPromptTemplate(template.parts.particle, Object.assign(promptTemplateValues(particleName), {
+    instructions: getSpecialInstructionsForType(particleName, particleType, template),
+    knownElements: describeKnownElements(particleName),
+    tntExample: getTNTExample(particleName, template),
+    typeExample: getRelevantExamples(particleName, particleType, template),
+    specificExample: getSpecificExampleFor(particleName, template)
+  }));
 }
 
 /**
@@ -177,389 +168,902 @@ function categorizeParticleType(particleName) {
  * Get special instructions for specific particle types
  * @param {string} particleName - The name of the particle
  * @param {string} particleType - The type of the particle
+ * @param {Object} template - The prompt template
  * @returns {string} - Custom instructions for this type
  */
-function getSpecialInstructionsForType(particleName, particleType) {
-  switch (particleType) {
-    case 'explosive':
-      return "SPECIAL INSTRUCTIONS FOR EXPLOSIVE TYPE:\n" +
-             "- " + particleName + " MUST EXPLODE when in contact with FIRE, creating a chain reaction\n" +
-             "- Explosion should convert surrounding pixels to FIRE or BACKGROUND (disappear)\n" +
-             "- It should have an appropriate delay/fuse before exploding\n" +
-             "- Color should be appropriate for explosives (often red, brown, or yellow tones)\n" +
-             "- Should fall like a solid object until triggered";
-      
-    case 'liquid':
-      return "SPECIAL INSTRUCTIONS FOR LIQUID TYPE:\n" +
-             "- " + particleName + " should FLOW realistically with proper fluid dynamics\n" +
-             "- Should spread horizontally when hitting surfaces\n" +
-             "- Should have appropriate viscosity (thickness) in its movement\n" +
-             "- Consider whether it should float or sink in water\n" +
-             "- Consider whether it's flammable or reactive with other elements";
-      
-    case 'gas':
-      return "SPECIAL INSTRUCTIONS FOR GAS TYPE:\n" +
-             "- " + particleName + " should RISE upward against gravity\n" +
-             "- Should spread out horizontally as it rises\n" +
-             "- Should have appropriate diffusion/dissipation behavior\n" +
-             "- Consider whether it's flammable, toxic, or has other special properties\n" +
-             "- May gradually disappear over time";
-      
-    case 'creature':
-      return "SPECIAL INSTRUCTIONS FOR CREATURE TYPE:\n" +
-             "- " + particleName + " should MOVE in a way appropriate for this type of creature\n" +
-             "- Should respond to its environment (avoiding fire, moving on surfaces)\n" +
-             "- Should have some autonomous/independent behavior\n" +
-             "- Consider special abilities like jumping, flying, swimming\n" +
-             "- May consume or interact with appropriate elements (like plants for herbivores)";
-      
-    case 'metal':
-      return "SPECIAL INSTRUCTIONS FOR METAL TYPE:\n" +
-             "- " + particleName + " should be HEAVY and fall quickly\n" +
-             "- Should be sturdy and not easily destroyed\n" +
-             "- Consider conductivity for electricity or heat\n" +
-             "- May melt when exposed to extreme heat (like lava)\n" +
-             "- Should have appropriate metallic color and properties";
-      
-    case 'food':
-      return "SPECIAL INSTRUCTIONS FOR FOOD TYPE:\n" +
-             "- " + particleName + " should have appropriate consistency (solid, crumbly, etc.)\n" +
-             "- Should burn/cook when exposed to heat/fire\n" +
-             "- May absorb liquids or dissolve in them\n" +
-             "- May attract creatures if applicable\n" +
-             "- Should have appropriate color for the food";
-             
-    default:
-      return "For \"" + particleName + "\":\n" +
-             "- If it's a creature → It should MOVE like that creature (slither, hop, fly, crawl)\n" +
-             "- If it's a liquid → It should FLOW in a distinctive way (thick, thin, sticky, etc.)\n" +
-             "- If it's a gas → It should RISE and SPREAD in a characteristic pattern\n" +
-             "- If it's an object → Its behavior should REFLECT its real-world properties";
-  }
+function getSpecialInstructionsForType(particleName, particleType, template) {
+  const part = template.parts[`instructions.${particleType}`] || template.parts['instructions.generic'];
+  return fillPromptTemplate(part, promptTemplateValues(particleName));
+}
+
+/**
+ * Format an example particle definition for the prompt
+ * @param {string} title - What the example is for
+ * @param {Object} definition - The example particle definition
+ * @returns {string} - The example, as a JSON code block
+ */
+function formatDefinitionExample(title, definition) {
+  return "For " + title + ":\n" +
+  "```json\n" +
+  JSON.stringify(definition, null, 2) + "\n" +
+  "```\n";
 }
 
 /**
  * Get a TNT example for the prompt
- * @param {string} particleType - The type of particle
+ * @param {string} particleName - The name of the particle
+ * @param {Object} template - The prompt template
  * @returns {string} - Example for TNT behavior
  */
-function getTNTExample(particleType) {
+function getTNTExample(particleName, template) {
   // Always include the TNT example
-  return "For TNT (example for explosive):\n" +
-  "```\n" +
-  "// TNT falls like a solid until it's triggered\n" +
-  "if (bordering(x, y, i, FIRE)) {\n" +
-  "  // When TNT touches fire, it explodes\n" +
-  "  // Create an explosion by setting surrounding pixels to FIRE\n" +
-  "  gameImagedata32[i] = FIRE; // Center becomes fire\n" +
-  "  \n" +
-  "  // Create explosion pattern\n" +
-  "  if (i+1 < gameImagedata32.length) gameImagedata32[i+1] = FIRE;\n" +
-  "  if (i-1 >= 0) gameImagedata32[i-1] = FIRE;\n" +
-  "  if (i+width < gameImagedata32.length) gameImagedata32[i+width] = FIRE;\n" +
-  "  if (i-width >= 0) gameImagedata32[i-width] = FIRE;\n" +
-  "  \n" +
-  "  // Larger explosion\n" +
-  "  if (i+width+1 < gameImagedata32.length) gameImagedata32[i+width+1] = FIRE;\n" +
-  "  if (i+width-1 < gameImagedata32.length) gameImagedata32[i+width-1] = FIRE;\n" +
-  "  if (i-width+1 >= 0) gameImagedata32[i-width+1] = FIRE;\n" +
-  "  if (i-width-1 >= 0) gameImagedata32[i-width-1] = FIRE;\n" +
-  "} else {\n" +
-  "  // Normal behavior - fall like sand\n" +
-  "  doGravity(x, y, i, true, 0.9);\n" +
-  "}\n" +
-  "```\n";
+  return fillPromptTemplate(template.parts['example.tnt'], promptTemplateValues(particleName));
 }
 
 /**
  * Get relevant examples based on particle type
+ * @param {string} particleName - The name of the particle
  * @param {string} particleType - The type of particle
+ * @param {Object} template - The prompt template
  * @returns {string} - Example behaviors for this type
  */
-function getRelevantExamples(particleType) {
-  let examples = "";
-  
-  // Add specific examples based on type
-  switch(particleType) {
-    case 'liquid':
-      examples += "For ACID (example for liquid):\n" +
-      "```\n" +
-      "// Acid is a corrosive liquid that dissolves materials\n" +
-      "doDensityLiquid(x, y, i, WATER, 0.8, 0.6); // Heavier than water, flows well\n" +
-      "\n" +
-      "// Dissolve materials it touches\n" +
-      "if (bordering(x, y, i, SAND) && random() < 0.1) {\n" +
-      "  // Find the sand particle and dissolve it\n" +
-      "  const positions = [1, -1, width, -width, width+1, width-1, -width+1, -width-1];\n" +
-      "  for (let j = 0; j < positions.length; j++) {\n" +
-      "    if (i + positions[j] >= 0 && i + positions[j] < gameImagedata32.length) {\n" +
-      "      if (gameImagedata32[i + positions[j]] === SAND) {\n" +
-      "        gameImagedata32[i + positions[j]] = BACKGROUND;\n" +
-      "        break;\n" +
-      "      }\n" +
-      "    }\n" +
-      "  }\n" +
-      "}\n" +
-      "```\n";
-      break;
-      
-    case 'gas':
-      examples += "For HELIUM (example for gas):\n" +
-      "```\n" +
-      "// Helium is a light gas that rises quickly\n" +
-      "doRise(x, y, i, 0.95, 0.8); // Very high chance to rise and spread\n" +
-      "\n" +
-      "// Sometimes disappears (escapes atmosphere)\n" +
-      "if (random() < 0.01) {\n" +
-      "  gameImagedata32[i] = BACKGROUND;\n" +
-      "}\n" +
-      "\n" +
-      "// Creates upward force on adjacent particles\n" +
-      "if (above(y, i, SAND) && random() < 0.2) {\n" +
-      "  // Try to lift sand (simulating balloon effect)\n" +
-      "  gameImagedata32[i] = SAND;\n" +
-      "  gameImagedata32[i-width] = BACKGROUND;\n" +
-      "}\n" +
-      "```\n";
-      break;
-      
-    case 'creature':
-      examples += "For ANT (example for creature):\n" +
-      "```\n" +
-      "// Ants move in patterns, search for food, and follow walls\n" +
-      "if (below(y, i, WALL) || below(y, i, SAND)) {\n" +
-      "  // On a surface - move horizontally\n" +
-      "  if (random() < 0.7) {\n" +
-      "    // Move left or right\n" +
-      "    if (random() < 0.5 && x > 0) {\n" +
-      "      // Move left if possible\n" +
-      "      if (gameImagedata32[i-1] === BACKGROUND) {\n" +
-      "        gameImagedata32[i] = BACKGROUND;\n" +
-      "        gameImagedata32[i-1] = ANT; // Reference to current element\n" +
-      "      }\n" +
-      "    } else if (x < width-1) {\n" +
-      "      // Move right if possible\n" +
-      "      if (gameImagedata32[i+1] === BACKGROUND) {\n" +
-      "        gameImagedata32[i] = BACKGROUND;\n" +
-      "        gameImagedata32[i+1] = PLANT; // Using PLANT as ANT\n" +
-      "      }\n" +
-      "    }\n" +
-      "  }\n" +
-      "} else {\n" +
-      "  // Not on surface - fall down\n" +
-      "  doGravity(x, y, i, true, 1.0);\n" +
-      "}\n" +
-      "```\n";
-      break;
-      
-    default:
-      // For other types, use a generic example
-      examples += "For HONEY (example for viscous substance):\n" +
-      "```\n" +
-      "// Honey is extremely viscous (thick and slow-flowing)\n" +
-      "if (random() < 0.3) { // Moves much slower than water\n" +
-      "  // Very thick liquid that prefers to stick together\n" +
-      "  doDensityLiquid(x, y, i, WATER, 0.95, 0.15);\n" +
-      "}\n" +
-      "\n" +
-      "// Sometimes sticks to things it touches\n" +
-      "if (adjacent(x, i, SAND) && random() < 0.01) {\n" +
-      "  // Create sticky connections\n" +
-      "  gameImagedata32[i] = SAND;\n" +
-      "}\n" +
-      "```\n";
-  }
-  
-  return examples;
+function getRelevantExamples(particleName, particleType, template) {
+  // Types without an example of their own use the generic one
+  const part = template.parts[`example.${particleType}`] || template.parts['example.generic'];
+  return fillPromptTemplate(part, promptTemplateValues(particleName));
 }
 
 /**
  * Get a specific example for certain particle types
  * @param {string} particleName - The name of the particle
+ * @param {Object} template - The prompt template
  * @returns {string} - A targeted example for this specific particle
  */
-function getSpecificExampleFor(particleName) {
+function getSpecificExampleFor(particleName, template) {
   const name = particleName.toUpperCase();
-  
-  // Hair example
+  let part = null;
+
   if (name.includes('HAIR')) {
-    return "For HAIR (specific example):\n" +
-    "```\n" +
-    "// Hair has distinct properties - it falls, can be blown by wind, burns, and is affected by water\n" +
-    "if (adjacent(x, i, FIRE)) {\n" +
-    "  // Hair burns quickly when exposed to fire\n" +
-    "  if (random() < 0.8) {\n" +
-    "    gameImagedata32[i] = FIRE;\n" +
-    "  }\n" +
-    "} else if (adjacent(x, i, WATER)) {\n" +
-    "  // Hair becomes wet and clumps together in water\n" +
-    "  doGravity(x, y, i, false, 0.95); // Falls straight down when wet\n" +
-    "} else {\n" +
-    "  // Normal behavior - hair strands hang and can move slightly\n" +
-    "  if (below(y, i, BACKGROUND) && random() < 0.2) {\n" +
-    "    // Sometimes hair strands drift slightly\n" +
-    "    if (random() < 0.5 && gameImagedata32[i+1] === BACKGROUND) {\n" +
-    "      gameImagedata32[i] = BACKGROUND;\n" +
-    "      gameImagedata32[i+1] = PLANT; // Using PLANT as reference for HAIR\n" +
-    "    } else if (gameImagedata32[i-1] === BACKGROUND) {\n" +
-    "      gameImagedata32[i] = BACKGROUND;\n" +
-    "      gameImagedata32[i-1] = PLANT; // Using PLANT as reference for HAIR\n" +
-    "    }\n" +
-    "  } else {\n" +
-    "    // Hair falls but can catch on things\n" +
-    "    doGravity(x, y, i, true, 0.7);\n" +
-    "  }\n" +
-    "}\n" +
-    "```\n";
-  }
-  
-  // Metal example  
-  if (name.includes('METAL') || name.includes('IRON') || name.includes('STEEL')) {
-    return "For METAL (specific example):\n" +
-    "```\n" +
-    "// Metal is heavy, conducts heat, and melts at high temperatures\n" +
-    "if (adjacent(x, i, LAVA) || (adjacent(x, i, FIRE) && random() < 0.01)) {\n" +
-    "  // Metal melts when exposed to extreme heat (rarely with fire, always with lava)\n" +
-    "  gameImagedata32[i] = LAVA;\n" +
-    "} else if (adjacent(x, i, FIRE)) {\n" +
-    "  // Metal conducts heat to nearby metal\n" +
-    "  const positions = [1, -1, width, -width];\n" +
-    "  for (let pos of positions) {\n" +
-    "    if (i + pos >= 0 && i + pos < gameImagedata32.length) {\n" +
-    "      // Heat propagation - chance to turn adjacent metal hot\n" +
-    "      if (gameImagedata32[i + pos] === METAL && random() < 0.1) {\n" +
-    "        // This would be a visual effect showing heat, but we can't reference METAL directly\n" +
-    "        // so this is a placeholder for the concept\n" +
-    "      }\n" +
-    "    }\n" +
-    "  }\n" +
-    "  // Metal falls faster than most materials\n" +
-    "  doGravity(x, y, i, false, 0.99);\n" +
-    "} else {\n" +
-    "  // Heavy, falls quickly and straight down\n" +
-    "  doGravity(x, y, i, false, 0.98);\n" +
-    "}\n" +
-    "```\n";
+    part = 'specific.hair';
+  } else if (name.includes('METAL') || name.includes('IRON') || name.includes('STEEL')) {
+    part = 'specific.metal';
   }
-  
+
   // Default - return empty string if no specific example
-  return "";
+  return part ? fillPromptTemplate(template.parts[part], promptTemplateValues(particleName)) : "";
+}
+
+// What the LLM replies with: a particle definition, and its description.
+// Nothing else, so that a reply with action_code can't pass for a particle
+// with code (see isParticleDefinition()).
+const PARTICLE_RESPONSE_SCHEMA = Object.freeze(Object.assign({}, PARTICLE_DEFINITION_SCHEMA, {
+  title: 'Generated particle',
+  required: PARTICLE_DEFINITION_SCHEMA.required.concat(['behavior']),
+  additionalProperties: false,
+  properties: Object.assign({}, PARTICLE_DEFINITION_SCHEMA.properties, {
+    behavior: { type: 'string' },
+    interactions: { type: 'object', additionalProperties: { type: 'string' } }
+  })
+}));
+
+// Sent with the request, so that providers that can will only reply with
+// JSON that matches the schema
+const PARTICLE_RESPONSE_FORMAT = Object.freeze({
+  name: 'particle_definition',
+  description: 'particle definition',
+  schema: PARTICLE_RESPONSE_SCHEMA
+});
+
+/**
+ * The format to ask for a particle with, naming the particle. The name
+ * isn't sent; it tells the mock provider which particle to reply with,
+ * whatever the prompt template says (see llm-mock.js).
+ * @param {string} particleName - The name of the particle
+ * @returns {Object} - The format (see requestLLMChat())
+ */
+function particleResponseFormat(particleName) {
+  return Object.assign({ particleName: particleName }, PARTICLE_RESPONSE_FORMAT);
+}
+
+// How many times to send the problems with an invalid reply back to the
+// LLM before giving up
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * A reply that isn't a valid particle, even after asking for repairs
+ */
+class ParticleResponseError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {Array} errors - Every problem with the last reply, field by field
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ParticleResponseError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read the particle in a reply
+ * @param {string} text - The reply text
+ * @param {string} particleName - The name the particle was asked for by
+ * @returns {Object} - { value, errors }, where value is the particle data
+ *   and errors lists every problem with it, empty if it can be registered
+ */
+function readParticleResponse(text, particleName) {
+  let particleData;
+  try {
+    particleData = parseJSONReply(text);
+  } catch (error) {
+    return { value: null, errors: [error.message] };
+  }
+
+  // A wrong name is easy to fix, rather than worth a round-trip
+  if (particleData && typeof particleData === 'object' && particleData.name !== particleName) {
+    console.warn(`LLM returned name ${particleData.name} instead of ${particleName}, correcting`);
+    particleData.name = particleName;
+  }
+
+  const errors = validateJSONSchema(particleData, PARTICLE_RESPONSE_SCHEMA);
+  if (errors.length === 0) {
+    // What the schema can't say: element names have to exist
+    try {
+      checkParticleDefinitionElements(validateParticleDefinition(particleData));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { value: particleData, errors: errors };
+}
+
+/**
+ * Parse the JSON in a reply
+ * @param {string} text - The reply text
+ * @returns {*} - The parsed JSON
+ * @throws {Error} - If the reply isn't JSON
+ */
+function parseJSONReply(text) {
+  // Providers without structured outputs may still wrap the JSON in a code block
+  const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  try {
+    return JSON.parse(fenced ? fenced[1] : text);
+  } catch (error) {
+    throw new Error(`the reply is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * The message asking the LLM to fix its reply
+ * @param {Array} errors - The problems with the reply
+ * @param {string} what - What the reply should have been, like 'particle definition'
+ * @returns {string} - The message
+ */
+function replyRepairPrompt(errors, what) {
+  return "Your reply is not a valid " + what + ":\n" +
+  errors.map(error => "- " + error).join("\n") + "\n" +
+  "\n" +
+  "Reply with the whole " + what + " again, as JSON only, with these problems fixed.";
 }
 
 /**
- * Generate a new particle using OpenAI's API
+ * Ask the configured provider for a structured reply, sending the problems
+ * with an invalid reply back for the LLM to repair, up to
+ * MAX_REPAIR_ATTEMPTS times
+ * @param {Array} messages - The chat; replies and repair requests are added
+ * @param {Object} format - The structured reply to ask for (see requestLLMChat())
+ * @param {Function} read - Reads a reply's text into { value, errors },
+ *   where errors is empty if the value is valid
+ * @param {Function} [onRepair] - Called with the attempt number before
+ *   each repair
+ * @param {AbortSignal} [signal] - Cancels the requests
+ * @returns {Promise<Object>} - { value, errors, text, usage } for the last
+ *   reply, where usage is the tokens of every request together, or null if
+ *   the provider didn't say
+ * @throws {Error} - If a request fails, with the usage of the requests
+ *   before it, so that they can still be recorded
+ */
+async function requestValidReply(messages, format, read, onRepair, signal = null) {
+  let reply = { value: null, errors: [], text: '' };
+  let usage = null;
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    if (attempt > 0 && onRepair) onRepair(attempt);
+
+    let response;
+    try {
+      response = await requestLLMChat(config, messages, format, signal);
+    } catch (error) {
+      error.usage = usage;
+      throw error;
+    }
+    const text = response.text;
+    if (response.usage) {
+      usage = {
+        inputTokens: (usage ? usage.inputTokens : 0) + response.usage.inputTokens,
+        outputTokens: (usage ? usage.outputTokens : 0) + response.usage.outputTokens
+      };
+    }
+    reply = Object.assign(read(text), { text: text, usage: usage });
+    if (reply.errors.length === 0) break;
+
+    console.warn(`Invalid ${format.name} reply:`, reply.errors);
+    messages.push({ role: 'assistant', content: text });
+    messages.push({ role: 'user', content: replyRepairPrompt(reply.errors, format.description) });
+  }
+  return reply;
+}
+
+/**
+ * Generate a new particle using the configured LLM provider, with the
+ * active prompt template (see requestGeneratedParticle()). If the cache is
+ * on, a particle generated before from the same template version is reused
+ * instead (see generation-history.js).
  * @param {string} particleName - The name of the particle to create
+ * @param {Object} [options] - { onStatus(message), signal }, where onStatus
+ *   is called as generation progresses, and signal is an AbortSignal that
+ *   cancels it
  * @returns {Promise} - A promise that resolves with the new particle data
+ * @throws {ParticleResponseError} - If the LLM never replies with a valid
+ *   particle; its errors are the problems with the last reply
  */
-async function generateParticle(particleName) {
+async function generateParticle(particleName, options = {}) {
+  try {
+    particleName = checkGeneratedParticleName(particleName);
+    const template = getActivePromptTemplate();
+
+    const cached = findCachedGeneration(particleName, promptTemplateLabel(template));
+    if (cached) {
+      const particleData = JSON.parse(JSON.stringify(cached.particle));
+      keepGeneratedParticle(particleData, cached.response);
+      statusMessage = `Reused the cached ${particleName} particle`;
+      return particleData;
+    }
+
+    const { particleData, text } = await requestGeneratedParticle(particleName, template, options);
+    keepGeneratedParticle(particleData, text);
+    statusMessage = `Successfully generated ${particleName} particle!`;
+    return particleData;
+  } catch (error) {
+    errorMessage = error.message;
+    throw error;
+  }
+}
+
+/**
+ * Check a name to generate a particle by, and whether we can
+ * @param {string} particleName - The name, as typed
+ * @returns {string} - The name, uppercase with underscores for spaces
+ * @throws {Error} - If no provider is configured, or the name isn't valid
+ */
+function checkGeneratedParticleName(particleName) {
   if (!config.initialized) {
-    throw new Error('OpenAI API not initialized. Please provide an API key.');
+    throw new Error('LLM provider not configured. Please check the settings.');
+  }
+
+  particleName = particleName.trim().toUpperCase().replace(/\s+/g, '_');
+  if (!PARTICLE_NAME_PATTERN.test(particleName)) {
+    throw new Error('Particle names must be letters, digits and underscores, starting with a letter');
   }
+  return particleName;
+}
+
+/**
+ * Ask the LLM for a new particle, built from a prompt template. The reply
+ * is validated against PARTICLE_RESPONSE_SCHEMA, and if it is invalid, the
+ * problems are sent back for the LLM to repair, up to MAX_REPAIR_ATTEMPTS
+ * times. Every request is recorded in the generation history. The particle
+ * isn't kept; see generateParticle() for that.
+ * @param {string} particleName - The name of the particle to create
+ * @param {Object} template - The prompt template (see prompt-templates.js)
+ * @param {Object} [options] - { onStatus(message), signal }, as for
+ *   generateParticle()
+ * @returns {Promise<Object>} - { particleData, text }, where text is the
+ *   reply the particle was read from
+ * @throws {ParticleResponseError} - If the LLM never replies with a valid
+ *   particle; its errors are the problems with the last reply
+ */
+async function requestGeneratedParticle(particleName, template, options = {}) {
+  particleName = checkGeneratedParticleName(particleName);
 
-  statusMessage = `Generating ${particleName} particle...`;
+  const setStatus = message => {
+    statusMessage = message;
+    if (options.onStatus) options.onStatus(message);
+  };
+  setStatus(`Generating ${particleName} particle...`);
   
+  const messages = [{ role: 'user', content: generateParticlePrompt(particleName, template) }];
+  const record = {
+    kind: 'particle',
+    name: particleName,
+    promptTemplate: promptTemplateLabel(template),
+    messages: messages
+  };
+  
+  return recordGenerationRequest(record, async record => {
+    const { value: particleData, errors, text, usage } = await requestValidReply(messages, particleResponseFormat(particleName),
+      text => readParticleResponse(text, particleName),
+      attempt => setStatus(`Repairing ${particleName} particle (attempt ${attempt} of ${MAX_REPAIR_ATTEMPTS})...`),
+      options.signal);
+    record.response = text;
+    record.usage = usage;
+
+    if (errors.length !== 0) {
+      throw new ParticleResponseError(
+        `The LLM's ${particleName} particle is still invalid after ${MAX_REPAIR_ATTEMPTS} repairs`, errors);
+    }
+    
+    // Validate that the particle is unique compared to existing ones
+    const validationResult = validateUniqueParticle(particleData);
+    if (!validationResult.isValid) {
+      console.warn(`Generated particle too similar to existing particle: ${validationResult.message}`);
+      // Try to adjust the color to make it more unique
+      particleData.color = adjustColorForUniqueness(particleData.color, particleData.name);
+      console.log(`Adjusted color to make ${particleData.name} more unique: ${particleData.color}`);
+    }
+    
+    // Record how the particle was made, so that it can be stored with it
+    particleData.generation = {
+      provider: config.provider,
+      model: llmModel(config),
+      promptTemplate: { name: template.name, version: template.version },
+      generatedAt: new Date().toISOString()
+    };
+    
+    record.particle = particleData;
+    return { particleData: particleData, text: text };
+  });
+}
+
+/**
+ * Store a generated particle, and start its conversation with the reply
+ * it came from
+ * @param {Object} particleData - The particle
+ * @param {string} text - The reply
+ */
+function keepGeneratedParticle(particleData, text) {
+  customParticles[particleData.name] = particleData;
+  particleConversations[particleData.name] = [{ instruction: null, reply: text }];
+}
+
+/**
+ * Generate the message asking for a change to a particle
+ * @param {Object} particleData - The particle as it is now
+ * @param {string} instruction - The change, like 'make it slower'
+ * @returns {string} - The message to send to the LLM
+ */
+function generateRefinePrompt(particleData, instruction) {
+  const name = particleData.name;
+  const current = Object.assign({}, particleData);
+  delete current.generation;
+
+  return "This is the " + name + " particle as it is now, which may have been edited since your last reply:\n" +
+  "```json\n" +
+  JSON.stringify(current, null, 2) + "\n" +
+  "```\n" +
+  "\n" +
+  (isParticleDefinition(particleData) ? "" :
+    "It is written as action code. Replace the code with a particle definition that behaves the same way, apart from the change.\n\n") +
+  "Change it: " + instruction + "\n" +
+  "\n" +
+  "Keep everything else about " + name + " the same, and keep its name. " +
+  "Reply with the whole particle definition, as JSON only, with its behavior and interactions updated to match.";
+}
+
+/**
+ * The chat so far about a particle, as messages
+ * @param {Object} particleData - The particle as it is now
+ * @param {Array} conversation - Its turns (see particleConversations), or
+ *   an empty array if it has none, as for particles that were imported
+ * @returns {Array} - The messages
+ */
+function particleConversationMessages(particleData, conversation) {
+  const name = particleData.name;
+  // The prompt the particle was generated with, if its template is still here
+  const made = particleData.generation && particleData.generation.promptTemplate;
+  const template = (made && getPromptTemplate(made.name, made.version)) || getActivePromptTemplate();
+  const messages = [{ role: 'user', content: generateParticlePrompt(name, template) }];
+
+  if (conversation.length === 0) {
+    // As if the LLM had made the particle as it is now
+    const current = Object.assign({}, particleData);
+    delete current.generation;
+    messages.push({ role: 'assistant', content: JSON.stringify(current, null, 2) });
+    return messages;
+  }
+
+  conversation.forEach(turn => {
+    // Earlier changes are sent without the definition they were made to,
+    // which the last message has anyway
+    if (turn.instruction !== null) {
+      messages.push({ role: 'user', content: "Change " + name + ": " + turn.instruction });
+    }
+    messages.push({ role: 'assistant', content: turn.reply });
+  });
+  return messages;
+}
+
+/**
+ * Ask the configured LLM provider to change a custom particle. Neither the
+ * particle nor its conversation are updated; that's up to the caller, once
+ * the particle is registered.
+ * @param {Object} particleData - The particle as it is now
+ * @param {string} instruction - The change, like 'it should also melt ICE'
+ * @param {Object} [options] - { onStatus(message) }, called as refinement
+ *   progresses
+ * @returns {Promise<Object>} - { particleData, conversation }, with the
+ *   changed particle and its conversation including this turn
+ * @throws {ParticleResponseError} - If the LLM never replies with a valid
+ *   particle
+ */
+async function refineParticle(particleData, instruction, options = {}) {
+  if (!config.initialized) {
+    throw new Error('LLM provider not configured. Please check the settings.');
+  }
+
+  const name = particleData.name;
+  const setStatus = message => {
+    statusMessage = message;
+    if (options.onStatus) options.onStatus(message);
+  };
+  setStatus(`Refining ${name} particle...`);
+
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.apiKey}`
-      },
-      body: JSON.stringify({
-        model: config.model,
-        messages: [
-          {
-            role: 'user',
-            content: generateParticlePrompt(particleName)
-          }
-        ],
-        reasoning_effort: 'high'
-      })
+    const conversation = particleConversations[name] || [];
+    const messages = particleConversationMessages(particleData, conversation);
+    messages.push({ role: 'user', content: generateRefinePrompt(particleData, instruction) });
+
+    const { refined, text } = await recordGenerationRequest({ kind: 'refine', name: name, messages: messages }, async record => {
+      const { value: refined, errors, text, usage } = await requestValidReply(messages, particleResponseFormat(name),
+        text => readParticleResponse(text, name),
+        attempt => setStatus(`Repairing refined ${name} particle (attempt ${attempt} of ${MAX_REPAIR_ATTEMPTS})...`));
+      record.response = text;
+      record.usage = usage;
+
+      if (errors.length !== 0) {
+        throw new ParticleResponseError(
+          `The LLM's refined ${name} particle is still invalid after ${MAX_REPAIR_ATTEMPTS} repairs`, errors);
+      }
+
+      const generation = particleData.generation || {};
+      refined.generation = {
+        provider: config.provider,
+        model: llmModel(config),
+        generatedAt: generation.generatedAt || new Date().toISOString(),
+        refinedAt: new Date().toISOString()
+      };
+      // The template version the particle was first generated with
+      if (generation.promptTemplate) refined.generation.promptTemplate = generation.promptTemplate;
+
+      record.particle = refined;
+      return { refined: refined, text: text };
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`API Error: ${error.error?.message || 'Unknown error'}`);
+    // The generation, then the latest refinements
+    const turns = (conversation.length !== 0 ? conversation : [{ instruction: null, reply: messages[1].content }])
+      .concat([{ instruction: instruction, reply: text }]);
+    turns.splice(1, Math.max(turns.length - 1 - MAX_PARTICLE_CONVERSATION_TURNS, 0));
+
+    statusMessage = `Successfully refined ${name} particle!`;
+    return { particleData: refined, conversation: turns };
+  } catch (error) {
+    errorMessage = error.message;
+    throw error;
+  }
+}
+
+// What the LLM replies with when asked to fix a particle's action code
+const PARTICLE_CODE_REPAIR_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['action_code'],
+  additionalProperties: false,
+  properties: {
+    action_code: { type: 'string' },
+    explanation: { type: 'string' }
+  }
+});
+
+const PARTICLE_CODE_REPAIR_FORMAT = Object.freeze({
+  name: 'particle_code_repair',
+  description: 'action code repair',
+  schema: PARTICLE_CODE_REPAIR_SCHEMA
+});
+
+/**
+ * Generate a prompt asking for a particle's failing action code to be fixed
+ * @param {Object} particleData - The particle, with its action_code
+ * @param {Array} errors - The errors its action threw
+ * @returns {string} - The prompt to send to the LLM
+ */
+function generateCodeRepairPrompt(particleData, errors) {
+  const name = particleData.name;
+  return "The action code of the particle named " + name + " in a falling sand game throws errors while the game runs. Fix it.\n" +
+  "\n" +
+  (particleData.behavior ? "The particle should behave like this: " + particleData.behavior + "\n\n" : "") +
+  "The action code runs once per frame for each " + name + " pixel, with x, y and i (the pixel's index in gameImagedata32) in scope. " +
+  "It may only use local variables, if/else, for loops, the helpers from elements.js, gameImagedata32, the names of the elements in the game (built-in or custom), " + name + " itself and a few read-only globals like width.\n" +
+  "\n" +
+  "The code:\n" +
+  "```js\n" +
+  extractActionCodeBody(particleData.action_code) + "\n" +
+  "```\n" +
+  "\n" +
+  "The errors it threw:\n" +
+  errors.map(error => "- " + error).join("\n") + "\n" +
+  "\n" +
+  "Reply with JSON: { \"action_code\": the whole fixed action code, \"explanation\": what you changed and why }. " +
+  "Keep the particle's behavior, and change as little as you can.";
+}
+
+/**
+ * Read the fixed code in a repair reply
+ * @param {string} text - The reply text
+ * @param {Object} particleData - The particle being repaired
+ * @returns {Object} - { value, errors }, where value is { particleData,
+ *   explanation } with the fixed particle, and errors lists every problem
+ *   with it, empty if it can be registered
+ */
+function readCodeRepairResponse(text, particleData) {
+  let reply;
+  try {
+    reply = parseJSONReply(text);
+  } catch (error) {
+    return { value: null, errors: [error.message] };
+  }
+
+  const errors = validateJSONSchema(reply, PARTICLE_CODE_REPAIR_SCHEMA);
+  if (errors.length !== 0) return { value: null, errors: errors };
+
+  const repaired = Object.assign({}, particleData, { action_code: reply.action_code });
+  try {
+    checkCustomParticle(repaired);
+  } catch (error) {
+    errors.push(error.message);
+  }
+  return { value: { particleData: repaired, explanation: reply.explanation || '' }, errors: errors };
+}
+
+/**
+ * Ask the configured LLM provider to fix a particle whose action code throws
+ * @param {Object} particleData - The particle, with its action_code
+ * @param {Array} errors - The errors its action threw
+ * @returns {Promise<Object>} - { particleData, explanation }, with the fixed
+ *   particle, checked the way registerCustomParticle() would
+ * @throws {ParticleResponseError} - If the LLM never replies with code that
+ *   passes the checks
+ */
+async function repairParticleCode(particleData, errors) {
+  if (!config.initialized) {
+    throw new Error('LLM provider not configured. Please check the settings.');
+  }
+
+  const name = particleData.name;
+  const messages = [{ role: 'user', content: generateCodeRepairPrompt(particleData, errors) }];
+  return recordGenerationRequest({ kind: 'repair', name: name, messages: messages }, async record => {
+    const reply = await requestValidReply(messages, PARTICLE_CODE_REPAIR_FORMAT,
+      text => readCodeRepairResponse(text, particleData));
+    record.response = reply.text;
+    record.usage = reply.usage;
+
+    if (reply.errors.length !== 0) {
+      throw new ParticleResponseError(
+        `The LLM's fix for ${name} is still invalid after ${MAX_REPAIR_ATTEMPTS} repairs`, reply.errors);
     }
+    record.particle = reply.value.particleData;
+    return reply.value;
+  });
+}
 
-    const data = await response.json();
-    const content = data.choices[0].message.content;
-    
-    // Parse the JSON response
-    try {
-      // Extract JSON from the content in case the LLM includes additional text
-      let jsonStr = content;
-      
-      // Try to extract JSON if it's surrounded by backticks or other characters
-      const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/) || 
-                        content.match(/```\s*([\s\S]*?)\s*```/) ||
-                        content.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        jsonStr = jsonMatch[0];
-        // If we've extracted a JSON block, make sure it's just the JSON object
-        if (jsonStr.startsWith('```')) {
-          jsonStr = jsonMatch[1];
-        }
+// What the LLM replies with when asked how two elements react
+const PARTICLE_REACTION_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['becomes', 'otherBecomes', 'chance', 'description'],
+  additionalProperties: false,
+  properties: {
+    becomes: { type: 'string' },
+    otherBecomes: { type: 'string' },
+    chance: { type: 'number', minimum: 0, maximum: 1 },
+    description: { type: 'string' }
+  }
+});
+
+const PARTICLE_REACTION_FORMAT = Object.freeze({
+  name: 'particle_reaction',
+  description: 'reaction rule',
+  schema: PARTICLE_REACTION_SCHEMA
+});
+
+/**
+ * The format to ask how two elements react with, naming them. As with
+ * particleResponseFormat(), the names aren't sent.
+ * @param {string} a - The first element name
+ * @param {string} b - The second element name
+ * @returns {Object} - The format (see requestLLMChat())
+ */
+function reactionResponseFormat(a, b) {
+  return Object.assign({ elementNames: [a, b] }, PARTICLE_REACTION_FORMAT);
+}
+
+/**
+ * Describe an element for a prompt
+ * @param {string} name - The element name
+ * @returns {string} - Its custom particle data as JSON, or a note that it
+ *   is built in
+ */
+function describeElementForPrompt(name) {
+  const particleData = getCustomParticle(name);
+  if (!particleData) {
+    const description = elementProperties[lookupElementId(name)].description;
+    return name + " is a built-in element of the game" + (description ? ": " + description : "") + ".\n";
+  }
+
+  const described = Object.assign({}, particleData);
+  delete described.generation;
+  return name + " is a custom particle:\n" +
+  "```json\n" +
+  JSON.stringify(described, null, 2) + "\n" +
+  "```\n";
+}
+
+/**
+ * Generate a prompt asking how two elements react
+ * @param {string} a - The first element name
+ * @param {string} b - The second element name
+ * @returns {string} - The prompt to send to the LLM
+ */
+function generateReactionPrompt(a, b) {
+  const names = listKnownElements().map(element => element.name);
+  return "In a falling sand game, decide what happens when " + a + " touches " + b + ".\n" +
+  "\n" +
+  describeElementForPrompt(a) +
+  "\n" +
+  describeElementForPrompt(b) +
+  "\n" +
+  "Reply with a reaction rule as JSON:\n" +
+  "{\n" +
+  "  \"becomes\": what " + a + " turns into,\n" +
+  "  \"otherBecomes\": what " + b + " turns into,\n" +
+  "  \"chance\": chance (0-1) per frame that the reaction happens while they touch,\n" +
+  "  \"description\": one sentence describing the reaction\n" +
+  "}\n" +
+  "\n" +
+  "Element names must be one of: " + names.join(", ") + ". " +
+  "BACKGROUND is empty space. To leave an element as it is, give its own name. " +
+  "Make the reaction REALISTIC for what " + a + " and " + b + " actually are, and keep chances small (below 0.1) for slow reactions.";
+}
+
+/**
+ * Read the reaction rule in a reply
+ * @param {string} text - The reply text
+ * @param {string} a - The first element name
+ * @param {string} b - The second element name
+ * @returns {Object} - { value, errors }, where value is the rule (see
+ *   reactionTable) and errors lists every problem with it
+ */
+function readReactionResponse(text, a, b) {
+  let reply;
+  try {
+    reply = parseJSONReply(text);
+  } catch (error) {
+    return { value: null, errors: [error.message] };
+  }
+
+  const errors = validateJSONSchema(reply, PARTICLE_REACTION_SCHEMA);
+  if (errors.length !== 0) return { value: null, errors: errors };
+
+  const rule = {
+    a: a,
+    b: b,
+    becomes: reply.becomes.trim().toUpperCase(),
+    otherBecomes: reply.otherBecomes.trim().toUpperCase(),
+    chance: reply.chance,
+    description: reply.description
+  };
+  ['becomes', 'otherBecomes'].forEach(key => {
+    if (lookupElementId(rule[key]) === -1) errors.push(`${key} is not an element: ${rule[key]}`);
+  });
+  return { value: rule, errors: errors };
+}
+
+/**
+ * Ask the configured LLM provider how two elements react
+ * @param {string} a - The first element name, built-in or custom
+ * @param {string} b - The second element name
+ * @param {Object} [options] - { onStatus(message) }
+ * @returns {Promise<Object>} - The rule: { a, b, becomes, otherBecomes,
+ *   chance, description }, by element name
+ * @throws {ParticleResponseError} - If the LLM never replies with a valid
+ *   rule
+ */
+async function generateReaction(a, b, options = {}) {
+  if (!config.initialized) {
+    throw new Error('LLM provider not configured. Please check the settings.');
+  }
+  [a, b].forEach(name => {
+    if (lookupElementId(name) === -1) throw new Error(`Unknown element: ${name}`);
+  });
+
+  const setStatus = message => {
+    statusMessage = message;
+    if (options.onStatus) options.onStatus(message);
+  };
+  setStatus(`Generating the reaction of ${a} and ${b}...`);
+
+  try {
+    const messages = [{ role: 'user', content: generateReactionPrompt(a, b) }];
+    const rule = await recordGenerationRequest({ kind: 'reaction', name: `${a} and ${b}`, messages: messages }, async record => {
+      const { value: rule, errors, text, usage } = await requestValidReply(messages, reactionResponseFormat(a, b),
+        text => readReactionResponse(text, a, b),
+        attempt => setStatus(`Repairing the reaction of ${a} and ${b} (attempt ${attempt} of ${MAX_REPAIR_ATTEMPTS})...`));
+      record.response = text;
+      record.usage = usage;
+
+      if (errors.length !== 0) {
+        throw new ParticleResponseError(
+          `The LLM's reaction of ${a} and ${b} is still invalid after ${MAX_REPAIR_ATTEMPTS} repairs`, errors);
       }
-      
-      // Clean up the string to ensure it's valid JSON
-      jsonStr = jsonStr.trim();
-      
-      // Ensure the string starts with { and ends with }
-      if (!jsonStr.startsWith('{') || !jsonStr.endsWith('}')) {
-        console.warn('JSON string format issue, attempting to fix', jsonStr);
-        // Try to extract just the JSON object
-        const objectMatch = jsonStr.match(/\{[\s\S]*\}/);
-        if (objectMatch) {
-          jsonStr = objectMatch[0];
-        } else {
-          throw new Error('Could not extract valid JSON from the response');
+      return rule;
+    });
+
+    statusMessage = `Successfully generated the reaction of ${a} and ${b}!`;
+    return rule;
+  } catch (error) {
+    errorMessage = error.message;
+    throw error;
+  }
+}
+
+// Limits on a generated scene
+const MAX_SCENE_SHAPES = 40;
+const SCENE_SHAPES = ['rect', 'ellipse', 'triangle'];
+
+// Where a scene's shapes and spigots go; coordinates are percentages of the
+// canvas, so that a scene fits any canvas size
+const SCENE_SHAPE_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['element', 'shape', 'x', 'y', 'width', 'height'],
+  additionalProperties: false,
+  properties: {
+    element: { type: 'string' },
+    shape: { type: 'string', enum: SCENE_SHAPES },
+    x: { type: 'number', minimum: 0, maximum: 100 },
+    y: { type: 'number', minimum: 0, maximum: 100 },
+    width: { type: 'number', minimum: 0, maximum: 100 },
+    height: { type: 'number', minimum: 0, maximum: 100 },
+    fill: { type: 'number', minimum: 0, maximum: 1 }
+  }
+});
+
+const SCENE_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['description', 'shapes'],
+  additionalProperties: false,
+  properties: {
+    description: { type: 'string' },
+    shapes: { type: 'array', minItems: 1, maxItems: MAX_SCENE_SHAPES, items: SCENE_SHAPE_SCHEMA },
+    spigots: {
+      type: 'array',
+      maxItems: NUM_SPIGOTS,
+      items: {
+        type: 'object',
+        required: ['element', 'size'],
+        additionalProperties: false,
+        properties: {
+          element: { type: 'string' },
+          size: { type: 'integer', minimum: 0, maximum: SPIGOT_SIZE_OPTIONS.length - 1 }
         }
       }
-      
-      const particleData = JSON.parse(jsonStr);
-      
-      // Verify the required fields are present
-      if (!particleData.name || !particleData.color || !particleData.action_code) {
-        throw new Error('Response missing required fields (name, color, or action_code)');
-      }
-      
-      // Ensure the name matches what was requested (case insensitive)
-      particleData.name = particleData.name.toUpperCase();
-      if (particleData.name !== particleName.toUpperCase()) {
-        console.warn(`LLM returned name ${particleData.name} instead of ${particleName}, correcting`);
-        particleData.name = particleName.toUpperCase();
-      }
-      
-      // Ensure color is in correct format
-      if (!Array.isArray(particleData.color) || particleData.color.length !== 3) {
-        throw new Error('Color must be an array of 3 numbers [r, g, b]');
-      }
-      
-      // Ensure color values are in valid range
-      particleData.color = particleData.color.map(c => {
-        const val = parseInt(c);
-        return Math.max(0, Math.min(255, val)); // Clamp between 0 and 255
-      });
-      
-      // Validate that the particle is unique compared to existing ones
-      const validationResult = validateUniqueParticle(particleData);
-      if (!validationResult.isValid) {
-        console.warn(`Generated particle too similar to existing particle: ${validationResult.message}`);
-        // Try to adjust the color to make it more unique
-        particleData.color = adjustColorForUniqueness(particleData.color, particleData.name);
-        console.log(`Adjusted color to make ${particleData.name} more unique: ${particleData.color}`);
-      }
-      
-      // Store the new particle
-      customParticles[particleName] = particleData;
-      statusMessage = `Successfully generated ${particleName} particle!`;
-      return particleData;
-    } catch (parseError) {
-      console.error('Failed to parse response:', content);
-      throw new Error(`Failed to parse OpenAI response: ${parseError.message}`);
     }
+  }
+});
+
+const SCENE_FORMAT = Object.freeze({
+  name: 'scene_layout',
+  description: 'scene layout',
+  schema: SCENE_SCHEMA
+});
+
+/**
+ * Generate a prompt asking for the layout of a scene
+ * @param {string} description - The scene, like "a volcano over a lake"
+ * @returns {string} - The prompt to send to the LLM
+ */
+function generateScenePrompt(description) {
+  const spigotElements = SPIGOT_ELEMENT_OPTIONS.map(elem => elementProperties[elem].name);
+  return "Lay out a scene for a falling sand game: " + description + "\n" +
+  "\n" +
+  "The canvas is " + width + " by " + height + " pixels, and starts empty. These are the elements you can paint with:\n" +
+  describeKnownElements() +
+  "\n" +
+  "Reply with the layout as JSON:\n" +
+  "{\n" +
+  "  \"description\": one sentence describing the scene,\n" +
+  "  \"shapes\": [\n" +
+  "    { \"element\": \"ELEMENT\", \"shape\": \"rect\", \"ellipse\" or \"triangle\", \"x\": left, \"y\": top, \"width\": width, \"height\": height, \"fill\": share (0-1) of the shape's pixels to paint, 1 if left out }\n" +
+  "  ],\n" +
+  "  \"spigots\": [ { \"element\": \"ELEMENT\", \"size\": 0 (off) to " + (SPIGOT_SIZE_OPTIONS.length - 1) + " } ] (optional)\n" +
+  "}\n" +
+  "\n" +
+  "Coordinates are percentages of the canvas: x from 0 (left) to 100 (right), y from 0 (top) to 100 (bottom). " +
+  "A triangle points up, with its tip at the middle of its top edge, like a mountain. " +
+  "Shapes are painted in order, each over the ones before, so paint the background first and details last. " +
+  "Use at most " + MAX_SCENE_SHAPES + " shapes. Remember that powders and liquids fall: give them something to rest on, like WALL along the bottom, or they pour away.\n" +
+  "\n" +
+  "The spigots pour elements from the top of the canvas, from left to right; give at most " + NUM_SPIGOTS + "; the ones you leave out are turned off. " +
+  "A spigot's element must be one of: " + spigotElements.join(", ") + ".";
+}
+
+/**
+ * Read the scene layout in a reply
+ * @param {string} text - The reply text
+ * @returns {Object} - { value, errors }, where value is the scene (see
+ *   generateScene()) and errors lists every problem with it
+ */
+function readSceneResponse(text) {
+  let scene;
+  try {
+    scene = parseJSONReply(text);
+  } catch (error) {
+    return { value: null, errors: [error.message] };
+  }
+
+  const errors = validateJSONSchema(scene, SCENE_SCHEMA);
+  if (errors.length !== 0) return { value: null, errors: errors };
+
+  scene.shapes.forEach((shape, k) => {
+    shape.element = shape.element.trim().toUpperCase();
+    if (shape.fill === undefined) shape.fill = 1;
+    if (lookupElementId(shape.element) === -1) {
+      errors.push(`shapes[${k}].element is not an element: ${shape.element}`);
+    }
+  });
+  scene.spigots = scene.spigots || [];
+  scene.spigots.forEach((spigot, k) => {
+    spigot.element = spigot.element.trim().toUpperCase();
+    if (!SPIGOT_ELEMENT_OPTIONS.includes(lookupElementId(spigot.element))) {
+      errors.push(`spigots[${k}].element cannot be poured by a spigot: ${spigot.element}`);
+    }
+  });
+  return { value: scene, errors: errors };
+}
+
+/**
+ * Ask the configured LLM provider to lay out a scene
+ * @param {string} description - The scene, like "a volcano over a lake"
+ * @param {Object} [options] - { onStatus(message) }
+ * @returns {Promise<Object>} - The scene: { description, shapes, spigots },
+ *   where shapes are { element, shape, x, y, width, height, fill } and
+ *   spigots are { element, size }, by element name (see SCENE_SCHEMA)
+ * @throws {ParticleResponseError} - If the LLM never replies with a valid
+ *   scene
+ */
+async function generateScene(description, options = {}) {
+  if (!config.initialized) {
+    throw new Error('LLM provider not configured. Please check the settings.');
+  }
+
+  const setStatus = message => {
+    statusMessage = message;
+    if (options.onStatus) options.onStatus(message);
+  };
+  setStatus('Generating the scene...');
+
+  try {
+    const messages = [{ role: 'user', content: generateScenePrompt(description) }];
+    const scene = await recordGenerationRequest({ kind: 'scene', name: description, messages: messages }, async record => {
+      const { value: scene, errors, text, usage } = await requestValidReply(messages, SCENE_FORMAT, readSceneResponse,
+        attempt => setStatus(`Repairing the scene (attempt ${attempt} of ${MAX_REPAIR_ATTEMPTS})...`));
+      record.response = text;
+      record.usage = usage;
+
+      if (errors.length !== 0) {
+        throw new ParticleResponseError(
+          `The LLM's scene is still invalid after ${MAX_REPAIR_ATTEMPTS} repairs`, errors);
+      }
+      return scene;
+    });
+
+    statusMessage = 'Successfully generated the scene!';
+    return scene;
   } catch (error) {
     errorMessage = error.message;
     throw error;
@@ -574,17 +1078,11 @@ async function generateParticle(particleName) {
 function validateUniqueParticle(particleData) {
   const [r, g, b] = particleData.color;
   
-  // Standard element colors to compare against
-  const standardColors = {
-    FIRE: [255, 0, 10],
-    WATER: [0, 10, 255],
-    PLANT: [0, 220, 0],
-    SAND: [223, 193, 99],
-    WALL: [127, 127, 127],
-    OIL: [150, 60, 0],
-    LAVA: [245, 110, 40],
-    ICE: [200, 200, 255]
-  };
+  // Standard element colors to compare against, from the element registry
+  const standardColors = {};
+  ['FIRE', 'WATER', 'PLANT', 'SAND', 'WALL', 'OIL', 'LAVA', 'ICE'].forEach(name => {
+    standardColors[name] = getColorComponents(lookupElementId(name));
+  });
   
   // Check if color is too similar to any standard element
   for (const [elementName, [er, eg, eb]] of Object.entries(standardColors)) {
@@ -604,6 +1102,11 @@ function validateUniqueParticle(particleData) {
     }
   }
   
+  // Particle definitions have no action code to compare
+  if (!particleData.action_code) {
+    return { isValid: true, message: "Particle is unique" };
+  }
+  
   // Check if the action code is too similar to basic actions
   const code = particleData.action_code.toLowerCase();
   
@@ -707,6 +1210,16 @@ function getAllCustomParticles() {
   return customParticles;
 }
 
+/**
+ * Get the conversation about a custom particle
+ * @param {string} particleName - The name of the particle
+ * @returns {Array|null} - Its turns (see particleConversations), or null if
+ *   none are known
+ */
+function getParticleConversation(particleName) {
+  return particleConversations[particleName] || null;
+}
+
 /**
  * Get current status message
  * @returns {string} - Current status message
@@ -0,0 +1,368 @@
+/*
+ * Declarative particle definitions.
+ * A particle definition is plain JSON that describes how a custom particle
+ * moves, what it reacts with, what it emits and how long it lives. It is
+ * validated and then compiled into an element action, so a generated
+ * particle can't run code of its own. This file doesn't touch the DOM, so
+ * that the simulation worker can compile definitions as well.
+ */
+
+// Movement models, and the registry state each one implies
+const PARTICLE_MOVEMENT_STATES = {
+  static: STATE_SOLID,
+  powder: STATE_POWDER,
+  liquid: STATE_LIQUID,
+  gas: STATE_GAS
+};
+
+// Chance (0-1) per frame that a particle of each model falls, or rises
+const DEFAULT_MOVEMENT_CHANCES = {
+  static: 0,
+  powder: 0.95,
+  liquid: 0.95,
+  gas: 0.7
+};
+
+// Kept small, so that a compiled action stays cheap to run every frame
+const MAX_PARTICLE_REACTIONS = 8;
+const MAX_PARTICLE_EMITTERS = 4;
+const MAX_PARTICLE_LIFETIME = 100000;
+const MAX_COLOR_VARIANCE = 64;
+
+const PARTICLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// JSON schema for particle definitions, as described to the LLM
+const PARTICLE_DEFINITION_SCHEMA = Object.freeze({
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Particle definition',
+  type: 'object',
+  required: ['name', 'color', 'movement'],
+  additionalProperties: true,
+  properties: {
+    name: { type: 'string', pattern: PARTICLE_NAME_PATTERN.source },
+    color: {
+      type: 'array',
+      items: { type: 'integer', minimum: 0, maximum: 255 },
+      minItems: 3,
+      maxItems: 3
+    },
+    colorVariance: { type: 'integer', minimum: 0, maximum: MAX_COLOR_VARIANCE },
+    movement: {
+      type: 'object',
+      required: ['model'],
+      properties: {
+        model: { enum: Object.keys(PARTICLE_MOVEMENT_STATES) },
+        chance: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    density: { type: 'number', minimum: 0 },
+    flammability: { type: 'number', minimum: 0, maximum: 100 },
+    reactions: {
+      type: 'array',
+      maxItems: MAX_PARTICLE_REACTIONS,
+      items: {
+        type: 'object',
+        required: ['with', 'becomes', 'chance'],
+        properties: {
+          with: { type: 'string' },
+          becomes: { type: 'string' },
+          otherBecomes: { type: 'string' },
+          chance: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    },
+    emitters: {
+      type: 'array',
+      maxItems: MAX_PARTICLE_EMITTERS,
+      items: {
+        type: 'object',
+        required: ['emits', 'chance'],
+        properties: {
+          emits: { type: 'string' },
+          chance: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    },
+    lifetime: {
+      type: 'object',
+      required: ['frames'],
+      properties: {
+        frames: { type: 'integer', minimum: 1, maximum: MAX_PARTICLE_LIFETIME },
+        becomes: { type: 'string' }
+      }
+    }
+  }
+});
+
+/**
+ * Whether particle data uses the definition format, rather than action code
+ * @param {Object} particleData - The particle data
+ * @returns {boolean} - True if it is a particle definition
+ */
+function isParticleDefinition(particleData) {
+  return !!particleData && 'movement' in particleData && !('action_code' in particleData);
+}
+
+/**
+ * Validate a particle definition against PARTICLE_DEFINITION_SCHEMA
+ * @param {Object} definition - The particle definition
+ * @returns {Object} - A normalized copy of the definition, with every
+ *   optional field filled in and element names in upper case
+ * @throws {Error} - If the definition is invalid, naming the offending field
+ */
+function validateParticleDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Particle definition must be a JSON object');
+  }
+
+  const name = definitionElementName(definition.name, 'name');
+  if (!PARTICLE_NAME_PATTERN.test(name)) {
+    throw new Error(`name must be letters, digits and underscores: ${definition.name}`);
+  }
+
+  const color = definition.color;
+  if (!Array.isArray(color) || color.length !== 3 ||
+      !color.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+    throw new Error('color must be an array of 3 integers [r, g, b] from 0 to 255');
+  }
+
+  const movement = definition.movement;
+  if (!movement || typeof movement !== 'object') {
+    throw new Error('movement must be an object with a model');
+  }
+  const model = typeof movement.model === 'string' ? movement.model.toLowerCase() : movement.model;
+  if (!(model in PARTICLE_MOVEMENT_STATES)) {
+    throw new Error(`movement.model must be one of ${Object.keys(PARTICLE_MOVEMENT_STATES).join(', ')}: ${movement.model}`);
+  }
+
+  const reactions = definitionArray(definition.reactions, 'reactions', MAX_PARTICLE_REACTIONS);
+  const emitters = definitionArray(definition.emitters, 'emitters', MAX_PARTICLE_EMITTERS);
+
+  let lifetime = null;
+  if (definition.lifetime !== undefined && definition.lifetime !== null) {
+    const frames = definition.lifetime.frames;
+    if (!Number.isInteger(frames) || frames < 1 || frames > MAX_PARTICLE_LIFETIME) {
+      throw new Error(`lifetime.frames must be an integer from 1 to ${MAX_PARTICLE_LIFETIME}`);
+    }
+    lifetime = {
+      frames: frames,
+      becomes: definition.lifetime.becomes === undefined
+        ? 'BACKGROUND'
+        : definitionElementName(definition.lifetime.becomes, 'lifetime.becomes')
+    };
+  }
+
+  return {
+    name: name,
+    color: color.slice(),
+    colorVariance: definitionNumber(definition.colorVariance, 'colorVariance', 0, MAX_COLOR_VARIANCE, 0),
+    movement: {
+      model: model,
+      chance: definitionNumber(movement.chance, 'movement.chance', 0, 1, DEFAULT_MOVEMENT_CHANCES[model])
+    },
+    density: definitionNumber(definition.density, 'density', 0, Infinity, DEFAULT_ELEMENT_PROPERTIES.density),
+    flammability: definitionNumber(definition.flammability, 'flammability', 0, 100, 0),
+    reactions: reactions.map((reaction, r) => {
+      const path = `reactions[${r}]`;
+      return {
+        with: definitionElementName(reaction.with, `${path}.with`),
+        becomes: definitionElementName(reaction.becomes, `${path}.becomes`),
+        otherBecomes: reaction.otherBecomes === undefined || reaction.otherBecomes === null
+          ? null
+          : definitionElementName(reaction.otherBecomes, `${path}.otherBecomes`),
+        chance: definitionChance(reaction.chance, `${path}.chance`)
+      };
+    }),
+    emitters: emitters.map((emitter, e) => {
+      const path = `emitters[${e}]`;
+      return {
+        emits: definitionElementName(emitter.emits, `${path}.emits`),
+        chance: definitionChance(emitter.chance, `${path}.chance`)
+      };
+    }),
+    lifetime: lifetime
+  };
+}
+
+function definitionElementName(value, path) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${path} must be an element name`);
+  }
+  return value.trim().toUpperCase();
+}
+
+function definitionArray(value, path, maxItems) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`${path} must be an array`);
+  if (value.length > maxItems) throw new Error(`${path} may have at most ${maxItems} entries`);
+  value.forEach((entry, k) => {
+    if (!entry || typeof entry !== 'object') throw new Error(`${path}[${k}] must be an object`);
+  });
+  return value;
+}
+
+function definitionNumber(value, path, min, max, defaultValue) {
+  if (value === undefined || value === null) return defaultValue;
+  if (typeof value !== 'number' || !(value >= min && value <= max)) {
+    throw new Error(`${path} must be a number from ${min} to ${max}: ${value}`);
+  }
+  return value;
+}
+
+function definitionChance(value, path) {
+  if (value === undefined || value === null) throw new Error(`${path} is required`);
+  return definitionNumber(value, path, 0, 1, 0);
+}
+
+/**
+ * Registry properties for a particle definition (see elementProperties)
+ * @param {Object} definition - A definition from validateParticleDefinition()
+ * @returns {Object} - Properties for registerElementProperties()
+ */
+function particleDefinitionProperties(definition) {
+  return {
+    name: definition.name,
+    state: PARTICLE_MOVEMENT_STATES[definition.movement.model],
+    density: definition.density,
+    flammability: definition.flammability,
+    // Like the built-in powders and liquids, gases rise through these
+    gasPermeable: definition.movement.model === 'powder' || definition.movement.model === 'liquid',
+    colorVariance: definition.colorVariance
+  };
+}
+
+/**
+ * Resolve the element names in a particle definition to element ids
+ * @param {Object} definition - A definition from validateParticleDefinition()
+ * @param {number} elementId - The id of the particle itself, which its own
+ *   name refers to even before it is registered
+ * @returns {Function} - Maps an element name to its id
+ * @throws {Error} - If a name isn't a registered element
+ */
+function particleElementResolver(definition, elementId) {
+  return function(name) {
+    if (name === definition.name) return elementId;
+    const elem = lookupElementId(name);
+    if (elem === -1) {
+      throw new Error(`${definition.name} refers to unknown element ${name}`);
+    }
+    return elem;
+  };
+}
+
+/**
+ * Check that every element a particle definition refers to exists, so that
+ * it can be compiled
+ * @param {Object} definition - A definition from validateParticleDefinition()
+ * @throws {Error} - If a name isn't a registered element
+ */
+function checkParticleDefinitionElements(definition) {
+  // Any id will do; only the names are looked up
+  const resolve = particleElementResolver(definition, BACKGROUND);
+  definition.reactions.forEach(reaction => {
+    resolve(reaction.with);
+    resolve(reaction.becomes);
+    if (reaction.otherBecomes !== null) resolve(reaction.otherBecomes);
+  });
+  definition.emitters.forEach(emitter => resolve(emitter.emits));
+  if (definition.lifetime) resolve(definition.lifetime.becomes);
+}
+
+/**
+ * Whether particles of a definition do nothing at random once their
+ * neighborhood is settled (see IDLE_ELEMENTS). Reactions only count when the
+ * other element is restless, since a reaction with an idle element could
+ * otherwise wait forever in a sleeping chunk.
+ * @param {Object} definition - A definition from validateParticleDefinition()
+ * @param {number} elementId - The id of the particle
+ * @returns {boolean} - True if the particle is idle
+ */
+function isIdleParticleDefinition(definition, elementId) {
+  if (definition.emitters.length !== 0 || definition.lifetime) return false;
+
+  const resolve = particleElementResolver(definition, elementId);
+  return definition.reactions.every(reaction => {
+    const other = resolve(reaction.with);
+    return other !== elementId && IDLE_ELEMENTS[other] === 0;
+  });
+}
+
+// Moves a particle as its model says; chance is a percentage, as the
+// helpers in elements.js expect. Returns true if the particle moved.
+const PARTICLE_MOVEMENTS = {
+  static: function() {
+    return false;
+  },
+  powder: function(x, y, i, chance) {
+    if (doGravity(x, y, i, true, chance)) return true;
+    return doDensitySinkAny(x, y, i, true, 25);
+  },
+  liquid: function(x, y, i, chance) {
+    if (doGravity(x, y, i, true, chance)) return true;
+    return doDensityLiquidAny(x, y, i, 25, 50);
+  },
+  gas: function(x, y, i, chance) {
+    if (doDensityGas(x, y, i, chance)) return true;
+    return doRise(x, y, i, chance, 60);
+  }
+};
+
+/**
+ * Compile a particle definition into an element action. Each frame, the
+ * particle tries its reactions in order, then its emitters, then ages, and
+ * finally moves. A reaction or the end of its life ends the particle's turn.
+ * @param {Object} definition - A particle definition
+ * @param {number} elementId - The element id of the particle
+ * @returns {Function} - The action function, called as action(x, y, i)
+ * @throws {Error} - If the definition is invalid or names unknown elements
+ */
+function compileParticleDefinition(definition, elementId) {
+  const def = validateParticleDefinition(definition);
+  const resolve = particleElementResolver(def, elementId);
+
+  const reactions = def.reactions.map(reaction => ({
+    with: resolve(reaction.with),
+    becomes: resolve(reaction.becomes),
+    otherBecomes: reaction.otherBecomes === null ? -1 : resolve(reaction.otherBecomes),
+    chance: reaction.chance
+  }));
+  const emitters = def.emitters.map(emitter => ({
+    emits: resolve(emitter.emits),
+    chance: emitter.chance
+  }));
+  const numReactions = reactions.length;
+  const numEmitters = emitters.length;
+
+  // A lifetime is the average number of frames a particle lives
+  const decayChance = def.lifetime ? 1 / def.lifetime.frames : 0;
+  const decaysInto = def.lifetime ? resolve(def.lifetime.becomes) : BACKGROUND;
+
+  const move = PARTICLE_MOVEMENTS[def.movement.model];
+  const moveChance = def.movement.chance * 100;
+
+  return function(x, y, i) {
+    for (let r = 0; r !== numReactions; r++) {
+      const reaction = reactions[r];
+      if (randomFloat() >= reaction.chance) continue;
+
+      const loc = bordering(x, y, i, reaction.with);
+      if (loc === -1) continue;
+
+      setGridElement(i, reaction.becomes);
+      if (reaction.otherBecomes !== -1) setGridElement(loc, reaction.otherBecomes);
+      return;
+    }
+
+    for (let e = 0; e !== numEmitters; e++) {
+      const emitter = emitters[e];
+      if (randomFloat() < emitter.chance) doProducer(x, y, i, emitter.emits, false, 100);
+    }
+
+    if (decayChance !== 0 && randomFloat() < decayChance) {
+      setGridElement(i, decaysInto);
+      return;
+    }
+
+    move(x, y, i, moveChance);
+  };
+}
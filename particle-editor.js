@@ -0,0 +1,395 @@
+/*
+ * Editor for custom particles.
+ * Opened from the custom particles list, it shows a particle's code (its
+ * action_code, or its definition as JSON), behavior text and interactions.
+ * Edits are applied through registerCustomParticle(), which updates the
+ * element in place, so pixels already on the canvas pick up the new code.
+ * Compile errors are shown inline as you type, and every applied edit is
+ * kept in the particle's edit history (see particle-store.js).
+ */
+
+// Edits kept per particle; the oldest are dropped first
+const MAX_PARTICLE_HISTORY = 50;
+
+// Delay after the last keystroke before the code is checked
+const PARTICLE_EDITOR_CHECK_DELAY_MS = 300;
+
+// UI elements
+let particleEditorContainer = null;
+let particleEditorTitle = null;
+let particleEditorGutter = null;
+let particleEditorCode = null;
+let particleEditorError = null;
+let particleEditorBehavior = null;
+let particleEditorInteractions = null;
+let particleEditorHistoryList = null;
+let particleEditorApplyButton = null;
+let particleEditorCloseButton = null;
+
+// The particle being edited, and its edit history, oldest first
+let particleEditorName = null;
+let particleEditorHistory = [];
+// The version the editor was filled from: the particle as it is, or an
+// entry loaded from the history. The code is read as the same kind
+// (definition or action code), which the particle may no longer be.
+let particleEditorShown = null;
+let particleEditorCheckTimer = null;
+
+// Map of loaded edit histories by particle name
+const particleEditHistories = {};
+
+/**
+ * Build the editor panel (initially hidden)
+ */
+function initParticleEditor() {
+  particleEditorContainer = document.createElement('div');
+  particleEditorContainer.id = 'particleEditorContainer';
+  particleEditorContainer.className = 'llm-settings-container llm-editor-container';
+  particleEditorContainer.style.display = 'none';
+
+  particleEditorTitle = document.createElement('h3');
+
+  // Code, with line numbers alongside
+  const codeWrapper = document.createElement('div');
+  codeWrapper.className = 'llm-editor-code';
+
+  particleEditorGutter = document.createElement('pre');
+  particleEditorGutter.className = 'llm-editor-gutter';
+
+  particleEditorCode = document.createElement('textarea');
+  particleEditorCode.className = 'llm-editor-textarea';
+  particleEditorCode.spellcheck = false;
+  particleEditorCode.wrap = 'off';
+
+  codeWrapper.appendChild(particleEditorGutter);
+  codeWrapper.appendChild(particleEditorCode);
+
+  particleEditorError = document.createElement('div');
+  particleEditorError.className = 'llm-status error';
+
+  particleEditorBehavior = document.createElement('textarea');
+  particleEditorBehavior.className = 'llm-input llm-editor-prose';
+  particleEditorBehavior.rows = 2;
+  particleEditorBehavior.placeholder = 'How the particle behaves';
+
+  particleEditorInteractions = document.createElement('textarea');
+  particleEditorInteractions.className = 'llm-input llm-editor-prose';
+  particleEditorInteractions.rows = 4;
+  particleEditorInteractions.placeholder = 'One interaction per line, like WATER: dissolves in it';
+
+  particleEditorApplyButton = document.createElement('button');
+  particleEditorApplyButton.className = 'llm-button';
+  particleEditorApplyButton.textContent = 'Apply';
+  particleEditorApplyButton.title = 'Apply (Ctrl+Enter)';
+
+  particleEditorCloseButton = document.createElement('button');
+  particleEditorCloseButton.className = 'llm-button';
+  particleEditorCloseButton.textContent = 'Close';
+
+  particleEditorHistoryList = document.createElement('div');
+  particleEditorHistoryList.className = 'llm-editor-history';
+
+  particleEditorContainer.appendChild(particleEditorTitle);
+  particleEditorContainer.appendChild(codeWrapper);
+  particleEditorContainer.appendChild(particleEditorError);
+  particleEditorContainer.appendChild(document.createElement('h4')).textContent = 'Behavior';
+  particleEditorContainer.appendChild(particleEditorBehavior);
+  particleEditorContainer.appendChild(document.createElement('h4')).textContent = 'Interactions';
+  particleEditorContainer.appendChild(particleEditorInteractions);
+  particleEditorContainer.appendChild(particleEditorApplyButton);
+  particleEditorContainer.appendChild(particleEditorCloseButton);
+  particleEditorContainer.appendChild(document.createElement('h4')).textContent = 'History';
+  particleEditorContainer.appendChild(particleEditorHistoryList);
+
+  document.body.appendChild(particleEditorContainer);
+
+  particleEditorCode.addEventListener('input', function() {
+    updateParticleEditorGutter();
+    clearTimeout(particleEditorCheckTimer);
+    particleEditorCheckTimer = setTimeout(checkParticleEditor, PARTICLE_EDITOR_CHECK_DELAY_MS);
+  });
+
+  particleEditorCode.addEventListener('scroll', function() {
+    particleEditorGutter.scrollTop = particleEditorCode.scrollTop;
+  });
+
+  particleEditorCode.addEventListener('keydown', function(event) {
+    if (event.key === 'Tab') {
+      // Indent rather than leave the editor
+      event.preventDefault();
+      particleEditorCode.setRangeText('  ', particleEditorCode.selectionStart,
+        particleEditorCode.selectionEnd, 'end');
+      particleEditorCode.dispatchEvent(new Event('input'));
+    } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      applyParticleEdit();
+    }
+  });
+
+  particleEditorApplyButton.addEventListener('click', applyParticleEdit);
+  particleEditorCloseButton.addEventListener('click', closeParticleEditor);
+}
+
+/**
+ * Open the editor on a custom particle
+ * @param {string} name - The particle name
+ */
+function openParticleEditor(name) {
+  const particleData = getCustomParticle(name);
+  if (!particleData) return;
+
+  particleEditorName = name;
+  particleEditorTitle.textContent = `Edit ${name}`;
+  showParticleInEditor(particleData);
+  particleEditorContainer.style.display = 'block';
+
+  particleEditorHistory = particleEditHistories[name] || [];
+  renderParticleEditorHistory();
+  if (!particleEditHistories[name]) {
+    loadParticleHistory(name).then(history => {
+      // Unless an edit was recorded while we were loading
+      if (!particleEditHistories[name]) particleEditHistories[name] = history;
+      if (particleEditorName === name) {
+        particleEditorHistory = particleEditHistories[name];
+        renderParticleEditorHistory();
+      }
+    }).catch(error => {
+      console.error(`Failed to load the edit history of ${name}:`, error);
+    });
+  }
+}
+
+/**
+ * Close the editor, dropping unapplied edits
+ */
+function closeParticleEditor() {
+  clearTimeout(particleEditorCheckTimer);
+  particleEditorContainer.style.display = 'none';
+  particleEditorName = null;
+  particleEditorShown = null;
+}
+
+/**
+ * Fill the editor from particle data
+ * @param {Object} particleData - The particle data
+ */
+function showParticleInEditor(particleData) {
+  particleEditorShown = particleData;
+  if (isParticleDefinition(particleData)) {
+    // Everything but the prose, which has its own fields
+    const definition = Object.assign({}, particleData);
+    delete definition.behavior;
+    delete definition.interactions;
+    delete definition.generation;
+    particleEditorCode.value = JSON.stringify(definition, null, 2);
+  } else {
+    particleEditorCode.value = extractActionCodeBody(particleData.action_code);
+  }
+
+  particleEditorBehavior.value = particleData.behavior || '';
+  particleEditorInteractions.value = Object.entries(particleData.interactions || {})
+    .map(([element, description]) => `${element}: ${description}`)
+    .join('\n');
+
+  showParticleEditorError(null);
+  particleEditorCode.scrollTop = 0;
+}
+
+/**
+ * Read particle data from the editor, checking it the way
+ * registerCustomParticle() would
+ * @returns {Object} - The edited particle data
+ * @throws {Error} - If the edited particle would be rejected. Errors in
+ *   action code are ActionCodeErrors, with the line and column in the editor.
+ */
+function readParticleEditor() {
+  const shown = particleEditorShown;
+  const code = particleEditorCode.value;
+  let particleData;
+
+  if (isParticleDefinition(shown)) {
+    let definition;
+    try {
+      definition = JSON.parse(code);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('Particle definition must be a JSON object');
+    }
+    if (String(definition.name).toUpperCase() !== particleEditorName) {
+      throw new Error(`name must stay ${particleEditorName}; export and import a pack to rename`);
+    }
+    particleData = definition;
+    if (shown.generation) particleData.generation = shown.generation;
+  } else {
+    particleData = Object.assign({}, shown, { action_code: code });
+  }
+
+  particleData.behavior = particleEditorBehavior.value.trim();
+  particleData.interactions = readParticleEditorInteractions();
+
+  try {
+    checkCustomParticle(particleData);
+  } catch (error) {
+    // Lines are counted from the trimmed code; count from the editor's
+    if (error instanceof ActionCodeError) {
+      const leading = code.slice(0, code.length - code.trimStart().length);
+      const skippedLines = leading.split('\n').length - 1;
+      throw new ActionCodeError(error.reason, error.line + skippedLines,
+        error.line === 1 ? error.column + leading.length - leading.lastIndexOf('\n') - 1 : error.column);
+    }
+    throw error;
+  }
+  return particleData;
+}
+
+/**
+ * Read the interactions field, one 'ELEMENT: description' per line
+ * @returns {Object} - Descriptions by element name
+ */
+function readParticleEditorInteractions() {
+  const interactions = {};
+  particleEditorInteractions.value.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const element = line.slice(0, separator).trim().toUpperCase();
+    const description = line.slice(separator + 1).trim();
+    if (element && description) interactions[element] = description;
+  });
+  return interactions;
+}
+
+/**
+ * Check the code being edited, showing any error inline
+ */
+function checkParticleEditor() {
+  if (!particleEditorName) return;
+
+  try {
+    readParticleEditor();
+    showParticleEditorError(null);
+  } catch (error) {
+    showParticleEditorError(error);
+  }
+}
+
+/**
+ * Apply the edits to the particle, updating it in place
+ */
+function applyParticleEdit() {
+  const name = particleEditorName;
+  if (!name) return;
+
+  try {
+    keepCustomParticle(readParticleEditor(), { previous: getCustomParticle(name) });
+  } catch (error) {
+    showParticleEditorError(error);
+    return;
+  }
+
+  showParticleEditorError(null);
+  updateLLMStatus(`Updated ${name}`, 'success');
+}
+
+/**
+ * Add an edit to a particle's history, and store it
+ * @param {string} name - The particle name
+ * @param {Object} previous - The particle data before the edit
+ * @param {Object} particleData - The particle data after the edit
+ * @param {string} [note] - Who or what made the edit, if not the user
+ */
+function recordParticleEdit(name, previous, particleData, note) {
+  const history = particleEditHistories[name] || [];
+  // Keep the version we started from, so it can be gone back to
+  if (history.length === 0) {
+    history.push({ editedAt: null, particle: previous });
+  }
+  const entry = { editedAt: new Date().toISOString(), particle: particleData };
+  if (note) entry.note = note;
+  history.push(entry);
+  history.splice(0, Math.max(history.length - MAX_PARTICLE_HISTORY, 0));
+
+  particleEditHistories[name] = history;
+  if (particleEditorName === name) {
+    particleEditorHistory = history;
+    renderParticleEditorHistory();
+  }
+
+  saveParticleHistory(name, history).catch(error => {
+    console.error(`Failed to store the edit history of ${name}:`, error);
+  });
+}
+
+/**
+ * List the edit history, newest first. Loading an entry puts it in the
+ * editor, to be applied like any other edit.
+ */
+function renderParticleEditorHistory() {
+  particleEditorHistoryList.innerHTML = '';
+
+  if (particleEditorHistory.length === 0) {
+    particleEditorHistoryList.textContent = 'No edits yet';
+    return;
+  }
+
+  particleEditorHistory.slice().reverse().forEach((entry, k) => {
+    const row = document.createElement('div');
+    row.className = 'llm-editor-history-entry';
+
+    const label = document.createElement('span');
+    label.textContent = entry.editedAt
+      ? new Date(entry.editedAt).toLocaleString()
+      : 'Original';
+    if (entry.note) label.textContent += ` (${entry.note})`;
+    if (k === 0) label.textContent += ' (current)';
+
+    const loadButton = document.createElement('button');
+    loadButton.className = 'llm-button';
+    loadButton.textContent = 'Load';
+    loadButton.addEventListener('click', function() {
+      showParticleInEditor(entry.particle);
+    });
+
+    row.appendChild(label);
+    row.appendChild(loadButton);
+    particleEditorHistoryList.appendChild(row);
+  });
+}
+
+/**
+ * Show an error under the code, marking its line and moving the cursor to
+ * it if it has one
+ * @param {Error|null} error - The error, or null to clear it
+ */
+function showParticleEditorError(error) {
+  const errorLine = error instanceof ActionCodeError ? error.line : null;
+  particleEditorError.textContent = error ? error.message : '';
+  updateParticleEditorGutter(errorLine);
+
+  if (errorLine !== null && document.activeElement !== particleEditorCode) {
+    const lines = particleEditorCode.value.split('\n');
+    let position = error.column - 1;
+    for (let k = 0; k < errorLine - 1 && k < lines.length; k++) {
+      position += lines[k].length + 1;
+    }
+    particleEditorCode.focus();
+    particleEditorCode.setSelectionRange(position, position);
+  }
+}
+
+/**
+ * Number the lines of the code, marking the line with an error
+ * @param {number|null} [errorLine] - The line to mark, if any
+ */
+function updateParticleEditorGutter(errorLine = null) {
+  const lineCount = particleEditorCode.value.split('\n').length;
+  particleEditorGutter.innerHTML = '';
+  for (let line = 1; line <= lineCount; line++) {
+    const number = document.createElement('div');
+    number.textContent = line;
+    if (line === errorLine) number.className = 'llm-editor-error-line';
+    particleEditorGutter.appendChild(number);
+  }
+  particleEditorGutter.scrollTop = particleEditorCode.scrollTop;
+}
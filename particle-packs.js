@@ -0,0 +1,199 @@
+/*
+ * Custom particle packs.
+ * A pack is a versioned JSON file holding one or more custom particles, so
+ * that generated particles can be shared as files. Each particle carries a
+ * checksum of its data, and the pack records the engine version it was
+ * exported from. Imported particles go through checkCustomParticle() and
+ * registerCustomParticle(), like generated ones.
+ */
+
+const PARTICLE_PACK_FORMAT = 'project-sand-particle-pack';
+const PARTICLE_PACK_VERSION = 1;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so that equal data
+ * always gives the same string
+ * @param {*} value - A JSON value
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Checksum particle data, to catch packs that were damaged or edited by hand.
+ * This is a 32-bit FNV-1a hash of the canonical JSON; it is not meant to
+ * stop deliberate tampering.
+ * @param {Object} particleData - The particle data
+ * @returns {string} - The checksum, like 'fnv1a32:0123abcd'
+ */
+function particlePackChecksum(particleData) {
+  const json = canonicalJSON(particleData);
+  let hash = 0x811c9dc5;
+  for (let k = 0; k < json.length; k++) {
+    hash ^= json.charCodeAt(k);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv1a32:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Create a pack of custom particles
+ * @param {Array} particles - The particle data to include, in the order they
+ *   should be registered (particles that refer to others come after them)
+ * @returns {Object} - The pack, ready for JSON.stringify
+ */
+function createParticlePack(particles) {
+  return {
+    format: PARTICLE_PACK_FORMAT,
+    version: PARTICLE_PACK_VERSION,
+    engineVersion: ENGINE_VERSION,
+    exportedAt: new Date().toISOString(),
+    particles: particles.map(particleData => ({
+      checksum: particlePackChecksum(particleData),
+      particle: particleData
+    }))
+  };
+}
+
+/**
+ * Read a pack, checking its format and checksums. The particles themselves
+ * are only checked when they are imported, since they may refer to each
+ * other.
+ * @param {Object} pack - The parsed pack file
+ * @returns {Object} - { particles, warnings }, the particle data in pack
+ *   order and anything the user should know about the pack
+ * @throws {Error} - If the pack is malformed or a checksum doesn't match
+ */
+function readParticlePack(pack) {
+  if (!pack || typeof pack !== 'object' || pack.format !== PARTICLE_PACK_FORMAT) {
+    throw new Error('Not a custom particle pack');
+  }
+  if (pack.version !== PARTICLE_PACK_VERSION) {
+    throw new Error(`Unsupported particle pack version: ${pack.version}`);
+  }
+  if (!Array.isArray(pack.particles) || pack.particles.length === 0) {
+    throw new Error('Particle pack has no particles');
+  }
+
+  const warnings = [];
+  if (pack.engineVersion !== ENGINE_VERSION) {
+    warnings.push(`Pack was exported from engine version ${pack.engineVersion}, ` +
+      `this is version ${ENGINE_VERSION}; particles may behave differently`);
+  }
+
+  const names = new Set();
+  const particles = pack.particles.map((entry, k) => {
+    const particleData = entry && entry.particle;
+    if (!particleData || typeof particleData !== 'object' || typeof particleData.name !== 'string') {
+      throw new Error(`particles[${k}] is not a particle`);
+    }
+    if (entry.checksum !== particlePackChecksum(particleData)) {
+      throw new Error(`Checksum mismatch for ${particleData.name}; the pack may be damaged`);
+    }
+    if (names.has(particleData.name)) {
+      throw new Error(`Particle pack has ${particleData.name} more than once`);
+    }
+    names.add(particleData.name);
+    return particleData;
+  });
+
+  return { particles: particles, warnings: warnings };
+}
+
+/**
+ * What a particle name collides with, if anything
+ * @param {string} name - The particle name
+ * @returns {string|null} - 'builtin' for a built-in element, which can't be
+ *   replaced, 'custom' for an existing custom particle, or null
+ */
+function particleNameCollision(name) {
+  const elem = lookupElementId(name);
+  if (elem !== -1 && elem < NUM_ELEMENTS) return 'builtin';
+  if (customElementIds[name] || getCustomParticle(name)) return 'custom';
+  return null;
+}
+
+/**
+ * Find a name for a particle that collides with nothing
+ * @param {string} name - The colliding name
+ * @returns {string} - name with the lowest free numeric suffix, like ACID_2
+ */
+function freeParticleName(name) {
+  const base = name.replace(/_\d+$/, '');
+  for (let k = 2; ; k++) {
+    const candidate = `${base}_${k}`;
+    if (!particleNameCollision(candidate)) return candidate;
+  }
+}
+
+/**
+ * Rename a particle in pack particle data, including where it refers to
+ * itself and where other particles refer to it
+ * @param {Array} particles - The pack's particle data
+ * @param {string} oldName - The particle's name in the pack
+ * @param {string} newName - The new name
+ * @returns {Array} - Renamed copies of the particle data
+ */
+function renamePackParticle(particles, oldName, newName) {
+  const rename = value =>
+    typeof value === 'string' && value.trim().toUpperCase() === oldName ? newName : value;
+
+  return particles.map(particleData => {
+    const renamed = JSON.parse(JSON.stringify(particleData));
+    renamed.name = rename(renamed.name);
+
+    if (typeof renamed.action_code === 'string') {
+      renamed.action_code = renameActionCodeName(renamed.action_code, oldName, newName);
+    }
+    if (Array.isArray(renamed.reactions)) {
+      renamed.reactions.forEach(reaction => {
+        if (!reaction || typeof reaction !== 'object') return;
+        reaction.with = rename(reaction.with);
+        reaction.becomes = rename(reaction.becomes);
+        reaction.otherBecomes = rename(reaction.otherBecomes);
+      });
+    }
+    if (Array.isArray(renamed.emitters)) {
+      renamed.emitters.forEach(emitter => {
+        if (emitter && typeof emitter === 'object') emitter.emits = rename(emitter.emits);
+      });
+    }
+    if (renamed.lifetime && typeof renamed.lifetime === 'object') {
+      renamed.lifetime.becomes = rename(renamed.lifetime.becomes);
+    }
+    return renamed;
+  });
+}
+
+/**
+ * Rename an identifier in action code. Code that doesn't tokenize is left
+ * alone; checkCustomParticle() will reject it anyway.
+ * @param {string} code - The action code
+ * @param {string} oldName - The identifier to rename
+ * @param {string} newName - Its new name
+ * @returns {string} - The renamed code
+ */
+function renameActionCodeName(code, oldName, newName) {
+  let tokens;
+  try {
+    tokens = tokenizeActionCode(code);
+  } catch (error) {
+    return code;
+  }
+
+  tokens
+    .filter(token => token.type === 'name' && token.value === oldName)
+    .reverse()
+    .forEach(token => {
+      code = code.slice(0, token.start) + newName + code.slice(token.end);
+    });
+  return code;
+}
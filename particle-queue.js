@@ -0,0 +1,280 @@
+/*
+ * The particle generation queue.
+ * Names typed or pasted into the LLM input, separated by commas or new
+ * lines, are queued and generated a few at a time, and each particle is
+ * registered as soon as it arrives. Every name shows its own status in the
+ * queue, and can be cancelled while it waits or runs, or retried once it
+ * has failed or been cancelled.
+ */
+
+const DEFAULT_PARTICLE_QUEUE_CONCURRENCY = 2;
+const MAX_PARTICLE_QUEUE_CONCURRENCY = 8;
+
+// How many particles are generated at once
+let particleQueueConcurrency = DEFAULT_PARTICLE_QUEUE_CONCURRENCY;
+
+// The queue, in order: { id, name, status, message, errors, controller },
+// where status is 'queued', 'running', 'done', 'failed' or 'cancelled', and
+// controller cancels a running generation
+const particleQueue = [];
+let nextParticleQueueId = 1;
+
+// UI elements
+let particleQueueContainer = null;
+let particleQueueList = null;
+let particleQueueConcurrencyInput = null;
+let particleQueueClearButton = null;
+
+/**
+ * Split typed or pasted text into particle names
+ * @param {string} text - Names separated by commas or new lines
+ * @returns {Array} - The names as generateParticle() takes them, without
+ *   duplicates
+ */
+function parseParticleNames(text) {
+  const names = text.split(/[,\r\n]+/)
+    .map(name => name.trim().toUpperCase())
+    .filter(name => name !== '');
+  return Array.from(new Set(names));
+}
+
+/**
+ * Set how many particles are generated at once
+ * @param {number} concurrency - From 1 to MAX_PARTICLE_QUEUE_CONCURRENCY
+ */
+function setParticleQueueConcurrency(concurrency) {
+  particleQueueConcurrency = Math.min(Math.max(Math.round(concurrency), 1), MAX_PARTICLE_QUEUE_CONCURRENCY);
+  pumpParticleQueue();
+}
+
+/**
+ * Queue particles to generate. Names already waiting or running are left
+ * where they are.
+ * @param {Array} names - The particle names
+ * @returns {number} - How many were queued
+ */
+function enqueueParticles(names) {
+  let queued = 0;
+  names.forEach(name => {
+    const pending = particleQueue.some(item =>
+      item.name === name && (item.status === 'queued' || item.status === 'running'));
+    if (pending) return;
+
+    particleQueue.push({
+      id: nextParticleQueueId++,
+      name: name,
+      status: 'queued',
+      message: '',
+      errors: [],
+      controller: null
+    });
+    queued++;
+  });
+
+  pumpParticleQueue();
+  renderParticleQueue();
+  return queued;
+}
+
+/**
+ * Start queued generations, up to the concurrency
+ */
+function pumpParticleQueue() {
+  let running = particleQueue.filter(item => item.status === 'running').length;
+  for (const item of particleQueue) {
+    if (running >= particleQueueConcurrency) break;
+    if (item.status !== 'queued') continue;
+    running++;
+    runParticleQueueItem(item);
+  }
+}
+
+/**
+ * Generate and register the particle of a queue item
+ * @param {Object} item - The queue item
+ * @returns {Promise} - Resolves once it is done, has failed or was cancelled
+ */
+async function runParticleQueueItem(item) {
+  item.status = 'running';
+  item.message = '';
+  item.errors = [];
+  item.controller = new AbortController();
+  renderParticleQueue();
+
+  try {
+    const particleData = await generateParticle(item.name, {
+      signal: item.controller.signal,
+      onStatus: message => {
+        item.message = message;
+        renderParticleQueue();
+      }
+    });
+    registerGeneratedParticle(particleData);
+    item.status = 'done';
+    item.message = '';
+    updateLLMStatus(`Successfully generated ${particleData.name}!`, 'success');
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      item.status = 'cancelled';
+      item.message = '';
+    } else {
+      console.error(`Failed to generate ${item.name} particle:`, error);
+      item.status = 'failed';
+      item.message = error.message;
+      item.errors = error.errors || [];
+    }
+  } finally {
+    item.controller = null;
+    renderParticleQueue();
+    pumpParticleQueue();
+  }
+}
+
+/**
+ * Cancel a queue item that is waiting or running
+ * @param {number} id - The item id
+ */
+function cancelParticleQueueItem(id) {
+  const item = particleQueue.find(item => item.id === id);
+  if (!item) return;
+
+  if (item.status === 'queued') {
+    item.status = 'cancelled';
+    renderParticleQueue();
+  } else if (item.status === 'running') {
+    // runParticleQueueItem() marks it cancelled once the request stops
+    item.controller.abort();
+  }
+}
+
+/**
+ * Queue a failed or cancelled item again
+ * @param {number} id - The item id
+ */
+function retryParticleQueueItem(id) {
+  const item = particleQueue.find(item => item.id === id);
+  if (!item || (item.status !== 'failed' && item.status !== 'cancelled')) return;
+
+  item.status = 'queued';
+  item.message = '';
+  item.errors = [];
+  pumpParticleQueue();
+  renderParticleQueue();
+}
+
+/**
+ * Remove the items that are done, failed or cancelled
+ */
+function clearFinishedParticleQueueItems() {
+  for (let k = particleQueue.length - 1; k >= 0; k--) {
+    const status = particleQueue[k].status;
+    if (status !== 'queued' && status !== 'running') particleQueue.splice(k, 1);
+  }
+  renderParticleQueue();
+}
+
+/**
+ * Build the queue view, shown under the LLM input while it has items
+ * @returns {HTMLElement} - The view, for the caller to place
+ */
+function initParticleQueueView() {
+  particleQueueContainer = document.createElement('div');
+  particleQueueContainer.id = 'particleQueueContainer';
+  particleQueueContainer.className = 'llm-queue';
+  particleQueueContainer.style.display = 'none';
+
+  const controls = document.createElement('div');
+  controls.className = 'llm-queue-controls';
+
+  const concurrencyLabel = document.createElement('label');
+  concurrencyLabel.textContent = 'At once: ';
+  particleQueueConcurrencyInput = document.createElement('input');
+  particleQueueConcurrencyInput.type = 'number';
+  particleQueueConcurrencyInput.className = 'llm-input';
+  particleQueueConcurrencyInput.min = '1';
+  particleQueueConcurrencyInput.max = String(MAX_PARTICLE_QUEUE_CONCURRENCY);
+  particleQueueConcurrencyInput.value = String(particleQueueConcurrency);
+  concurrencyLabel.appendChild(particleQueueConcurrencyInput);
+
+  particleQueueClearButton = document.createElement('button');
+  particleQueueClearButton.className = 'llm-button';
+  particleQueueClearButton.textContent = 'Clear finished';
+
+  controls.appendChild(concurrencyLabel);
+  controls.appendChild(particleQueueClearButton);
+
+  particleQueueList = document.createElement('ul');
+  particleQueueList.className = 'llm-queue-list';
+
+  particleQueueContainer.appendChild(controls);
+  particleQueueContainer.appendChild(particleQueueList);
+
+  // Check for a stored concurrency
+  const storedConcurrency = parseInt(localStorage.getItem('particle_queue_concurrency'), 10);
+  if (!isNaN(storedConcurrency)) {
+    setParticleQueueConcurrency(storedConcurrency);
+    particleQueueConcurrencyInput.value = String(particleQueueConcurrency);
+  }
+
+  particleQueueConcurrencyInput.addEventListener('change', function() {
+    const concurrency = parseInt(particleQueueConcurrencyInput.value, 10);
+    if (isNaN(concurrency)) {
+      updateLLMStatus('Please enter how many particles to generate at once', 'error');
+      return;
+    }
+    setParticleQueueConcurrency(concurrency);
+    particleQueueConcurrencyInput.value = String(particleQueueConcurrency);
+    localStorage.setItem('particle_queue_concurrency', particleQueueConcurrency);
+  });
+  particleQueueClearButton.addEventListener('click', clearFinishedParticleQueueItems);
+
+  return particleQueueContainer;
+}
+
+/**
+ * Show every queue item with its status, and the actions it allows
+ */
+function renderParticleQueue() {
+  // Particles may be queued before the UI is built
+  if (!particleQueueContainer) return;
+
+  particleQueueContainer.style.display = particleQueue.length === 0 ? 'none' : '';
+  particleQueueList.innerHTML = '';
+
+  particleQueue.forEach(item => {
+    const row = particleQueueList.appendChild(document.createElement('li'));
+    row.className = `llm-queue-item llm-queue-${item.status}`;
+
+    row.appendChild(document.createElement('span')).textContent = item.name;
+    const status = row.appendChild(document.createElement('span'));
+    status.className = 'llm-queue-status';
+    status.textContent = item.message ? `${item.status}: ${item.message}` : item.status;
+
+    if (item.status === 'queued' || item.status === 'running') {
+      const cancelButton = row.appendChild(document.createElement('button'));
+      cancelButton.className = 'llm-button llm-edit-button';
+      cancelButton.textContent = '✕';
+      cancelButton.title = `Cancel ${item.name}`;
+      cancelButton.addEventListener('click', function() {
+        cancelParticleQueueItem(item.id);
+      });
+    } else if (item.status === 'failed' || item.status === 'cancelled') {
+      const retryButton = row.appendChild(document.createElement('button'));
+      retryButton.className = 'llm-button llm-edit-button';
+      retryButton.textContent = '↻';
+      retryButton.title = `Retry ${item.name}`;
+      retryButton.addEventListener('click', function() {
+        retryParticleQueueItem(item.id);
+      });
+    }
+
+    // Invalid replies say what was wrong with them, field by field
+    if (item.errors.length !== 0) {
+      const details = row.appendChild(document.createElement('ul'));
+      details.className = 'llm-status-details';
+      item.errors.forEach(error => {
+        details.appendChild(document.createElement('li')).textContent = error;
+      });
+    }
+  });
+}
@@ -0,0 +1,199 @@
+/*
+ * Refining custom particles in conversation with the LLM.
+ * Each custom particle in the list can open a refine box. A change typed
+ * there ("make it slower", "it should also melt ICE") is sent with the
+ * particle's current definition and the conversation so far (see
+ * refineParticle()), and the reply replaces the particle in place, through
+ * registerCustomParticle(). Refinements can be undone one by one, back to
+ * the version the first was made from.
+ */
+
+// Refinements that can be undone per particle; the oldest are dropped first
+const MAX_PARTICLE_REFINE_UNDO = 20;
+
+// Map of refine boxes by particle name, kept across list updates so that
+// what is being typed isn't lost: { row, input, refineButton, undoButton, log }
+const particleRefineBoxes = {};
+
+// Map of undo stacks by particle name, newest last: { particle, conversation }
+const particleRefineUndo = {};
+
+/**
+ * Create the button that shows or hides a particle's refine box
+ * @param {string} name - The particle name
+ * @returns {HTMLElement} - The button
+ */
+function createParticleRefineButton(name) {
+  const button = document.createElement('button');
+  button.className = 'llm-button llm-edit-button';
+  button.textContent = '💬';
+  button.title = `Refine ${name}`;
+  button.addEventListener('click', function() {
+    const box = getParticleRefineBox(name);
+    const opening = box.row.style.display === 'none';
+    box.row.style.display = opening ? '' : 'none';
+    if (opening) {
+      renderParticleRefineBox(name);
+      box.input.focus();
+    }
+  });
+  return button;
+}
+
+/**
+ * Get a particle's refine box, creating it (hidden) if needed
+ * @param {string} name - The particle name
+ * @returns {Object} - The box's elements (see particleRefineBoxes)
+ */
+function getParticleRefineBox(name) {
+  if (particleRefineBoxes[name]) return particleRefineBoxes[name];
+
+  const row = document.createElement('div');
+  row.className = 'llm-refine-box';
+  row.style.display = 'none';
+
+  // Past changes, oldest first
+  const log = document.createElement('ol');
+  log.className = 'llm-refine-log';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'llm-input';
+  input.placeholder = `Change ${name}, like "make it slower"`;
+
+  const refineButton = document.createElement('button');
+  refineButton.className = 'llm-button';
+  refineButton.textContent = 'Refine';
+
+  const undoButton = document.createElement('button');
+  undoButton.className = 'llm-button';
+  undoButton.textContent = 'Undo';
+
+  row.appendChild(log);
+  row.appendChild(input);
+  row.appendChild(refineButton);
+  row.appendChild(undoButton);
+
+  input.addEventListener('keydown', function(event) {
+    if (event.key === 'Enter') submitParticleRefine(name);
+  });
+  refineButton.addEventListener('click', function() {
+    submitParticleRefine(name);
+  });
+  undoButton.addEventListener('click', function() {
+    undoParticleRefine(name);
+  });
+
+  particleRefineBoxes[name] = { row, input, refineButton, undoButton, log };
+  return particleRefineBoxes[name];
+}
+
+/**
+ * Show a particle's conversation in its refine box, loading it first if
+ * it was stored in an earlier session
+ * @param {string} name - The particle name
+ */
+function renderParticleRefineBox(name) {
+  const box = getParticleRefineBox(name);
+  const conversation = getParticleConversation(name);
+
+  if (!conversation) {
+    loadParticleConversation(name).then(stored => {
+      // Unless the particle was refined while we were loading
+      if (!getParticleConversation(name)) particleConversations[name] = stored;
+      renderParticleRefineBox(name);
+    }).catch(error => {
+      console.error(`Failed to load the conversation about ${name}:`, error);
+      particleConversations[name] = [];
+      renderParticleRefineBox(name);
+    });
+  }
+
+  box.log.innerHTML = '';
+  (conversation || [])
+    .filter(turn => turn.instruction !== null)
+    .forEach(turn => {
+      box.log.appendChild(document.createElement('li')).textContent = turn.instruction;
+    });
+  box.log.style.display = box.log.children.length === 0 ? 'none' : '';
+
+  const undo = particleRefineUndo[name] || [];
+  box.undoButton.disabled = undo.length === 0;
+  box.undoButton.title = undo.length === 0 ? 'Nothing to undo' : `Undo the last of ${undo.length} refinements`;
+}
+
+/**
+ * Send the change typed in a particle's refine box, and apply the reply
+ * @param {string} name - The particle name
+ * @returns {Promise} - Resolves once the particle is refined, or it failed
+ */
+async function submitParticleRefine(name) {
+  const box = getParticleRefineBox(name);
+  const instruction = box.input.value.trim();
+  const previous = getCustomParticle(name);
+  if (!instruction || !previous || box.refineButton.disabled) return;
+
+  if (!config.initialized) {
+    updateLLMStatus('Please configure an LLM provider first', 'error');
+    return;
+  }
+
+  box.refineButton.disabled = true;
+  try {
+    // Continue the conversation from an earlier session
+    if (!getParticleConversation(name)) {
+      particleConversations[name] = await loadParticleConversation(name).catch(() => []);
+    }
+    const previousConversation = getParticleConversation(name);
+
+    const { particleData, conversation } = await refineParticle(previous, instruction, {
+      onStatus: message => updateLLMStatus(message, 'loading')
+    });
+
+    const kept = keepCustomParticle(particleData, {
+      previous: previous,
+      note: `Refined: ${instruction}`,
+      conversation: conversation
+    });
+    if (!kept) {
+      updateLLMStatus(`${name} was changed while it was being refined; the refinement was dropped`, 'info');
+      return;
+    }
+
+    const undo = particleRefineUndo[name] || [];
+    undo.push({ particle: previous, conversation: previousConversation });
+    undo.splice(0, Math.max(undo.length - MAX_PARTICLE_REFINE_UNDO, 0));
+    particleRefineUndo[name] = undo;
+
+    box.input.value = '';
+    updateLLMStatus(`Refined ${name}`, 'success');
+  } catch (error) {
+    console.error(`Failed to refine ${name} particle:`, error);
+    updateLLMStatus(`Failed to refine ${name}: ${error.message}`, 'error', error.errors);
+  } finally {
+    box.refineButton.disabled = false;
+    renderParticleRefineBox(name);
+  }
+}
+
+/**
+ * Go back to the version of a particle before its last refinement
+ * @param {string} name - The particle name
+ */
+function undoParticleRefine(name) {
+  const undo = particleRefineUndo[name];
+  const current = getCustomParticle(name);
+  if (!undo || undo.length === 0 || !current) return;
+
+  const { particle, conversation } = undo[undo.length - 1];
+  try {
+    keepCustomParticle(particle, { previous: current, note: 'Undid refinement', conversation: conversation });
+  } catch (error) {
+    updateLLMStatus(`Failed to undo: ${error.message}`, 'error');
+    return;
+  }
+  undo.pop();
+
+  updateLLMStatus(`Undid the last refinement of ${name}`, 'success');
+  renderParticleRefineBox(name);
+}
@@ -0,0 +1,312 @@
+/*
+ * Automatic repair of custom particles whose action code throws.
+ * The simulation reports the first few distinct errors each custom element
+ * throws (see reportParticleError()). They are collected for a moment, then
+ * sent to the LLM with the code, and the fixed code it replies with is
+ * swapped in through registerCustomParticle(), like an edit in the editor.
+ * Each particle gets at most MAX_PARTICLE_REPAIRS repairs, and the last one
+ * can be reviewed as a diff of what changed, and reverted.
+ */
+
+// Repairs per particle before giving up on it, until the page is reloaded
+const MAX_PARTICLE_REPAIRS = 3;
+
+// Time to collect errors for, after the first, before asking for a repair
+const PARTICLE_REPAIR_DELAY_MS = 1000;
+
+// Whether to repair failing particles at all
+let autoRepairParticles = true;
+
+// Map of repair state by particle name (see particleRepairState)
+const particleRepairs = {};
+
+// UI elements
+let particleRepairContainer = null;
+let particleRepairTitle = null;
+let particleRepairErrors = null;
+let particleRepairExplanation = null;
+let particleRepairDiff = null;
+let particleRepairRevertButton = null;
+let particleRepairCloseButton = null;
+
+// The particle whose repair is shown
+let particleRepairName = null;
+
+/**
+ * Get the repair state of a particle, creating it if needed
+ * @param {string} name - The particle name
+ * @returns {Object} - { errors, timer, running, attempts, gaveUp, last },
+ *   where errors are those waiting to be sent, and last is the last repair
+ *   made: { before, after, errors, explanation, repairedAt }
+ */
+function particleRepairState(name) {
+  if (!particleRepairs[name]) {
+    particleRepairs[name] = {
+      errors: [],
+      timer: null,
+      running: false,
+      attempts: 0,
+      gaveUp: false,
+      last: null
+    };
+  }
+  return particleRepairs[name];
+}
+
+/**
+ * Get the last automatic repair of a particle
+ * @param {string} name - The particle name
+ * @returns {Object|null} - The repair (see particleRepairState), or null
+ */
+function getParticleRepair(name) {
+  return particleRepairs[name] ? particleRepairs[name].last : null;
+}
+
+/**
+ * Turn automatic repairs on or off
+ * @param {boolean} enabled - Whether to repair failing particles
+ */
+function setAutoRepairParticles(enabled) {
+  autoRepairParticles = enabled;
+  if (enabled) return;
+
+  // Drop the repairs that were about to be asked for
+  Object.values(particleRepairs).forEach(repair => {
+    clearTimeout(repair.timer);
+    repair.timer = null;
+    repair.errors = [];
+  });
+}
+
+/**
+ * Handle a runtimeError event from the simulation, scheduling a repair
+ * @param {Object} event - { id, name, message }
+ */
+function handleParticleRuntimeError(event) {
+  const particleData = getCustomParticle(event.name);
+  // Particle definitions are compiled by us; only action code gets repaired
+  if (!autoRepairParticles || !particleData || typeof particleData.action_code !== 'string') return;
+
+  const repair = particleRepairState(event.name);
+  // Errors from the code being replaced
+  if (repair.running) return;
+  if (repair.attempts >= MAX_PARTICLE_REPAIRS) {
+    if (!repair.gaveUp) {
+      repair.gaveUp = true;
+      updateLLMStatus(`${event.name} still throws after ${MAX_PARTICLE_REPAIRS} repairs; edit it to fix it`,
+        'error', [event.message]);
+    }
+    return;
+  }
+
+  if (!repair.errors.includes(event.message)) repair.errors.push(event.message);
+  if (!repair.timer) {
+    repair.timer = setTimeout(() => repairParticle(event.name), PARTICLE_REPAIR_DELAY_MS);
+  }
+}
+
+/**
+ * Ask the LLM to fix a particle's code with the errors collected for it,
+ * and swap the fixed code in
+ * @param {string} name - The particle name
+ * @returns {Promise} - Resolves once the repair is done or has failed
+ */
+async function repairParticle(name) {
+  const repair = particleRepairState(name);
+  const errors = repair.errors;
+  repair.timer = null;
+  repair.errors = [];
+
+  const previous = getCustomParticle(name);
+  if (!previous || errors.length === 0) return;
+  if (!config.initialized) {
+    updateLLMStatus(`${name} throws errors, but no LLM provider is configured to repair it`, 'error', errors);
+    return;
+  }
+
+  repair.attempts++;
+  repair.running = true;
+  updateLLMStatus(`Repairing ${name} (attempt ${repair.attempts} of ${MAX_PARTICLE_REPAIRS})...`, 'loading');
+
+  try {
+    const { particleData, explanation } = await repairParticleCode(previous, errors);
+
+    if (!keepCustomParticle(particleData, { previous: previous, note: 'Automatic repair' })) {
+      updateLLMStatus(`${name} was changed while it was being repaired; the repair was dropped`, 'info');
+      return;
+    }
+
+    repair.last = {
+      before: previous,
+      after: particleData,
+      errors: errors,
+      explanation: explanation,
+      repairedAt: new Date().toISOString()
+    };
+    updateLLMStatus(`Repaired ${name}; click Δ next to it to see what changed`, 'success');
+    // Again, now with the Δ
+    updateCustomParticlesList();
+    if (particleRepairName === name) showParticleRepair(name);
+  } catch (error) {
+    console.error(`Failed to repair ${name} particle:`, error);
+    updateLLMStatus(`Failed to repair ${name}: ${error.message}`, 'error', error.errors);
+  } finally {
+    repair.running = false;
+  }
+}
+
+/**
+ * Undo the last automatic repair of a particle. The particle isn't repaired
+ * again, so that it doesn't just get the same fix.
+ * @param {string} name - The particle name
+ */
+function revertParticleRepair(name) {
+  const repair = particleRepairState(name);
+  const current = getCustomParticle(name);
+  if (!repair.last || !current) return;
+
+  try {
+    keepCustomParticle(repair.last.before, { previous: current, note: 'Reverted repair' });
+  } catch (error) {
+    updateLLMStatus(`Failed to revert ${name}: ${error.message}`, 'error');
+    return;
+  }
+
+  repair.last = null;
+  repair.attempts = MAX_PARTICLE_REPAIRS;
+  repair.gaveUp = true;
+  closeParticleRepair();
+  updateLLMStatus(`Reverted the repair of ${name}`, 'success');
+  // Again, now without the Δ
+  updateCustomParticlesList();
+}
+
+/**
+ * Compare two texts line by line
+ * @param {string} before - The old text
+ * @param {string} after - The new text
+ * @returns {Array} - The lines of both, like { type, line } where type is
+ *   'same', 'removed' or 'added', in order
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // common[i][j] is the length of the longest common run of lines
+  // (not necessarily adjacent) in a from i and b from j
+  const common = [];
+  for (let i = a.length; i >= 0; i--) {
+    common[i] = [];
+    for (let j = b.length; j >= 0; j--) {
+      if (i === a.length || j === b.length) {
+        common[i][j] = 0;
+      } else if (a[i] === b[j]) {
+        common[i][j] = common[i + 1][j + 1] + 1;
+      } else {
+        common[i][j] = Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      diff.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      diff.push({ type: 'removed', line: a[i++] });
+    } else {
+      diff.push({ type: 'added', line: b[j++] });
+    }
+  }
+  return diff;
+}
+
+/**
+ * Build the repair panel (initially hidden)
+ */
+function initParticleRepairView() {
+  particleRepairContainer = document.createElement('div');
+  particleRepairContainer.id = 'particleRepairContainer';
+  particleRepairContainer.className = 'llm-settings-container llm-repair-container';
+  particleRepairContainer.style.display = 'none';
+
+  particleRepairTitle = document.createElement('h3');
+
+  particleRepairErrors = document.createElement('ul');
+  particleRepairErrors.className = 'llm-status-details';
+
+  particleRepairExplanation = document.createElement('p');
+
+  particleRepairDiff = document.createElement('pre');
+  particleRepairDiff.className = 'llm-repair-diff';
+
+  particleRepairRevertButton = document.createElement('button');
+  particleRepairRevertButton.className = 'llm-button';
+  particleRepairRevertButton.textContent = 'Revert';
+  particleRepairRevertButton.title = 'Go back to the code before the repair, and stop repairing it';
+
+  particleRepairCloseButton = document.createElement('button');
+  particleRepairCloseButton.className = 'llm-button';
+  particleRepairCloseButton.textContent = 'Close';
+
+  particleRepairContainer.appendChild(particleRepairTitle);
+  particleRepairContainer.appendChild(document.createElement('h4')).textContent = 'Errors';
+  particleRepairContainer.appendChild(particleRepairErrors);
+  particleRepairContainer.appendChild(document.createElement('h4')).textContent = 'Changes';
+  particleRepairContainer.appendChild(particleRepairExplanation);
+  particleRepairContainer.appendChild(particleRepairDiff);
+  particleRepairContainer.appendChild(particleRepairRevertButton);
+  particleRepairContainer.appendChild(particleRepairCloseButton);
+
+  document.body.appendChild(particleRepairContainer);
+
+  particleRepairRevertButton.addEventListener('click', function() {
+    if (particleRepairName) revertParticleRepair(particleRepairName);
+  });
+  particleRepairCloseButton.addEventListener('click', closeParticleRepair);
+}
+
+/**
+ * Show the last automatic repair of a particle
+ * @param {string} name - The particle name
+ */
+function showParticleRepair(name) {
+  const repair = getParticleRepair(name);
+  if (!repair) return;
+
+  particleRepairName = name;
+  particleRepairTitle.textContent =
+    `${name} was repaired at ${new Date(repair.repairedAt).toLocaleTimeString()}`;
+
+  particleRepairErrors.innerHTML = '';
+  repair.errors.forEach(message => {
+    particleRepairErrors.appendChild(document.createElement('li')).textContent = message;
+  });
+
+  particleRepairExplanation.textContent = repair.explanation;
+
+  particleRepairDiff.innerHTML = '';
+  const prefixes = { same: '  ', removed: '- ', added: '+ ' };
+  diffLines(
+    extractActionCodeBody(repair.before.action_code),
+    extractActionCodeBody(repair.after.action_code)
+  ).forEach(({ type, line }) => {
+    const row = particleRepairDiff.appendChild(document.createElement('div'));
+    row.className = `llm-diff-${type}`;
+    row.textContent = prefixes[type] + line;
+  });
+
+  particleRepairContainer.style.display = 'block';
+}
+
+/**
+ * Close the repair panel
+ */
+function closeParticleRepair() {
+  particleRepairContainer.style.display = 'none';
+  particleRepairName = null;
+}
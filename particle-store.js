@@ -0,0 +1,251 @@
+/*
+ * Persistence for custom particles.
+ * Generated particles are kept in IndexedDB, so that a reload doesn't lose
+ * the particles we paid API calls for. Each record holds the particle data
+ * exactly as it was registered (name, color, behavior, interactions, the
+ * definition or action_code, and its generation metadata), and is
+ * re-registered through registerCustomParticle() on startup.
+ */
+
+const PARTICLE_STORE_DB_NAME = 'project-sand';
+const PARTICLE_STORE_DB_VERSION = 5;
+const PARTICLE_STORE_NAME = 'customParticles';
+// Edit histories of custom particles (see particle-editor.js), by name
+const PARTICLE_HISTORY_STORE_NAME = 'particleHistory';
+// Conversations with the LLM about custom particles (see refineParticle), by name
+const PARTICLE_CONVERSATION_STORE_NAME = 'particleConversations';
+// Reaction rules between elements (see reaction-table.js), by element pair
+const REACTION_RULE_STORE_NAME = 'reactionRules';
+// Requests to generate particles (see generation-history.js), by id
+const GENERATION_HISTORY_STORE_NAME = 'generationHistory';
+
+// The open database, once openParticleStore() has been called
+let particleStorePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise} - Resolves with the request's result
+ */
+function particleStoreRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the custom particle database, creating it if needed
+ * @returns {Promise<IDBDatabase>} - The database
+ */
+function openParticleStore() {
+  if (particleStorePromise) return particleStorePromise;
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(PARTICLE_STORE_DB_NAME, PARTICLE_STORE_DB_VERSION);
+  request.onupgradeneeded = function() {
+    const db = request.result;
+    [
+      PARTICLE_STORE_NAME,
+      PARTICLE_HISTORY_STORE_NAME,
+      PARTICLE_CONVERSATION_STORE_NAME,
+      REACTION_RULE_STORE_NAME
+    ].forEach(storeName => {
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, { keyPath: 'name' });
+      }
+    });
+    if (!db.objectStoreNames.contains(GENERATION_HISTORY_STORE_NAME)) {
+      db.createObjectStore(GENERATION_HISTORY_STORE_NAME, { keyPath: 'id' });
+    }
+  };
+
+  particleStorePromise = particleStoreRequest(request);
+  // Let a later call try again
+  particleStorePromise.catch(() => {
+    particleStorePromise = null;
+  });
+  return particleStorePromise;
+}
+
+/**
+ * Start a transaction on one of the custom particle stores
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {string} [storeName] - The object store, PARTICLE_STORE_NAME by default
+ * @returns {Promise<IDBObjectStore>} - The object store
+ */
+async function particleStoreTransaction(mode, storeName = PARTICLE_STORE_NAME) {
+  const db = await openParticleStore();
+  return db.transaction(storeName, mode).objectStore(storeName);
+}
+
+/**
+ * Store a custom particle, replacing any stored particle with its name. A
+ * replaced particle keeps the time it was first stored, which is the order
+ * particles are restored in.
+ * @param {Object} particleData - The particle data, as registered
+ * @returns {Promise} - Resolves once stored
+ */
+async function saveStoredParticle(particleData) {
+  const store = await particleStoreTransaction('readwrite');
+  const existing = await particleStoreRequest(store.get(particleData.name));
+  const now = Date.now();
+  await particleStoreRequest(store.put({
+    name: particleData.name,
+    particle: particleData,
+    // Records stored before createdAt was kept only have savedAt
+    createdAt: existing ? existing.createdAt || existing.savedAt : now,
+    savedAt: now
+  }));
+}
+
+/**
+ * Load all stored custom particles
+ * @returns {Promise<Array>} - The particle data, oldest first
+ */
+async function loadStoredParticles() {
+  const store = await particleStoreTransaction('readonly');
+  const records = await particleStoreRequest(store.getAll());
+
+  // Register in the order they were made, so that element ids are stable
+  records.sort((a, b) => (a.createdAt || a.savedAt) - (b.createdAt || b.savedAt));
+  return records.map(record => record.particle);
+}
+
+/**
+ * Store the edit history of a custom particle
+ * @param {string} name - The particle name
+ * @param {Array} history - The history entries, oldest first
+ * @returns {Promise} - Resolves once stored
+ */
+async function saveParticleHistory(name, history) {
+  const store = await particleStoreTransaction('readwrite', PARTICLE_HISTORY_STORE_NAME);
+  await particleStoreRequest(store.put({ name: name, history: history }));
+}
+
+/**
+ * Load the edit history of a custom particle
+ * @param {string} name - The particle name
+ * @returns {Promise<Array>} - The history entries, oldest first
+ */
+async function loadParticleHistory(name) {
+  const store = await particleStoreTransaction('readonly', PARTICLE_HISTORY_STORE_NAME);
+  const record = await particleStoreRequest(store.get(name));
+  return record ? record.history : [];
+}
+
+/**
+ * Store the conversation about a custom particle
+ * @param {string} name - The particle name
+ * @param {Array} conversation - Its turns (see particleConversations)
+ * @returns {Promise} - Resolves once stored
+ */
+async function saveParticleConversation(name, conversation) {
+  const store = await particleStoreTransaction('readwrite', PARTICLE_CONVERSATION_STORE_NAME);
+  await particleStoreRequest(store.put({ name: name, conversation: conversation }));
+}
+
+/**
+ * Load the conversation about a custom particle
+ * @param {string} name - The particle name
+ * @returns {Promise<Array>} - Its turns, or an empty array if none were stored
+ */
+async function loadParticleConversation(name) {
+  const store = await particleStoreTransaction('readonly', PARTICLE_CONVERSATION_STORE_NAME);
+  const record = await particleStoreRequest(store.get(name));
+  return record ? record.conversation : [];
+}
+
+/**
+ * Store a reaction rule, replacing any stored rule for its pair
+ * @param {string} key - The pair (see reactionPairKey)
+ * @param {Object} rule - The rule
+ * @returns {Promise} - Resolves once stored
+ */
+async function saveReactionRule(key, rule) {
+  const store = await particleStoreTransaction('readwrite', REACTION_RULE_STORE_NAME);
+  await particleStoreRequest(store.put({ name: key, rule: rule }));
+}
+
+/**
+ * Remove a stored reaction rule
+ * @param {string} key - The pair (see reactionPairKey)
+ * @returns {Promise} - Resolves once removed
+ */
+async function deleteReactionRule(key) {
+  const store = await particleStoreTransaction('readwrite', REACTION_RULE_STORE_NAME);
+  await particleStoreRequest(store.delete(key));
+}
+
+/**
+ * Load all stored reaction rules
+ * @returns {Promise<Array>} - The rules
+ */
+async function loadReactionRules() {
+  const store = await particleStoreTransaction('readonly', REACTION_RULE_STORE_NAME);
+  const records = await particleStoreRequest(store.getAll());
+  return records.map(record => record.rule);
+}
+
+/**
+ * Store a generation record, replacing any stored record with its id
+ * @param {Object} record - The record (see generationHistory)
+ * @returns {Promise} - Resolves once stored
+ */
+async function saveGenerationRecord(record) {
+  const store = await particleStoreTransaction('readwrite', GENERATION_HISTORY_STORE_NAME);
+  await particleStoreRequest(store.put(record));
+}
+
+/**
+ * Remove stored generation records
+ * @param {Array} ids - The record ids
+ * @returns {Promise} - Resolves once removed
+ */
+async function deleteGenerationRecords(ids) {
+  const store = await particleStoreTransaction('readwrite', GENERATION_HISTORY_STORE_NAME);
+  await Promise.all(ids.map(id => particleStoreRequest(store.delete(id))));
+}
+
+/**
+ * Load all stored generation records
+ * @returns {Promise<Array>} - The records, oldest first
+ */
+async function loadGenerationHistory() {
+  const store = await particleStoreTransaction('readonly', GENERATION_HISTORY_STORE_NAME);
+  const records = await particleStoreRequest(store.getAll());
+  return records.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Re-register the stored custom particles. Particles that no longer
+ * register (for example, because they refer to an element that was since
+ * removed) are skipped, but kept in the store.
+ * @returns {Promise<number>} - The number of particles restored
+ */
+async function restoreCustomParticles() {
+  let particles;
+  try {
+    particles = await loadStoredParticles();
+  } catch (error) {
+    console.error('Failed to load stored custom particles:', error);
+    return 0;
+  }
+
+  let restored = 0;
+  particles.forEach(particleData => {
+    try {
+      registerCustomParticle(particleData);
+      customParticles[particleData.name] = particleData;
+      restored++;
+    } catch (error) {
+      console.error(`Failed to restore ${particleData.name} particle:`, error);
+    }
+  });
+
+  console.log(`Restored ${restored} of ${particles.length} custom particles`);
+  return restored;
+}
@@ -33,15 +33,12 @@
  *    your action method is responsible for inactivating your particle (ie.
  *    after a certain number of iterations, or when it is offCanvas()). Use
  *    particles.makeParticleInactive(particle) for this.
- * 4. Your init method sets your particle color; it must pick a
- *    PAINTABLE_PARTICLE_COLOR.
+ * 4. Your init method sets your particle color; it must pick an element
+ *    declared paintableByParticles in the element registry (elements.js).
+ * 5. Draw your particle with particle.drawLine() or particle.drawCircle().
  */
 
-/* Offscreen canvas for drawing particles */
-const offscreenParticleCanvas = document.createElement("canvas");
-const offscreenParticleCtx = offscreenParticleCanvas.getContext("2d", {
-  alpha: false
-});
+const MAX_NUM_PARTICLES = 1000;
 
 /* These values index into __particleInit and __particleActions arrays */
 const UNKNOWN_PARTICLE = 0;
@@ -94,23 +91,19 @@ function UNKNOWN_PARTICLE_ACTION(particle) {
 function NITRO_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
 
-  const velocity = 5 + Math.random() * 10;
-  const angle = Math.random() * TWO_PI;
+  const velocity = 5 + randomFloat() * 10;
+  const angle = randomFloat() * TWO_PI;
   particle.setVelocity(velocity, angle);
 
-  particle.size = 2 + Math.random() * 7;
+  particle.size = 2 + randomFloat() * 7;
 }
 
 function NITRO_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "round";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const prevX = particle.x;
+  const prevY = particle.y;
   particle.x += particle.xVelocity;
   particle.y += particle.yVelocity;
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(prevX, prevY, particle.x, particle.y, "round");
 
   const iterations = particle.actionIterations;
   if (iterations % 5 === 0) particle.size /= 1.3;
@@ -122,10 +115,10 @@ function NITRO_PARTICLE_ACTION(particle) {
 
 function NAPALM_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
-  particle.size = Math.random() * 8 + 6;
-  particle.xVelocity = Math.random() * 8 - 4;
-  particle.yVelocity = -1 * (Math.random() * 4 + 4);
-  particle.maxIterations = Math.floor(Math.random() * 10) + 5;
+  particle.size = randomFloat() * 8 + 6;
+  particle.xVelocity = randomFloat() * 8 - 4;
+  particle.yVelocity = -1 * (randomFloat() * 4 + 4);
+  particle.maxIterations = Math.floor(randomFloat() * 10) + 5;
 }
 
 function NAPALM_PARTICLE_ACTION(particle) {
@@ -133,7 +126,7 @@ function NAPALM_PARTICLE_ACTION(particle) {
 
   particle.x += particle.xVelocity;
   particle.y += particle.yVelocity;
-  particle.size *= 1 + Math.random() * 0.1;
+  particle.size *= 1 + randomFloat() * 0.1;
 
   if (particle.actionIterations > particle.maxIterations)
     particles.makeParticleInactive(particle);
@@ -141,15 +134,15 @@ function NAPALM_PARTICLE_ACTION(particle) {
 
 function C4_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
-  const rand = Math.random() * 10000;
+  const rand = randomFloat() * 10000;
   if (rand < 9000) {
-    particle.size = Math.random() * 10 + 3;
+    particle.size = randomFloat() * 10 + 3;
   } else if (rand < 9500) {
-    particle.size = Math.random() * 32 + 3;
+    particle.size = randomFloat() * 32 + 3;
   } else if (rand < 9800) {
-    particle.size = Math.random() * 64 + 3;
+    particle.size = randomFloat() * 64 + 3;
   } else {
-    particle.size = Math.random() * 128 + 3;
+    particle.size = randomFloat() * 128 + 3;
   }
 }
 
@@ -165,25 +158,22 @@ function C4_PARTICLE_ACTION(particle) {
 function LAVA_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
   /* Make it harder for the angle to be steep */
-  var angle = QUARTER_PI + Math.random() * HALF_PI;
+  var angle = QUARTER_PI + randomFloat() * HALF_PI;
   if (random() < 75 && Math.abs(HALF_PI - angle) < EIGHTEENTH_PI)
     angle += EIGHTEENTH_PI * (angle > HALF_PI ? 1 : -1);
 
-  particle.xVelocity = (1 + Math.random() * 3) * Math.cos(angle);
-  particle.yVelocity = (-4 * Math.random() - 3) * Math.sin(angle);
+  particle.xVelocity = (1 + randomFloat() * 3) * Math.cos(angle);
+  particle.yVelocity = (-4 * randomFloat() - 3) * Math.sin(angle);
   particle.initYVelocity = particle.yVelocity;
   particle.yAcceleration = 0.06;
 
-  particle.size = 4 + Math.random() * 3;
+  particle.size = 4 + randomFloat() * 3;
   particle.y -= particle.size;
 }
 
 function LAVA_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "round";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const prevX = particle.x;
+  const prevY = particle.y;
 
   const iterations = particle.actionIterations;
   particle.x += particle.xVelocity;
@@ -192,8 +182,7 @@ function LAVA_PARTICLE_ACTION(particle) {
     particle.initYVelocity * iterations +
     (particle.yAcceleration * iterations * iterations) / 2;
 
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(prevX, prevY, particle.x, particle.y, "round");
 
   /* Allow particle to exist "above" the canvas */
   if (particle.x < 0 || particle.x > MAX_X_IDX || particle.y > MAX_Y_IDX) {
@@ -235,7 +224,7 @@ function LAVA_PARTICLE_ACTION(particle) {
 function MAGIC1_PARTICLE_INIT(particle) {
   if (!particle.reinitialized) particle.setRandomColor(MAGIC_COLORS);
 
-  var numSpokes = 5 + Math.round(Math.random() * 13);
+  var numSpokes = 5 + Math.round(randomFloat() * 13);
   const spokes = [particle];
   var i;
   for (i = 1; i !== numSpokes; i++) {
@@ -265,8 +254,8 @@ function MAGIC1_PARTICLE_INIT(particle) {
   numSpokes = spokes.length;
 
   const angle = TWO_PI / numSpokes;
-  const velocity = 7 + Math.random() * 3;
-  const spokeSize = 4 + Math.random() * 4;
+  const velocity = 7 + randomFloat() * 3;
+  const spokeSize = 4 + randomFloat() * 4;
 
   var currAngle = 0;
   for (i = 0; i !== numSpokes; i++) {
@@ -278,15 +267,11 @@ function MAGIC1_PARTICLE_INIT(particle) {
 }
 
 function MAGIC1_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "square";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const prevX = particle.x;
+  const prevY = particle.y;
   particle.x += particle.xVelocity;
   particle.y += particle.yVelocity;
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(prevX, prevY, particle.x, particle.y, "square");
 
   if (particle.offCanvas()) particles.makeParticleInactive(particle);
 }
@@ -294,7 +279,7 @@ function MAGIC1_PARTICLE_ACTION(particle) {
 function MAGIC2_PARTICLE_INIT(particle) {
   particle.setRandomColor(MAGIC_COLORS);
 
-  particle.size = 4 + Math.random() * 8;
+  particle.size = 4 + randomFloat() * 8;
   particle.x = Math.floor(width / 2);
   particle.y = Math.floor(height / 2);
   particle.initX = particle.x;
@@ -303,16 +288,13 @@ function MAGIC2_PARTICLE_INIT(particle) {
     Math.sqrt(width * width + height * height) / 2 + particle.size;
   particle.magic_2_theta = 0;
   particle.magic_2_speed = 20;
-  particle.magic_2_radius_spacing = 25 + Math.random() * 55;
+  particle.magic_2_radius_spacing = 25 + randomFloat() * 55;
   particle.magic_2_radius = particle.magic_2_radius_spacing;
 }
 
 function MAGIC2_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "round";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const prevX = particle.x;
+  const prevY = particle.y;
 
   const newTheta =
     particle.magic_2_theta + particle.magic_2_speed / particle.magic_2_radius;
@@ -324,8 +306,7 @@ function MAGIC2_PARTICLE_ACTION(particle) {
   particle.x = newRadius * Math.cos(newTheta) + particle.initX;
   particle.y = newRadius * Math.sin(newTheta) + particle.initY;
 
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(prevX, prevY, particle.x, particle.y, "round");
 
   if (newRadius > particle.magic_2_max_radius)
     particles.makeParticleInactive(particle);
@@ -333,7 +314,7 @@ function MAGIC2_PARTICLE_ACTION(particle) {
 
 function METHANE_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
-  particle.size = 10 + Math.random() * 10;
+  particle.size = 10 + randomFloat() * 10;
 }
 
 function METHANE_PARTICLE_ACTION(particle) {
@@ -367,7 +348,7 @@ class TreeType {
 class Tree0 extends TreeType {
   /** @nocollapse */
   static branchAngles(treeParticle) {
-    const branchAngle = EIGHTH_PI + Math.random() * QUARTER_PI;
+    const branchAngle = EIGHTH_PI + randomFloat() * QUARTER_PI;
     return [treeParticle.angle + branchAngle, treeParticle.angle - branchAngle];
   }
 
@@ -392,7 +373,7 @@ class Tree1 extends TreeType {
   /** @nocollapse */
   static branchAngles(treeParticle) {
     const branchAngle =
-      (EIGHTH_PI + Math.random() * EIGHTH_PI) * treeParticle.branchDirection;
+      (EIGHTH_PI + randomFloat() * EIGHTH_PI) * treeParticle.branchDirection;
     return [treeParticle.angle + branchAngle, treeParticle.angle];
   }
 
@@ -406,7 +387,7 @@ class Tree1 extends TreeType {
 class Tree2 extends TreeType {
   /** @nocollapse */
   static branchAngles(treeParticle) {
-    const branchAngle = Math.random() * SIXTEENTH_PI + EIGHTH_PI;
+    const branchAngle = randomFloat() * SIXTEENTH_PI + EIGHTH_PI;
     return [
       treeParticle.angle,
       treeParticle.angle + branchAngle,
@@ -432,12 +413,12 @@ function TREE_PARTICLE_INIT(particle) {
   particle.setColor(BRANCH);
   particle.size = random() < 50 ? 3 : 4;
 
-  const velocity = 1 + Math.random() * 0.5;
-  const angle = -1 * (HALF_PI + EIGHTH_PI - Math.random() * QUARTER_PI);
+  const velocity = 1 + randomFloat() * 0.5;
+  const angle = -1 * (HALF_PI + EIGHTH_PI - randomFloat() * QUARTER_PI);
   particle.setVelocity(velocity, angle);
   particle.generation = 1;
-  particle.branchSpacing = 15 + Math.round(Math.random() * 45);
-  particle.maxBranches = 1 + Math.round(Math.random() * 2);
+  particle.branchSpacing = 15 + Math.round(randomFloat() * 45);
+  particle.maxBranches = 1 + Math.round(randomFloat() * 2);
   particle.nextBranch = particle.branchSpacing;
   particle.branches = 0;
 
@@ -445,22 +426,18 @@ function TREE_PARTICLE_INIT(particle) {
   if (random() < 62) {
     particle.treeType = 0;
   } else {
-    particle.treeType = 1 + Math.floor(Math.random() * NUM_TREE_TYPES - 1);
+    particle.treeType = 1 + Math.floor(randomFloat() * NUM_TREE_TYPES - 1);
   }
 
   TREE_TYPES[particle.treeType].initTreeParticle(particle, null);
 }
 
 function TREE_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "round";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const prevX = particle.x;
+  const prevY = particle.y;
   particle.x += particle.xVelocity;
   particle.y += particle.yVelocity;
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(prevX, prevY, particle.x, particle.y, "round");
 
   /* Don't grow through WALL */
   if (particle.aboutToHit() === WALL) {
@@ -513,7 +490,7 @@ function TREE_PARTICLE_ACTION(particle) {
 
     if (particle.branchSpacing > 45) particle.branchSpacing *= 0.8;
     particle.nextBranch =
-      iterations + particle.branchSpacing * (Math.random() * 0.35 + 0.65);
+      iterations + particle.branchSpacing * (randomFloat() * 0.35 + 0.65);
   }
 }
 
@@ -525,9 +502,9 @@ function CHARGED_NITRO_PARTICLE_INIT(particle) {
 
   /* Search upwards for a WALL collision (but don't check every pixel) */
   particle.minY = -1;
-  const step = (3 + Math.round(Math.random() * 2)) * width;
+  const step = (3 + Math.round(randomFloat() * 2)) * width;
   for (var idx = particle.i; idx > -1; idx -= step) {
-    if (gameImagedata32[idx] === WALL) {
+    if (gameGrid[idx] === WALL) {
       particle.minY = idx / width;
       break;
     }
@@ -535,15 +512,15 @@ function CHARGED_NITRO_PARTICLE_INIT(particle) {
 }
 
 function CHARGED_NITRO_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "square";
-  offscreenParticleCtx.moveTo(particle.initX, particle.initY);
   particle.x += particle.xVelocity;
   particle.y = Math.max(particle.minY, particle.y + particle.yVelocity);
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(
+    particle.initX,
+    particle.initY,
+    particle.x,
+    particle.y,
+    "square"
+  );
 
   if (particle.y <= particle.minY || particle.offCanvas()) {
     particles.makeParticleInactive(particle);
@@ -554,7 +531,7 @@ function CHARGED_NITRO_PARTICLE_ACTION(particle) {
 function NUKE_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
   const maxDimension = Math.max(width, height);
-  particle.size = maxDimension / 4 + (Math.random() * maxDimension) / 8;
+  particle.size = maxDimension / 4 + (randomFloat() * maxDimension) / 8;
 }
 
 function NUKE_PARTICLE_ACTION(particle) {
@@ -571,8 +548,7 @@ class Particle {
     this.x = -1;
     this.y = -1;
     this.i = -1;
-    this.color = 0;
-    this.rgbaColor = "rgba(0, 0, 0, 1)";
+    this.color = BACKGROUND;
     this.velocity = 0;
     this.angle = 0;
     this.xVelocity = 0;
@@ -585,24 +561,20 @@ class Particle {
     this.reinitialized = false;
   }
 
-  setColor(hexColor) {
+  /* Takes an element; the particle paints that element onto the grid */
+  setColor(elem) {
     if (!Particle.warned_unpaintable_color) {
-      if (!(hexColor in PAINTABLE_PARTICLE_COLORS)) {
-        console.log("Unpaintable particle color: " + hexColor);
+      if (ELEMENT_PAINTABLE[elem] !== 1) {
+        console.log("Unpaintable particle color: " + elem);
         Particle.warned_unpaintable_color = true;
       }
     }
 
-    this.color = hexColor;
-
-    const r = hexColor & 0xff;
-    const g = (hexColor & 0xff00) >>> 8;
-    const b = (hexColor & 0xff0000) >>> 16;
-    this.rgbaColor = "rgba(" + r + "," + g + "," + b + ", 1)";
+    this.color = elem;
   }
 
   setRandomColor(whitelist) {
-    const colorIdx = Math.floor(Math.random() * whitelist.length);
+    const colorIdx = Math.floor(randomFloat() * whitelist.length);
     this.setColor(whitelist[colorIdx]);
   }
 
@@ -634,15 +606,16 @@ class Particle {
 
     if (idx < 0 || idx > MAX_IDX) return BACKGROUND;
 
-    return gameImagedata32[idx];
+    return gameGrid[idx];
   }
 
   drawCircle(radius) {
-    offscreenParticleCtx.beginPath();
-    offscreenParticleCtx.lineWidth = 0;
-    offscreenParticleCtx.fillStyle = this.rgbaColor;
-    offscreenParticleCtx.arc(this.x, this.y, radius, 0, TWO_PI);
-    offscreenParticleCtx.fill();
+    drawParticleCircle(this.x, this.y, radius, this.color);
+  }
+
+  /* Draws a line of width this.size; lineCap is "round" or "square" */
+  drawLine(x0, y0, x1, y1, lineCap) {
+    drawParticleLine(x0, y0, x1, y1, this.size, this.color, lineCap);
   }
 }
 
@@ -653,7 +626,7 @@ Particle.warned_unpaintable_color = false;
  * inactive particles
  */
 class ParticleList {
-  constructor() {
+  constructor(maxParticles) {
     this.activeHead = null;
     this.activeSize = 0;
     this.inactiveHead = null;
@@ -664,6 +637,26 @@ class ParticleList {
     for (var i = 0; i < this.particleCounts.length; i++) {
       this.particleCounts[i] = 0;
     }
+
+    /*
+     * We pre-allocate all of the particles, rather than create them on demand.
+     * This avoids latency spikes due to garbage collection reap. It does require
+     * that we use two linked lists to keep track of them all, but that's fine.
+     */
+    var prevParticle = null;
+    for (i = 0; i < maxParticles; i++) {
+      const particle = new Particle();
+
+      if (prevParticle) {
+        particle.prev = prevParticle;
+        prevParticle.next = particle;
+      } else {
+        this.inactiveHead = particle;
+      }
+      this.inactiveSize++;
+
+      prevParticle = particle;
+    }
   }
 
   addActiveParticle(type, x, y, i) {
@@ -753,66 +746,13 @@ class ParticleList {
   }
 }
 
-const particles = new ParticleList();
-
-/*
- * When we copy the particle strokes to the main canvas, some
- * of the colors will not match any elements (due to anti-aliasing
- * of the stroke). We need a fast way to know if a given color is
- * a valid color for painting. Hence, this dictionary of colors that can
- * be copied from the particle canvas to the main canvas.
- */
-const PAINTABLE_PARTICLE_COLORS = {};
-
 const MAGIC_COLORS = [];
 
 function initParticles() {
   if (__particleInit.length !== __particleActions.length)
     throw "Particle arrays must be same length";
 
-  var numParticlesToCreate = MAX_NUM_PARTICLES;
-  var prevParticle;
-
-  /* Setup the head */
-  particles.inactiveHead = new Particle();
-  particles.inactiveSize++;
-  prevParticle = particles.inactiveHead;
-  numParticlesToCreate--;
-
-  /*
-   * We pre-allocate all of the particles, rather than create them on demand.
-   * This avoids latency spikes due to garbage collection reap. It does require
-   * that we use two linked lists to keep track of them all, but that's fine.
-   */
-  while (numParticlesToCreate > 0) {
-    const particle = new Particle();
-
-    particle.prev = prevParticle;
-    prevParticle.next = particle;
-    particles.inactiveSize++;
-
-    prevParticle = particle;
-
-    numParticlesToCreate--;
-  }
-
-  offscreenParticleCanvas.width = width;
-  offscreenParticleCanvas.height = height;
-
-  PAINTABLE_PARTICLE_COLORS[FIRE] = null;
-  PAINTABLE_PARTICLE_COLORS[WALL] = null;
-  PAINTABLE_PARTICLE_COLORS[ROCK] = null;
-  PAINTABLE_PARTICLE_COLORS[LAVA] = null;
-  PAINTABLE_PARTICLE_COLORS[PLANT] = null;
-  PAINTABLE_PARTICLE_COLORS[SPOUT] = null;
-  PAINTABLE_PARTICLE_COLORS[WELL] = null;
-  PAINTABLE_PARTICLE_COLORS[WAX] = null;
-  PAINTABLE_PARTICLE_COLORS[ICE] = null;
-  PAINTABLE_PARTICLE_COLORS[BRANCH] = null;
-  PAINTABLE_PARTICLE_COLORS[LEAF] = null;
-  Object.freeze(PAINTABLE_PARTICLE_COLORS);
-
-  /* All of these are also in PAINTABLE_PARTICLE_COLORS */
+  /* All of these must be paintableByParticles */
   MAGIC_COLORS.push(WALL);
   MAGIC_COLORS.push(PLANT);
   MAGIC_COLORS.push(SPOUT);
@@ -825,15 +765,6 @@ function initParticles() {
 function updateParticles() {
   if (!particles.activeHead) return;
 
-  const canvasWidth = offscreenParticleCanvas.width;
-  const canvasHeight = offscreenParticleCanvas.height;
-
-  /* reset the particle canvas */
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.fillStyle = "rgba(0, 0, 0, 1)";
-  offscreenParticleCtx.rect(0, 0, canvasWidth, canvasHeight);
-  offscreenParticleCtx.fill();
-
   /* perform particle actions */
   var particle = particles.activeHead;
   while (particle) {
@@ -844,72 +775,119 @@ function updateParticles() {
     particle = next;
   }
 
-  /* move particle draw state to main canvas */
-  const particleImageData = offscreenParticleCtx.getImageData(
-    0,
-    0,
-    canvasWidth,
-    canvasHeight
-  );
-  const particleImageData32 = new Uint32Array(particleImageData.data.buffer);
+  /* move particle draw state to main canvas, and reset the particle layer */
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++) {
+    const particleElem = particleLayer[i];
+    if (particleElem === BACKGROUND) continue;
+
+    setGridElement(i, particleElem);
+    particleLayer[i] = BACKGROUND;
+  }
+}
+
+/* ======================== Particle rasterization ======================== */
+
+/*
+ * Particles are drawn onto the world's particleLayer, which holds an element
+ * per pixel (BACKGROUND meaning nothing was drawn there). Once every particle
+ * action for the frame has run, the layer is copied onto the grid. Particles
+ * therefore never see their own strokes when they inspect the grid mid-frame.
+ *
+ * We used to draw particles onto an offscreen canvas and read the pixels
+ * back, which tied the simulation to the DOM and meant repairing the
+ * anti-aliased edges of every stroke. Our shapes are simple enough to
+ * rasterize ourselves: a pixel is covered if its center is inside the shape.
+ */
+
+function drawParticleCircle(cx, cy, radius, elem) {
+  if (!(radius > 0)) return;
+
+  const rSquared = radius * radius;
+  const yStart = Math.max(0, Math.ceil(cy - radius - 0.5));
+  const yEnd = Math.min(MAX_Y_IDX, Math.floor(cy + radius - 0.5));
   var x, y;
-  var __yOffset = 0;
-  const aliasingSearchDistance = 3;
-  for (y = 0; y !== canvasHeight; y++) {
-    const yOffset = __yOffset; /* optimization: make const copy */
-    for (x = 0; x !== canvasWidth; x++) {
-      const i = x + yOffset;
-      const particleColor = particleImageData32[i];
-
-      if (particleColor === 0xff000000) continue;
-
-      /*
-       * ImageData will container other colors due to anti-aliasing.
-       * However, we can only copy over valid colors to the main canvas.
-       *
-       * If the color appears to be invalid, it is likely right along the
-       * edge of a valid color. In this case, we can search nearby pixels
-       * for such a color.
-       *
-       * The motivation for this is that when many overlapping shapes are
-       * drawn on the canvas (ie. the various particles), the aliased border
-       * of each sub-object created gaps of invalid colors.
-       */
-      if (particleColor in PAINTABLE_PARTICLE_COLORS) {
-        gameImagedata32[i] = particleColor;
-        continue;
-      } else {
-        var searchColor;
-        if (x - aliasingSearchDistance >= 0) {
-          searchColor = particleImageData32[i - aliasingSearchDistance];
-          if (searchColor in PAINTABLE_PARTICLE_COLORS) {
-            gameImagedata32[i] = searchColor;
-            continue;
-          }
-        }
-        if (x + aliasingSearchDistance <= MAX_X_IDX) {
-          searchColor = particleImageData32[i + aliasingSearchDistance];
-          if (searchColor in PAINTABLE_PARTICLE_COLORS) {
-            gameImagedata32[i] = searchColor;
-            continue;
-          }
-        }
-        if (y - aliasingSearchDistance >= 0) {
-          searchColor = particleImageData32[i - aliasingSearchDistance * width];
-          if (searchColor in PAINTABLE_PARTICLE_COLORS) {
-            gameImagedata32[i] = searchColor;
-            continue;
-          }
-        }
-        if (y + aliasingSearchDistance <= MAX_Y_IDX) {
-          searchColor = particleImageData32[i + aliasingSearchDistance * width];
-          if (searchColor in PAINTABLE_PARTICLE_COLORS) {
-            gameImagedata32[i] = searchColor;
-            continue;
-          }
+  for (y = yStart; y <= yEnd; y++) {
+    const dy = y + 0.5 - cy;
+    const halfSpan = Math.sqrt(rSquared - dy * dy);
+    const xStart = Math.max(0, Math.ceil(cx - halfSpan - 0.5));
+    const xEnd = Math.min(MAX_X_IDX, Math.floor(cx + halfSpan - 0.5));
+    const idxBase = y * width;
+    for (x = xStart; x <= xEnd; x++) {
+      particleLayer[idxBase + x] = elem;
+    }
+  }
+}
+
+function drawParticleLine(x0, y0, x1, y1, lineWidth, elem, lineCap) {
+  const halfWidth = lineWidth / 2;
+  if (!(halfWidth > 0)) return;
+
+  const squareCap = lineCap === "square";
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const length = Math.sqrt(dx * dx + dy * dy);
+
+  if (length === 0) {
+    if (!squareCap) {
+      drawParticleCircle(x0, y0, halfWidth, elem);
+      return;
+    }
+
+    /* No direction to align the square with; use the axes */
+    const xStart = Math.max(0, Math.ceil(x0 - halfWidth - 0.5));
+    const xEnd = Math.min(MAX_X_IDX, Math.floor(x0 + halfWidth - 0.5));
+    const yStart = Math.max(0, Math.ceil(y0 - halfWidth - 0.5));
+    const yEnd = Math.min(MAX_Y_IDX, Math.floor(y0 + halfWidth - 0.5));
+    var xIter, yIter;
+    for (yIter = yStart; yIter <= yEnd; yIter++) {
+      for (xIter = xStart; xIter <= xEnd; xIter++) {
+        particleLayer[yIter * width + xIter] = elem;
+      }
+    }
+    return;
+  }
+
+  /* unit vector along the line */
+  const ux = dx / length;
+  const uy = dy / length;
+
+  /* square caps extend the line by half its width at both ends */
+  const tMin = squareCap ? -halfWidth : 0;
+  const tMax = squareCap ? length + halfWidth : length;
+  const pad = squareCap ? halfWidth * Math.SQRT2 : halfWidth;
+  const hwSquared = halfWidth * halfWidth;
+
+  const xStart = Math.max(0, Math.floor(Math.min(x0, x1) - pad));
+  const xEnd = Math.min(MAX_X_IDX, Math.ceil(Math.max(x0, x1) + pad));
+  const yStart = Math.max(0, Math.floor(Math.min(y0, y1) - pad));
+  const yEnd = Math.min(MAX_Y_IDX, Math.ceil(Math.max(y0, y1) + pad));
+  var x, y;
+  for (y = yStart; y <= yEnd; y++) {
+    const py = y + 0.5 - y0;
+    const idxBase = y * width;
+    for (x = xStart; x <= xEnd; x++) {
+      const px = x + 0.5 - x0;
+
+      /* distance from the line, and position along it */
+      const perp = px * uy - py * ux;
+      if (perp > halfWidth || perp < -halfWidth) continue;
+      const t = px * ux + py * uy;
+
+      if (t < tMin || t > tMax) {
+        if (squareCap) continue;
+
+        /* round caps */
+        if (t < 0) {
+          if (px * px + py * py > hwSquared) continue;
+        } else {
+          const ex = px - dx;
+          const ey = py - dy;
+          if (ex * ex + ey * ey > hwSquared) continue;
         }
       }
+
+      particleLayer[idxBase + x] = elem;
     }
-    __yOffset += canvasWidth;
   }
 }
@@ -0,0 +1,762 @@
+/*
+ * Prompt templates for particle generation.
+ * The prompt generateParticlePrompt() builds is made of the parts of a
+ * template: the prompt itself, the instructions for each type of particle
+ * (see categorizeParticleType()) and the examples. Parts are text with
+ * placeholders like {{name}}, filled in when the prompt is built (see
+ * fillPromptTemplate()).
+ *
+ * Templates are named and versioned. The built-in template can't be
+ * changed, but can be saved under another name and edited there; every
+ * save of a template adds a version, and particles record the version they
+ * were generated with. The Prompt Templates panel edits templates, picks
+ * the one generation uses, and compares two of them on the same particle
+ * name.
+ */
+
+// Every part of a template, and what it is for
+const PROMPT_TEMPLATE_PARTS = {
+  'particle': 'The prompt; the parts below go in its placeholders',
+  'instructions.explosive': 'Instructions for explosives, in {{instructions}}',
+  'instructions.liquid': 'Instructions for liquids, in {{instructions}}',
+  'instructions.gas': 'Instructions for gases, in {{instructions}}',
+  'instructions.creature': 'Instructions for creatures, in {{instructions}}',
+  'instructions.metal': 'Instructions for metals, in {{instructions}}',
+  'instructions.food': 'Instructions for foods, in {{instructions}}',
+  'instructions.generic': 'Instructions for anything else, in {{instructions}}',
+  'example.tnt': 'The example every prompt has, in {{tntExample}}',
+  'example.liquid': 'The example for liquids, in {{typeExample}}',
+  'example.gas': 'The example for gases, in {{typeExample}}',
+  'example.creature': 'The example for creatures, in {{typeExample}}',
+  'example.generic': 'The example for anything else, in {{typeExample}}',
+  'specific.hair': 'The example for names with HAIR, in {{specificExample}}',
+  'specific.metal': 'The example for names with METAL, IRON or STEEL, in {{specificExample}}'
+};
+
+// Placeholders every part can use (see promptTemplateValues()), besides
+// {{color:ELEMENT}}, the color of an element, like 255, 0, 10
+const PROMPT_TEMPLATE_PLACEHOLDERS = {
+  name: 'The particle name',
+  type: 'Its type: explosive, liquid, gas, creature, metal, food or generic',
+  maxColorVariance: 'The most colorVariance can be',
+  maxReactions: 'The most reactions a particle can have',
+  maxEmitters: 'The most emitters a particle can have'
+};
+
+// Placeholders only the prompt itself can use
+const PROMPT_TEMPLATE_SECTIONS = {
+  instructions: 'The instructions for the particle\'s type',
+  knownElements: 'Every element in the game, one per line with its color and description',
+  tntExample: 'The example every prompt has',
+  typeExample: 'The example for the particle\'s type',
+  specificExample: 'The example for the particle\'s name, if there is one'
+};
+
+// The built-in template. Bump its version when its text changes, so that
+// particles cached from the old text aren't reused (see generation-history.js).
+const DEFAULT_PROMPT_TEMPLATE = Object.freeze({
+  name: 'default',
+  version: 1,
+  builtIn: true,
+  parts: Object.freeze({
+    'particle': "Create a new particle named {{name}} for a falling sand game. This particle MUST be DISTINCTIVE, INTERACTIVE, and UNIQUE, capturing the essence of what \"{{name}}\" truly is. Be CREATIVE and THINK OUTSIDE THE BOX.\n" +
+      "\n" +
+      "CRITICAL INSTRUCTION: Your particle MUST NOT BEHAVE LIKE ANY EXISTING PARTICLE. Your particle MUST be visually and behaviorally DISTINCTIVE from standard elements like FIRE, WATER, SAND, etc. DO NOT just recreate an existing element with a new name.\n" +
+      "\n" +
+      "MOST IMPORTANT: The particle should LOOK, BEHAVE, and INTERACT in ways that are IMMEDIATELY recognizable as \"{{name}}\". DO NOT create a generic particle - it must have REALISTIC INTERACTIONS with other elements.\n" +
+      "\n" +
+      "{{instructions}}\n" +
+      "The particle should have these distinctive properties defined:\n" +
+      "1. A VIVID and UNIQUE RGB color value that perfectly represents {{name}} and is NOTICEABLY DIFFERENT from the elements below\n" +
+      "   • FIRE is [{{color:FIRE}}] - DO NOT use similar red shades for non-fire particles\n" +
+      "   • WATER is [{{color:WATER}}] - DO NOT use similar blue shades for non-liquid particles\n" +
+      "   • PLANT is [{{color:PLANT}}] - DO NOT use similar green shades for non-plant particles\n" +
+      "   • SAND is [{{color:SAND}}] - DO NOT use similar tan shades for non-granular particles\n" +
+      "   • Choose a color that makes visual sense for {{name}} specifically\n" +
+      "2. UNIQUE movement behavior that captures how {{name}} would actually move (not just basic falling)\n" +
+      "3. REALISTIC INTERACTIONS with existing elements - this is EXTREMELY IMPORTANT. These are all the elements in the game:\n" +
+      "{{knownElements}}\n" +
+      "Format the response as a JSON particle definition with the following structure. The particle is built from this definition alone; there is no code:\n" +
+      "{\n" +
+      "  \"name\": \"{{name}}\",\n" +
+      "  \"color\": [r, g, b],\n" +
+      "  \"colorVariance\": how far (0-{{maxColorVariance}}) each grain's shade strays from the color, 0 for a flat color,\n" +
+      "  \"movement\": { \"model\": \"static\", \"powder\", \"liquid\" or \"gas\", \"chance\": chance (0-1) per frame to fall or rise },\n" +
+      "  \"density\": density relative to WATER (1.0); SAND is 1.6, OIL is 0.9, ROCK is 2.7,\n" +
+      "  \"flammability\": chance (0-100) per frame that touching FIRE sets it alight, 0 if not flammable,\n" +
+      "  \"reactions\": [\n" +
+      "    { \"with\": \"ELEMENT\", \"becomes\": \"ELEMENT\", \"otherBecomes\": \"ELEMENT\" (optional), \"chance\": chance (0-1) per frame }\n" +
+      "  ],\n" +
+      "  \"emitters\": [ { \"emits\": \"ELEMENT\", \"chance\": chance (0-1) per frame } ],\n" +
+      "  \"lifetime\": { \"frames\": average number of frames it lives, \"becomes\": \"ELEMENT\" } (leave out if it lasts forever),\n" +
+      "  \"behavior\": \"Detailed description of physical behavior that is UNIQUE to {{name}}\",\n" +
+      "  \"interactions\": {\n" +
+      "    \"SAND\": \"How {{name}} interacts with sand\",\n" +
+      "    \"WATER\": \"How {{name}} interacts with water\",\n" +
+      "    \"FIRE\": \"How {{name}} interacts with fire\",\n" +
+      "    \"PLANT\": \"How {{name}} interacts with plant\",\n" +
+      "    \"OIL\": \"How {{name}} interacts with oil\"\n" +
+      "  }\n" +
+      "}\n" +
+      "\n" +
+      "How a particle definition behaves, every frame:\n" +
+      "1. The particle tries its reactions in order. A reaction happens, with its chance, when the particle touches the \"with\" element (above, below, left or right). The particle turns into \"becomes\", and the element it touched turns into \"otherBecomes\" if given. A reaction ends the particle's turn.\n" +
+      "2. Each emitter, with its chance, fills the empty spaces around the particle with its element.\n" +
+      "3. With a lifetime, the particle may expire into its \"becomes\" element (BACKGROUND to vanish).\n" +
+      "4. The particle moves: static never moves, powder falls and piles up, liquid falls and spreads out, gas rises and spreads out. Powders and liquids sink through lighter liquids.\n" +
+      "\n" +
+      "Element names must be one of the elements listed above (BACKGROUND for empty space), or {{name}} itself. Use at most {{maxReactions}} reactions and {{maxEmitters}} emitters. A reaction where {{name}} \"becomes\" {{name}} leaves it unchanged, and only changes the other element.\n" +
+      "\n" +
+      "EXAMPLES of REALISTIC INTERACTIVE behaviors (be even more realistic than these):\n" +
+      "\n" +
+      "{{tntExample}}\n" +
+      "{{typeExample}}\n" +
+      "{{specificExample}}\n" +
+      "IMPORTANT GUIDELINES:\n" +
+      "1. Make the behavior DISTINCTIVE - not just sand-like or water-like\n" +
+      "2. Make the color VIVID and REPRESENTATIVE of what {{name}} actually is\n" +
+      "3. CREATE REALISTIC INTERACTIONS with other elements\n" +
+      "4. Include ACTUAL CHEMICAL/PHYSICAL REACTIONS when appropriate\n" +
+      "5. Make explosive things ACTUALLY EXPLODE when near fire\n" +
+      "6. Make flammable things ACTUALLY BURN when near fire\n" +
+      "7. Use only the fields of the particle definition, and only existing element names\n" +
+      "8. DO NOT COPY EXISTING PARTICLES - BE ORIGINAL AND TRULY REPRESENT {{name}}\n" +
+      "\n" +
+      "Your goal is to create a particle that is INSTANTLY RECOGNIZABLE as \"{{name}}\" from its appearance and behavior, with REALISTIC PHYSICS and INTERACTIONS.",
+
+    'instructions.explosive': "SPECIAL INSTRUCTIONS FOR EXPLOSIVE TYPE:\n" +
+      "- {{name}} MUST EXPLODE when in contact with FIRE, creating a chain reaction\n" +
+      "- Explosion should convert surrounding pixels to FIRE or BACKGROUND (disappear)\n" +
+      "- It should have an appropriate delay/fuse before exploding\n" +
+      "- Color should be appropriate for explosives (often red, brown, or yellow tones)\n" +
+      "- Should fall like a solid object until triggered",
+
+    'instructions.liquid': "SPECIAL INSTRUCTIONS FOR LIQUID TYPE:\n" +
+      "- {{name}} should FLOW realistically with proper fluid dynamics\n" +
+      "- Should spread horizontally when hitting surfaces\n" +
+      "- Should have appropriate viscosity (thickness) in its movement\n" +
+      "- Consider whether it should float or sink in water\n" +
+      "- Consider whether it's flammable or reactive with other elements",
+
+    'instructions.gas': "SPECIAL INSTRUCTIONS FOR GAS TYPE:\n" +
+      "- {{name}} should RISE upward against gravity\n" +
+      "- Should spread out horizontally as it rises\n" +
+      "- Should have appropriate diffusion/dissipation behavior\n" +
+      "- Consider whether it's flammable, toxic, or has other special properties\n" +
+      "- May gradually disappear over time",
+
+    'instructions.creature': "SPECIAL INSTRUCTIONS FOR CREATURE TYPE:\n" +
+      "- {{name}} should MOVE in a way appropriate for this type of creature\n" +
+      "- Should respond to its environment (avoiding fire, moving on surfaces)\n" +
+      "- Should have some autonomous/independent behavior\n" +
+      "- Consider special abilities like jumping, flying, swimming\n" +
+      "- May consume or interact with appropriate elements (like plants for herbivores)",
+
+    'instructions.metal': "SPECIAL INSTRUCTIONS FOR METAL TYPE:\n" +
+      "- {{name}} should be HEAVY and fall quickly\n" +
+      "- Should be sturdy and not easily destroyed\n" +
+      "- Consider conductivity for electricity or heat\n" +
+      "- May melt when exposed to extreme heat (like lava)\n" +
+      "- Should have appropriate metallic color and properties",
+
+    'instructions.food': "SPECIAL INSTRUCTIONS FOR FOOD TYPE:\n" +
+      "- {{name}} should have appropriate consistency (solid, crumbly, etc.)\n" +
+      "- Should burn/cook when exposed to heat/fire\n" +
+      "- May absorb liquids or dissolve in them\n" +
+      "- May attract creatures if applicable\n" +
+      "- Should have appropriate color for the food",
+
+    'instructions.generic': "For \"{{name}}\":\n" +
+      "- If it's a creature → It should MOVE like that creature (slither, hop, fly, crawl)\n" +
+      "- If it's a liquid → It should FLOW in a distinctive way (thick, thin, sticky, etc.)\n" +
+      "- If it's a gas → It should RISE and SPREAD in a characteristic pattern\n" +
+      "- If it's an object → Its behavior should REFLECT its real-world properties",
+
+    // TNT falls like a powder until fire touches it, and then bursts into
+    // fire, setting off the TNT around it
+    'example.tnt': formatDefinitionExample("TNT (example for explosive)", {
+      name: "TNT",
+      color: [200, 40, 60],
+      colorVariance: 8,
+      movement: { model: "powder", chance: 0.9 },
+      density: 1.5,
+      flammability: 50,
+      reactions: [
+        { with: "FIRE", becomes: "FIRE", otherBecomes: "FIRE", chance: 0.9 },
+        { with: "LAVA", becomes: "FIRE", chance: 0.9 }
+      ]
+    }),
+
+    // Acid is a corrosive liquid, heavier than water, that dissolves
+    // materials and is slowly diluted by water
+    'example.liquid': formatDefinitionExample("ACID (example for liquid)", {
+      name: "ACID",
+      color: [150, 255, 40],
+      colorVariance: 10,
+      movement: { model: "liquid", chance: 0.9 },
+      density: 1.2,
+      reactions: [
+        { with: "SAND", becomes: "ACID", otherBecomes: "BACKGROUND", chance: 0.1 },
+        { with: "PLANT", becomes: "ACID", otherBecomes: "BACKGROUND", chance: 0.2 },
+        { with: "WATER", becomes: "WATER", chance: 0.02 }
+      ],
+      emitters: [{ emits: "STEAM", chance: 0.002 }]
+    }),
+
+    // Helium is a light gas that rises quickly and escapes over time
+    'example.gas': formatDefinitionExample("HELIUM (example for gas)", {
+      name: "HELIUM",
+      color: [255, 190, 230],
+      movement: { model: "gas", chance: 0.95 },
+      density: 0.1,
+      lifetime: { frames: 400, becomes: "BACKGROUND" }
+    }),
+
+    // Ants wander over surfaces, eat plants, and breed while they eat
+    'example.creature': formatDefinitionExample("ANT (example for creature)", {
+      name: "ANT",
+      color: [90, 30, 20],
+      movement: { model: "powder", chance: 0.6 },
+      density: 1.1,
+      flammability: 60,
+      reactions: [
+        { with: "PLANT", becomes: "ANT", otherBecomes: "ANT", chance: 0.05 },
+        { with: "WATER", becomes: "BACKGROUND", chance: 0.02 }
+      ],
+      lifetime: { frames: 3000, becomes: "SOIL" }
+    }),
+
+    // Honey is extremely viscous, moving much slower than water, and
+    // caramelizes in fire
+    'example.generic': formatDefinitionExample("HONEY (example for viscous substance)", {
+      name: "HONEY",
+      color: [235, 170, 20],
+      colorVariance: 6,
+      movement: { model: "liquid", chance: 0.3 },
+      density: 1.4,
+      flammability: 5,
+      reactions: [
+        { with: "FIRE", becomes: "WALL", chance: 0.05 },
+        { with: "WATER", becomes: "WATER", chance: 0.005 }
+      ]
+    }),
+
+    // Hair falls lightly, burns quickly, and clumps in water
+    'specific.hair': formatDefinitionExample("HAIR (specific example)", {
+      name: "HAIR",
+      color: [60, 35, 20],
+      colorVariance: 12,
+      movement: { model: "powder", chance: 0.4 },
+      density: 1.1,
+      flammability: 60,
+      reactions: [
+        { with: "FIRE", becomes: "FIRE", chance: 0.8 }
+      ]
+    }),
+
+    // Metal is heavy, falls straight away, and melts in lava
+    'specific.metal': formatDefinitionExample("METAL (specific example)", {
+      name: "METAL",
+      color: [170, 180, 195],
+      colorVariance: 4,
+      movement: { model: "powder", chance: 0.99 },
+      density: 7.8,
+      reactions: [
+        { with: "LAVA", becomes: "LAVA", chance: 0.05 },
+        { with: "FIRE", becomes: "LAVA", chance: 0.002 }
+      ]
+    })
+  })
+});
+
+// Saved templates by name, each a list of its versions, oldest first:
+// { name, version, parts, savedAt }
+const savedPromptTemplates = {};
+
+// The name of the template generation uses; its newest version is used
+let activePromptTemplateName = DEFAULT_PROMPT_TEMPLATE.name;
+
+// The last comparison (see comparePromptTemplates()): { name, results },
+// with a result per template: { template, particleData, text, error }
+let promptComparison = null;
+
+// UI elements
+let promptTemplatesContainer = null;
+let promptTemplateSelect = null;
+let promptTemplateVersionSelect = null;
+let promptTemplatePartSelect = null;
+let promptTemplatePartHelp = null;
+let promptTemplateText = null;
+let promptTemplateNameInput = null;
+let promptTemplateSaveButton = null;
+let promptTemplateUseButton = null;
+let promptTemplateActiveLabel = null;
+let promptCompareNameInput = null;
+let promptCompareSelects = [];
+let promptCompareButton = null;
+let promptCompareResults = null;
+let promptTemplatesCloseButton = null;
+
+// The parts being edited, with changes not yet saved
+let promptTemplateDraft = null;
+
+/**
+ * A template's name and version, as particles and the history record it
+ * @param {Object} template - The template
+ * @returns {string} - Like 'default v1'
+ */
+function promptTemplateLabel(template) {
+  return `${template.name} v${template.version}`;
+}
+
+/**
+ * Every version of every template, the built-in one first
+ * @returns {Array} - The templates: { name, version, parts }
+ */
+function listPromptTemplates() {
+  const templates = [DEFAULT_PROMPT_TEMPLATE];
+  Object.keys(savedPromptTemplates).sort().forEach(name => {
+    templates.push(...savedPromptTemplates[name]);
+  });
+  return templates;
+}
+
+/**
+ * Find a template
+ * @param {string} name - The template name
+ * @param {number} [version] - The version, or null for the newest
+ * @returns {Object} - The template, or null if there is no such template
+ */
+function getPromptTemplate(name, version = null) {
+  const versions = name === DEFAULT_PROMPT_TEMPLATE.name ? [DEFAULT_PROMPT_TEMPLATE] : savedPromptTemplates[name];
+  if (!versions) return null;
+  if (version === null) return versions[versions.length - 1];
+  return versions.find(template => template.version === version) || null;
+}
+
+/**
+ * The template generation uses
+ * @returns {Object} - The newest version of the active template
+ */
+function getActivePromptTemplate() {
+  return getPromptTemplate(activePromptTemplateName) || DEFAULT_PROMPT_TEMPLATE;
+}
+
+/**
+ * Fill in the placeholders of a part
+ * @param {string} text - The part
+ * @param {Object} values - The text of each placeholder, by name
+ * @returns {string} - The part, filled in; placeholders without a value
+ *   are left as they are
+ * @throws {Error} - If it asks for the color of an element that doesn't exist
+ */
+function fillPromptTemplate(text, values) {
+  return text.replace(/\{\{\s*([\w:]+)\s*\}\}/g, (placeholder, key) => {
+    if (key.startsWith('color:')) {
+      const element = key.slice('color:'.length);
+      if (!isKnownElement(element)) {
+        throw new Error(`The prompt template asks for the color of ${element}, which is not an element`);
+      }
+      return elementColorFor(element);
+    }
+    return Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : placeholder;
+  });
+}
+
+/**
+ * Check the parts of a template before it is saved
+ * @param {Object} parts - The text of each part (see PROMPT_TEMPLATE_PARTS)
+ * @returns {Array} - Every problem, empty if there are none
+ */
+function checkPromptTemplateParts(parts) {
+  const errors = [];
+  Object.keys(PROMPT_TEMPLATE_PARTS).forEach(part => {
+    if (typeof parts[part] !== 'string') {
+      errors.push(`${part} is missing`);
+      return;
+    }
+
+    const placeholders = parts[part].match(/\{\{\s*[\w:]+\s*\}\}/g) || [];
+    placeholders.forEach(placeholder => {
+      const key = placeholder.slice(2, -2).trim();
+      if (key.startsWith('color:')) {
+        if (!isKnownElement(key.slice('color:'.length))) {
+          errors.push(`${part}: ${placeholder} is not the color of an element`);
+        }
+      } else if (!PROMPT_TEMPLATE_PLACEHOLDERS[key] && !(part === 'particle' && PROMPT_TEMPLATE_SECTIONS[key])) {
+        errors.push(`${part}: ${placeholder} is not a placeholder ${part === 'particle' ? 'the prompt' : 'this part'} can use`);
+      }
+    });
+  });
+  if (errors.length === 0 && parts.particle.trim() === '') {
+    errors.push('particle: the prompt is empty');
+  }
+  return errors;
+}
+
+/**
+ * Save a template as the newest version of its name
+ * @param {string} name - The template name
+ * @param {Object} parts - The text of each part
+ * @returns {Object} - The saved template
+ * @throws {Error} - If the name is the built-in template's or isn't a
+ *   name, or a part has problems (see checkPromptTemplateParts())
+ */
+function savePromptTemplate(name, parts) {
+  if (name === DEFAULT_PROMPT_TEMPLATE.name) {
+    throw new Error('The built-in template can\'t be changed; save it under another name');
+  }
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error('Template names must be letters, digits, underscores and dashes');
+  }
+  const errors = checkPromptTemplateParts(parts);
+  if (errors.length !== 0) {
+    throw new Error(`The template has problems: ${errors.join('; ')}`);
+  }
+
+  const versions = savedPromptTemplates[name] || [];
+  const template = {
+    name: name,
+    version: versions.length === 0 ? 1 : versions[versions.length - 1].version + 1,
+    parts: Object.assign({}, parts),
+    savedAt: new Date().toISOString()
+  };
+  versions.push(template);
+  savedPromptTemplates[name] = versions;
+  storePromptTemplates();
+  return template;
+}
+
+/**
+ * Pick the template generation uses
+ * @param {string} name - The template name
+ */
+function setActivePromptTemplate(name) {
+  if (!getPromptTemplate(name)) return;
+  activePromptTemplateName = name;
+  storePromptTemplates();
+}
+
+/**
+ * Keep the saved templates, and which one is active, across reloads
+ */
+function storePromptTemplates() {
+  localStorage.setItem('prompt_templates', JSON.stringify({
+    active: activePromptTemplateName,
+    templates: savedPromptTemplates
+  }));
+}
+
+/**
+ * Load the stored templates
+ */
+function restorePromptTemplates() {
+  try {
+    const stored = JSON.parse(localStorage.getItem('prompt_templates'));
+    if (!stored) return;
+    Object.assign(savedPromptTemplates, stored.templates);
+    if (getPromptTemplate(stored.active)) activePromptTemplateName = stored.active;
+  } catch (error) {
+    console.error('Failed to load the stored prompt templates:', error);
+  }
+}
+
+/**
+ * Generate a particle with each of two templates, to compare them. Neither
+ * is registered until it is picked (see adoptComparedParticle()).
+ * @param {string} name - The particle name
+ * @param {Array} templates - The two templates
+ * @returns {Promise} - Resolves once both are done, or have failed
+ */
+async function comparePromptTemplates(name, templates) {
+  const results = await Promise.all(templates.map(template =>
+    requestGeneratedParticle(name, template)
+      .then(({ particleData, text }) => ({ template, particleData, text, error: null }))
+      .catch(error => ({ template, particleData: null, text: null, error }))));
+  promptComparison = { name: name, results: results };
+}
+
+/**
+ * Register the particle from one side of the comparison
+ * @param {number} index - Which side: 0 or 1
+ */
+function adoptComparedParticle(index) {
+  const result = promptComparison && promptComparison.results[index];
+  if (!result || !result.particleData) return;
+
+  const particleData = JSON.parse(JSON.stringify(result.particleData));
+  try {
+    keepGeneratedParticle(particleData, result.text);
+    registerGeneratedParticle(particleData);
+  } catch (error) {
+    console.error(`Failed to register the compared ${particleData.name}:`, error);
+    updateLLMStatus(`Failed to register ${particleData.name}: ${error.message}`, 'error');
+    return;
+  }
+  updateLLMStatus(`Registered ${particleData.name} from ${promptTemplateLabel(result.template)}`, 'success');
+}
+
+/**
+ * Ask for the comparison set up in the panel, and show it
+ * @returns {Promise} - Resolves once it is shown
+ */
+async function submitPromptComparison() {
+  const name = promptCompareNameInput.value.trim().toUpperCase().replace(/\s+/g, '_');
+  if (!name || promptCompareButton.disabled) return;
+  if (!config.initialized) {
+    updateLLMStatus('Please configure an LLM provider first', 'error');
+    return;
+  }
+
+  const templates = promptCompareSelects.map(select => {
+    const [templateName, version] = select.value.split('@');
+    return getPromptTemplate(templateName, parseInt(version, 10));
+  });
+
+  promptCompareButton.disabled = true;
+  updateLLMStatus(`Generating ${name} with ${templates.map(promptTemplateLabel).join(' and ')}...`, 'loading');
+  try {
+    await comparePromptTemplates(name, templates);
+    updateLLMStatus(`Compare the two ${name} particles, and pick one to register`, 'success');
+  } finally {
+    promptCompareButton.disabled = false;
+    renderPromptComparison();
+  }
+}
+
+/**
+ * Build the prompt templates panel (initially hidden)
+ */
+function initPromptTemplatesView() {
+  restorePromptTemplates();
+
+  promptTemplatesContainer = document.createElement('div');
+  promptTemplatesContainer.id = 'promptTemplatesContainer';
+  promptTemplatesContainer.className = 'llm-settings-container llm-templates-container';
+  promptTemplatesContainer.style.display = 'none';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Prompt Templates';
+
+  promptTemplateActiveLabel = document.createElement('p');
+
+  const pickRow = document.createElement('div');
+  pickRow.className = 'llm-templates-row';
+  promptTemplateSelect = pickRow.appendChild(document.createElement('select'));
+  promptTemplateSelect.className = 'llm-input';
+  promptTemplateVersionSelect = pickRow.appendChild(document.createElement('select'));
+  promptTemplateVersionSelect.className = 'llm-input';
+  promptTemplateUseButton = pickRow.appendChild(document.createElement('button'));
+  promptTemplateUseButton.className = 'llm-button';
+  promptTemplateUseButton.textContent = 'Use';
+  promptTemplateUseButton.title = 'Generate particles with the newest version of this template';
+
+  promptTemplatePartSelect = document.createElement('select');
+  promptTemplatePartSelect.className = 'llm-input';
+  Object.keys(PROMPT_TEMPLATE_PARTS).forEach(part => {
+    const option = promptTemplatePartSelect.appendChild(document.createElement('option'));
+    option.value = part;
+    option.textContent = part;
+  });
+
+  promptTemplatePartHelp = document.createElement('p');
+  promptTemplatePartHelp.className = 'llm-templates-help';
+
+  promptTemplateText = document.createElement('textarea');
+  promptTemplateText.className = 'llm-input llm-templates-text';
+  promptTemplateText.spellcheck = false;
+
+  const saveRow = document.createElement('div');
+  saveRow.className = 'llm-templates-row';
+  promptTemplateNameInput = saveRow.appendChild(document.createElement('input'));
+  promptTemplateNameInput.type = 'text';
+  promptTemplateNameInput.className = 'llm-input';
+  promptTemplateNameInput.placeholder = 'Template name';
+  promptTemplateSaveButton = saveRow.appendChild(document.createElement('button'));
+  promptTemplateSaveButton.className = 'llm-button';
+  promptTemplateSaveButton.textContent = 'Save';
+  promptTemplateSaveButton.title = 'Save as the next version of this name, or as a new template';
+
+  const compareTitle = document.createElement('h3');
+  compareTitle.textContent = 'Compare';
+
+  const compareRow = document.createElement('div');
+  compareRow.className = 'llm-templates-row';
+  promptCompareNameInput = compareRow.appendChild(document.createElement('input'));
+  promptCompareNameInput.type = 'text';
+  promptCompareNameInput.className = 'llm-input';
+  promptCompareNameInput.placeholder = 'Particle name';
+  promptCompareSelects = [0, 1].map(() => {
+    const select = compareRow.appendChild(document.createElement('select'));
+    select.className = 'llm-input';
+    return select;
+  });
+  promptCompareButton = compareRow.appendChild(document.createElement('button'));
+  promptCompareButton.className = 'llm-button';
+  promptCompareButton.textContent = 'Compare';
+
+  promptCompareResults = document.createElement('div');
+  promptCompareResults.className = 'llm-templates-compare';
+
+  promptTemplatesCloseButton = document.createElement('button');
+  promptTemplatesCloseButton.className = 'llm-button';
+  promptTemplatesCloseButton.textContent = 'Close';
+
+  promptTemplatesContainer.appendChild(title);
+  promptTemplatesContainer.appendChild(promptTemplateActiveLabel);
+  promptTemplatesContainer.appendChild(pickRow);
+  promptTemplatesContainer.appendChild(promptTemplatePartSelect);
+  promptTemplatesContainer.appendChild(promptTemplatePartHelp);
+  promptTemplatesContainer.appendChild(promptTemplateText);
+  promptTemplatesContainer.appendChild(saveRow);
+  promptTemplatesContainer.appendChild(compareTitle);
+  promptTemplatesContainer.appendChild(compareRow);
+  promptTemplatesContainer.appendChild(promptCompareResults);
+  promptTemplatesContainer.appendChild(promptTemplatesCloseButton);
+
+  document.body.appendChild(promptTemplatesContainer);
+
+  promptTemplateSelect.addEventListener('change', function() {
+    loadPromptTemplateDraft(getPromptTemplate(promptTemplateSelect.value));
+  });
+  promptTemplateVersionSelect.addEventListener('change', function() {
+    loadPromptTemplateDraft(getPromptTemplate(promptTemplateSelect.value,
+      parseInt(promptTemplateVersionSelect.value, 10)));
+  });
+  promptTemplatePartSelect.addEventListener('change', renderPromptTemplatePart);
+  promptTemplateText.addEventListener('input', function() {
+    promptTemplateDraft[promptTemplatePartSelect.value] = promptTemplateText.value;
+  });
+  promptTemplateUseButton.addEventListener('click', function() {
+    setActivePromptTemplate(promptTemplateSelect.value);
+    updateLLMStatus(`Generating particles with ${promptTemplateLabel(getActivePromptTemplate())}`, 'success');
+    renderPromptTemplates(getActivePromptTemplate());
+  });
+  promptTemplateSaveButton.addEventListener('click', function() {
+    try {
+      const template = savePromptTemplate(promptTemplateNameInput.value.trim(), promptTemplateDraft);
+      updateLLMStatus(`Saved ${promptTemplateLabel(template)}`, 'success');
+      renderPromptTemplates(template);
+    } catch (error) {
+      updateLLMStatus(error.message, 'error');
+    }
+  });
+  promptCompareNameInput.addEventListener('keydown', function(event) {
+    if (event.key === 'Enter') submitPromptComparison();
+  });
+  promptCompareButton.addEventListener('click', submitPromptComparison);
+  promptTemplatesCloseButton.addEventListener('click', function() {
+    promptTemplatesContainer.style.display = 'none';
+  });
+}
+
+/**
+ * Show the prompt templates panel, editing the active template
+ */
+function showPromptTemplates() {
+  renderPromptTemplates(getActivePromptTemplate());
+  renderPromptComparison();
+  promptTemplatesContainer.style.display = 'block';
+}
+
+/**
+ * Fill the template and version selects, and edit a template
+ * @param {Object} template - The template to edit
+ */
+function renderPromptTemplates(template) {
+  promptTemplateActiveLabel.textContent = `Particles are generated with ${promptTemplateLabel(getActivePromptTemplate())}.`;
+
+  promptTemplateSelect.innerHTML = '';
+  [DEFAULT_PROMPT_TEMPLATE.name].concat(Object.keys(savedPromptTemplates).sort()).forEach(name => {
+    const option = promptTemplateSelect.appendChild(document.createElement('option'));
+    option.value = name;
+    option.textContent = name === DEFAULT_PROMPT_TEMPLATE.name ? `${name} (built-in)` : name;
+  });
+
+  // Any version can be compared with any other; to start with, the active
+  // template with the one being edited
+  const compared = promptCompareSelects.map(select => select.value);
+  const defaults = [getActivePromptTemplate(), template];
+  promptCompareSelects.forEach((select, side) => {
+    select.innerHTML = '';
+    listPromptTemplates().forEach(listed => {
+      const option = select.appendChild(document.createElement('option'));
+      option.value = `${listed.name}@${listed.version}`;
+      option.textContent = promptTemplateLabel(listed);
+    });
+    select.value = compared[side] || `${defaults[side].name}@${defaults[side].version}`;
+  });
+
+  loadPromptTemplateDraft(template);
+}
+
+/**
+ * Edit a template: its parts become the draft, until the next save
+ * @param {Object} template - The template
+ */
+function loadPromptTemplateDraft(template) {
+  promptTemplateDraft = Object.assign({}, template.parts);
+  promptTemplateSelect.value = template.name;
+  promptTemplateNameInput.value = template.builtIn ? '' : template.name;
+  promptTemplateUseButton.disabled = template.name === activePromptTemplateName;
+
+  const versions = template.builtIn ? [template] : savedPromptTemplates[template.name];
+  promptTemplateVersionSelect.innerHTML = '';
+  versions.forEach(version => {
+    const option = promptTemplateVersionSelect.appendChild(document.createElement('option'));
+    option.value = String(version.version);
+    option.textContent = `v${version.version}` + (version.savedAt ? ` (${new Date(version.savedAt).toLocaleString()})` : '');
+  });
+  promptTemplateVersionSelect.value = String(template.version);
+
+  renderPromptTemplatePart();
+}
+
+/**
+ * Show the part picked in the panel, and the placeholders it can use
+ */
+function renderPromptTemplatePart() {
+  const part = promptTemplatePartSelect.value;
+  promptTemplateText.value = promptTemplateDraft[part];
+
+  const placeholders = Object.assign({}, PROMPT_TEMPLATE_PLACEHOLDERS,
+    part === 'particle' ? PROMPT_TEMPLATE_SECTIONS : {});
+  promptTemplatePartHelp.textContent = `${PROMPT_TEMPLATE_PARTS[part]}. Placeholders: ` +
+    Object.keys(placeholders).map(key => `{{${key}}}`).join(', ') + ', {{color:ELEMENT}}.';
+}
+
+/**
+ * Show the two particles of the last comparison side by side, each with a
+ * button to register it
+ */
+function renderPromptComparison() {
+  promptCompareResults.innerHTML = '';
+  if (!promptComparison) return;
+
+  promptComparison.results.forEach((result, index) => {
+    const column = promptCompareResults.appendChild(document.createElement('div'));
+    column.className = 'llm-templates-result';
+    column.appendChild(document.createElement('h4')).textContent = promptTemplateLabel(result.template);
+
+    if (result.error) {
+      const error = column.appendChild(document.createElement('p'));
+      error.className = 'llm-status error';
+      error.textContent = result.error.message;
+      return;
+    }
+
+    const particleData = result.particleData;
+    const swatch = column.appendChild(document.createElement('span'));
+    swatch.className = 'llm-templates-swatch';
+    swatch.style.backgroundColor = `rgb(${particleData.color.join(', ')})`;
+    column.appendChild(document.createElement('p')).textContent = particleData.behavior;
+    column.appendChild(document.createElement('pre')).textContent = JSON.stringify(particleData, null, 2);
+
+    const adoptButton = column.appendChild(document.createElement('button'));
+    adoptButton.className = 'llm-button';
+    adoptButton.textContent = `Use this ${particleData.name}`;
+    adoptButton.addEventListener('click', function() {
+      adoptComparedParticle(index);
+    });
+  });
+}
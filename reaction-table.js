@@ -0,0 +1,323 @@
+/*
+ * The reaction table: what happens when two elements touch.
+ * Rules are generated by the LLM for a chosen pair of elements, built-in or
+ * custom (see generateReaction()), and can be edited or removed in the
+ * Reactions panel. The table keeps them by element name and stores them,
+ * and the simulation gets them by element id (see reactions.js), so a rule
+ * naming a particle that isn't registered yet waits until it is.
+ */
+
+// The rules, one per pair of elements:
+// { a, b, becomes, otherBecomes, chance, description }, by element name
+const reactionTable = [];
+
+// UI elements
+let reactionTableContainer = null;
+let reactionFirstSelect = null;
+let reactionSecondSelect = null;
+let reactionGenerateButton = null;
+let reactionTableBody = null;
+let reactionCloseButton = null;
+
+/**
+ * The key of a pair of elements, the same either way round
+ * @param {string} a - An element name
+ * @param {string} b - The other element name
+ * @returns {string} - The key
+ */
+function reactionPairKey(a, b) {
+  return [a, b].sort().join('+');
+}
+
+/**
+ * The names of every registered element, built-in and custom
+ * @returns {Array} - The names, in id order
+ */
+function reactionElementNames() {
+  return elementProperties.filter(Boolean).map(properties => properties.name);
+}
+
+/**
+ * Check a rule before it goes in the table
+ * @param {Object} rule - The rule (see reactionTable)
+ * @throws {Error} - If it names an unknown element or has a bad chance
+ */
+function checkReactionRule(rule) {
+  ['a', 'b', 'becomes', 'otherBecomes'].forEach(key => {
+    if (lookupElementId(rule[key]) === -1) throw new Error(`${key} is not an element: ${rule[key]}`);
+  });
+  if (rule.a === 'BACKGROUND' || rule.b === 'BACKGROUND') {
+    throw new Error('Empty space cannot react; pick two elements');
+  }
+  if (typeof rule.chance !== 'number' || !(rule.chance >= 0 && rule.chance <= 1)) {
+    throw new Error('The chance must be between 0 and 1');
+  }
+}
+
+/**
+ * Add a rule to the table, replacing any rule for the same pair, and store it
+ * @param {Object} rule - The rule (see reactionTable)
+ * @param {Object} [replaced] - A rule it replaces, for another pair
+ * @throws {Error} - If the rule is invalid (see checkReactionRule())
+ */
+function setReactionRule(rule, replaced = null) {
+  checkReactionRule(rule);
+
+  const key = reactionPairKey(rule.a, rule.b);
+  if (replaced && reactionPairKey(replaced.a, replaced.b) !== key) {
+    removeReactionRule(replaced.a, replaced.b);
+  }
+
+  const index = reactionTable.findIndex(existing => reactionPairKey(existing.a, existing.b) === key);
+  if (index === -1) {
+    reactionTable.push(rule);
+  } else {
+    reactionTable[index] = rule;
+  }
+
+  saveReactionRule(key, rule).catch(error => {
+    console.error(`Failed to store the reaction of ${rule.a} and ${rule.b}:`, error);
+  });
+  sendReactionRules();
+}
+
+/**
+ * Remove the rule for a pair of elements, if there is one
+ * @param {string} a - An element name
+ * @param {string} b - The other element name
+ */
+function removeReactionRule(a, b) {
+  const key = reactionPairKey(a, b);
+  const index = reactionTable.findIndex(rule => reactionPairKey(rule.a, rule.b) === key);
+  if (index === -1) return;
+
+  reactionTable.splice(index, 1);
+  deleteReactionRule(key).catch(error => {
+    console.error(`Failed to remove the stored reaction of ${a} and ${b}:`, error);
+  });
+  sendReactionRules();
+}
+
+/**
+ * Send the table to the simulation, skipping rules that name elements that
+ * aren't registered
+ */
+function sendReactionRules() {
+  if (!simulation) return;
+
+  const rules = [];
+  reactionTable.forEach(rule => {
+    const ids = ['a', 'b', 'becomes', 'otherBecomes'].map(key => lookupElementId(rule[key]));
+    if (ids.includes(-1)) return;
+
+    rules.push({
+      a: ids[0],
+      b: ids[1],
+      becomes: ids[2],
+      otherBecomes: ids[3],
+      chance: rule.chance
+    });
+  });
+  simulation.send({ type: 'setReactions', rules: rules });
+}
+
+/**
+ * Put the stored rules back in the table. Call it after the custom
+ * particles are restored.
+ * @returns {Promise} - Resolves once the simulation has them
+ */
+async function restoreReactionRules() {
+  try {
+    const rules = await loadReactionRules();
+    reactionTable.push(...rules);
+  } catch (error) {
+    console.error('Failed to load the stored reactions:', error);
+  }
+  sendReactionRules();
+}
+
+/**
+ * Ask the LLM how the two elements picked in the panel react, and put the
+ * rule in the table
+ * @returns {Promise} - Resolves once the rule is in, or it failed
+ */
+async function submitReactionGeneration() {
+  const a = reactionFirstSelect.value;
+  const b = reactionSecondSelect.value;
+  if (!config.initialized) {
+    updateLLMStatus('Please configure an LLM provider first', 'error');
+    return;
+  }
+
+  reactionGenerateButton.disabled = true;
+  try {
+    const rule = await generateReaction(a, b, {
+      onStatus: message => updateLLMStatus(message, 'loading')
+    });
+    setReactionRule(rule);
+    updateLLMStatus(rule.description, 'success');
+  } catch (error) {
+    console.error(`Failed to generate the reaction of ${a} and ${b}:`, error);
+    updateLLMStatus(`Failed to generate the reaction of ${a} and ${b}: ${error.message}`, 'error', error.errors);
+  } finally {
+    reactionGenerateButton.disabled = false;
+    renderReactionTable();
+  }
+}
+
+/**
+ * Create a select of every element
+ * @param {string} selected - The name selected
+ * @param {boolean} [reacting] - Whether to leave out empty space, which
+ *   can be made but can't react
+ * @returns {HTMLElement} - The select
+ */
+function createReactionElementSelect(selected, reacting = false) {
+  const select = document.createElement('select');
+  select.className = 'llm-input';
+  reactionElementNames()
+    .filter(name => !reacting || name !== 'BACKGROUND')
+    .forEach(name => {
+      const option = select.appendChild(document.createElement('option'));
+      option.value = name;
+      option.textContent = name;
+    });
+  select.value = selected;
+  return select;
+}
+
+/**
+ * Build the reactions panel (initially hidden)
+ */
+function initReactionTableView() {
+  reactionTableContainer = document.createElement('div');
+  reactionTableContainer.id = 'reactionTableContainer';
+  reactionTableContainer.className = 'llm-settings-container llm-reactions-container';
+  reactionTableContainer.style.display = 'none';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Reactions';
+
+  const generateRow = document.createElement('div');
+  generateRow.className = 'llm-reactions-generate';
+
+  reactionGenerateButton = document.createElement('button');
+  reactionGenerateButton.className = 'llm-button';
+  reactionGenerateButton.textContent = 'Generate reaction';
+
+  const table = document.createElement('table');
+  table.className = 'llm-reactions-table';
+  const header = table.appendChild(document.createElement('thead')).appendChild(document.createElement('tr'));
+  ['Element', 'Touching', 'Becomes', 'Turns it into', 'Chance', 'Description', ''].forEach(label => {
+    header.appendChild(document.createElement('th')).textContent = label;
+  });
+  reactionTableBody = table.appendChild(document.createElement('tbody'));
+
+  reactionCloseButton = document.createElement('button');
+  reactionCloseButton.className = 'llm-button';
+  reactionCloseButton.textContent = 'Close';
+
+  reactionTableContainer.appendChild(title);
+  reactionTableContainer.appendChild(generateRow);
+  reactionTableContainer.appendChild(table);
+  reactionTableContainer.appendChild(reactionCloseButton);
+
+  document.body.appendChild(reactionTableContainer);
+
+  reactionGenerateButton.addEventListener('click', submitReactionGeneration);
+  reactionCloseButton.addEventListener('click', function() {
+    reactionTableContainer.style.display = 'none';
+  });
+}
+
+/**
+ * Show the reactions panel
+ */
+function showReactionTable() {
+  renderReactionTable();
+  reactionTableContainer.style.display = 'block';
+}
+
+/**
+ * Fill the reactions panel from the table. The element selects are made
+ * again, since custom particles come and go.
+ */
+function renderReactionTable() {
+  const generateRow = reactionTableContainer.querySelector('.llm-reactions-generate');
+  const first = reactionFirstSelect ? reactionFirstSelect.value : 'SAND';
+  const second = reactionSecondSelect ? reactionSecondSelect.value : 'WATER';
+  reactionFirstSelect = createReactionElementSelect(first, true);
+  reactionSecondSelect = createReactionElementSelect(second, true);
+  generateRow.innerHTML = '';
+  generateRow.appendChild(reactionFirstSelect);
+  generateRow.appendChild(document.createTextNode(' + '));
+  generateRow.appendChild(reactionSecondSelect);
+  generateRow.appendChild(reactionGenerateButton);
+
+  reactionTableBody.innerHTML = '';
+  if (reactionTable.length === 0) {
+    const cell = reactionTableBody.appendChild(document.createElement('tr')).appendChild(document.createElement('td'));
+    cell.colSpan = 7;
+    cell.textContent = 'No reactions yet. Pick two elements and generate one.';
+    return;
+  }
+
+  reactionTable.forEach(rule => {
+    const row = reactionTableBody.appendChild(document.createElement('tr'));
+    // Rules naming a particle that isn't registered don't apply
+    const missing = ['a', 'b', 'becomes', 'otherBecomes'].filter(key => lookupElementId(rule[key]) === -1);
+    if (missing.length !== 0) {
+      row.className = 'llm-reaction-missing';
+      row.title = `Not applied: ${missing.map(key => rule[key]).join(', ')} is not registered`;
+    }
+
+    const fields = {};
+    ['a', 'b', 'becomes', 'otherBecomes'].forEach(key => {
+      fields[key] = lookupElementId(rule[key]) === -1
+        ? Object.assign(document.createElement('span'), { textContent: rule[key] })
+        : createReactionElementSelect(rule[key], key === 'a' || key === 'b');
+    });
+
+    fields.chance = document.createElement('input');
+    fields.chance.type = 'number';
+    fields.chance.className = 'llm-input';
+    fields.chance.min = '0';
+    fields.chance.max = '1';
+    fields.chance.step = '0.01';
+    fields.chance.value = rule.chance;
+
+    fields.description = document.createElement('input');
+    fields.description.type = 'text';
+    fields.description.className = 'llm-input';
+    fields.description.value = rule.description;
+
+    Object.keys(fields).forEach(key => {
+      row.appendChild(document.createElement('td')).appendChild(fields[key]);
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'llm-button llm-edit-button';
+    removeButton.textContent = '✕';
+    removeButton.title = `Remove the reaction of ${rule.a} and ${rule.b}`;
+    row.appendChild(document.createElement('td')).appendChild(removeButton);
+
+    // Apply an edit as soon as a field changes
+    row.addEventListener('change', function() {
+      const edited = Object.assign({}, rule);
+      Object.keys(fields).forEach(key => {
+        if (fields[key].tagName === 'SPAN') return;
+        edited[key] = key === 'chance' ? parseFloat(fields[key].value) : fields[key].value;
+      });
+      try {
+        setReactionRule(edited, rule);
+      } catch (error) {
+        updateLLMStatus(`Invalid reaction: ${error.message}`, 'error');
+      }
+      renderReactionTable();
+    });
+    removeButton.addEventListener('click', function() {
+      removeReactionRule(rule.a, rule.b);
+      renderReactionTable();
+    });
+  });
+}
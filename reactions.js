@@ -0,0 +1,118 @@
+/*
+ * Reactions between pairs of elements.
+ *
+ * Copyright (C) 2020, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Element actions only know about the elements they were written for, so
+ * two custom elements (or a custom element and a built-in that predates
+ * it) would never interact. Reaction rules fill that gap. A rule names two
+ * elements, a and b; when they touch (above, below, left or right), with
+ * the rule's chance per frame, a becomes 'becomes' and b becomes
+ * 'otherBecomes' (-1 for either to stay as it is).
+ *
+ * A rule applies on whichever of the two elements' turn comes up, before
+ * its own action runs. A reaction ends that element's turn. An element
+ * touching the other element of one of its rules keeps its chunk awake, so
+ * that the two don't wait for each other forever in a settled chunk (see
+ * updateChunks()). Elements only come to touch by being written to the
+ * grid, which wakes the chunk anyway.
+ *
+ * Rules are set as a whole, by id, with setReactionRules(). The UI keeps
+ * the table, by element name (see reaction-table.js).
+ */
+
+/* Indexed by element id; nonzero if the element has reaction rules */
+const REACTIVE_ELEMENTS = new Uint8Array(MAX_NUM_ELEMENTS);
+
+/*
+ * Indexed by element id: the rules of the element, from its side, as
+ * { other, becomes, otherBecomes, chance }
+ */
+var reactionRulesByElement = [];
+
+function checkReactionElement(rule, key, optional) {
+  const elem = rule[key];
+  if (optional && elem === -1) return;
+  if (!Number.isInteger(elem) || elem < 0 || elem >= MAX_NUM_ELEMENTS || !elementActions[elem])
+    throw "invalid element in reaction rule: " + key + " " + elem;
+}
+
+/*
+ * Replaces every reaction rule. Each rule is
+ * { a, b, becomes, otherBecomes, chance }, with element ids (-1 for
+ * becomes or otherBecomes to leave that element as it is) and a chance
+ * from 0 to 1.
+ */
+function setReactionRules(rules) {
+  for (var k = 0; k !== rules.length; k++) {
+    const rule = rules[k];
+    checkReactionElement(rule, "a", false);
+    checkReactionElement(rule, "b", false);
+    checkReactionElement(rule, "becomes", true);
+    checkReactionElement(rule, "otherBecomes", true);
+    if (typeof rule.chance !== "number" || !(rule.chance >= 0 && rule.chance <= 1))
+      throw "invalid reaction chance: " + rule.chance;
+  }
+
+  REACTIVE_ELEMENTS.fill(0);
+  reactionRulesByElement = [];
+
+  function add(elem, other, becomes, otherBecomes, chance) {
+    if (!reactionRulesByElement[elem]) reactionRulesByElement[elem] = [];
+    reactionRulesByElement[elem].push({
+      other: other,
+      becomes: becomes,
+      otherBecomes: otherBecomes,
+      chance: chance
+    });
+    REACTIVE_ELEMENTS[elem] = 1;
+  }
+
+  for (k = 0; k !== rules.length; k++) {
+    const rule = rules[k];
+    add(rule.a, rule.b, rule.becomes, rule.otherBecomes, rule.chance);
+    /* An element reacting with its own kind only needs the one side */
+    if (rule.b !== rule.a)
+      add(rule.b, rule.a, rule.otherBecomes, rule.becomes, rule.chance);
+  }
+}
+
+/*
+ * Applies the first of the reaction rules of the element at i that
+ * happens. Returns true if one did.
+ */
+function doElementReactions(x, y, i) {
+  const rules = reactionRulesByElement[gameGrid[i]];
+  const numRules = rules.length;
+
+  for (var r = 0; r !== numRules; r++) {
+    const rule = rules[r];
+    const loc = bordering(x, y, i, rule.other);
+    if (loc === -1) continue;
+
+    /* it may react on a later frame, so keep its chunk awake */
+    dirtyChunks[pixelChunks[i]] = 1;
+    if (randomFloat() >= rule.chance) continue;
+
+    if (rule.becomes !== -1) setGridElement(i, rule.becomes);
+    if (rule.otherBecomes !== -1) setGridElement(loc, rule.otherBecomes);
+    return true;
+  }
+
+  return false;
+}
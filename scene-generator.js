@@ -0,0 +1,318 @@
+/*
+ * Generating whole scenes from a description.
+ * The LLM lays the scene out as shapes filled with elements, and spigot
+ * settings (see generateScene()). The layout is drawn into a grid of its
+ * own and shown as a preview; applying it replaces the world through the
+ * simulation's commands, like drawing does. Each applied scene can be
+ * undone, back to the world as it was.
+ */
+
+// Applied scenes that can be undone; the oldest are dropped first
+const MAX_SCENE_UNDO = 5;
+
+// The scene being previewed: { scene, grid }, or null
+let pendingScene = null;
+
+// Undo stack, newest last: { save, spigots }, where save is the world from
+// serializeWorld() and spigots are the settings (see getSpigotSettings())
+const sceneUndo = [];
+
+// UI elements
+let sceneContainer = null;
+let sceneInput = null;
+let sceneGenerateButton = null;
+let scenePreview = null;
+let sceneDescription = null;
+let sceneApplyButton = null;
+let sceneDiscardButton = null;
+let sceneUndoButton = null;
+let sceneCloseButton = null;
+
+/**
+ * Whether a point is inside a shape
+ * @param {string} shape - 'rect', 'ellipse' or 'triangle'
+ * @param {number} u - Across the shape's box, from 0 (left) to 1 (right)
+ * @param {number} v - Down the shape's box, from 0 (top) to 1 (bottom)
+ * @returns {boolean} - True if it is
+ */
+function insideSceneShape(shape, u, v) {
+  switch (shape) {
+    case 'ellipse':
+      return (u - 0.5) * (u - 0.5) + (v - 0.5) * (v - 0.5) <= 0.25;
+    case 'triangle':
+      // Tip at the middle of the top edge
+      return Math.abs(u - 0.5) <= v / 2;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Draw a scene into a grid of element ids. Partly filled shapes are
+ * speckled the same way every time the scene is drawn.
+ * @param {Object} scene - The scene (see generateScene())
+ * @param {number} sceneWidth - The width of the grid
+ * @param {number} sceneHeight - The height of the grid
+ * @returns {Uint16Array} - The grid, like gameGrid
+ */
+function rasterizeScene(scene, sceneWidth, sceneHeight) {
+  const grid = new Uint16Array(sceneWidth * sceneHeight).fill(BACKGROUND);
+
+  scene.shapes.forEach((shape, shapeIndex) => {
+    const elem = lookupElementId(shape.element);
+    const left = Math.max(Math.round(shape.x / 100 * sceneWidth), 0);
+    const top = Math.max(Math.round(shape.y / 100 * sceneHeight), 0);
+    const right = Math.min(Math.round((shape.x + shape.width) / 100 * sceneWidth), sceneWidth);
+    const bottom = Math.min(Math.round((shape.y + shape.height) / 100 * sceneHeight), sceneHeight);
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        // Test the middle of the pixel
+        const u = (x + 0.5 - left) / (right - left);
+        const v = (y + 0.5 - top) / (bottom - top);
+        if (!insideSceneShape(shape.shape, u, v)) continue;
+        if (shape.fill < 1 && hashFloat(y * sceneWidth + x, shapeIndex) >= shape.fill) continue;
+        grid[y * sceneWidth + x] = elem;
+      }
+    }
+  });
+
+  return grid;
+}
+
+/**
+ * The current spigot settings
+ * @returns {Array} - { elem, size } per spigot
+ */
+function getSpigotSettings() {
+  return SPIGOT_ELEMENTS.map((elem, spigot) => ({ elem: elem, size: SPIGOT_SIZES[spigot] }));
+}
+
+/**
+ * Change the spigots through their menu, so that it shows the new settings
+ * @param {Array} settings - { elem, size } per spigot
+ */
+function setSpigotSettings(settings) {
+  settings.forEach((setting, spigot) => {
+    const typeSelect = document.getElementById(`spigot${spigot + 1}Type`);
+    const sizeSelect = document.getElementById(`spigot${spigot + 1}Size`);
+    typeSelect.value = setting.elem;
+    sizeSelect.value = setting.size;
+    typeSelect.dispatchEvent(new Event('change'));
+  });
+}
+
+/**
+ * The spigot settings of a scene. Spigots it leaves out are turned off.
+ * @param {Object} scene - The scene
+ * @returns {Array} - { elem, size } per spigot
+ */
+function sceneSpigotSettings(scene) {
+  return getSpigotSettings().map((current, spigot) => {
+    const spigotData = scene.spigots[spigot];
+    if (!spigotData) return { elem: current.elem, size: 0 };
+    return { elem: lookupElementId(spigotData.element), size: SPIGOT_SIZE_OPTIONS[spigotData.size] };
+  });
+}
+
+/**
+ * Ask the LLM for the scene described in the panel, and preview it
+ * @returns {Promise} - Resolves once the preview is shown, or it failed
+ */
+async function submitSceneGeneration() {
+  const description = sceneInput.value.trim();
+  if (!description || sceneGenerateButton.disabled) return;
+  if (!config.initialized) {
+    updateLLMStatus('Please configure an LLM provider first', 'error');
+    return;
+  }
+
+  sceneGenerateButton.disabled = true;
+  try {
+    const scene = await generateScene(description, {
+      onStatus: message => updateLLMStatus(message, 'loading')
+    });
+    pendingScene = { scene: scene, grid: rasterizeScene(scene, width, height) };
+    updateLLMStatus('Scene ready; apply it to replace the world', 'success');
+  } catch (error) {
+    console.error('Failed to generate the scene:', error);
+    updateLLMStatus(`Failed to generate the scene: ${error.message}`, 'error', error.errors);
+  } finally {
+    sceneGenerateButton.disabled = false;
+    renderScenePanel();
+  }
+}
+
+/**
+ * Replace the world with the previewed scene, keeping the world as it was
+ * to undo to
+ */
+function applyPendingScene() {
+  if (!pendingScene) return;
+  const { scene, grid } = pendingScene;
+
+  sceneApplyButton.disabled = true;
+  simulation.request({ type: 'exportSave' }, function(error, save) {
+    sceneApplyButton.disabled = false;
+    if (error) {
+      console.error('Failed to save the world before the scene:', error);
+      updateLLMStatus(`Failed to apply the scene: ${error}`, 'error');
+      return;
+    }
+    sceneUndo.push({ save: save, spigots: getSpigotSettings() });
+    sceneUndo.splice(0, Math.max(sceneUndo.length - MAX_SCENE_UNDO, 0));
+
+    // One stroke per element
+    const indices = {};
+    for (let i = 0; i !== grid.length; i++) {
+      const elem = grid[i];
+      if (elem === BACKGROUND) continue;
+      if (!indices[elem]) indices[elem] = [];
+      indices[elem].push(i);
+    }
+    simulation.send({ type: 'clear' });
+    Object.keys(indices).forEach(elem => {
+      simulation.send({
+        type: 'stroke',
+        indices: Int32Array.from(indices[elem]),
+        elem: parseInt(elem, 10),
+        overwrite: true
+      });
+    });
+    setSpigotSettings(sceneSpigotSettings(scene));
+
+    pendingScene = null;
+    updateLLMStatus(`Applied the scene: ${scene.description}`, 'success');
+    renderScenePanel();
+  });
+}
+
+/**
+ * Put the world back as it was before the last applied scene
+ */
+function undoScene() {
+  if (sceneUndo.length === 0) return;
+  const { save, spigots } = sceneUndo[sceneUndo.length - 1];
+
+  simulation.request({ type: 'importSave', save: save }, function(error) {
+    if (error) {
+      console.error('Failed to undo the scene:', error);
+      updateLLMStatus(`Failed to undo the scene: ${error}`, 'error');
+      return;
+    }
+    sceneUndo.pop();
+    setSpigotSettings(spigots);
+    drawSeedLabel();
+    updateLLMStatus('Undid the scene', 'success');
+    renderScenePanel();
+  });
+}
+
+/**
+ * Build the scene panel (initially hidden)
+ */
+function initSceneView() {
+  sceneContainer = document.createElement('div');
+  sceneContainer.id = 'sceneContainer';
+  sceneContainer.className = 'llm-settings-container llm-scene-container';
+  sceneContainer.style.display = 'none';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Scene';
+
+  sceneInput = document.createElement('input');
+  sceneInput.type = 'text';
+  sceneInput.className = 'llm-input';
+  sceneInput.placeholder = 'Describe a scene, like "a volcano over a lake with a forest on the left"';
+
+  sceneGenerateButton = document.createElement('button');
+  sceneGenerateButton.className = 'llm-button';
+  sceneGenerateButton.textContent = 'Generate';
+
+  // Drawn at the world's size, and scaled to fit
+  scenePreview = document.createElement('canvas');
+  scenePreview.className = 'llm-scene-preview';
+  scenePreview.width = width;
+  scenePreview.height = height;
+
+  sceneDescription = document.createElement('p');
+
+  sceneApplyButton = document.createElement('button');
+  sceneApplyButton.className = 'llm-button';
+  sceneApplyButton.textContent = 'Apply';
+  sceneApplyButton.title = 'Replace the world with this scene';
+
+  sceneDiscardButton = document.createElement('button');
+  sceneDiscardButton.className = 'llm-button';
+  sceneDiscardButton.textContent = 'Discard';
+
+  sceneUndoButton = document.createElement('button');
+  sceneUndoButton.className = 'llm-button';
+  sceneUndoButton.textContent = 'Undo scene';
+
+  sceneCloseButton = document.createElement('button');
+  sceneCloseButton.className = 'llm-button';
+  sceneCloseButton.textContent = 'Close';
+
+  sceneContainer.appendChild(title);
+  sceneContainer.appendChild(sceneInput);
+  sceneContainer.appendChild(sceneGenerateButton);
+  sceneContainer.appendChild(scenePreview);
+  sceneContainer.appendChild(sceneDescription);
+  sceneContainer.appendChild(sceneApplyButton);
+  sceneContainer.appendChild(sceneDiscardButton);
+  sceneContainer.appendChild(sceneUndoButton);
+  sceneContainer.appendChild(sceneCloseButton);
+
+  document.body.appendChild(sceneContainer);
+
+  sceneInput.addEventListener('keydown', function(event) {
+    if (event.key === 'Enter') submitSceneGeneration();
+  });
+  sceneGenerateButton.addEventListener('click', submitSceneGeneration);
+  sceneApplyButton.addEventListener('click', applyPendingScene);
+  sceneDiscardButton.addEventListener('click', function() {
+    pendingScene = null;
+    renderScenePanel();
+  });
+  sceneUndoButton.addEventListener('click', undoScene);
+  sceneCloseButton.addEventListener('click', function() {
+    sceneContainer.style.display = 'none';
+  });
+}
+
+/**
+ * Show the scene panel
+ */
+function showScenePanel() {
+  renderScenePanel();
+  sceneContainer.style.display = 'block';
+  sceneInput.focus();
+}
+
+/**
+ * Show the previewed scene, if any, and which actions are possible
+ */
+function renderScenePanel() {
+  const previewing = pendingScene !== null;
+  scenePreview.style.display = previewing ? '' : 'none';
+  sceneDescription.style.display = previewing ? '' : 'none';
+  sceneApplyButton.style.display = previewing ? '' : 'none';
+  sceneDiscardButton.style.display = previewing ? '' : 'none';
+  sceneUndoButton.disabled = sceneUndo.length === 0;
+
+  if (!previewing) return;
+
+  const { scene, grid } = pendingScene;
+  const ctx = scenePreview.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  const imageData32 = new Uint32Array(imageData.data.buffer);
+  for (let i = 0; i !== grid.length; i++) imageData32[i] = elementColors[grid[i]];
+  ctx.putImageData(imageData, 0, 0);
+
+  const spigots = scene.spigots
+    .filter(spigot => spigot.size !== 0)
+    .map(spigot => `${spigot.element} (${spigot.size})`);
+  sceneDescription.textContent = scene.description +
+    (spigots.length !== 0 ? ` Spigots: ${spigots.join(', ')}.` : '');
+}
@@ -0,0 +1,138 @@
+/*
+ * Runs the simulation off of the UI thread. See simulation.js for the
+ * commands we accept, and WorkerSimulation for the other side of this.
+ *
+ * Copyright (C) 2020, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * custom-particles.js provides createActionFunction() and
+ * createSafeParticleAction(), and particle-definitions.js provides
+ * compileParticleDefinition(), so that custom elements behave the same
+ * here as they would on the UI thread.
+ */
+importScripts(
+  "./util.js",
+  "./particles.js",
+  "./elements.js",
+  "./reactions.js",
+  "./heat.js",
+  "./spigots.js",
+  "./engine.js",
+  "./simulation.js",
+  "./particle-definitions.js",
+  "./custom-particles.js"
+);
+
+var simWorld = null;
+
+/*
+ * Whether the grid and temperatures are shared with the UI thread, or
+ * copied back to it.
+ */
+var simGridShared = false;
+
+function handleInit(msg) {
+  initEngine();
+
+  simWorld = new World(msg.width, msg.height, msg.seed, msg.buffers);
+  simGridShared = msg.buffers !== null;
+  useWorld(simWorld);
+}
+
+function handleStep(msg) {
+  for (var f = 0; f !== msg.frames; f++) updateGame();
+
+  /* small enough to just copy every time */
+  const chunks = activeChunks.slice();
+  const events = takeSimulationEvents();
+
+  if (simGridShared) {
+    postMessage(
+      {
+        type: "stepped",
+        frames: msg.frames,
+        frameBuffer: null,
+        temperatureBuffer: null,
+        activeChunks: chunks,
+        events: events
+      },
+      [chunks.buffer]
+    );
+    return;
+  }
+
+  /* Reuse the copies the UI thread handed back, if it sent any */
+  const frame = msg.frameBuffer
+    ? new Uint16Array(msg.frameBuffer)
+    : new Uint16Array(gameGrid.length);
+  frame.set(gameGrid);
+  const transfer = [frame.buffer, chunks.buffer];
+
+  var temperatureBuffer = null;
+  if (msg.wantTemperature) {
+    const temperatureFrame = msg.temperatureBuffer
+      ? new Float32Array(msg.temperatureBuffer)
+      : new Float32Array(gameTemperature.length);
+    temperatureFrame.set(gameTemperature);
+    temperatureBuffer = temperatureFrame.buffer;
+    transfer.push(temperatureBuffer);
+  }
+
+  postMessage(
+    {
+      type: "stepped",
+      frames: msg.frames,
+      frameBuffer: frame.buffer,
+      temperatureBuffer: temperatureBuffer,
+      activeChunks: chunks,
+      events: events
+    },
+    transfer
+  );
+}
+
+function handleRequest(msg) {
+  var reply = null;
+  try {
+    reply = applySimulationCommand(msg.cmd);
+  } catch (error) {
+    postMessage({ type: "reply", id: msg.id, error: String(error), reply: null });
+    return;
+  }
+  postMessage({ type: "reply", id: msg.id, error: null, reply: reply });
+}
+
+onmessage = function(e) {
+  const msg = e.data;
+  switch (msg.type) {
+    case "init":
+      handleInit(msg);
+      return;
+    case "step":
+      handleStep(msg);
+      return;
+    case "request":
+      handleRequest(msg);
+      return;
+    default:
+      try {
+        applySimulationCommand(msg);
+      } catch (error) {
+        console.error("Failed to apply simulation command:", msg.type, error);
+      }
+  }
+};
@@ -0,0 +1,428 @@
+/*
+ * The interface between the UI and the simulation.
+ *
+ * When we can, the simulation runs in a dedicated worker (see sim-worker.js),
+ * so that heavy scenes don't stall input or the user stroke. The UI thread
+ * then only draws, handles input, and runs the menus. When a worker isn't
+ * available (notably, when the game is opened from a file:// url) the
+ * simulation runs on the UI thread, behind the same interface.
+ *
+ * Copyright (C) 2020, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* ========================== Simulation commands ========================== */
+
+/*
+ * Everything the UI asks of the simulation is a command: a plain object
+ * with a 'type', which can be cloned across to a worker. Commands are
+ * applied in the order they were sent, always between frames.
+ *
+ *   stroke        { indices, elem, overwrite }  paint a user stroke
+ *   clear         {}
+ *   save          {}                            see saveGameCanvas()
+ *   load          {}                            see loadGameCanvas()
+ *   setSeed       { seed }
+ *   setSpigot     { spigot, elem, size }
+ *   defineElement { id, color, name, code, definition, idle, properties }
+ *                                               register a custom element,
+ *                                               from action code or from a
+ *                                               particle definition (see
+ *                                               particle-definitions.js)
+ *   setParticleBudget { ms }                    see setParticleBudget()
+ *   releaseElement { id }                       lift a custom element's
+ *                                               quarantine (see
+ *                                               createSafeParticleAction())
+ *   setReactions  { rules }                     replace the reaction rules
+ *                                               between elements (see
+ *                                               setReactionRules())
+ *   exportSave    {}                 replies    see serializeWorld()
+ *   importSave    { save }           replies    see deserializeWorld()
+ *
+ * Stepping the world is not a command; see step().
+ */
+
+/* Applies a command to the active world. Returns its reply, if it has one. */
+function applySimulationCommand(cmd) {
+  switch (cmd.type) {
+    case "stroke":
+      applyStroke(cmd.indices, cmd.elem, cmd.overwrite);
+      return;
+    case "clear":
+      clearGameCanvas();
+      return;
+    case "save":
+      saveGameCanvas();
+      return;
+    case "load":
+      loadGameCanvas();
+      return;
+    case "setSeed":
+      setWorldSeed(cmd.seed);
+      return;
+    case "setSpigot":
+      SPIGOT_ELEMENTS[cmd.spigot] = cmd.elem;
+      SPIGOT_SIZES[cmd.spigot] = cmd.size;
+      return;
+    case "defineElement":
+      defineCustomElement(
+        cmd.id,
+        cmd.color,
+        cmd.definition
+          ? compileParticleDefinition(cmd.definition, cmd.id)
+          : createSafeParticleAction(
+              createActionFunction(cmd.code),
+              cmd.name,
+              cmd.id
+            ),
+        cmd.properties
+      );
+      IDLE_ELEMENTS[cmd.id] = cmd.idle ? 1 : 0;
+      /* it may have been idle before, in chunks that are asleep */
+      wakeAllChunks();
+      return;
+    case "setParticleBudget":
+      setParticleBudget(cmd.ms);
+      return;
+    case "releaseElement":
+      releaseParticleQuarantine(cmd.id);
+      return;
+    case "setReactions":
+      setReactionRules(cmd.rules);
+      wakeAllChunks();
+      return;
+    case "exportSave":
+      return serializeWorld();
+    case "importSave":
+      deserializeWorld(cmd.save);
+      return getWorldSeed();
+    default:
+      throw "Unknown simulation command: " + cmd.type;
+  }
+}
+
+function applyStroke(indices, elem, overwrite) {
+  const len = indices.length;
+  for (var k = 0; k !== len; k++) {
+    const i = indices[k];
+    if (overwrite || gameGrid[i] === BACKGROUND) setGridElement(i, elem);
+  }
+}
+
+/* =========================== Simulation events =========================== */
+
+/*
+ * Things the simulation reports back to the UI on its own, rather than in
+ * reply to a command: plain objects with a 'type', like commands.
+ *
+ *   quarantine    { id, name, reason }         a custom element was frozen
+ *                                              to a fallback behavior (see
+ *                                              createSafeParticleAction())
+ *   runtimeError  { id, name, message }        a custom element's action
+ *                                              threw; only its first few
+ *                                              distinct errors are reported
+ *                                              (see reportParticleError())
+ *
+ * Events are collected while stepping, and handed to the frontend's onEvent
+ * once the step completes. Until onEvent is set (the UI may be built after
+ * the simulation starts), the frontend holds on to them, up to
+ * MAX_HELD_SIMULATION_EVENTS.
+ */
+var simulationEvents = [];
+
+const MAX_HELD_SIMULATION_EVENTS = 100;
+
+function reportSimulationEvent(event) {
+  simulationEvents.push(event);
+}
+
+/* Returns the events reported since the last call, and forgets them */
+function takeSimulationEvents() {
+  const events = simulationEvents;
+  simulationEvents = [];
+  return events;
+}
+
+function dispatchSimulationEvents(simulation, events) {
+  const held = simulation.heldEvents;
+  var k;
+  if (!simulation.onEvent) {
+    for (k = 0; k !== events.length; k++) {
+      if (held.length === MAX_HELD_SIMULATION_EVENTS) break;
+      held.push(events[k]);
+    }
+    return;
+  }
+
+  if (held.length !== 0) {
+    simulation.heldEvents = [];
+    for (k = 0; k !== held.length; k++) simulation.onEvent(held[k]);
+  }
+  for (k = 0; k !== events.length; k++) simulation.onEvent(events[k]);
+}
+
+/* ========================== Simulation frontends ========================= */
+
+/*
+ * Both frontends share this interface:
+ *
+ *   send(cmd)                queue a command
+ *   request(cmd, callback)   queue a command, then callback(error, reply)
+ *   step(frames, callback)   advance frames, then callback(frames)
+ *   stepping                 true while a step is in progress
+ *   inThread                 true if step() completes synchronously
+ *   grid                     element ids to draw, or null if not available
+ *   temperature              temperatures to draw (see heat.js), or null if
+ *                            not available
+ *   wantTemperature          set to true to have temperature kept available.
+ *                            It may cost a copy per step.
+ *   activeChunks             chunks simulated in the last step (see
+ *                            CHUNK_SIZE), or null if not available
+ *   seed                     the seed of the world
+ *   onEvent                  set to a function to be called with each
+ *                            simulation event, after the step reporting it.
+ *                            Events from before it was set are handed to it
+ *                            after the next step.
+ */
+
+/* Runs the simulation on the UI thread, on the active world */
+class LocalSimulation {
+  constructor(world) {
+    this.world = world;
+    this.stepping = false;
+    this.inThread = true;
+    this.wantTemperature = false;
+    this.onEvent = null;
+    this.heldEvents = [];
+  }
+
+  get grid() {
+    return this.world.grid;
+  }
+
+  get temperature() {
+    return this.world.temperature;
+  }
+
+  get activeChunks() {
+    return this.world.activeChunks;
+  }
+
+  get seed() {
+    return this.world.seed;
+  }
+
+  send(cmd) {
+    applySimulationCommand(cmd);
+  }
+
+  request(cmd, callback) {
+    var reply;
+    try {
+      reply = applySimulationCommand(cmd);
+    } catch (error) {
+      callback(error, null);
+      return;
+    }
+    callback(null, reply);
+  }
+
+  step(frames, callback) {
+    for (var f = 0; f !== frames; f++) updateGame();
+    dispatchSimulationEvents(this, takeSimulationEvents());
+    callback(frames);
+  }
+}
+
+/*
+ * Runs the simulation in a worker. If the world's grid lives in a
+ * SharedArrayBuffer, the worker simulates directly on it and we draw from
+ * it as is. Otherwise, the worker keeps its own grid, and transfers a copy
+ * back to us after every step. We hand the previous copy back with the
+ * next step, so that only two copies ever exist. Temperatures are shared
+ * or copied the same way, but only copied while wantTemperature is set.
+ */
+class WorkerSimulation {
+  constructor(world) {
+    this.world = world;
+    this.stepping = false;
+    this.inThread = false;
+    this.shared = WorkerSimulation.isShared(world.grid);
+    this.seed = world.seed;
+    this.wantTemperature = false;
+    this.onEvent = null;
+    this.heldEvents = [];
+
+    /* Unless shared, the latest copy of the grid sent by the worker */
+    this.frame = this.shared ? null : new Uint16Array(world.grid.length);
+    this.spareFrame = null;
+    this.temperatureFrame = null;
+    this.spareTemperatureFrame = null;
+    this.activeChunks = null;
+
+    this.stepCallback = null;
+    this.nextRequestId = 0;
+    this.requestCallbacks = {};
+
+    this.worker = new Worker(WorkerSimulation.SCRIPT);
+    this.worker.onmessage = e => this.onMessage(e.data);
+    this.worker.onerror = function(e) {
+      console.error("Simulation worker error:", e.message);
+    };
+    this.worker.postMessage({
+      type: "init",
+      width: world.width,
+      height: world.height,
+      seed: world.seed,
+      buffers: this.shared
+        ? { grid: world.grid.buffer, temperature: world.temperature.buffer }
+        : null
+    });
+  }
+
+  static isShared(grid) {
+    return (
+      typeof SharedArrayBuffer !== "undefined" &&
+      grid.buffer instanceof SharedArrayBuffer
+    );
+  }
+
+  get grid() {
+    return this.shared ? this.world.grid : this.frame;
+  }
+
+  get temperature() {
+    return this.shared ? this.world.temperature : this.temperatureFrame;
+  }
+
+  send(cmd) {
+    if (cmd.type === "setSeed") this.seed = parseSeed(cmd.seed);
+
+    if (cmd.type === "stroke") {
+      this.worker.postMessage(cmd, [cmd.indices.buffer]);
+    } else {
+      this.worker.postMessage(cmd);
+    }
+  }
+
+  request(cmd, callback) {
+    const id = this.nextRequestId++;
+    this.requestCallbacks[id] = { cmdType: cmd.type, callback: callback };
+    this.worker.postMessage({ type: "request", id: id, cmd: cmd });
+  }
+
+  step(frames, callback) {
+    if (this.stepping) throw "Already stepping";
+
+    this.stepping = true;
+    this.stepCallback = callback;
+
+    const transfer = [];
+    const frameBuffer = this.spareFrame ? this.spareFrame.buffer : null;
+    this.spareFrame = null;
+    if (frameBuffer) transfer.push(frameBuffer);
+
+    const temperatureBuffer = this.spareTemperatureFrame
+      ? this.spareTemperatureFrame.buffer
+      : null;
+    this.spareTemperatureFrame = null;
+    if (temperatureBuffer) transfer.push(temperatureBuffer);
+
+    this.worker.postMessage(
+      {
+        type: "step",
+        frames: frames,
+        frameBuffer: frameBuffer,
+        wantTemperature: this.wantTemperature,
+        temperatureBuffer: temperatureBuffer
+      },
+      transfer
+    );
+  }
+
+  onMessage(msg) {
+    switch (msg.type) {
+      case "stepped": {
+        if (msg.frameBuffer) {
+          this.spareFrame = this.frame;
+          this.frame = new Uint16Array(msg.frameBuffer);
+        }
+        if (msg.temperatureBuffer) {
+          this.spareTemperatureFrame = this.temperatureFrame;
+          this.temperatureFrame = new Float32Array(msg.temperatureBuffer);
+        } else if (!this.shared) {
+          this.temperatureFrame = null;
+        }
+        this.activeChunks = msg.activeChunks;
+        dispatchSimulationEvents(this, msg.events);
+
+        const callback = this.stepCallback;
+        this.stepping = false;
+        this.stepCallback = null;
+        callback(msg.frames);
+        return;
+      }
+      case "reply": {
+        const pending = this.requestCallbacks[msg.id];
+        delete this.requestCallbacks[msg.id];
+
+        if (pending.cmdType === "importSave" && !msg.error)
+          this.seed = msg.reply;
+        pending.callback(msg.error, msg.reply);
+        return;
+      }
+      default:
+        console.error("Unknown message from simulation worker:", msg.type);
+    }
+  }
+}
+
+WorkerSimulation.SCRIPT = "./sim-worker.js";
+
+/*
+ * Picks the best frontend we can for world. If the world's grid is in a
+ * SharedArrayBuffer, the worker shares it.
+ */
+function createSimulation(world) {
+  if (typeof Worker === "undefined") return new LocalSimulation(world);
+
+  /* Browsers refuse to start workers from file:// pages */
+  if (typeof location !== "undefined" && location.protocol === "file:")
+    return new LocalSimulation(world);
+
+  try {
+    return new WorkerSimulation(world);
+  } catch (error) {
+    console.log("Running the simulation on the UI thread:", error);
+    return new LocalSimulation(world);
+  }
+}
+
+/*
+ * Buffers for the grid and temperatures of a world (see World) that a
+ * worker can share, or null if not possible.
+ */
+function createSharedBuffers(width, height) {
+  /* Only available on cross-origin isolated pages */
+  if (typeof SharedArrayBuffer === "undefined") return null;
+  if (typeof crossOriginIsolated !== "undefined" && !crossOriginIsolated)
+    return null;
+
+  const size = width * height;
+  return {
+    grid: new SharedArrayBuffer(size * Uint16Array.BYTES_PER_ELEMENT),
+    temperature: new SharedArrayBuffer(size * Float32Array.BYTES_PER_ELEMENT)
+  };
+}
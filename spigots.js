@@ -41,12 +41,6 @@ const SPIGOT_SIZES = [];
 const SPIGOT_HEIGHT = 10;
 const MAX_SPIGOT_WIDTH = Math.max(...SPIGOT_SIZE_OPTIONS);
 const NUM_SPIGOTS = SPIGOT_ELEMENTS.length;
-const SPIGOT_SPACING = Math.round(
-  (width - MAX_SPIGOT_WIDTH * NUM_SPIGOTS) / (NUM_SPIGOTS + 1) +
-    MAX_SPIGOT_WIDTH
-);
-const SPIGOTS_ENABLED =
-  MAX_SPIGOT_WIDTH * NUM_SPIGOTS <= width && SPIGOT_HEIGHT <= height;
 
 function initSpigots() {
   const defaultSize = SPIGOT_SIZE_OPTIONS[DEFAULT_SPIGOT_SIZE_IDX];
@@ -56,19 +50,25 @@ function initSpigots() {
 }
 
 function updateSpigots() {
-  if (!SPIGOTS_ENABLED) return;
+  /* Depends on the dimensions of the world we're updating */
+  if (MAX_SPIGOT_WIDTH * NUM_SPIGOTS > width || SPIGOT_HEIGHT > height) return;
+
+  const spigotSpacing = Math.round(
+    (width - MAX_SPIGOT_WIDTH * NUM_SPIGOTS) / (NUM_SPIGOTS + 1) +
+      MAX_SPIGOT_WIDTH
+  );
 
   var i, w, h;
   for (i = 0; i !== NUM_SPIGOTS; i++) {
     const elem = SPIGOT_ELEMENTS[i];
-    const spigotLeft = SPIGOT_SPACING * (i + 1) - MAX_SPIGOT_WIDTH;
+    const spigotLeft = spigotSpacing * (i + 1) - MAX_SPIGOT_WIDTH;
     const spigotRight = spigotLeft + SPIGOT_SIZES[i];
     if (spigotLeft < 0) continue;
     if (spigotRight > MAX_X_IDX) break;
     var heightOffset = 0;
     for (h = 0; h !== SPIGOT_HEIGHT; h++) {
       for (w = spigotLeft; w !== spigotRight; w++) {
-        if (random() < 10) gameImagedata32[w + heightOffset] = elem;
+        if (random() < 10) setGridElement(w + heightOffset, elem);
       }
       heightOffset += width;
     }
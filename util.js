@@ -25,11 +25,74 @@ const EIGHTH_PI = Math.PI / 8;
 const SIXTEENTH_PI = Math.PI / 16;
 const EIGHTEENTH_PI = Math.PI / 18;
 
+/*
+ * All randomness in the simulation derives from the seed of the active
+ * world, so that a world can be replayed frame-for-frame. Never call
+ * Math.random() from the engine; use random() or randomFloat() instead.
+ *
+ * Each world owns its own table of random bytes and generator state.
+ * These are bound to those of the active world by useWorld().
+ */
 const __num_rand_ints = 8192;
-const __rand_ints = new Uint8Array(__num_rand_ints);
+var __rand_ints = null;
 var __next_rand = 0;
-for (var i = 0; i < __num_rand_ints; i++) {
-  __rand_ints[i] = Math.floor(Math.random() * 100);
+var __rng_state = 0;
+
+/* Mulberry32. Maps a 32-bit state onto a float in [0, 1). */
+function __mulberry32(state) {
+  var t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function __advanceRngState(state) {
+  return (state + 0x6d2b79f5) | 0;
+}
+
+function __newRandInts(seed) {
+  const randInts = new Uint8Array(__num_rand_ints);
+  /* use a different stream than randomFloat() does for the same seed */
+  var state = (seed ^ 0x9e3779b9) | 0;
+  for (var i = 0; i < __num_rand_ints; i++) {
+    state = __advanceRngState(state);
+    randInts[i] = Math.floor(__mulberry32(state) * 100);
+  }
+  return randInts;
+}
+
+/* The one place we want a non-reproducible number: picking a fresh seed */
+function newRandomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/* Accepts a number or numeric string; returns null if invalid */
+function parseSeed(seed) {
+  if (typeof seed === "string") {
+    seed = seed.trim();
+    if (!/^\d+$/.test(seed)) return null;
+    seed = parseInt(seed, 10);
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) return null;
+  return seed;
+}
+
+/*
+ * Returns a seeded random float in [0, 1). A drop-in replacement for
+ * Math.random() for code that is not on a hot path.
+ */
+function randomFloat() {
+  __rng_state = __advanceRngState(__rng_state);
+  return __mulberry32(__rng_state);
+}
+
+/*
+ * Returns a float in [0, 1) that depends only on the two integers given.
+ * For randomness that must come out the same every time, without drawing
+ * from (and so disturbing) the random sequence of the active world.
+ */
+function hashFloat(a, b) {
+  return __mulberry32(Math.imul(a, 0x9e3779b1) ^ Math.imul(b + 1, 0x85ebca6b));
 }
 
 /*
@@ -61,26 +124,6 @@ function displayPerformance(func, funcName) {
   console.log(funcName, ": ", execTime, "ms");
 }
 
-function docOffsetLeft(elem) {
-  var offsetLeft = 0;
-  do {
-    if (!isNaN(elem.offsetLeft)) {
-      offsetLeft += elem.offsetLeft;
-    }
-  } while ((elem = elem.offsetParent));
-  return offsetLeft;
-}
-
-function docOffsetTop(elem) {
-  var offsetTop = 0;
-  do {
-    if (!isNaN(elem.offsetTop)) {
-      offsetTop += elem.offsetTop;
-    }
-  } while ((elem = elem.offsetParent));
-  return offsetTop;
-}
-
 function distance(x1, y1, x2, y2) {
   const dx = x1 - x2;
   const dy = y1 - y2;